@@ -0,0 +1,71 @@
+// Test script for workflow cron schedules
+// Run with: node cron-expression-test.js (from kilo-web directory)
+
+const assert = require('assert');
+const CronExpression = require('./src/automation/CronExpression');
+
+// The next `count` fire times after `from`
+function fireTimes(expression, from, count) {
+  const cron = new CronExpression(expression);
+  const times = [];
+  let date = from;
+  for (let i = 0; i < count; i++) {
+    date = cron.next(date);
+    times.push(date);
+  }
+  return times;
+}
+
+function runTests() {
+  console.log('🧪 Starting Cron Expression Tests...\n');
+
+  try {
+    const from = new Date(2025, 0, 1, 12, 0); // Wednesday 1 January 2025, local time
+
+    console.log('1️⃣ Testing simple schedules...');
+    assert.deepStrictEqual(fireTimes('30 2 * * *', from, 2), [new Date(2025, 0, 2, 2, 30), new Date(2025, 0, 3, 2, 30)]);
+    assert.deepStrictEqual(fireTimes('@monthly', from, 1), [new Date(2025, 1, 1, 0, 0)]);
+    console.log('✅ Simple schedules work');
+
+    console.log('\n2️⃣ Testing day-of-month and day-of-week together...');
+    // Both restricted: either day matching is enough
+    const either = fireTimes('0 0 15 * 1', from, 4);
+    assert.deepStrictEqual(either, [
+      new Date(2025, 0, 6), new Date(2025, 0, 13), new Date(2025, 0, 15), new Date(2025, 0, 20)
+    ]);
+    console.log('✅ Restricted day fields match either day');
+
+    console.log('\n3️⃣ Testing */n day-of-month with a weekday...');
+    // A day-of-month starting with * is unrestricted, so both fields have to match:
+    // Mondays that fall on an odd day of the month, never other days
+    const mondays = fireTimes('0 0 */2 * 1', from, 6);
+    for (const date of mondays) {
+      assert.strictEqual(date.getDay(), 1, `${date.toDateString()} is not a Monday`);
+      assert.strictEqual(date.getDate() % 2, 1, `${date.toDateString()} is not an odd day of the month`);
+    }
+    assert.deepStrictEqual(mondays.slice(0, 2), [new Date(2025, 0, 13), new Date(2025, 0, 27)]);
+
+    // The same with */n in day-of-week: the 1st of the month, on Sundays, Tuesdays, Thursdays or Saturdays
+    const firsts = fireTimes('0 0 1 * */2', from, 3);
+    for (const date of firsts) {
+      assert.strictEqual(date.getDate(), 1);
+      assert.strictEqual(date.getDay() % 2, 0, `${date.toDateString()} is not an even weekday`);
+    }
+    console.log('✅ */n day fields combine with the other day field');
+
+    console.log('\n4️⃣ Testing invalid expressions...');
+    assert.strictEqual(CronExpression.isValid('0 0 * *'), false);
+    assert.strictEqual(CronExpression.isValid('0 24 * * *'), false);
+    assert.strictEqual(new CronExpression('0 0 30 2 *').next(from), null);
+    console.log('✅ Invalid expressions are rejected');
+
+    console.log('\n🎉 All tests passed successfully!');
+  } catch (error) {
+    console.error('\n❌ Test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run the tests
+runTests();
@@ -16,15 +16,22 @@ const TaskHistoryManager = require('./src/core/TaskHistoryManager');
 
 // Import our compiled TypeScript services
 const { ClineService } = require('./dist/services/ClineService');
+const { TerminalService } = require('./dist/services/TerminalService');
 
 // Import our tool system and mode system
 const ModeAwareToolRegistry = require('./src/tools/ModeAwareToolRegistry');
 const ModeManager = require('./src/modes/ModeManager');
 const SwitchModeTool = require('./src/tools/switchMode');
 const NewTaskTool = require('./src/tools/newTask');
+const UseMcpToolTool = require('./src/tools/useMcpTool');
+const AccessMcpResourceTool = require('./src/tools/accessMcpResource');
+const BrowserActionTool = require('./src/tools/browserAction');
 
 // Import our enhanced chat management system
 const ChatManager = require('./src/core/ChatManager');
+const CodeIndex = require('./src/core/CodeIndex');
+const AutoApproveManager = require('./src/core/AutoApproveManager');
+const ToolApprovalGate = require('./src/core/ToolApprovalGate');
 
 // Import settings system
 const SettingsService = require('./src/services/SettingsService');
@@ -59,6 +66,7 @@ const wss = new WebSocket.Server({ server });
 
 // Initialize ClineService, ToolRegistry, ModeManager, ChatManager, SettingsService, WorkflowSystem, and PushNotificationService
 let clineService;
+let terminalService;
 let toolRegistry;
 let modeManager;
 let chatManager;
@@ -70,6 +78,8 @@ let workflowEngine;
 let workflowTemplates;
 let pushService;
 let taskHistoryManager;
+let codeIndex;
+let toolApprovalGate;
 
 // Middleware
 const corsOptions = config.enableCors ? {
@@ -381,6 +391,9 @@ app.post('/api/settings/providers/current', async (req, res) => {
       return res.status(400).json({ success: false, error: 'Provider name is required' });
     }
     const profile = await settingsService.setCurrentProvider(name);
+    if (chatManager) {
+      chatManager.setTokenTarget(profile);
+    }
     res.json({ success: true, profile });
   } catch (error) {
     console.error('Error setting current provider:', error);
@@ -604,7 +617,8 @@ app.post('/api/workflows/:id/execute', async (req, res) => {
       return res.status(404).json({ success: false, error: 'Workflow not found' });
     }
     
-    const execution = await workflowEngine.executeWorkflow(workflow, options);
+    const execution = workflowEngine.createExecution(workflow, options);
+    await runWorkflowUntilSettled(execution, workflow, options);
     res.json({ success: true, execution });
   } catch (error) {
     console.error('Error executing workflow:', error);
@@ -612,6 +626,46 @@ app.post('/api/workflows/:id/execute', async (req, res) => {
   }
 });
 
+// Resume an interrupted or failed execution, or re-run it from { fromStep }
+app.post('/api/workflows/executions/:id/resume', async (req, res) => {
+  try {
+    if (!workflowEngine) {
+      return res.status(503).json({ success: false, error: 'Workflow engine not initialized' });
+    }
+
+    let resumed;
+    try {
+      resumed = await workflowEngine.prepareResume(req.params.id, { fromStep: (req.body || {}).fromStep });
+    } catch (error) {
+      const status = /not found/.test(error.message) ? 404 : 400;
+      return res.status(status).json({ success: false, error: error.message });
+    }
+
+    await runWorkflowUntilSettled(resumed.execution, resumed.workflow, resumed.options);
+    res.json({ success: true, execution: resumed.execution });
+  } catch (error) {
+    console.error('Error resuming workflow execution:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Run an execution, resolving when it finishes or stops at a manual step, whichever comes first
+ */
+async function runWorkflowUntilSettled(execution, workflow, options) {
+  let onWaiting;
+  const waiting = new Promise(resolve => {
+    onWaiting = ({ execution: waitingExecution }) => {
+      if (waitingExecution.id === execution.id) resolve();
+    };
+    workflowEngine.on('manualStepRequired', onWaiting);
+  });
+  const finished = workflowEngine.runExecution(execution, workflow, options);
+  finished.finally(() => workflowEngine.off('manualStepRequired', onWaiting)).catch(() => {});
+
+  await Promise.race([finished, waiting]);
+}
+
 app.get('/api/workflows/templates', (req, res) => {
   try {
     if (!workflowTemplates) {
@@ -902,6 +956,11 @@ wss.on('connection', (ws) => {
     chatManager.setWebSocketSender(messageSender);
   }
   
+  // Subscribe this connection to MCP server events (status, catalog and resource updates)
+  if (settingsService && settingsService.settingsManager) {
+    settingsService.settingsManager.getMCPServerManager().addWebSocketClient(ws);
+  }
+  
   // Send initial status and conversation state
   messageSender({
     type: 'connectionEstablished',
@@ -1154,10 +1213,10 @@ wss.on('connection', (ws) => {
             throw new Error('Tool registry not initialized');
           }
           
-          const { tool, parameters } = message;
+          const { tool, parameters, taskId } = message;
           console.log(`🔧 [WEBSOCKET] Executing tool: ${tool}`);
           
-          const result = await toolRegistry.executeTool(tool, parameters);
+          const result = await toolRegistry.executeTool(tool, parameters, null, { source: 'websocket', taskId });
           const formattedResult = toolRegistry.formatToolResult(result);
           
           messageSender({
@@ -1254,6 +1313,36 @@ wss.on('connection', (ws) => {
             data: history
           });
         }
+      } else if (message.type === 'condenseConversation') {
+        if (chatManager) {
+          try {
+            const summary = await chatManager.condenseConversation(message.maxTokens, { force: message.force !== false });
+            if (!summary) {
+              messageSender({
+                type: 'conversationCondensed',
+                data: { conversationId: chatManager.currentConversationId, summary: null, summarizedMessages: 0 }
+              });
+            }
+          } catch (error) {
+            messageSender({
+              type: 'error',
+              message: `Failed to condense conversation: ${error.message}`,
+              timestamp: Date.now()
+            });
+          }
+        }
+      } else if (message.type === 'undoCondense') {
+        if (chatManager) {
+          try {
+            await chatManager.undoCondense(message.condenseId);
+          } catch (error) {
+            messageSender({
+              type: 'error',
+              message: `Failed to undo condense: ${error.message}`,
+              timestamp: Date.now()
+            });
+          }
+        }
       } else if (message.type === 'addContextFile') {
         if (chatManager) {
           chatManager.addContextFile(message.filePath);
@@ -1398,6 +1487,9 @@ wss.on('connection', (ws) => {
             throw new Error('Settings service not initialized');
           }
           const profile = await settingsService.setCurrentProvider(message.data.name);
+          if (chatManager) {
+            chatManager.setTokenTarget(profile);
+          }
           messageSender({
             type: 'settingsProviderCurrentSet',
             success: true,
@@ -1522,6 +1614,199 @@ wss.on('connection', (ws) => {
             timestamp: Date.now()
           });
         }
+      } else if (message.type === 'checkpointDiff') {
+        try {
+          if (!settingsService || !settingsService.settingsManager) {
+            throw new Error('Settings service not initialized');
+          }
+          const checkpointManager = settingsService.settingsManager.getCheckpointManager();
+          if (!checkpointManager.settings.diffViewerEnabled) {
+            throw new Error('Diff viewer is disabled in checkpoint settings');
+          }
+          const { checkpointId, compareWith = 'current', paths, contextLines } = message.data;
+          const diff = await checkpointManager.getFileDiffs(checkpointId, compareWith, { paths, contextLines });
+          messageSender({
+            type: 'checkpointDiff',
+            success: true,
+            diff,
+            timestamp: Date.now()
+          });
+        } catch (error) {
+          console.error('Error getting checkpoint diff via WebSocket:', error);
+          messageSender({
+            type: 'error',
+            message: `Failed to get checkpoint diff: ${error.message}`,
+            timestamp: Date.now()
+          });
+        }
+      } else if (message.type === 'checkpointRestore') {
+        try {
+          if (!settingsService || !settingsService.settingsManager) {
+            throw new Error('Settings service not initialized');
+          }
+          const checkpointManager = settingsService.settingsManager.getCheckpointManager();
+          const { checkpointId, paths, path: filePath, hunks, contextLines, createBackup } = message.data;
+          let result;
+          if (hunks) {
+            result = await checkpointManager.restoreHunks(checkpointId, filePath, hunks, { contextLines, createBackup });
+          } else if (paths) {
+            result = await checkpointManager.restoreFiles(checkpointId, paths, { createBackup });
+          } else {
+            result = await checkpointManager.restoreCheckpoint(checkpointId, { createBackup });
+          }
+          messageSender({
+            type: 'checkpointRestored',
+            success: true,
+            result,
+            timestamp: Date.now()
+          });
+        } catch (error) {
+          console.error('Error restoring checkpoint via WebSocket:', error);
+          messageSender({
+            type: 'error',
+            message: `Failed to restore checkpoint: ${error.message}`,
+            timestamp: Date.now()
+          });
+        }
+      } else if (message.type === 'workflowManualResponse') {
+        try {
+          if (!workflowEngine) {
+            throw new Error('Workflow engine not initialized');
+          }
+          const { executionId, requestId, action, values, comment } = message.data;
+          const request = workflowEngine.respondToManualStep(executionId, {
+            requestId,
+            action,
+            values,
+            comment,
+            respondedBy: 'websocket'
+          });
+          messageSender({
+            type: 'workflowManualResponseAccepted',
+            success: true,
+            executionId,
+            requestId: request.id,
+            action: action || 'approve',
+            timestamp: Date.now()
+          });
+        } catch (error) {
+          console.error('Error answering workflow manual step via WebSocket:', error);
+          messageSender({
+            type: 'error',
+            message: `Failed to answer manual step: ${error.message}`,
+            timestamp: Date.now()
+          });
+        }
+      } else if (message.type === 'toolApprovalResponse') {
+        try {
+          if (!toolApprovalGate) {
+            throw new Error('Tool approval not initialized');
+          }
+          const { requestId, approved, feedback } = message.data;
+          const request = toolApprovalGate.respond(requestId, {
+            approved,
+            feedback,
+            respondedBy: 'websocket'
+          });
+          messageSender({
+            type: 'toolApprovalResponseAccepted',
+            success: true,
+            requestId: request.id,
+            approved,
+            timestamp: Date.now()
+          });
+        } catch (error) {
+          console.error('Error answering tool approval via WebSocket:', error);
+          messageSender({
+            type: 'error',
+            message: `Failed to answer tool approval: ${error.message}`,
+            timestamp: Date.now()
+          });
+        }
+      } else if (message.type === 'followupResponse') {
+        try {
+          const followupTool = toolRegistry && toolRegistry.getTool('ask_followup_question');
+          if (!followupTool) {
+            throw new Error('Follow-up questions not available');
+          }
+          const { questionId, answer } = message.data;
+          const request = followupTool.answer(questionId, answer);
+          messageSender({
+            type: 'followupResponseAccepted',
+            success: true,
+            questionId: request.id,
+            timestamp: Date.now()
+          });
+        } catch (error) {
+          console.error('Error answering follow-up question via WebSocket:', error);
+          messageSender({
+            type: 'error',
+            message: `Failed to answer question: ${error.message}`,
+            timestamp: Date.now()
+          });
+        }
+      } else if (message.type === 'getPendingFollowupQuestions') {
+        const followupTool = toolRegistry && toolRegistry.getTool('ask_followup_question');
+        messageSender({
+          type: 'pendingFollowupQuestions',
+          questions: followupTool ? followupTool.getPendingQuestions() : [],
+          timestamp: Date.now()
+        });
+      } else if (message.type === 'getTodoList') {
+        try {
+          const taskId = message.taskId || (taskHistoryManager && taskHistoryManager.getCurrentTaskId());
+          messageSender({
+            type: 'todoListUpdated',
+            taskId: taskId || null,
+            todos: taskId ? await taskHistoryManager.getTodos(taskId) : [],
+            timestamp: Date.now()
+          });
+        } catch (error) {
+          console.error('Error getting todo list:', error);
+          messageSender({
+            type: 'error',
+            message: `Failed to get todo list: ${error.message}`,
+            timestamp: Date.now()
+          });
+        }
+      } else if (message.type === 'cancelCommand') {
+        try {
+          const executeCommandTool = toolRegistry && toolRegistry.getTool('execute_command');
+          if (!executeCommandTool) {
+            throw new Error('Command execution not available');
+          }
+          const { processId } = message.data;
+          if (!executeCommandTool.getProcess(processId)) {
+            throw new Error(`No command with process id ${processId}`);
+          }
+          messageSender({
+            type: 'cancelCommandAccepted',
+            success: true,
+            processId,
+            wasRunning: executeCommandTool.stopProcess(processId),
+            timestamp: Date.now()
+          });
+        } catch (error) {
+          console.error('Error cancelling command via WebSocket:', error);
+          messageSender({
+            type: 'error',
+            message: `Failed to cancel command: ${error.message}`,
+            timestamp: Date.now()
+          });
+        }
+      } else if (message.type === 'getCommands') {
+        const executeCommandTool = toolRegistry && toolRegistry.getTool('execute_command');
+        messageSender({
+          type: 'commandList',
+          processes: executeCommandTool ? executeCommandTool.listProcesses() : [],
+          timestamp: Date.now()
+        });
+      } else if (message.type === 'getPendingToolApprovals') {
+        messageSender({
+          type: 'pendingToolApprovals',
+          requests: toolApprovalGate ? toolApprovalGate.getPendingRequests() : [],
+          timestamp: Date.now()
+        });
       } else if (message.type === 'getState') {
         // Handle getState request
         try {
@@ -1867,6 +2152,13 @@ async function startServer() {
       app.locals.providerSettingsManager = providerSettingsManager;
       app.locals.providerValidator = providerValidator;
       app.locals.providerAutofill = providerAutofill;
+
+      chatManager.setCondensingServices({ providerSettingsManager, settingsService });
+      try {
+        chatManager.setTokenTarget(await providerSettingsManager.getCurrentProvider());
+      } catch (error) {
+        console.warn('⚠️ No active provider profile, counting tokens with the default tokenizer');
+      }
     } catch (error) {
       console.error('❌ ProviderSettingsManager initialization failed:', error.message);
       console.log('🔧 API will continue with limited provider functionality');
@@ -1926,6 +2218,26 @@ async function startServer() {
       toolRegistry.tools.set('new_task', newTaskTool);
       console.log('  ✅ Tools registered successfully');
       
+      // Register MCP tools when the settings manager (and its MCP manager) is available
+      if (settingsService.settingsManager) {
+        const mcpServerManager = settingsService.settingsManager.getMCPServerManager();
+        toolRegistry.tools.set('use_mcp_tool', new UseMcpToolTool(config.workspaceDir, mcpServerManager));
+        toolRegistry.tools.set('access_mcp_resource', new AccessMcpResourceTool(config.workspaceDir, mcpServerManager));
+        console.log('  ✅ MCP tools registered');
+      }
+      
+      // Let the edit tools follow the context settings (fuzzy matching threshold)
+      if (settingsService.settingsManager) {
+        toolRegistry.setContextManager(settingsService.settingsManager.getContextManager());
+      }
+      
+      // Register the browser tool backed by the settings manager's browser engine
+      if (settingsService.settingsManager) {
+        const browserToolsManager = settingsService.settingsManager.getBrowserToolsManager();
+        toolRegistry.tools.set('browser_action', new BrowserActionTool(config.workspaceDir, browserToolsManager));
+        console.log('  ✅ Browser tool registered');
+      }
+      
       console.log('✅ ModeAwareToolRegistry initialized successfully');
     } catch (error) {
       console.error('❌ ModeAwareToolRegistry initialization FAILED:', error.message);
@@ -1937,16 +2249,132 @@ async function startServer() {
       toolRegistry = new ToolRegistry(config.workspaceDir);
       console.log('⚠️ Using fallback ToolRegistry without mode awareness');
     }
+
+    // Tool calls run only when the auto-approve settings allow them or a user approves them
+    console.log('✋ Setting up tool approval...');
+    let autoApproveManager = settingsService.settingsManager?.getAutoApproveManager();
+    if (!autoApproveManager) {
+      autoApproveManager = new AutoApproveManager(config.workspaceDir);
+      await autoApproveManager.initialize();
+    }
+    toolApprovalGate = new ToolApprovalGate(autoApproveManager, config.workspaceDir);
+    toolRegistry.setApprovalGate(toolApprovalGate);
+    toolRegistry.setAutoApproveManager(autoApproveManager);
+    toolApprovalGate.on('approvalRequired', ({ request }) => {
+      const payload = JSON.stringify({ type: 'toolApprovalRequired', request, timestamp: Date.now() });
+      wss.clients.forEach(client => {
+        if (client.readyState === WebSocket.OPEN) {
+          client.send(payload);
+        }
+      });
+    });
+    toolApprovalGate.on('approvalResolved', ({ request, response }) => {
+      const payload = JSON.stringify({
+        type: 'toolApprovalResolved',
+        requestId: request.id,
+        toolName: request.toolName,
+        decision: response.decision,
+        feedback: response.feedback,
+        timestamp: Date.now()
+      });
+      wss.clients.forEach(client => {
+        if (client.readyState === WebSocket.OPEN) {
+          client.send(payload);
+        }
+      });
+    });
     
+    // Questions from ask_followup_question wait for an answer from any client
+    const followupTool = toolRegistry.getTool('ask_followup_question');
+    followupTool.on('questionAsked', ({ request }) => {
+      const payload = JSON.stringify({ type: 'followupQuestion', request, timestamp: Date.now() });
+      wss.clients.forEach(client => {
+        if (client.readyState === WebSocket.OPEN) {
+          client.send(payload);
+        }
+      });
+    });
+    followupTool.on('questionAnswered', ({ request, response }) => {
+      const payload = JSON.stringify({
+        type: 'followupQuestionResolved',
+        questionId: request.id,
+        answer: response.answer,
+        autoAnswered: response.autoAnswered || false,
+        cancelled: response.cancelled || false,
+        timestamp: Date.now()
+      });
+      wss.clients.forEach(client => {
+        if (client.readyState === WebSocket.OPEN) {
+          client.send(payload);
+        }
+      });
+    });
+
+    // execute_command runs through the same TerminalService as the interactive terminals,
+    // and its output streams to every client while the command runs
+    terminalService = new TerminalService();
+    toolRegistry.setTerminalService(terminalService);
+    const executeCommandTool = toolRegistry.getTool('execute_command');
+    for (const type of ['commandStarted', 'commandOutput', 'commandBackgrounded', 'commandFinished']) {
+      executeCommandTool.on(type, (data) => {
+        const payload = JSON.stringify({ type, ...data, timestamp: Date.now() });
+        wss.clients.forEach(client => {
+          if (client.readyState === WebSocket.OPEN) {
+            client.send(payload);
+          }
+        });
+      });
+    }
+
     // Initialize workflow system
     console.log('🔄 Initializing workflow system...');
     try {
       workflowTemplates = new WorkflowTemplates();
       workflowManager = new WorkflowManager(config.workspaceDir, toolRegistry, modeManager);
       workflowEngine = new WorkflowEngine(toolRegistry, modeManager, workflowManager);
+      if (app.locals.providerSettingsManager) {
+        workflowEngine.setProviderSettingsManager(app.locals.providerSettingsManager);
+      }
       
       console.log('🔄 Initializing workflow manager...');
       await workflowManager.initialize();
+      await workflowEngine.initialize();
+
+      // Run workflows when their cron, file or git triggers fire
+      workflowManager.on('workflowTriggered', ({ workflow, type, variables }) => {
+        const running = Array.from(workflowEngine.activeExecutions.values()).some(execution => execution.workflowId === workflow.id);
+        if (running) {
+          console.log(`⏭️ Skipping ${type} trigger for "${workflow.name}": it is still running`);
+          return;
+        }
+        workflowEngine.executeWorkflow(workflow, { triggeredBy: `trigger:${type}`, variables }).catch(error => {
+          console.error(`❌ Triggered workflow "${workflow.name}" failed to start:`, error.message);
+        });
+      });
+
+      // Let every client know when a workflow is waiting for a person, and when it stops waiting
+      workflowEngine.on('manualStepRequired', ({ request }) => {
+        const payload = JSON.stringify({ type: 'workflowManualStepRequired', request, timestamp: Date.now() });
+        wss.clients.forEach(client => {
+          if (client.readyState === WebSocket.OPEN) {
+            client.send(payload);
+          }
+        });
+      });
+      workflowEngine.on('manualStepResolved', ({ request, response }) => {
+        const payload = JSON.stringify({
+          type: 'workflowManualStepResolved',
+          executionId: request.executionId,
+          requestId: request.id,
+          action: response.action,
+          timestamp: Date.now()
+        });
+        wss.clients.forEach(client => {
+          if (client.readyState === WebSocket.OPEN) {
+            client.send(payload);
+          }
+        });
+      });
       console.log('✅ Workflow system initialized successfully');
     } catch (error) {
       console.error('❌ Workflow system initialization failed:', error.message);
@@ -1980,6 +2408,22 @@ async function startServer() {
       taskHistoryManager = null;
     }
 
+    // Let attempt_completion close tasks and update_todo_list keep their checklists
+    if (taskHistoryManager) {
+      toolRegistry.setTaskHistoryManager(taskHistoryManager);
+      if (workflowEngine) {
+        workflowEngine.setTaskHistoryManager(taskHistoryManager);
+      }
+      taskHistoryManager.on('todosUpdated', ({ taskId, todos }) => {
+        const payload = JSON.stringify({ type: 'todoListUpdated', taskId, todos, timestamp: Date.now() });
+        wss.clients.forEach(client => {
+          if (client.readyState === WebSocket.OPEN) {
+            client.send(payload);
+          }
+        });
+      });
+    }
+
     // Connect TaskHistoryManager to push notifications
     if (taskHistoryManager && pushService) {
       console.log('🔗 Connecting TaskHistoryManager to push notifications...');
@@ -2041,12 +2485,24 @@ async function startServer() {
       }
     }
 
+    // Index the workspace in the background; relevant context uses whatever is indexed so far
+    console.log('🗂️ Building workspace code index...');
+    codeIndex = new CodeIndex(config.workspaceDir);
+    codeIndex.initialize().catch(error => {
+      console.error('❌ Code index build failed:', error.message);
+    });
+    if (settingsService.settingsManager) {
+      settingsService.settingsManager.getContextManager().setCodeIndex(codeIndex);
+    }
+
     // Make all services available to API routes
     console.log('🔗 Setting up API locals...');
     app.locals.toolRegistry = toolRegistry;
+    app.locals.toolApprovalGate = toolApprovalGate;
     app.locals.modeManager = modeManager;
     app.locals.chatManager = chatManager;
     app.locals.settingsService = settingsService;
+    app.locals.settingsManager = settingsService.settingsManager || null;
     app.locals.settingsValidator = settingsValidator;
     app.locals.settingsMigrator = settingsMigrator;
     app.locals.workflowManager = workflowManager;
@@ -2054,11 +2510,12 @@ async function startServer() {
     app.locals.workflowTemplates = workflowTemplates;
     app.locals.pushService = pushService;
     app.locals.taskHistoryManager = taskHistoryManager;
+    app.locals.codeIndex = codeIndex;
     
     // Initialize ClineService
     console.log('🤖 Initializing ClineService...');
     try {
-      clineService = new ClineService(config.workspaceDir);
+      clineService = new ClineService(config.workspaceDir, terminalService);
       await clineService.initialize();
       console.log('✅ ClineService initialized successfully');
     } catch (error) {
@@ -2242,6 +2699,34 @@ process.on('SIGINT', () => {
 async function gracefulShutdown(signal) {
   console.log(`🛑 Gracefully shutting down from ${signal}...`);
   
+  // Stop firing workflow triggers
+  if (workflowManager) {
+    try {
+      await workflowManager.stopTriggers();
+      console.log('✅ Workflow triggers stopped');
+    } catch (error) {
+      console.error('❌ Error stopping workflow triggers:', error.message);
+    }
+  }
+  
+  // Turn down tool calls and questions still waiting for an answer
+  if (toolApprovalGate) {
+    toolApprovalGate.cancelAll('Server is shutting down');
+  }
+  if (toolRegistry && toolRegistry.getTool('ask_followup_question')) {
+    toolRegistry.getTool('ask_followup_question').cancelAll('Server is shutting down');
+  }
+  
+  // Stop commands still running, including those left in the background
+  if (toolRegistry && toolRegistry.getTool('execute_command')) {
+    toolRegistry.getTool('execute_command').stopAll();
+  }
+  
+  // Stop watching the workspace for the code index
+  if (codeIndex) {
+    await codeIndex.close();
+  }
+  
   // Shutdown push notification service
   if (pushService) {
     try {
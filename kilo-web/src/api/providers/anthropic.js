@@ -1,4 +1,5 @@
 const { Anthropic } = require('@anthropic-ai/sdk');
+const TokenCounter = require('../../core/TokenCounter');
 
 /**
  * Web-compatible Anthropic API provider
@@ -240,13 +241,8 @@ class AnthropicProvider {
         return suggestions[useCase] || suggestions.general;
     }
 
-    /**
-     * Count tokens (simplified implementation)
-     */
     async countTokens(content) {
-        // Rough approximation: 1 token ≈ 4 characters
-        const text = typeof content === 'string' ? content : JSON.stringify(content);
-        return Math.ceil(text.length / 4);
+        return TokenCounter.shared.count(content, { provider: 'anthropic', model: this.getModel().id });
     }
 }
 
@@ -5,6 +5,8 @@
  * Uses native fetch API without external dependencies
  */
 
+const TokenCounter = require('../../core/TokenCounter');
+
 // Claude Code Model Definitions - Based on original kilocode implementation
 const claudeCodeDefaultModelId = 'claude-sonnet-4-20250514';
 const CLAUDE_CODE_DEFAULT_MAX_OUTPUT_TOKENS = 8000;
@@ -675,13 +677,8 @@ class ClaudeCodeProvider {
         }
     }
 
-    /**
-     * Count tokens (simplified implementation)
-     */
     async countTokens(content) {
-        // Rough approximation: 1 token ≈ 4 characters
-        const text = typeof content === 'string' ? content : JSON.stringify(content);
-        return Math.ceil(text.length / 4);
+        return TokenCounter.shared.count(content, { provider: 'claude-code', model: this.getModel().id });
     }
 }
 
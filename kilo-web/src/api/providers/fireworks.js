@@ -4,6 +4,8 @@
  * Supports OpenAI-compatible chat completions endpoint
  */
 
+const TokenCounter = require('../../core/TokenCounter');
+
 class FireworksProvider {
     constructor(options = {}) {
         this.options = options;
@@ -298,13 +300,8 @@ class FireworksProvider {
         return this.supportedModels;
     }
 
-    /**
-     * Count tokens (simplified implementation)
-     */
     async countTokens(content) {
-        // Rough approximation: 1 token ≈ 4 characters
-        const text = typeof content === 'string' ? content : JSON.stringify(content);
-        return Math.ceil(text.length / 4);
+        return TokenCounter.shared.count(content, { provider: 'fireworks', model: this.getModel().id });
     }
 }
 
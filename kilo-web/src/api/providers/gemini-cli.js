@@ -4,6 +4,8 @@
  * Note: This provider requires gcloud CLI to be installed and authenticated
  */
 
+const TokenCounter = require('../../core/TokenCounter');
+
 class GeminiCliProvider {
     constructor(options = {}) {
         this.options = options;
@@ -204,13 +206,8 @@ class GeminiCliProvider {
         }
     }
 
-    /**
-     * Count tokens (simplified implementation)
-     */
     async countTokens(content) {
-        // Rough approximation: 1 token ≈ 4 characters
-        const text = typeof content === 'string' ? content : JSON.stringify(content);
-        return Math.ceil(text.length / 4);
+        return TokenCounter.shared.count(content, { provider: 'gemini-cli', model: this.getModel().id });
     }
 }
 
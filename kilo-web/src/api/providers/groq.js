@@ -4,6 +4,8 @@
  * Supports OpenAI-compatible chat completions endpoint with ultra-fast inference
  */
 
+const TokenCounter = require('../../core/TokenCounter');
+
 class GroqProvider {
     constructor(options = {}) {
         this.options = options;
@@ -316,13 +318,8 @@ class GroqProvider {
         }
     }
 
-    /**
-     * Count tokens (simplified implementation)
-     */
     async countTokens(content) {
-        // Rough approximation: 1 token ≈ 4 characters
-        const text = typeof content === 'string' ? content : JSON.stringify(content);
-        return Math.ceil(text.length / 4);
+        return TokenCounter.shared.count(content, { provider: 'groq', model: this.getModel().id });
     }
 }
 
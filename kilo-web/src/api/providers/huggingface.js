@@ -4,6 +4,8 @@
  * Supports both Inference API and Inference Endpoints
  */
 
+const TokenCounter = require('../../core/TokenCounter');
+
 class HuggingFaceProvider {
     constructor(options = {}) {
         this.options = options;
@@ -288,13 +290,8 @@ class HuggingFaceProvider {
         }
     }
 
-    /**
-     * Count tokens (simplified implementation)
-     */
     async countTokens(content) {
-        // Rough approximation: 1 token ≈ 4 characters
-        const text = typeof content === 'string' ? content : JSON.stringify(content);
-        return Math.ceil(text.length / 4);
+        return TokenCounter.shared.count(content, { provider: 'huggingface', model: this.getModel().id });
     }
 }
 
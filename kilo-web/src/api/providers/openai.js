@@ -1,4 +1,5 @@
 const { OpenAI } = require('openai');
+const TokenCounter = require('../../core/TokenCounter');
 
 /**
  * Web-compatible OpenAI API provider
@@ -238,13 +239,8 @@ class OpenAIProvider {
         return suggestions[useCase] || suggestions.general;
     }
 
-    /**
-     * Count tokens (simplified implementation)
-     */
     async countTokens(content) {
-        // Rough approximation: 1 token ≈ 4 characters for GPT models
-        const text = typeof content === 'string' ? content : JSON.stringify(content);
-        return Math.ceil(text.length / 4);
+        return TokenCounter.shared.count(content, { provider: 'openai', model: this.getModel().id });
     }
 }
 
@@ -4,6 +4,8 @@
  * Web-compatible implementation for kilo-web
  */
 
+const TokenCounter = require('../../core/TokenCounter');
+
 class VirtualQuotaFallbackProvider {
     constructor(options = {}) {
         this.options = options;
@@ -243,13 +245,13 @@ class VirtualQuotaFallbackProvider {
         }
     }
 
-    /**
-     * Count tokens (simplified implementation)
-     */
     async countTokens(content) {
-        // Rough approximation: 1 token ≈ 4 characters
-        const text = typeof content === 'string' ? content : JSON.stringify(content);
-        return Math.ceil(text.length / 4);
+        // Counted for whichever profile would serve the request
+        const profile = this.getCurrentProfile();
+        return TokenCounter.shared.count(content, {
+            provider: profile?.provider,
+            model: profile?.settings?.model
+        });
     }
 }
 
@@ -4,6 +4,8 @@
  * Supports OpenAI-compatible chat completions endpoint
  */
 
+const TokenCounter = require('../../core/TokenCounter');
+
 class XaiProvider {
     constructor(options = {}) {
         this.options = options;
@@ -285,13 +287,8 @@ class XaiProvider {
         }
     }
 
-    /**
-     * Count tokens (simplified implementation)
-     */
     async countTokens(content) {
-        // Rough approximation: 1 token ≈ 4 characters
-        const text = typeof content === 'string' ? content : JSON.stringify(content);
-        return Math.ceil(text.length / 4);
+        return TokenCounter.shared.count(content, { provider: 'xai', model: this.getModel().id });
     }
 }
 
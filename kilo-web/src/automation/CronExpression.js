@@ -0,0 +1,145 @@
+/**
+ * CronExpression - Five-field cron expressions (minute hour day-of-month month day-of-week)
+ * Supports *, lists, ranges, steps, month/day names and the @hourly/@daily/@weekly/
+ * @monthly/@yearly shortcuts. Times are evaluated in the server's local time zone.
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const SHORTCUTS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+// Give up looking for a match after this many years (e.g. "0 0 30 2 *" never fires)
+const SEARCH_YEARS = 5;
+
+class CronExpression {
+    /**
+     * @param {string} expression
+     * @throws {Error} When the expression is invalid
+     */
+    constructor(expression) {
+        this.expression = String(expression).trim();
+        const normalized = SHORTCUTS[this.expression.toLowerCase()] || this.expression;
+        const parts = normalized.split(/\s+/);
+        if (parts.length !== 5) {
+            throw new Error(`Cron expression "${this.expression}" must have 5 fields (minute hour day month weekday)`);
+        }
+
+        [this.minutes, this.hours, this.daysOfMonth, this.months, this.daysOfWeek] =
+            parts.map((part, index) => this.parseField(part, FIELDS[index]));
+
+        // Sunday may be written as 0 or 7
+        if (this.daysOfWeek.has(7)) {
+            this.daysOfWeek.delete(7);
+            this.daysOfWeek.add(0);
+        }
+
+        // Standard (Vixie) cron: when both day fields are restricted, either one matching is enough.
+        // A field starting with * (including steps like */2) counts as unrestricted, so it has to match as well.
+        this.dayOfMonthRestricted = !/^[*?]/.test(parts[2]);
+        this.dayOfWeekRestricted = !/^[*?]/.test(parts[4]);
+    }
+
+    parseField(text, field) {
+        const values = new Set();
+        for (const item of text.toLowerCase().split(',')) {
+            const match = /^(\*|\?|[\w]+(?:-[\w]+)?)(?:\/(\d+))?$/.exec(item);
+            if (!match) {
+                throw new Error(`Invalid ${field.name} "${item}" in cron expression "${this.expression}"`);
+            }
+
+            let start = field.min;
+            let end = field.max === 7 ? 6 : field.max;
+            if (match[1] !== '*' && match[1] !== '?') {
+                const [from, to] = match[1].split('-');
+                start = this.parseValue(from, field);
+                end = to === undefined ? (match[2] ? end : start) : this.parseValue(to, field);
+            }
+            const step = match[2] ? Number(match[2]) : 1;
+            if (step < 1 || start > end) {
+                throw new Error(`Invalid ${field.name} "${item}" in cron expression "${this.expression}"`);
+            }
+
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        }
+        return values;
+    }
+
+    parseValue(text, field) {
+        const nameIndex = field.names ? field.names.indexOf(text) : -1;
+        const value = nameIndex !== -1 ? nameIndex + field.min : Number(text);
+        if (!Number.isInteger(value) || value < field.min || value > field.max) {
+            throw new Error(`${field.name} "${text}" is out of range (${field.min}-${field.max}) in cron expression "${this.expression}"`);
+        }
+        return value;
+    }
+
+    matchesDay(date) {
+        const dayOfMonth = this.daysOfMonth.has(date.getDate());
+        const dayOfWeek = this.daysOfWeek.has(date.getDay());
+        if (this.dayOfMonthRestricted && this.dayOfWeekRestricted) {
+            return dayOfMonth || dayOfWeek;
+        }
+        return dayOfMonth && dayOfWeek;
+    }
+
+    /**
+     * First matching minute strictly after `from`
+     * @param {Date|number} from
+     * @returns {Date|null} Null when nothing matches within the search window
+     */
+    next(from = new Date()) {
+        const date = new Date(from);
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+        const limit = new Date(date);
+        limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+
+        // Jump field by field rather than minute by minute
+        while (date < limit) {
+            if (!this.months.has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!this.matchesDay(date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!this.hours.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0, 0, 0);
+            } else if (!this.minutes.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1, 0, 0);
+            } else {
+                return date;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Whether an expression parses
+     */
+    static isValid(expression) {
+        try {
+            new CronExpression(expression);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+module.exports = CronExpression;
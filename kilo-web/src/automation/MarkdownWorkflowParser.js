@@ -0,0 +1,881 @@
+/**
+ * MarkdownWorkflowParser - Parses .md workflow files into WorkflowEngine steps
+ *
+ * Format:
+ *
+ *   # Build and test
+ *   Text before the first section is the description.
+ *
+ *   ## Variables
+ *   - environment: staging
+ *   - packages: ["api", "web"]
+ *
+ *   ## Triggers
+ *   - cron: 0 2 * * *
+ *   - file: src/**\/*.js, package.json (debounce 5s)
+ *   - git: post-commit
+ *
+ *   ## Steps
+ *
+ *   ### Install dependencies
+ *   ```bash
+ *   npm ci
+ *   ```
+ *   - optional: true
+ *   - timeout: 5m
+ *   - retry: 3
+ *   - backoff: 2s x2 max 30s
+ *   - retry on: timeout, ECONNRESET
+ *   - outputs: installTime = execution_time_ms
+ *
+ *   ### Read the manifest
+ *   ```tool read_file
+ *   path: package.json
+ *   ```
+ *
+ *   ### Test each package
+ *   - foreach: {{packages}}
+ *   - as: pkg
+ *   - if: environment != production
+ *   ```bash
+ *   npm test --workspace {{pkg}}
+ *   ```
+ *
+ *   ### Summarize the changes
+ *   ```prompt
+ *   Summarize this diff for a reviewer as {"summary": "...", "risks": []}:
+ *   {{diff}}
+ *   ```
+ *   - mode: ask
+ *   - format: json
+ *   - outputs: summary = json.summary
+ *
+ *   ### Sign off
+ *   Check the staging deploy before going live.
+ *   - input: approver
+ *   - input: channel = #releases
+ *
+ *   ### Checks
+ *   - type: parallel
+ *   #### Lint
+ *   - run: npm run lint
+ *   #### Typecheck
+ *   - run: npx tsc --noEmit
+ *
+ *   ## On Failure
+ *   ### Collect logs
+ *   - run: tar czf logs.tgz logs
+ *
+ *   ## Finally
+ *   ### Stop services
+ *   - run: docker compose down
+ *
+ * A fenced shell block (or `- run:`) makes a command step, a ```tool <name>```
+ * block (or `- tool:` with a JSON/key-value block) a tool step, a ```prompt```
+ * block (or `- prompt:`) an AI prompt step, `- delay:` a delay step and
+ * `- foreach:` a loop. `- if:` adds conditions; on a step with sub-steps it
+ * makes a conditional whose sub-step titled "Else ..." is the else branch.
+ * Steps with no action are manual steps: the run waits for someone to approve
+ * them, asking for any `- input:` values (`name = default` makes one optional).
+ * Plain numbered lists (`1. Do something`) are accepted as steps too. Other
+ * bullets and text become the step's description.
+ *
+ * Prompt steps take `- mode:`, `- profile:` (a provider profile name),
+ * `- tools:` (true or tool names the model may call), `- format: json` and
+ * `- max tool rounds:`; outputs map from `text` or `json.<field>`.
+ *
+ * `- timeout:` aborts a step's commands and tool calls when it runs too long.
+ * `- retry:` runs a failed step up to that many times, waiting `- backoff:`
+ * between attempts (`x2` doubles the wait each time); `- retry on:` limits
+ * retries to timeouts and failures whose error or output matches a pattern.
+ * Steps under "## On Failure" run after a failed run and steps under
+ * "## Finally" after every run.
+ *
+ * `- if:` also takes an expression (see WorkflowExpression), e.g.
+ * `steps.build.success && !contains(branch, 'wip')`, and `{{ }}` placeholders
+ * anywhere accept the same expressions: `{{ fromJSON(manifest).version ?? 'dev' }}`.
+ *
+ * Triggers may end with "(debounce 5s)" to change how long the scheduler
+ * waits for more events before starting a run.
+ *
+ * Top-level steps given `- id:` and `- needs: a, b` run as a dependency graph
+ * (see WorkflowGraph). A `## Options` section sets `max concurrency` and
+ * `fail fast` for the graph; parallel steps take the same two attributes.
+ */
+
+const CronExpression = require('./CronExpression');
+const WorkflowExpression = require('./WorkflowExpression');
+const WorkflowTriggerScheduler = require('./WorkflowTriggerScheduler');
+
+class MarkdownWorkflowParser {
+    static SHELL_LANGUAGES = ['bash', 'sh', 'shell', 'zsh', 'console', 'cmd', 'powershell', 'ps', 'pwsh'];
+
+    static CONDITION_OPERATORS = ['==', '!=', '>', '<', 'equals', 'not_equals', 'greater_than', 'less_than', 'contains'];
+
+    static UNARY_OPERATORS = ['exists', 'not_exists'];
+
+    // Step attribute spellings (lowercased, without spaces, dashes or underscores)
+    static ATTRIBUTES = {
+        type: 'type',
+        run: 'run',
+        command: 'run',
+        tool: 'tool',
+        delay: 'delay',
+        wait: 'delay',
+        if: 'if',
+        when: 'if',
+        foreach: 'foreach',
+        items: 'foreach',
+        as: 'as',
+        index: 'index',
+        maxiterations: 'maxIterations',
+        optional: 'optional',
+        stoponfailure: 'stopOnFailure',
+        cwd: 'workingDirectory',
+        workingdirectory: 'workingDirectory',
+        outputs: 'outputs',
+        output: 'outputs',
+        inputs: 'inputs',
+        input: 'inputs',
+        id: 'id',
+        needs: 'needs',
+        dependson: 'needs',
+        maxconcurrency: 'maxConcurrency',
+        concurrency: 'maxConcurrency',
+        failfast: 'failFast',
+        prompt: 'prompt',
+        mode: 'mode',
+        profile: 'profile',
+        tools: 'allowTools',
+        allowtools: 'allowTools',
+        format: 'responseFormat',
+        responseformat: 'responseFormat',
+        maxtoolrounds: 'maxToolRounds',
+        timeout: 'timeout',
+        retry: 'retry',
+        retries: 'retry',
+        backoff: 'backoff',
+        retryon: 'retryOn'
+    };
+
+    // Attributes only prompt steps understand
+    static PROMPT_ATTRIBUTES = ['mode', 'profile', 'allowTools', 'responseFormat', 'maxToolRounds'];
+
+    // Attributes that may be given several times
+    static REPEATABLE = ['outputs', 'inputs'];
+
+    /**
+     * Parse a Markdown workflow
+     * @param {string} content - File content
+     * @param {string} name - Fallback name (the file's base name)
+     * @returns {Object} Workflow definition ({ name, description, variables, triggers, conditions, steps, onFailure?, finally? })
+     */
+    parse(content, name) {
+        this.workflowName = name;
+        const workflow = {
+            name: name,
+            description: '',
+            steps: [],
+            variables: {},
+            triggers: [],
+            conditions: []
+        };
+
+        let section = 'description';
+        let sectionTitle = '';
+        const stack = []; // Open heading steps, outermost first
+        const roots = { steps: [], onFailure: [], finally: [] }; // Top-level step nodes per steps section
+        let listStep = null; // Step started by a numbered list item
+
+        for (const block of this.tokenize(content)) {
+            if (block.kind === 'heading' && block.level === 1) {
+                workflow.name = block.text;
+                continue;
+            }
+
+            if (block.kind === 'heading' && block.level === 2) {
+                section = this.sectionName(block.text);
+                sectionTitle = block.text;
+                stack.length = 0;
+                listStep = null;
+                continue;
+            }
+
+            switch (section) {
+                case 'description':
+                    if (block.kind !== 'blank') {
+                        workflow.description += (workflow.description ? '\n' : '') + block.raw.trim();
+                    }
+                    break;
+
+                case 'variables':
+                    if (block.kind === 'bullet') {
+                        const entry = this.parseKeyValue(block.text, block.line);
+                        workflow.variables[entry.key.replace(/^`|`$/g, '')] = this.parseValue(entry.value);
+                    }
+                    break;
+
+                case 'triggers':
+                    if (block.kind === 'bullet') {
+                        workflow.triggers.push(this.parseTrigger(block.text, block.line));
+                    }
+                    break;
+
+                case 'conditions':
+                    if (block.kind === 'bullet') {
+                        workflow.conditions.push(...this.parseConditions(block.text, block.line));
+                    }
+                    break;
+
+                case 'options':
+                    if (block.kind === 'bullet') {
+                        this.applyOption(workflow, block);
+                    }
+                    break;
+
+                case 'steps':
+                case 'onFailure':
+                case 'finally': {
+                    if (block.kind === 'heading') {
+                        const node = this.createNode(block.text, block.line);
+                        while (stack.length > 0 && stack[stack.length - 1].level >= block.level) {
+                            stack.pop();
+                        }
+                        if (stack.length > 0) {
+                            stack[stack.length - 1].node.children.push(node);
+                        } else {
+                            roots[section].push(node);
+                        }
+                        stack.push({ level: block.level, node });
+                        listStep = null;
+                        break;
+                    }
+
+                    if (block.kind === 'numbered' && (stack.length === 0 || listStep)) {
+                        listStep = this.createNode(block.text, block.line);
+                        roots[section].push(listStep);
+                        break;
+                    }
+
+                    const current = listStep || (stack.length > 0 ? stack[stack.length - 1].node : null);
+                    if (!current) {
+                        if (block.kind !== 'blank') {
+                            throw this.error(block.line, `Content under "## ${sectionTitle}" must belong to a step (start one with "### Title" or "1. Title")`);
+                        }
+                        break;
+                    }
+                    this.addToNode(current, block);
+                    break;
+                }
+
+                default:
+                    // Unknown sections are documentation only
+                    break;
+            }
+        }
+
+        workflow.steps = roots.steps.map(node => this.buildStep(node));
+        for (const block of ['onFailure', 'finally']) {
+            if (roots[block].length > 0) {
+                workflow[block] = roots[block].map(node => this.buildStep(node));
+            }
+        }
+        return workflow;
+    }
+
+    /**
+     * Split content into headings, fenced blocks, list items and text lines
+     */
+    tokenize(content) {
+        const lines = content.split(/\r?\n/);
+        const blocks = [];
+
+        for (let i = 0; i < lines.length; i++) {
+            const raw = lines[i];
+            const line = i + 1;
+
+            const fence = /^(\s*)(`{3,}|~{3,})\s*(.*)$/.exec(raw);
+            if (fence) {
+                const [, indent, marker, info] = fence;
+                const body = [];
+                let closed = false;
+                for (i++; i < lines.length; i++) {
+                    const closing = /^\s*(`{3,}|~{3,})\s*$/.exec(lines[i]);
+                    if (closing && closing[1][0] === marker[0] && closing[1].length >= marker.length) {
+                        closed = true;
+                        break;
+                    }
+                    // Drop the fence's own indentation (fences nested in list items)
+                    body.push(lines[i].startsWith(indent) ? lines[i].slice(indent.length) : lines[i].trimStart());
+                }
+                if (!closed) {
+                    throw this.error(line, `Code block opened with ${marker} is never closed`);
+                }
+                const [language = '', ...args] = info.trim().split(/[\s:]+/).filter(Boolean);
+                blocks.push({ kind: 'fence', language: language.toLowerCase(), args, body: body.join('\n'), line, raw });
+                continue;
+            }
+
+            const heading = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(raw);
+            if (heading) {
+                blocks.push({ kind: 'heading', level: heading[1].length, text: heading[2], line, raw });
+                continue;
+            }
+
+            const numbered = /^\s*\d+[.)]\s+(.*)$/.exec(raw);
+            if (numbered) {
+                blocks.push({ kind: 'numbered', text: numbered[1].trim(), line, raw });
+                continue;
+            }
+
+            const bullet = /^\s*[-*+]\s+(.*)$/.exec(raw);
+            if (bullet) {
+                blocks.push({ kind: 'bullet', text: bullet[1].trim(), line, raw });
+                continue;
+            }
+
+            blocks.push({ kind: raw.trim() ? 'text' : 'blank', text: raw.trim(), line, raw });
+        }
+
+        return blocks;
+    }
+
+    sectionName(text) {
+        const normalized = text.toLowerCase().replace(/[^a-z]/g, '');
+        const known = ['steps', 'variables', 'triggers', 'conditions', 'options'];
+        if (normalized === 'settings' || normalized === 'setting') {
+            return 'options';
+        }
+        if (normalized === 'onfailure' || normalized === 'iffailed') {
+            return 'onFailure';
+        }
+        if (normalized === 'finally' || normalized === 'cleanup' || normalized === 'always') {
+            return 'finally';
+        }
+        return known.find(name => normalized === name || normalized === name.replace(/s$/, '')) || 'other';
+    }
+
+    /**
+     * Workflow-wide settings: "max concurrency: 2", "fail fast: false"
+     */
+    applyOption(workflow, block) {
+        const entry = this.parseKeyValue(block.text, block.line);
+        const option = MarkdownWorkflowParser.ATTRIBUTES[entry.key.toLowerCase().replace(/[\s_-]/g, '')];
+        if (option === 'maxConcurrency') {
+            workflow.maxConcurrency = this.parseInteger(entry.value, block.line);
+        } else if (option === 'failFast') {
+            workflow.failFast = this.parseBoolean(entry.value, block.line);
+        } else {
+            throw this.error(block.line, `Unknown option "${entry.key}" (use max concurrency or fail fast)`);
+        }
+    }
+
+    createNode(title, line) {
+        return {
+            title: title.replace(/^\d+[.)]\s*/, '').replace(/^(step\s+\d+\s*[:.-]\s*)/i, '').trim(),
+            line,
+            attributes: {},
+            fences: [],
+            text: [],
+            children: []
+        };
+    }
+
+    addToNode(node, block) {
+        if (block.kind === 'fence') {
+            node.fences.push(block);
+            return;
+        }
+
+        if (block.kind === 'bullet') {
+            const match = /^`?([A-Za-z][\w\s-]*?)`?\s*:\s*(.*)$/.exec(block.text);
+            const attribute = match && MarkdownWorkflowParser.ATTRIBUTES[match[1].toLowerCase().replace(/[\s_-]/g, '')];
+            if (attribute) {
+                if (MarkdownWorkflowParser.REPEATABLE.includes(attribute)) {
+                    node.attributes[attribute] = node.attributes[attribute] || [];
+                    node.attributes[attribute].push({ value: match[2].trim(), line: block.line });
+                } else {
+                    node.attributes[attribute] = { value: match[2].trim(), line: block.line };
+                }
+                return;
+            }
+        }
+
+        if (block.kind !== 'blank') {
+            node.text.push(block.raw.trim());
+        }
+    }
+
+    /**
+     * Turn a parsed node into a WorkflowEngine step
+     */
+    buildStep(node) {
+        const attributes = node.attributes;
+        const step = { name: node.title };
+        if (node.text.length > 0) {
+            step.description = node.text.join('\n');
+        }
+
+        const type = this.resolveType(node);
+        step.type = type;
+
+        switch (type) {
+            case 'command': {
+                const command = this.findFence(node, 'shell');
+                step.command = command ? command.body.trim() : attributes.run.value.replace(/^`|`$/g, '');
+                if (!step.command) {
+                    throw this.error(command ? command.line : attributes.run.line, 'Command is empty');
+                }
+                break;
+            }
+
+            case 'tool': {
+                const toolFence = this.findFence(node, 'tool');
+                step.tool = toolFence ? toolFence.args[0] : attributes.tool?.value;
+                if (!step.tool) {
+                    throw this.error(toolFence ? toolFence.line : node.line, 'Tool steps need a tool name (```tool <name>``` or "- tool: <name>")');
+                }
+                const parametersFence = toolFence || node.fences.find(fence => ['json', 'yaml', 'yml', ''].includes(fence.language));
+                step.parameters = parametersFence ? this.parseParameters(parametersFence) : {};
+                break;
+            }
+
+            case 'delay':
+                step.delay = this.parseDuration(attributes.delay.value, attributes.delay.line);
+                break;
+
+            case 'loop': {
+                const items = attributes.foreach;
+                if (!items) {
+                    throw this.error(node.line, 'Loop steps need "- foreach: <items>"');
+                }
+                step.items = this.parseItems(items.value);
+                if (attributes.as) step.itemVariable = attributes.as.value;
+                if (attributes.index) step.indexVariable = attributes.index.value;
+                if (attributes.maxIterations) {
+                    step.maxIterations = this.parseInteger(attributes.maxIterations.value, attributes.maxIterations.line);
+                }
+
+                // The body is the only sub-step, or this step's own action
+                if (node.children.length > 1) {
+                    throw this.error(node.children[1].line, 'Loop steps take a single sub-step');
+                }
+                step.step = node.children.length === 1
+                    ? this.buildStep(node.children[0])
+                    : this.buildStep({ ...node, attributes: this.without(attributes, ['type', 'foreach', 'as', 'index', 'maxIterations', 'if', 'optional', 'stopOnFailure', 'outputs', 'id', 'needs', 'timeout', 'retry', 'backoff', 'retryOn']), children: [] });
+                if (step.step.type === 'manual') {
+                    throw this.error(node.line, 'Loop step has nothing to run (add a command, tool or sub-step)');
+                }
+                break;
+            }
+
+            case 'parallel':
+                if (node.children.length === 0) {
+                    throw this.error(node.line, 'Parallel steps need sub-steps ("####" headings)');
+                }
+                step.steps = node.children.map(child => this.buildStep(child));
+                break;
+
+            case 'conditional': {
+                if (!attributes.if) {
+                    throw this.error(node.line, 'Conditional steps need "- if: <condition>"');
+                }
+                step.condition = this.parseConditions(attributes.if.value, attributes.if.line);
+                const elseChildren = node.children.filter(child => /^else\b/i.test(child.title));
+                const thenChildren = node.children.filter(child => !/^else\b/i.test(child.title));
+                if (thenChildren.length > 1 || elseChildren.length > 1) {
+                    throw this.error(node.line, 'Conditional steps take one sub-step per branch (wrap several in a parallel step)');
+                }
+                if (thenChildren.length === 1) step.then = this.buildStep(thenChildren[0]);
+                if (elseChildren.length === 1) step.else = this.buildStep(elseChildren[0]);
+                break;
+            }
+
+            case 'prompt': {
+                const promptFence = this.findFence(node, 'prompt');
+                step.prompt = promptFence ? promptFence.body.trim() : attributes.prompt.value;
+                if (!step.prompt) {
+                    throw this.error(promptFence ? promptFence.line : attributes.prompt.line, 'Prompt is empty');
+                }
+                if (attributes.mode) step.mode = attributes.mode.value;
+                if (attributes.profile) step.profile = attributes.profile.value;
+                if (attributes.allowTools) {
+                    step.allowTools = this.parseAllowTools(attributes.allowTools.value, attributes.allowTools.line);
+                }
+                if (attributes.responseFormat) {
+                    step.responseFormat = attributes.responseFormat.value.toLowerCase();
+                    if (!['text', 'json'].includes(step.responseFormat)) {
+                        throw this.error(attributes.responseFormat.line, `Unknown format "${attributes.responseFormat.value}" (use text or json)`);
+                    }
+                }
+                if (attributes.maxToolRounds) {
+                    step.maxToolRounds = this.parseInteger(attributes.maxToolRounds.value, attributes.maxToolRounds.line);
+                }
+                break;
+            }
+
+            case 'manual':
+                step.instructions = step.description || node.title;
+                if (attributes.inputs) {
+                    step.inputs = this.parseInputs(attributes.inputs);
+                }
+                break;
+
+            default:
+                throw this.error(attributes.type ? attributes.type.line : node.line, `Unknown step type "${type}"`);
+        }
+
+        // Conditionals use "if" for their branch condition; everywhere else it gates the step
+        if (attributes.if && type !== 'conditional') {
+            step.conditions = this.parseConditions(attributes.if.value, attributes.if.line);
+        }
+        if (attributes.optional) {
+            step.optional = this.parseBoolean(attributes.optional.value, attributes.optional.line);
+        }
+        if (attributes.stopOnFailure) {
+            step.stopOnFailure = this.parseBoolean(attributes.stopOnFailure.value, attributes.stopOnFailure.line);
+        }
+        if (attributes.workingDirectory && type === 'command') {
+            step.workingDirectory = attributes.workingDirectory.value;
+        }
+        if (attributes.outputs) {
+            step.outputs = this.parseOutputs(attributes.outputs);
+        }
+        if (attributes.inputs && type !== 'manual') {
+            throw this.error(attributes.inputs[0].line, 'Only manual steps take inputs');
+        }
+        const promptAttribute = MarkdownWorkflowParser.PROMPT_ATTRIBUTES.find(key => attributes[key]);
+        if (promptAttribute && type !== 'prompt' && type !== 'loop') {
+            throw this.error(attributes[promptAttribute].line, `Only prompt steps take "${promptAttribute}"`);
+        }
+        if (attributes.id) {
+            step.id = attributes.id.value.replace(/^`|`$/g, '');
+        }
+        if (attributes.needs) {
+            step.needs = attributes.needs.value.split(',').map(need => need.trim().replace(/^`|`$/g, '')).filter(Boolean);
+        }
+        if (attributes.maxConcurrency) {
+            step.maxConcurrency = this.parseInteger(attributes.maxConcurrency.value, attributes.maxConcurrency.line);
+        }
+        if (attributes.failFast) {
+            step.failFast = this.parseBoolean(attributes.failFast.value, attributes.failFast.line);
+        }
+        if (attributes.timeout) {
+            step.timeout = this.parseDuration(attributes.timeout.value, attributes.timeout.line);
+        }
+        if (attributes.retry || attributes.backoff || attributes.retryOn) {
+            step.retry = this.parseRetry(attributes);
+        }
+
+        return step;
+    }
+
+    resolveType(node) {
+        const { attributes } = node;
+        if (attributes.type) {
+            return attributes.type.value.toLowerCase();
+        }
+        if (attributes.foreach) return 'loop';
+        if (attributes.if && node.children.length > 0) return 'conditional';
+        if (this.findFence(node, 'tool') || attributes.tool) return 'tool';
+        if (this.findFence(node, 'shell') || attributes.run) return 'command';
+        if (this.findFence(node, 'prompt') || attributes.prompt) return 'prompt';
+        if (attributes.delay) return 'delay';
+        if (node.children.length > 0) {
+            throw this.error(node.line, 'Steps with sub-steps need "- type: parallel", "- foreach:" or "- if:"');
+        }
+        return 'manual';
+    }
+
+    findFence(node, kind) {
+        if (kind === 'tool' || kind === 'prompt') {
+            return node.fences.find(fence => fence.language === kind);
+        }
+        return node.fences.find(fence => MarkdownWorkflowParser.SHELL_LANGUAGES.includes(fence.language));
+    }
+
+    without(attributes, keys) {
+        return Object.fromEntries(Object.entries(attributes).filter(([key]) => !keys.includes(key)));
+    }
+
+    /**
+     * Tool parameters from a JSON object or "key: value" lines. "key: |" starts a
+     * multi-line value made of the following indented lines.
+     */
+    parseParameters(fence) {
+        const body = fence.body.trim();
+        if (!body) {
+            return {};
+        }
+        if (body.startsWith('{')) {
+            try {
+                return JSON.parse(body);
+            } catch (error) {
+                throw this.error(fence.line, `Invalid JSON parameters: ${error.message}`);
+            }
+        }
+
+        const parameters = {};
+        const lines = fence.body.split('\n');
+        for (let i = 0; i < lines.length; i++) {
+            if (!lines[i].trim() || lines[i].trim().startsWith('#')) continue;
+            const line = fence.line + 1 + i;
+            const { key, value } = this.parseKeyValue(lines[i], line);
+
+            if (value === '|') {
+                const block = [];
+                while (i + 1 < lines.length && (/^\s+/.test(lines[i + 1]) || !lines[i + 1].trim())) {
+                    block.push(lines[++i]);
+                }
+                const indent = Math.min(...block.filter(l => l.trim()).map(l => l.match(/^\s*/)[0].length));
+                parameters[key] = block.map(l => l.slice(Number.isFinite(indent) ? indent : 0)).join('\n').replace(/\n+$/, '') + '\n';
+            } else {
+                parameters[key] = this.parseValue(value);
+            }
+        }
+        return parameters;
+    }
+
+    parseKeyValue(text, line) {
+        const match = /^\s*([^:=]+?)\s*[:=]\s*(.*)$/.exec(text);
+        if (!match) {
+            throw this.error(line, `Expected "key: value", got "${text.trim()}"`);
+        }
+        return { key: match[1].trim(), value: match[2].trim() };
+    }
+
+    /**
+     * JSON literals (numbers, booleans, arrays, objects, quoted strings) are parsed; anything else stays a string
+     */
+    parseValue(text) {
+        const value = text.trim();
+        if (/^(-?\d+(\.\d+)?|true|false|null)$/.test(value) || /^[[{"]/.test(value)) {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                // Not JSON after all
+            }
+        }
+        return value;
+    }
+
+    parseItems(text) {
+        const value = this.parseValue(text);
+        if (Array.isArray(value) || /^\{\{[^}]+\}\}$/.test(value)) {
+            return value; // A literal list, or a variable holding one
+        }
+        return String(value).split(',').map(item => item.trim()).filter(Boolean);
+    }
+
+    parseBoolean(text, line) {
+        const value = text.toLowerCase();
+        if (['true', 'yes', 'on'].includes(value)) return true;
+        if (['false', 'no', 'off'].includes(value)) return false;
+        throw this.error(line, `Expected true or false, got "${text}"`);
+    }
+
+    /**
+     * "true"/"false", or the names of the tools the model may call
+     */
+    parseAllowTools(text, line) {
+        if (/^(true|yes|on|false|no|off)$/i.test(text)) {
+            return this.parseBoolean(text, line);
+        }
+        const names = text.split(',').map(name => name.trim().replace(/^`|`$/g, '')).filter(Boolean);
+        if (names.length === 0) {
+            throw this.error(line, 'Expected true, false or a list of tool names');
+        }
+        return names;
+    }
+
+    parseInteger(text, line) {
+        const value = Number(text);
+        if (!Number.isInteger(value) || value < 0) {
+            throw this.error(line, `Expected a whole number, got "${text}"`);
+        }
+        return value;
+    }
+
+    /**
+     * "1500", "500ms", "5s", "2m" or "1h" in milliseconds; variables are left for the engine
+     */
+    parseDuration(text, line) {
+        if (/^\{\{[^}]+\}\}$/.test(text)) {
+            return text;
+        }
+        const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h)?$/i.exec(text);
+        if (!match) {
+            throw this.error(line, `Invalid duration "${text}" (use e.g. 500ms, 5s, 2m)`);
+        }
+        const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+        return Math.round(Number(match[1]) * units[(match[2] || 'ms').toLowerCase()]);
+    }
+
+    /**
+     * "- retry: 3" (attempts, or true), "- backoff: 1s", "- backoff: 1s x2 max 30s"
+     * (exponential) and "- retry on: timeout, ECONNRESET"
+     */
+    parseRetry(attributes) {
+        const retry = {};
+        if (attributes.retry) {
+            const { value, line } = attributes.retry;
+            if (/^\d+$/.test(value)) {
+                retry.attempts = this.parseInteger(value, line);
+            } else if (!this.parseBoolean(value, line)) {
+                throw this.error(line, 'Use "- retry: <attempts>" or "- retry: true"');
+            }
+        }
+
+        if (attributes.backoff) {
+            const { value, line } = attributes.backoff;
+            const match = /^(\S+)(?:\s+x\s*(\d+(?:\.\d+)?))?(?:\s+max\s+(\S+))?$/i.exec(value);
+            if (!match) {
+                throw this.error(line, `Invalid backoff "${value}" (use e.g. 2s, or 1s x2 max 30s)`);
+            }
+            const delay = this.parseDuration(match[1], line);
+            retry.backoff = match[2] || match[3]
+                ? { delay, factor: match[2] ? Number(match[2]) : 2, ...(match[3] ? { maxDelay: this.parseDuration(match[3], line) } : {}) }
+                : delay;
+        }
+
+        if (attributes.retryOn) {
+            retry.retryOn = attributes.retryOn.value.split(',').map(rule => rule.trim().replace(/^`|`$/g, '')).filter(Boolean);
+        }
+        return retry;
+    }
+
+    /**
+     * "name = result.path" pairs, comma separated or one per bullet
+     */
+    parseOutputs(entries) {
+        const outputs = {};
+        for (const entry of entries) {
+            for (const pair of entry.value.split(',')) {
+                if (!pair.trim()) continue;
+                const match = /^\s*([\w-]+)\s*=\s*([\w.-]+)\s*$/.exec(pair);
+                if (!match) {
+                    throw this.error(entry.line, `Invalid output "${pair.trim()}" (use name = result.path)`);
+                }
+                outputs[match[1]] = match[2];
+            }
+        }
+        return outputs;
+    }
+
+    /**
+     * Manual step inputs: "name" (required) or "name = default", comma separated or one per bullet
+     */
+    parseInputs(entries) {
+        const inputs = [];
+        for (const entry of entries) {
+            for (const item of entry.value.split(',')) {
+                if (!item.trim()) continue;
+                const match = /^\s*([\w-]+)\s*(?:=\s*(.*?))?\s*$/.exec(item);
+                if (!match) {
+                    throw this.error(entry.line, `Invalid input "${item.trim()}" (use name or name = default)`);
+                }
+                inputs.push(match[2] === undefined ? match[1] : { name: match[1], default: this.parseValue(match[2]) });
+            }
+        }
+        return inputs;
+    }
+
+    /**
+     * "variable operator value" clauses joined with "and", e.g. "env == prod and dryRun != true"
+     */
+    parseConditions(text, line) {
+        // Anything beyond "variable operator value" clauses joined by "and" is kept as an expression
+        const expression = text.trim().replace(/^`|`$/g, '');
+        if (/&&|\|\||\?|\(|!(?!=)|\b(?:or|not)\b/i.test(expression)) {
+            const problem = WorkflowExpression.check(expression);
+            if (problem) {
+                throw this.error(line, `Invalid condition: ${problem}`);
+            }
+            return [expression];
+        }
+
+        return text.split(/\s+and\s+/i).map(clause => {
+            const trimmed = clause.trim().replace(/^`|`$/g, '');
+            const unary = new RegExp(`^(\\S+)\\s+(${MarkdownWorkflowParser.UNARY_OPERATORS.join('|')})$`).exec(trimmed);
+            if (unary) {
+                return { variable: this.variableName(unary[1]), operator: unary[2] };
+            }
+
+            const operators = MarkdownWorkflowParser.CONDITION_OPERATORS
+                .map(operator => operator.replace(/[<>=!]/g, '\\$&'))
+                .join('|');
+            const binary = new RegExp(`^(\\S+)\\s+(${operators})\\s+(.+)$`).exec(trimmed);
+            if (!binary) {
+                throw this.error(line, `Invalid condition "${trimmed}" (use "variable operator value", operators: ${[...MarkdownWorkflowParser.CONDITION_OPERATORS, ...MarkdownWorkflowParser.UNARY_OPERATORS].join(', ')})`);
+            }
+
+            const raw = binary[3].trim();
+            const value = /^'.*'$/.test(raw) ? raw.slice(1, -1) : this.parseValue(raw);
+            return { variable: this.variableName(binary[1]), operator: binary[2], value };
+        });
+    }
+
+    variableName(text) {
+        return text.replace(/^\{\{\s*|\s*\}\}$/g, '');
+    }
+
+    /**
+     * "cron: 0 2 * * *", "file: src/**, docs/**", "git: post-commit", "manual"
+     */
+    parseTrigger(text, line) {
+        const match = /^`?([\w-]+)`?\s*(?::\s*(.*))?$/.exec(text);
+        if (!match) {
+            throw this.error(line, `Invalid trigger "${text}"`);
+        }
+        const type = match[1].toLowerCase();
+        let value = (match[2] || '').trim();
+
+        // Optional "(debounce 5s)" suffix
+        let debounce;
+        const debounceMatch = /\s*\(debounce\s+([^)]+)\)$/i.exec(value);
+        if (debounceMatch) {
+            debounce = this.parseDuration(debounceMatch[1].trim(), line);
+            value = value.slice(0, debounceMatch.index);
+        }
+        value = value.trim().replace(/^`|`$/g, '');
+
+        const trigger = this.buildTrigger(type, value, line);
+        if (debounce !== undefined) {
+            trigger.debounce = debounce;
+        }
+        return trigger;
+    }
+
+    buildTrigger(type, value, line) {
+        switch (type) {
+            case 'cron':
+            case 'schedule':
+                if (!value) throw this.error(line, 'Cron triggers need an expression');
+                try {
+                    new CronExpression(value);
+                } catch (error) {
+                    throw this.error(line, error.message);
+                }
+                return { type: 'cron', expression: value };
+            case 'file':
+            case 'files':
+                if (!value) throw this.error(line, 'File triggers need one or more glob patterns');
+                return { type: 'file', patterns: value.split(',').map(pattern => pattern.trim()).filter(Boolean) };
+            case 'git':
+                if (!WorkflowTriggerScheduler.GIT_EVENTS.includes(value)) {
+                    throw this.error(line, `Git triggers need one of: ${WorkflowTriggerScheduler.GIT_EVENTS.join(', ')}`);
+                }
+                return { type: 'git', event: value };
+            default:
+                return value ? { type, value } : { type };
+        }
+    }
+
+    error(line, message) {
+        const error = new Error(`${this.workflowName}.md line ${line}: ${message}`);
+        error.line = line;
+        return error;
+    }
+}
+
+module.exports = MarkdownWorkflowParser;
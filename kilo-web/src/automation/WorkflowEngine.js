@@ -5,6 +5,12 @@
  */
 
 const EventEmitter = require('events');
+const path = require('path');
+const WorkflowExecutionStore = require('./WorkflowExecutionStore');
+const WorkflowExpression = require('./WorkflowExpression');
+const WorkflowGraph = require('./WorkflowGraph');
+const ProviderSettingsManager = require('../core/ProviderSettingsManager');
+const TokenCounter = require('../core/TokenCounter');
 
 class WorkflowEngine extends EventEmitter {
     constructor(toolRegistry, modeManager, workflowManager) {
@@ -16,7 +22,18 @@ class WorkflowEngine extends EventEmitter {
         // Execution state
         this.activeExecutions = new Map();
         this.executionHistory = [];
+        this.pendingManualSteps = new Map(); // requestId -> { request, execution, resolve }
+        this.executionContexts = new Map(); // executionId -> { workflow, initialVariables, controller } for persisting and cancelling
         this.maxConcurrentExecutions = 5;
+        this.maxStepConcurrency = 4; // Default for parallel steps and step graphs
+        this.maxPromptToolRounds = 5; // Default for prompt steps that may call tools
+        this.providerSettingsManager = null; // Provider profiles for prompt steps
+        this.taskHistoryManager = null; // Tracks prompt steps that call tools as tasks
+
+        // Execution records live next to the workspace's workflows
+        this.executionStore = workflowManager && workflowManager.workflowsDir
+            ? new WorkflowExecutionStore(path.join(workflowManager.workflowsDir, 'executions'))
+            : null;
         
         // Execution options
         this.defaultTimeout = 300000; // 5 minutes
@@ -26,10 +43,44 @@ class WorkflowEngine extends EventEmitter {
         console.log('✅ WorkflowEngine initialized');
     }
 
+    /**
+     * Load stored executions into history. Runs that were in progress when the
+     * server stopped are marked 'interrupted' so they can be resumed.
+     */
+    async initialize() {
+        if (!this.executionStore) {
+            return;
+        }
+
+        await this.executionStore.initialize();
+        await this.executionStore.prune();
+
+        const records = await this.executionStore.list();
+        for (const record of records) {
+            const execution = record.execution;
+            if (execution.status === 'running' || execution.status === 'waiting') {
+                execution.status = 'interrupted';
+                execution.pendingManualSteps = [];
+                await this.executionStore.save({ ...record, execution });
+            }
+        }
+
+        this.executionHistory = records.slice(0, 100).map(record => record.execution);
+        console.log(`📁 Loaded ${records.length} workflow execution records`);
+    }
+
     /**
      * Execute a workflow
      */
     async executeWorkflow(workflow, options = {}) {
+        const execution = this.createExecution(workflow, options);
+        return this.runExecution(execution, workflow, options);
+    }
+
+    /**
+     * Register a new execution without starting it, so callers know its id up front
+     */
+    createExecution(workflow, options = {}) {
         const executionId = this.generateExecutionId();
         const startTime = Date.now();
 
@@ -58,11 +109,40 @@ class WorkflowEngine extends EventEmitter {
         };
 
         this.activeExecutions.set(executionId, execution);
+        this.executionContexts.set(executionId, {
+            workflow,
+            initialVariables: this.snapshotVariables(execution.variables)
+        });
+        this.persistExecution(execution);
+        return execution;
+    }
+
+    /**
+     * Run a registered execution to the end
+     */
+    async runExecution(execution, workflow, options = {}) {
+        const executionId = execution.id;
+        let cleanedUp = false;
+
+        // cancelExecution aborts this, stopping the commands and tool calls the steps started.
+        // Cleanup steps run with the caller's options so they still run after a cancel.
+        const controller = new AbortController();
+        this.executionContexts.get(executionId).controller = controller;
 
         try {
             this.emit('executionStarted', execution);
             
-            const result = await this.runWorkflowSteps(workflow, execution, options);
+            const result = await this.runWorkflowSteps(workflow, execution, { ...options, signal: controller.signal });
+            cleanedUp = true;
+            const failed = !result.success && execution.status !== 'cancelled';
+            if (!await this.runCleanupSteps(workflow, execution, options, failed)) {
+                result.success = false;
+                result.cleanupFailed = true;
+            }
+            if (execution.status === 'cancelled') {
+                execution.result = result;
+                return execution;
+            }
             
             execution.status = result.success ? 'completed' : 'failed';
             execution.endTime = Date.now();
@@ -73,6 +153,10 @@ class WorkflowEngine extends EventEmitter {
             return execution;
 
         } catch (error) {
+            if (!cleanedUp) {
+                cleanedUp = true;
+                await this.runCleanupSteps(workflow, execution, options, true);
+            }
             execution.status = 'error';
             execution.endTime = Date.now();
             execution.duration = execution.endTime - execution.startTime;
@@ -84,20 +168,157 @@ class WorkflowEngine extends EventEmitter {
             throw error;
 
         } finally {
-            // Move to history and cleanup
-            this.activeExecutions.delete(executionId);
-            this.addToHistory(execution);
+            // Move to history and cleanup (cancelExecution already did if cancelled)
+            if (this.activeExecutions.get(executionId) === execution) {
+                this.activeExecutions.delete(executionId);
+                this.addToHistory(execution);
+            }
+            await this.persistExecution(execution);
+            this.executionContexts.delete(executionId);
+        }
+    }
+
+    /**
+     * Prepare a stored execution to run again under the same id
+     * @param {string} executionId
+     * @param {Object} options - { fromStep }: step index to restart at; defaults to the first step that did not complete
+     * @returns {Promise<{execution: Object, workflow: Object, options: Object}>} Arguments for runExecution
+     */
+    async prepareResume(executionId, { fromStep } = {}) {
+        if (this.activeExecutions.has(executionId)) {
+            throw new Error(`Execution ${executionId} is still running`);
+        }
+        const record = this.executionStore ? await this.executionStore.load(executionId) : null;
+        if (!record) {
+            throw new Error(`Execution ${executionId} not found`);
+        }
+        if (this.activeExecutions.size >= this.maxConcurrentExecutions) {
+            throw new Error('Maximum concurrent workflow executions reached');
+        }
+
+        const previous = record.execution;
+        if ((fromStep === undefined || fromStep === null) && previous.status === 'completed') {
+            throw new Error(`Execution ${executionId} already completed; pass fromStep to run it again`);
+        }
+
+        const resumePoint = WorkflowGraph.usesGraph(record.workflow.steps)
+            ? this.graphResumePoint(record, fromStep)
+            : this.sequentialResumePoint(record, fromStep);
+
+        const execution = {
+            ...previous,
+            status: 'running',
+            currentStep: resumePoint.results.length,
+            variables: resumePoint.variables,
+            results: resumePoint.results,
+            errors: (previous.errors || []).filter(error => resumePoint.results.some(result => result.stepIndex === error.step - 1)),
+            pendingManualSteps: [],
+            resumedAt: Date.now(),
+            metadata: {
+                ...previous.metadata,
+                resumedFromStep: resumePoint.startStep,
+                resumeCount: (previous.metadata.resumeCount || 0) + 1
+            }
+        };
+        for (const key of ['endTime', 'duration', 'result', 'error', 'stack', 'cleanupResults', 'manualWaitMs', 'waitingSince']) {
+            delete execution[key];
+        }
+
+        this.executionHistory = this.executionHistory.filter(entry => entry.id !== executionId);
+        this.activeExecutions.set(executionId, execution);
+        this.executionContexts.set(executionId, { workflow: record.workflow, initialVariables: record.initialVariables });
+        await this.persistExecution(execution);
+        this.emit('executionResumed', execution);
+
+        return { execution, workflow: record.workflow, options: { startStep: resumePoint.startStep } };
+    }
+
+    /**
+     * Sequential workflows restart at fromStep or the first step that did not
+     * complete, with the variables as they were when that step last started
+     */
+    sequentialResumePoint(record, fromStep) {
+        const results = record.execution.results || [];
+        let completed = 0;
+        while (completed < results.length && (results[completed].success || results[completed].status === 'skipped' || results[completed].optional)) {
+            completed++;
+        }
+
+        const startStep = fromStep === undefined || fromStep === null ? completed : Number(fromStep);
+        const lastStep = Math.min(results.length, record.workflow.steps.length - 1);
+        if (!Number.isInteger(startStep) || startStep < 0 || startStep > lastStep) {
+            throw new Error(`fromStep must be a step index between 0 and ${lastStep}`);
+        }
+
+        return {
+            startStep,
+            results: results.slice(0, startStep),
+            variables: startStep > 0 ? { ...results[startStep - 1].variables } : { ...record.initialVariables }
+        };
+    }
+
+    /**
+     * Step graphs keep every step that finished, except fromStep and the steps that
+     * need it; the rest run again from the variables after the last kept step
+     */
+    graphResumePoint(record, fromStep) {
+        const steps = record.workflow.steps;
+        const results = record.execution.results || [];
+        const rerun = new Set();
+
+        if (fromStep !== undefined && fromStep !== null) {
+            const index = Number(fromStep);
+            if (!Number.isInteger(index) || index < 0 || index >= steps.length) {
+                throw new Error(`fromStep must be a step index between 0 and ${steps.length - 1}`);
+            }
+            rerun.add(index);
+            WorkflowGraph.dependents(steps, index).forEach(dependent => rerun.add(dependent));
+        }
+
+        const kept = results.filter(result =>
+            (result.success || result.reason === 'conditions not met') && !rerun.has(result.stepIndex)
+        );
+        if (kept.length === steps.length) {
+            throw new Error('Every step already completed; pass fromStep to run some again');
         }
+
+        return {
+            startStep: fromStep === undefined || fromStep === null ? null : Number(fromStep),
+            results: kept,
+            variables: kept.length > 0 ? { ...kept[kept.length - 1].variables } : { ...record.initialVariables }
+        };
+    }
+
+    /**
+     * Resume an interrupted or failed execution, or re-run one from a chosen step
+     */
+    async resumeExecution(executionId, options = {}) {
+        const resumed = await this.prepareResume(executionId, options);
+        return this.runExecution(resumed.execution, resumed.workflow, resumed.options);
+    }
+
+    /**
+     * How long an execution has been running for its timeout: since it started or
+     * was resumed, leaving out the time it spent waiting on manual steps
+     */
+    runningTime(execution) {
+        const root = this.rootExecution(execution); // Waits are tracked on the real execution
+        const waiting = root.waitingSince ? Date.now() - root.waitingSince : 0;
+        return Date.now() - (root.resumedAt || root.startTime) - (root.manualWaitMs || 0) - waiting;
     }
 
     /**
-     * Run workflow steps sequentially
+     * Run workflow steps sequentially, or as a dependency graph when steps declare `needs`
      */
     async runWorkflowSteps(workflow, execution, options) {
-        const results = [];
+        if (WorkflowGraph.usesGraph(workflow.steps)) {
+            return this.runStepGraph(workflow, execution, options);
+        }
+
+        const results = execution.results; // Holds the earlier steps' results when resuming
         let shouldContinue = true;
 
-        for (let i = 0; i < workflow.steps.length && shouldContinue; i++) {
+        for (let i = options.startStep || 0; i < workflow.steps.length && shouldContinue && execution.status !== 'cancelled'; i++) {
             const step = workflow.steps[i];
             execution.currentStep = i + 1;
 
@@ -105,14 +326,14 @@ class WorkflowEngine extends EventEmitter {
 
             try {
                 // Check execution timeout
-                if (Date.now() - execution.startTime > execution.metadata.timeout) {
+                if (this.runningTime(execution) > execution.metadata.timeout) {
                     throw new Error(`Workflow execution timed out after ${execution.metadata.timeout}ms`);
                 }
 
                 // Evaluate step conditions
-                if (step.conditions && !this.evaluateConditions(step.conditions, execution.variables)) {
+                if (step.conditions && !this.evaluateConditions(step.conditions, this.expressionScope(execution))) {
                     console.log(`Step ${i + 1} skipped due to conditions`);
-                    results.push({
+                    this.recordStepResult(execution, {
                         stepIndex: i,
                         status: 'skipped',
                         reason: 'conditions not met'
@@ -122,17 +343,17 @@ class WorkflowEngine extends EventEmitter {
 
                 // Execute step
                 const stepResult = await this.executeStep(step, execution, options);
-                results.push(stepResult);
 
                 // Update execution variables with step outputs
                 if (stepResult.outputs) {
                     Object.assign(execution.variables, stepResult.outputs);
                 }
+                this.recordStepResult(execution, stepResult);
 
                 this.emit('stepCompleted', { execution, step, stepResult, stepIndex: i });
 
                 // Check if step failed and has stopOnFailure flag
-                if (!stepResult.success && step.stopOnFailure !== false) {
+                if (!stepResult.success && !step.optional && step.stopOnFailure !== false && execution.status !== 'cancelled') {
                     shouldContinue = false;
                     console.warn(`Step ${i + 1} failed, stopping workflow execution`);
                 }
@@ -144,8 +365,8 @@ class WorkflowEngine extends EventEmitter {
                     error: error.message,
                     success: false
                 };
-                results.push(stepResult);
                 execution.errors.push({ step: i + 1, error: error.message });
+                this.recordStepResult(execution, stepResult);
 
                 this.emit('stepFailed', { execution, step, error, stepIndex: i });
 
@@ -157,8 +378,113 @@ class WorkflowEngine extends EventEmitter {
             }
         }
 
+        return this.summarizeResults(workflow, results);
+    }
+
+    /**
+     * Run top-level steps as a dependency graph. Each step gets its own copy of the
+     * variables (seeded with everything finished so far) that is merged back when it
+     * finishes. With failFast (the default) no new step starts after a failure;
+     * otherwise only the steps that need the failed one are skipped.
+     */
+    async runStepGraph(workflow, execution, options) {
+        const steps = workflow.steps;
+        const problems = WorkflowGraph.validate(steps);
+        if (problems.length > 0) {
+            throw new Error(`Invalid step graph: ${problems.map(problem => problem.message).join('; ')}`);
+        }
+
+        const dependencies = WorkflowGraph.dependencies(steps);
+        const maxConcurrency = workflow.maxConcurrency || this.maxStepConcurrency;
+        const failFast = workflow.failFast !== false;
+
+        // 'done' lets dependents run, 'failed' blocks them; earlier results count when resuming
+        const state = new Map(execution.results.map(result => [result.stepIndex, 'done']));
+        const running = new Map(); // stepIndex -> promise resolving to stepIndex
+        let stopped = false;
+
+        const runNode = async index => {
+            const step = steps[index];
+            const baseline = { ...execution.variables };
+            const scope = this.createScope(execution, { ...baseline });
+            scope.currentStep = index + 1;
+            this.emit('stepStarted', { execution, step, stepIndex: index });
+
+            let stepResult;
+            try {
+                if (this.runningTime(execution) > execution.metadata.timeout) {
+                    throw new Error(`Workflow execution timed out after ${execution.metadata.timeout}ms`);
+                }
+                if (step.conditions && !this.evaluateConditions(step.conditions, this.expressionScope(scope))) {
+                    stepResult = { stepIndex: index, status: 'skipped', reason: 'conditions not met' };
+                } else {
+                    stepResult = await this.executeStep(step, scope, options);
+                    if (stepResult.outputs) {
+                        Object.assign(scope.variables, stepResult.outputs);
+                    }
+                }
+            } catch (error) {
+                stepResult = { stepIndex: index, status: 'error', error: error.message, success: false };
+                execution.errors.push({ step: index + 1, error: error.message });
+                this.emit('stepFailed', { execution, step, error, stepIndex: index });
+            }
+
+            this.mergeScope(execution, scope, baseline);
+            this.recordStepResult(execution, stepResult);
+            execution.currentStep = execution.results.length;
+            this.emit('stepCompleted', { execution, step, stepResult, stepIndex: index });
+
+            const failed = !stepResult.success && stepResult.status !== 'skipped' && !step.optional && step.stopOnFailure !== false;
+            state.set(index, failed ? 'failed' : 'done');
+            if (failed && failFast && execution.status !== 'cancelled') {
+                stopped = true;
+                console.warn(`Step ${index + 1} failed, not starting further steps`);
+            }
+            return index;
+        };
+
+        for (;;) {
+            if (execution.status === 'cancelled') {
+                stopped = true;
+            }
+
+            // Settle steps that can never run, then start whatever is ready
+            let settled = true;
+            while (settled) {
+                settled = false;
+                for (const [index, needs] of dependencies) {
+                    if (!state.has(index) && !running.has(index) && needs.some(need => state.get(need) === 'failed')) {
+                        state.set(index, 'failed');
+                        this.recordStepResult(execution, { stepIndex: index, status: 'skipped', success: false, reason: 'a step it needs failed' });
+                        settled = true;
+                    }
+                }
+            }
+            for (const [index, needs] of dependencies) {
+                if (stopped || running.size >= maxConcurrency) break;
+                if (!state.has(index) && !running.has(index) && needs.every(need => state.get(need) === 'done')) {
+                    running.set(index, runNode(index));
+                }
+            }
+
+            if (running.size === 0) {
+                break;
+            }
+            running.delete(await Promise.race(running.values()));
+        }
+
+        for (const index of dependencies.keys()) {
+            if (!state.has(index)) {
+                this.recordStepResult(execution, { stepIndex: index, status: 'skipped', success: false, reason: 'workflow stopped before it could run' });
+            }
+        }
+
+        return this.summarizeResults(workflow, execution.results);
+    }
+
+    summarizeResults(workflow, results) {
         return {
-            success: results.every(r => r.success || r.status === 'skipped'),
+            success: results.every(r => r.success || r.status === 'skipped' || r.optional),
             results: results,
             totalSteps: workflow.steps.length,
             completedSteps: results.filter(r => r.success).length,
@@ -168,11 +494,190 @@ class WorkflowEngine extends EventEmitter {
     }
 
     /**
-     * Execute a single workflow step
+     * Run the workflow's cleanup blocks, in order: `onFailure` when the run failed,
+     * then `finally` whatever happened (including cancellation). Every cleanup step
+     * runs even if an earlier one fails; results go to execution.cleanupResults.
+     * @returns {Promise<boolean>} False if a non-optional cleanup step failed
+     */
+    async runCleanupSteps(workflow, execution, options, failed) {
+        const blocks = [];
+        if (failed && workflow.onFailure && workflow.onFailure.length > 0) {
+            blocks.push(['onFailure', workflow.onFailure]);
+        }
+        if (workflow.finally && workflow.finally.length > 0) {
+            blocks.push(['finally', workflow.finally]);
+        }
+
+        let success = true;
+        for (const [block, steps] of blocks) {
+            console.log(`🧹 Running ${block} steps for workflow "${workflow.name}"`);
+            for (const [index, step] of steps.entries()) {
+                let stepResult;
+                let conditionsMet = true;
+                let conditionError = null;
+                try {
+                    conditionsMet = !step.conditions || this.evaluateConditions(step.conditions, this.expressionScope(execution));
+                } catch (error) {
+                    conditionError = error;
+                }
+
+                if (conditionError) {
+                    // A broken condition fails this step; the rest of the cleanup still runs
+                    stepResult = { status: 'failed', success: false, error: `Invalid conditions: ${conditionError.message}` };
+                    if (!step.optional) {
+                        success = false;
+                    }
+                } else if (!conditionsMet) {
+                    stepResult = { status: 'skipped', reason: 'conditions not met' };
+                } else {
+                    stepResult = await this.executeStep(step, execution, options);
+                    if (stepResult.outputs) {
+                        Object.assign(execution.variables, stepResult.outputs);
+                    }
+                    if (!stepResult.success && !step.optional) {
+                        success = false;
+                    }
+                }
+
+                execution.cleanupResults = execution.cleanupResults || [];
+                execution.cleanupResults.push({ ...stepResult, block, stepIndex: index, name: step.name });
+                this.emit('cleanupStepCompleted', { execution, step, stepResult, block, stepIndex: index });
+                await this.persistExecution(execution);
+            }
+        }
+        return success;
+    }
+
+    /**
+     * A view of the execution with its own variables, for loop iterations and
+     * parallel branches. Status and manual steps still go through the real execution.
+     */
+    createScope(execution, variables) {
+        return { ...execution, variables, root: this.rootExecution(execution) };
+    }
+
+    rootExecution(execution) {
+        return execution.root || execution;
+    }
+
+    /**
+     * Names expressions can use: the variables plus `steps`, the results of finished
+     * top-level steps keyed by step id (steps.build.result.exit_code)
+     */
+    expressionScope(execution) {
+        const root = this.rootExecution(execution);
+        const context = this.executionContexts.get(root.id);
+        const workflowSteps = (context && context.workflow.steps) || [];
+        const steps = {};
+        for (const result of root.results || []) {
+            const step = workflowSteps[result.stepIndex];
+            if (step) {
+                steps[WorkflowGraph.stepId(step, result.stepIndex)] = result;
+            }
+        }
+        return { ...execution.variables, steps };
+    }
+
+    /**
+     * Copy the variables a branch added or changed since `baseline` into its parent
      */
-    async executeStep(step, execution, options) {
+    mergeScope(parent, scope, baseline) {
+        for (const [name, value] of Object.entries(scope.variables)) {
+            if (!(name in baseline) || baseline[name] !== value) {
+                parent.variables[name] = value;
+            }
+        }
+    }
+
+    /**
+     * Run async tasks with at most `limit` in flight
+     */
+    async runWithConcurrency(tasks, limit) {
+        let next = 0;
+        const worker = async () => {
+            while (next < tasks.length) {
+                await tasks[next++]();
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), tasks.length) }, worker));
+    }
+
+    /**
+     * Execute a single workflow step, retrying failed attempts under its `retry` policy
+     */
+    async executeStep(step, execution, options = {}) {
         const stepStartTime = Date.now();
+        const policy = this.getRetryPolicy(step);
+        const failedAttempts = [];
+        let result;
+
+        for (let attempt = 1; ; attempt++) {
+            result = await this.executeStepAttempt(step, execution, options);
+            if (result.success || attempt >= policy.attempts || !this.shouldRetry(policy, result) ||
+                this.rootExecution(execution).status === 'cancelled' || options.signal?.aborted) {
+                break;
+            }
+
+            const delay = this.getRetryDelay(policy, attempt);
+            failedAttempts.push({ attempt, error: result.error, timedOut: !!result.timedOut });
+            console.warn(`🔁 Step "${step.name || step.type}" failed (attempt ${attempt} of ${policy.attempts}), retrying in ${delay}ms: ${result.error}`);
+            this.emit('stepRetrying', { execution: this.rootExecution(execution), step, attempt, delay, error: result.error });
+            await this.wait(delay, options.signal);
+        }
+
+        return {
+            ...result,
+            ...(failedAttempts.length > 0 ? { attempts: failedAttempts.length + 1, failedAttempts } : {}),
+            ...(step.optional ? { optional: true } : {}),
+            stepIndex: execution.currentStep - 1,
+            executionTime: Date.now() - stepStartTime,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * One attempt at a step. A step `timeout` (ms) fails the attempt and aborts
+     * options.signal, which stops the commands and tool calls it started;
+     * nested steps inherit the signal.
+     */
+    async executeStepAttempt(step, execution, options) {
+        if (options.signal?.aborted) {
+            return { status: 'failed', success: false, error: this.abortReason(options.signal), timedOut: true };
+        }
+
+        if (!step.timeout) {
+            return this.dispatchStep(step, execution, options);
+        }
+        const timeout = Number(this.resolveVariables(step.timeout, this.expressionScope(execution)));
+        if (!Number.isFinite(timeout) || timeout <= 0) {
+            return { status: 'error', success: false, error: `Invalid step timeout: ${step.timeout}` };
+        }
+
+        const controller = new AbortController();
+        const abortWithParent = () => controller.abort(options.signal.reason);
+        options.signal?.addEventListener('abort', abortWithParent, { once: true });
+        let timer;
 
+        try {
+            const timedOut = new Promise(resolve => {
+                timer = setTimeout(() => {
+                    const error = new Error(`Step timed out after ${timeout}ms`);
+                    controller.abort(error);
+                    resolve({ status: 'failed', success: false, error: error.message, timedOut: true });
+                }, timeout);
+            });
+            const stepOptions = { ...options, signal: controller.signal, stepTimeout: timeout };
+            return await Promise.race([this.dispatchStep(step, execution, stepOptions), timedOut]);
+        } finally {
+            clearTimeout(timer);
+            options.signal?.removeEventListener('abort', abortWithParent);
+        }
+    }
+
+    /**
+     * Run a step by type; errors become a failed result
+     */
+    async dispatchStep(step, execution, options) {
         try {
             let result;
 
@@ -198,27 +703,128 @@ class WorkflowEngine extends EventEmitter {
                 case 'manual':
                     result = await this.executeManualStep(step, execution, options);
                     break;
+                case 'prompt':
+                    result = await this.executePromptStep(step, execution, options);
+                    break;
                 default:
                     throw new Error(`Unknown step type: ${step.type}`);
             }
-
-            return {
-                ...result,
-                stepIndex: execution.currentStep - 1,
-                executionTime: Date.now() - stepStartTime,
-                timestamp: new Date().toISOString()
-            };
+            return result;
 
         } catch (error) {
             return {
-                stepIndex: execution.currentStep - 1,
                 status: 'error',
                 success: false,
-                error: error.message,
-                executionTime: Date.now() - stepStartTime,
-                timestamp: new Date().toISOString()
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Normalized `retry` settings: { attempts, backoff: { delay, factor, maxDelay }, retryOn }
+     */
+    getRetryPolicy(step) {
+        if (!step.retry) {
+            return { attempts: 1 };
+        }
+
+        const retry = step.retry === true ? {} : step.retry;
+        const backoff = typeof retry.backoff === 'number' ? { delay: retry.backoff, factor: 1 } : retry.backoff || {};
+        return {
+            attempts: retry.attempts || this.retryAttempts,
+            backoff: {
+                delay: backoff.delay !== undefined ? backoff.delay : this.retryDelay,
+                factor: backoff.factor !== undefined ? backoff.factor : 2,
+                maxDelay: backoff.maxDelay
+            },
+            retryOn: retry.retryOn
+        };
+    }
+
+    /**
+     * Whether a failed attempt matches `retryOn`: "timeout" matches timed out
+     * attempts and any other entry is a pattern tested against the error and
+     * command output. Without `retryOn` every failure is retried; rejected and
+     * cancelled manual steps never are.
+     */
+    shouldRetry(policy, result) {
+        if (result.status === 'cancelled' || result.status === 'rejected') {
+            return false;
+        }
+        if (!policy.retryOn || policy.retryOn.length === 0) {
+            return true;
+        }
+
+        // A command's stderr is part of its output
+        const details = result.result || {};
+        const text = [result.error, details.error, details.output].filter(Boolean).join('\n');
+        return policy.retryOn.some(rule => {
+            if (rule === 'timeout') {
+                return !!result.timedOut;
+            }
+            try {
+                return new RegExp(rule, 'i').test(text);
+            } catch (error) {
+                return text.includes(rule);
+            }
+        });
+    }
+
+    /**
+     * Wait before retry `attempt` + 1: delay × factor^(attempt - 1), capped at maxDelay
+     */
+    getRetryDelay(policy, attempt) {
+        const { delay, factor, maxDelay } = policy.backoff;
+        const wait = delay * Math.pow(factor, attempt - 1);
+        return maxDelay !== undefined ? Math.min(wait, maxDelay) : wait;
+    }
+
+    /**
+     * Sleep, waking early if the signal aborts
+     */
+    wait(ms, signal) {
+        return new Promise(resolve => {
+            if (signal?.aborted) {
+                resolve();
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timer);
+                resolve();
             };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    abortReason(signal) {
+        return signal.reason instanceof Error ? signal.reason.message : 'Step aborted';
+    }
+
+    /**
+     * Why a tool result counts as a failure: the tool reported one, or its command
+     * timed out, was aborted, was stopped or exited non-zero. Null when it succeeded.
+     */
+    getToolFailure(result) {
+        if (!result.success) {
+            return result.error || 'Tool call failed';
+        }
+        if (result.timed_out) {
+            return 'Command timed out';
+        }
+        if (result.aborted) {
+            return 'Command aborted';
         }
+        if (result.stopped) {
+            return 'Command stopped';
+        }
+        if (result.exit_code !== undefined && result.exit_code !== null && result.exit_code !== 0) {
+            return `Command exited with code ${result.exit_code}`;
+        }
+        return null;
     }
 
     /**
@@ -226,7 +832,7 @@ class WorkflowEngine extends EventEmitter {
      */
     async executeToolStep(step, execution, options) {
         const toolName = step.tool;
-        const toolParams = this.resolveVariables(step.parameters || {}, execution.variables);
+        const toolParams = this.resolveVariables(step.parameters || {}, this.expressionScope(execution));
 
         if (!this.toolRegistry.getTool(toolName)) {
             throw new Error(`Tool '${toolName}' not found`);
@@ -237,11 +843,20 @@ class WorkflowEngine extends EventEmitter {
             throw new Error(`Tool '${toolName}' not allowed in current mode`);
         }
 
-        const result = await this.toolRegistry.executeTool(toolName, toolParams);
+        // The workflow's author wrote this call, so it doesn't wait for approval. Later
+        // steps need a command's exit code, so it isn't left running in the background.
+        const result = await this.toolRegistry.executeTool(toolName, toolParams, null, {
+            signal: options.signal,
+            timeout: options.stepTimeout,
+            waitForExit: true,
+            preApproved: true
+        });
+        const failure = this.getToolFailure(result);
 
         return {
-            status: result.success ? 'completed' : 'failed',
-            success: result.success,
+            status: failure ? 'failed' : 'completed',
+            success: !failure,
+            error: failure || undefined,
             tool: toolName,
             parameters: toolParams,
             result: result,
@@ -253,19 +868,26 @@ class WorkflowEngine extends EventEmitter {
      * Execute a command step
      */
     async executeCommandStep(step, execution, options) {
-        const command = this.resolveVariables(step.command, execution.variables);
+        const command = this.resolveVariables(step.command, this.expressionScope(execution));
         const workingDir = step.workingDirectory ? 
-            this.resolveVariables(step.workingDirectory, execution.variables) : 
+            this.resolveVariables(step.workingDirectory, this.expressionScope(execution)) : 
             undefined;
 
         const result = await this.toolRegistry.executeTool('execute_command', {
             command: command,
-            cwd: workingDir
+            ...(workingDir ? { cwd: workingDir } : {}) // The tool rejects an undefined cwd
+        }, null, {
+            signal: options.signal,
+            timeout: options.stepTimeout,
+            waitForExit: true,
+            preApproved: true
         });
+        const failure = this.getToolFailure(result);
 
         return {
-            status: result.success ? 'completed' : 'failed',
-            success: result.success,
+            status: failure ? 'failed' : 'completed',
+            success: !failure,
+            error: failure || undefined,
             command: command,
             result: result,
             outputs: this.extractOutputs(step.outputs, result)
@@ -276,13 +898,14 @@ class WorkflowEngine extends EventEmitter {
      * Execute a conditional step
      */
     async executeConditionalStep(step, execution, options) {
-        const conditionMet = this.evaluateConditions(step.condition, execution.variables);
+        const conditionMet = this.evaluateConditions(step.condition, this.expressionScope(execution));
 
+        // The branch's outcome is the step's outcome, so a rejected approval stops the workflow
         if (conditionMet && step.then) {
             const thenResult = await this.executeStep(step.then, execution, options);
             return {
-                status: 'completed',
-                success: true,
+                status: thenResult.success ? 'completed' : 'failed',
+                success: thenResult.success,
                 conditionMet: true,
                 branchTaken: 'then',
                 result: thenResult
@@ -290,8 +913,8 @@ class WorkflowEngine extends EventEmitter {
         } else if (!conditionMet && step.else) {
             const elseResult = await this.executeStep(step.else, execution, options);
             return {
-                status: 'completed',
-                success: true,
+                status: elseResult.success ? 'completed' : 'failed',
+                success: elseResult.success,
                 conditionMet: false,
                 branchTaken: 'else',
                 result: elseResult
@@ -311,7 +934,7 @@ class WorkflowEngine extends EventEmitter {
      */
     async executeLoopStep(step, execution, options) {
         const iterations = [];
-        const items = this.resolveVariables(step.items, execution.variables);
+        const items = this.resolveVariables(step.items, this.expressionScope(execution));
         const maxIterations = step.maxIterations || 100;
 
         if (!Array.isArray(items)) {
@@ -326,7 +949,7 @@ class WorkflowEngine extends EventEmitter {
                 [step.indexVariable || 'index']: i
             };
 
-            const tempExecution = { ...execution, variables: iterationVars };
+            const tempExecution = this.createScope(execution, iterationVars);
             const iterationResult = await this.executeStep(step.step, tempExecution, options);
             
             iterations.push({
@@ -350,19 +973,37 @@ class WorkflowEngine extends EventEmitter {
     }
 
     /**
-     * Execute parallel steps
+     * Run child steps side by side, each in its own variable scope that is merged
+     * back as it finishes. `maxConcurrency` limits how many run at once; with
+     * `failFast` (the default) no new child starts after one fails.
      */
     async executeParallelStep(step, execution, options) {
-        const promises = step.steps.map(async (parallelStep, index) => {
-            try {
-                const result = await this.executeStep(parallelStep, execution, options);
-                return { index, result, success: true };
-            } catch (error) {
-                return { index, error: error.message, success: false };
+        const maxConcurrency = step.maxConcurrency || this.maxStepConcurrency;
+        const failFast = step.failFast !== false;
+        const root = this.rootExecution(execution);
+        const results = new Array(step.steps.length);
+        let stopped = false;
+
+        await this.runWithConcurrency(step.steps.map((parallelStep, index) => async () => {
+            if (stopped || root.status === 'cancelled') {
+                results[index] = { index, success: false, skipped: true, reason: 'not started after a failure or cancellation' };
+                return;
             }
-        });
 
-        const results = await Promise.all(promises);
+            const baseline = { ...execution.variables };
+            const scope = this.createScope(execution, { ...baseline });
+            const result = await this.executeStep(parallelStep, scope, options);
+            if (result.outputs) {
+                Object.assign(scope.variables, result.outputs);
+            }
+            this.mergeScope(execution, scope, baseline);
+
+            const success = result.success || Boolean(parallelStep.optional);
+            results[index] = { index, result, success };
+            if (!success && failFast) {
+                stopped = true;
+            }
+        }), maxConcurrency);
 
         return {
             status: 'completed',
@@ -376,10 +1017,10 @@ class WorkflowEngine extends EventEmitter {
      * Execute a delay step
      */
     async executeDelayStep(step, execution, options) {
-        const delay = this.resolveVariables(step.delay, execution.variables);
+        const delay = this.resolveVariables(step.delay, this.expressionScope(execution));
         const delayMs = typeof delay === 'number' ? delay : parseInt(delay, 10);
 
-        await new Promise(resolve => setTimeout(resolve, delayMs));
+        await this.wait(delayMs, options.signal);
 
         return {
             status: 'completed',
@@ -389,41 +1030,378 @@ class WorkflowEngine extends EventEmitter {
     }
 
     /**
-     * Execute a manual step (requires user intervention)
+     * Execute a manual step: the execution waits until someone approves, rejects
+     * or supplies the requested inputs through respondToManualStep
      */
     async executeManualStep(step, execution, options) {
-        // Emit event for manual intervention
-        this.emit('manualStepRequired', {
-            execution,
-            step,
-            instructions: step.instructions || step.description
+        const root = this.rootExecution(execution); // Waiting is tracked on the real execution, not a branch scope
+        const instructions = this.resolveVariables(step.instructions || step.description || step.name || '', this.expressionScope(execution));
+        if (root.status === 'cancelled') {
+            return { status: 'cancelled', success: false, manual: true, instructions };
+        }
+        const request = {
+            id: `manual_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            executionId: execution.id,
+            workflowName: execution.workflowName,
+            stepIndex: execution.currentStep - 1,
+            stepName: step.name,
+            instructions,
+            inputs: this.normalizeManualInputs(step.inputs),
+            requestedAt: Date.now()
+        };
+
+        let onAbort;
+        const response = await new Promise(resolve => {
+            this.pendingManualSteps.set(request.id, { request, execution: root, resolve });
+            if (root.status !== 'waiting') {
+                root.waitingSince = Date.now();
+            }
+            root.status = 'waiting';
+            root.pendingManualSteps = this.getPendingManualSteps(root.id);
+            this.persistExecution(root);
+
+            // A step timeout withdraws the request
+            onAbort = () => resolve({ action: 'cancel' });
+            options.signal?.addEventListener('abort', onAbort, { once: true });
+
+            this.emit('manualStepRequired', { execution: root, step, instructions, request });
         });
 
-        // For now, automatically mark as completed
-        // In a real implementation, this would wait for user confirmation
+        options.signal?.removeEventListener('abort', onAbort);
+        this.pendingManualSteps.delete(request.id);
+        root.pendingManualSteps = this.getPendingManualSteps(root.id);
+        if (root.status === 'waiting' && root.pendingManualSteps.length === 0) {
+            root.status = 'running';
+            root.manualWaitMs = (root.manualWaitMs || 0) + (Date.now() - root.waitingSince);
+            delete root.waitingSince;
+        }
+        this.emit('manualStepResolved', { execution: root, step, request, response });
+
+        if (response.action === 'cancel') {
+            return {
+                status: 'cancelled',
+                success: false,
+                manual: true,
+                instructions
+            };
+        }
+
+        if (response.action === 'reject') {
+            return {
+                status: 'rejected',
+                success: false,
+                manual: true,
+                instructions,
+                response,
+                error: `Rejected${response.comment ? `: ${response.comment}` : ''}`
+            };
+        }
+
+        // Into this step's scope; branches merge it back when they finish
+        Object.assign(execution.variables, response.values);
         return {
             status: 'completed',
             success: true,
             manual: true,
-            instructions: step.instructions || step.description
+            instructions,
+            response,
+            outputs: response.values
         };
     }
 
+    normalizeManualInputs(inputs = []) {
+        return inputs.map(input => (typeof input === 'string' ? { name: input } : { ...input }));
+    }
+
+    /**
+     * Answer a waiting manual step
+     * @param {string} executionId
+     * @param {Object} response - { action: 'approve'|'reject'|'input', values, comment, respondedBy, requestId }
+     *   requestId is only needed when parallel branches wait at the same time
+     * @returns {Object} The request that was answered
+     */
+    respondToManualStep(executionId, response = {}) {
+        const { requestId, action = 'approve', values = {}, comment, respondedBy } = response;
+        if (!['approve', 'reject', 'input'].includes(action)) {
+            throw new Error(`Unknown manual step action '${action}' (expected approve, reject or input)`);
+        }
+        if (typeof values !== 'object' || values === null || Array.isArray(values)) {
+            throw new Error('values must be an object');
+        }
+
+        const waiting = Array.from(this.pendingManualSteps.values()).filter(pending =>
+            pending.request.executionId === executionId && (!requestId || pending.request.id === requestId)
+        );
+        if (waiting.length === 0) {
+            throw new Error(`Execution ${executionId} is not waiting for a manual step`);
+        }
+        if (waiting.length > 1) {
+            throw new Error(`Execution ${executionId} has ${waiting.length} manual steps waiting; pass a requestId`);
+        }
+
+        const { request, resolve } = waiting[0];
+        const resolvedValues = {};
+        if (action !== 'reject') {
+            const missing = [];
+            for (const input of request.inputs) {
+                if (values[input.name] !== undefined) {
+                    resolvedValues[input.name] = values[input.name];
+                } else if (input.default !== undefined) {
+                    resolvedValues[input.name] = input.default;
+                } else if (input.required !== false) {
+                    missing.push(input.name);
+                }
+            }
+            if (missing.length > 0) {
+                throw new Error(`Missing required inputs: ${missing.join(', ')}`);
+            }
+            Object.assign(resolvedValues, values);
+        }
+
+        resolve({
+            action,
+            values: resolvedValues,
+            comment,
+            respondedBy,
+            respondedAt: Date.now()
+        });
+        return request;
+    }
+
+    /**
+     * Manual steps waiting for a response, optionally for one execution
+     */
+    getPendingManualSteps(executionId = null) {
+        return Array.from(this.pendingManualSteps.values())
+            .map(pending => pending.request)
+            .filter(request => !executionId || request.executionId === executionId);
+    }
+
+    /**
+     * Connect provider profiles so prompt steps can reach the configured AI provider
+     */
+    setProviderSettingsManager(providerSettingsManager) {
+        this.providerSettingsManager = providerSettingsManager;
+    }
+
     /**
-     * Resolve variables in strings and objects
+     * Track prompt steps that call tools as tasks, so update_todo_list and
+     * attempt_completion have a task to work on
      */
-    resolveVariables(value, variables) {
+    setTaskHistoryManager(taskHistoryManager) {
+        this.taskHistoryManager = taskHistoryManager;
+    }
+
+    /**
+     * Execute a prompt step: render the template, send it to the provider profile
+     * for the step's mode and map the text (or parsed JSON) answer into outputs.
+     * With `allowTools` the model may call the mode's tools, or only the listed
+     * ones, for up to maxToolRounds rounds; attempt_completion ends the rounds
+     * early with its result as the answer.
+     */
+    async executePromptStep(step, execution, options) {
+        const modeSlug = step.mode || this.modeManager.getCurrentModeSlug();
+        if (!this.modeManager.getModeBySlug(modeSlug)) {
+            throw new Error(`Mode '${modeSlug}' not found`);
+        }
+
+        const profile = await this.resolvePromptProfile(step.profile, modeSlug);
+        const provider = this.createProvider(profile);
+        const tools = this.getPromptTools(step.allowTools, modeSlug);
+        const prompt = this.renderTemplate(step.prompt, this.expressionScope(execution));
+        const maxToolRounds = step.maxToolRounds || this.maxPromptToolRounds;
+
+        let systemPrompt = this.modeManager.generateSystemPromptForMode(modeSlug,
+            step.instructions ? this.renderTemplate(step.instructions, this.expressionScope(execution)) : '');
+        if (step.responseFormat === 'json') {
+            systemPrompt += '\n\nRespond with a single JSON object and nothing else.';
+        }
+
+        const messages = [{ role: 'user', content: prompt }];
+        const toolCalls = [];
+        const usage = { inputTokens: 0, outputTokens: 0 };
+        const taskId = tools.length > 0 && this.taskHistoryManager
+            ? await this.taskHistoryManager.startTask(prompt, modeSlug)
+            : null;
+        let response;
+        let completion = null;
+
+        try {
+            for (let round = 0; ; round++) {
+                response = await provider.complete({ messages, systemPrompt, tools });
+                TokenCounter.shared.recordUsage({ provider: profile.provider, model: profile.model },
+                    { messages, systemPrompt, tools }, response.usage);
+                usage.inputTokens += response.usage?.inputTokens || 0;
+                usage.outputTokens += response.usage?.outputTokens || 0;
+
+                const calls = tools.length > 0 ? response.toolCalls || [] : [];
+                if (calls.length === 0) {
+                    break;
+                }
+                if (round >= maxToolRounds) {
+                    throw new Error(`Prompt step was still calling tools after ${maxToolRounds} rounds`);
+                }
+                if (this.rootExecution(execution).status === 'cancelled') {
+                    if (taskId) {
+                        await this.taskHistoryManager.cancelTask(taskId);
+                    }
+                    return { status: 'cancelled', success: false, mode: modeSlug, profile: profile.name, toolCalls };
+                }
+
+                // Tool results go back as plain text so every provider can read them
+                messages.push({ role: 'assistant', content: response.content || `Calling ${calls.map(call => call.name).join(', ')}` });
+                const results = [];
+                for (const call of calls) {
+                    const result = await this.executePromptTool(call, tools, modeSlug, options.signal, taskId);
+                    toolCalls.push({ name: call.name, parameters: call.parameters, success: result.success });
+                    results.push(`Result of ${call.name}:\n${JSON.stringify(result, null, 2)}`);
+                    if (call.name === 'attempt_completion' && result.success) {
+                        completion = result;
+                    }
+                }
+                if (completion) {
+                    break;
+                }
+                messages.push({ role: 'user', content: results.join('\n\n') });
+            }
+        } catch (error) {
+            if (taskId) {
+                await this.taskHistoryManager.failTask(taskId, error.message).catch(() => {});
+            }
+            throw error;
+        }
+
+        const answer = { text: (completion ? completion.result : response.content || '').trim(), usage, toolCalls };
+        // attempt_completion closes the task itself
+        if (taskId && !completion) {
+            await this.taskHistoryManager.completeTask(taskId, answer.text || null);
+        }
+        if (step.responseFormat === 'json') {
+            answer.json = this.parseJsonAnswer(answer.text);
+        }
+
+        return {
+            status: 'completed',
+            success: true,
+            mode: modeSlug,
+            profile: profile.name,
+            model: profile.model,
+            prompt: prompt,
+            result: answer,
+            outputs: this.extractOutputs(step.outputs, answer)
+        };
+    }
+
+    /**
+     * The step's named profile, else the one assigned to the mode, else the active one
+     */
+    async resolvePromptProfile(profileName, modeSlug) {
+        if (!this.providerSettingsManager) {
+            throw new Error('Prompt steps need provider settings, which are not available');
+        }
+        if (profileName) {
+            return this.providerSettingsManager.getProfile({ name: profileName });
+        }
+
+        const configId = await this.providerSettingsManager.getModeConfigId(modeSlug);
+        if (configId) {
+            try {
+                return await this.providerSettingsManager.getProfile({ id: configId });
+            } catch (error) {
+                console.warn(`⚠️ Mode '${modeSlug}' points at a missing provider profile, using the active one`);
+            }
+        }
+        return this.providerSettingsManager.getCurrentProvider();
+    }
+
+    createProvider(profile) {
+        return ProviderSettingsManager.createProvider(profile);
+    }
+
+    /**
+     * Tool schemas a prompt step may offer the model
+     * @param {boolean|string[]} allowTools - true for every tool in the mode, or tool names
+     */
+    getPromptTools(allowTools, modeSlug) {
+        if (!allowTools) {
+            return [];
+        }
+
+        const available = typeof this.toolRegistry.getAvailableToolsForMode === 'function'
+            ? this.toolRegistry.getAvailableToolsForMode(modeSlug)
+            : this.toolRegistry.getAvailableTools();
+        if (!Array.isArray(allowTools)) {
+            return available;
+        }
+
+        for (const name of allowTools) {
+            if (!available.some(tool => tool.name === name)) {
+                throw new Error(`Tool '${name}' not available in ${modeSlug} mode`);
+            }
+        }
+        return available.filter(tool => allowTools.includes(tool.name));
+    }
+
+    /**
+     * Run a tool the model asked for; refusals are returned to the model rather than thrown
+     */
+    async executePromptTool(call, tools, modeSlug, signal, taskId = null) {
+        const parameters = call.parameters || {};
+        if (!tools.some(tool => tool.name === call.name)) {
+            return { success: false, error: `Tool '${call.name}' is not available to this step` };
+        }
+        if (!this.modeManager.isToolAllowedForMode(call.name, modeSlug, parameters)) {
+            return { success: false, error: `Tool '${call.name}' not allowed in ${modeSlug} mode` };
+        }
+
+        try {
+            return await this.toolRegistry.executeTool(call.name, parameters, null, { signal, source: 'workflow_prompt', taskId });
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Fill {{ expressions }} into prompt text; objects are written as indented JSON
+     */
+    renderTemplate(template, scope) {
+        return WorkflowExpression.interpolate(String(template), scope, { raw: false, indent: 2 });
+    }
+
+    /**
+     * Parse a JSON answer, tolerating a ```json fence or text around the object
+     */
+    parseJsonAnswer(text) {
+        const fenced = /```(?:json)?\s*\n([\s\S]*?)```/.exec(text);
+        let candidate = fenced ? fenced[1] : text;
+        if (!fenced) {
+            const start = candidate.search(/[[{]/);
+            const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+            if (start !== -1 && end > start) {
+                candidate = candidate.slice(start, end + 1);
+            }
+        }
+
+        try {
+            return JSON.parse(candidate.trim());
+        } catch (error) {
+            throw new Error(`Expected a JSON answer but could not parse it: ${error.message}`);
+        }
+    }
+
+    /**
+     * Resolve {{ expressions }} in strings and objects
+     */
+    resolveVariables(value, scope) {
         if (typeof value === 'string') {
-            return value.replace(/\{\{([^}]+)\}\}/g, (match, varName) => {
-                const trimmedVarName = varName.trim();
-                return variables[trimmedVarName] !== undefined ? variables[trimmedVarName] : match;
-            });
+            // A lone placeholder keeps the value's type (arrays for loops, numbers for delays)
+            return WorkflowExpression.interpolate(value, scope);
         } else if (Array.isArray(value)) {
-            return value.map(item => this.resolveVariables(item, variables));
+            return value.map(item => this.resolveVariables(item, scope));
         } else if (typeof value === 'object' && value !== null) {
             const resolved = {};
             for (const [key, val] of Object.entries(value)) {
-                resolved[key] = this.resolveVariables(val, variables);
+                resolved[key] = this.resolveVariables(val, scope);
             }
             return resolved;
         }
@@ -431,16 +1409,21 @@ class WorkflowEngine extends EventEmitter {
     }
 
     /**
-     * Evaluate conditions
+     * Evaluate conditions: expression strings, or { variable, operator, value } comparisons
+     * whose variable may be a path such as steps.build.success. All must hold.
      */
-    evaluateConditions(conditions, variables) {
+    evaluateConditions(conditions, scope) {
         if (!conditions || conditions.length === 0) {
             return true;
         }
 
-        return conditions.every(condition => {
+        return [].concat(conditions).every(condition => {
+            if (typeof condition === 'string') {
+                return Boolean(WorkflowExpression.evaluate(condition, scope));
+            }
+
             const { variable, operator, value } = condition;
-            const varValue = variables[variable];
+            const varValue = WorkflowExpression.lookup(scope, variable);
 
             switch (operator) {
                 case 'equals':
@@ -499,6 +1482,36 @@ class WorkflowEngine extends EventEmitter {
         return `exec_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
+    /**
+     * Keep a step's result with the variables as they stood after it, then save the execution
+     */
+    recordStepResult(execution, stepResult) {
+        execution.results.push({ ...stepResult, variables: this.snapshotVariables(execution.variables) });
+        this.persistExecution(execution);
+    }
+
+    snapshotVariables(variables) {
+        return JSON.parse(JSON.stringify(variables || {}));
+    }
+
+    /**
+     * Write the execution record; failures are logged, not thrown, so a full disk doesn't fail the run
+     */
+    persistExecution(execution) {
+        const context = this.executionContexts.get(execution.id);
+        if (!this.executionStore || !context) {
+            return Promise.resolve();
+        }
+
+        return this.executionStore.save({
+            execution,
+            workflow: context.workflow,
+            initialVariables: context.initialVariables
+        }).catch(error => {
+            console.warn(`⚠️ Failed to save workflow execution ${execution.id}:`, error.message);
+        });
+    }
+
     /**
      * Add execution to history
      */
@@ -530,6 +1543,17 @@ class WorkflowEngine extends EventEmitter {
             
             this.activeExecutions.delete(executionId);
             this.addToHistory(execution);
+            this.persistExecution(execution);
+            
+            // Stop the commands and tool calls still running
+            this.executionContexts.get(executionId)?.controller?.abort(new Error('Workflow execution cancelled'));
+            
+            // Release manual steps still waiting so the run can wind down
+            for (const pending of Array.from(this.pendingManualSteps.values())) {
+                if (pending.request.executionId === executionId) {
+                    pending.resolve({ action: 'cancel', values: {}, respondedAt: Date.now() });
+                }
+            }
             
             this.emit('executionCancelled', execution);
             return true;
@@ -561,7 +1585,16 @@ class WorkflowEngine extends EventEmitter {
      * Clear execution history
      */
     clearHistory() {
+        const cleared = this.executionHistory;
         this.executionHistory = [];
+
+        if (this.executionStore) {
+            for (const execution of cleared) {
+                this.executionStore.delete(execution.id).catch(error => {
+                    console.warn(`⚠️ Failed to delete workflow execution ${execution.id}:`, error.message);
+                });
+            }
+        }
     }
 }
 
@@ -0,0 +1,108 @@
+/**
+ * WorkflowExecutionStore - Persists workflow execution records
+ * One JSON file per execution under .kilo/workflows/executions, holding the
+ * execution (step results with variable snapshots) and the workflow it ran,
+ * so executions survive restarts and can be resumed
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class WorkflowExecutionStore {
+    constructor(directory) {
+        this.directory = directory;
+        this.maxRecords = 200;
+        this.writes = new Map(); // executionId -> promise of the last queued write
+    }
+
+    async initialize() {
+        await fs.mkdir(this.directory, { recursive: true });
+    }
+
+    recordPath(executionId) {
+        if (!/^[\w-]+$/.test(executionId)) {
+            throw new Error(`Invalid execution id: ${executionId}`);
+        }
+        return path.join(this.directory, `${executionId}.json`);
+    }
+
+    /**
+     * Write a record; writes for the same execution are applied in order
+     * @param {Object} record - { execution, workflow, initialVariables }
+     */
+    save(record) {
+        const executionId = record.execution.id;
+        const content = JSON.stringify({ version: 1, savedAt: Date.now(), ...record }, null, 2);
+        const previous = this.writes.get(executionId) || Promise.resolve();
+
+        const write = previous.then(async () => {
+            const filePath = this.recordPath(executionId);
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            await fs.mkdir(this.directory, { recursive: true });
+            await fs.writeFile(tempPath, content, 'utf8');
+            await fs.rename(tempPath, filePath);
+        });
+        const settled = write.catch(() => {});
+        this.writes.set(executionId, settled);
+        settled.then(() => {
+            if (this.writes.get(executionId) === settled) {
+                this.writes.delete(executionId);
+            }
+        });
+        return write;
+    }
+
+    async load(executionId) {
+        try {
+            return JSON.parse(await fs.readFile(this.recordPath(executionId), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * All readable records, newest first
+     */
+    async list() {
+        let files;
+        try {
+            files = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const records = [];
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            try {
+                records.push(JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8')));
+            } catch (error) {
+                console.warn(`⚠️ Skipping unreadable workflow execution record ${file}:`, error.message);
+            }
+        }
+        return records.sort((a, b) => b.execution.startTime - a.execution.startTime);
+    }
+
+    async delete(executionId) {
+        await fs.rm(this.recordPath(executionId), { force: true });
+    }
+
+    /**
+     * Drop the oldest finished records beyond maxRecords
+     */
+    async prune(activeIds = new Set()) {
+        const records = await this.list();
+        const removable = records.filter(record => !activeIds.has(record.execution.id)).slice(this.maxRecords);
+        for (const record of removable) {
+            await this.delete(record.execution.id);
+        }
+        return removable.length;
+    }
+}
+
+module.exports = WorkflowExecutionStore;
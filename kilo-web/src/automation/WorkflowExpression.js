@@ -0,0 +1,586 @@
+/**
+ * WorkflowExpression - Sandboxed expressions for workflow conditions and {{ }} interpolation
+ *
+ *   steps.build.result.exit_code == 0 && !contains(branch, 'wip')
+ *   matches(version, '^\d+\.\d+\.\d+$') ? 'release' : 'snapshot'
+ *   fromJSON(manifest).version ?? 'unknown'
+ *
+ * Expressions are parsed into a tree and interpreted; nothing reaches eval or
+ * Function. Names only resolve to own properties of the scope and of the values
+ * they lead to, so prototypes (constructor, __proto__) are out of reach, and the
+ * only callable things are the functions in FUNCTIONS. Reading a property of a
+ * missing value gives undefined rather than an error, and so does arithmetic on one.
+ *
+ * Operators: ?: ?? || && == != === !== < <= > >= + - * / % ! (and, or, not),
+ * literals ('text', "text", 12.5, true, false, null, [a, b]), a.b and a[expr].
+ */
+
+const FORBIDDEN_PROPERTIES = ['__proto__', 'prototype', 'constructor'];
+const MAX_PATTERN_LENGTH = 500;
+const CACHE_SIZE = 500;
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const toText = value => {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const toRegExp = (pattern, flags = '') => {
+    const source = String(pattern);
+    if (source.length > MAX_PATTERN_LENGTH) {
+        throw new Error(`Regular expression is longer than ${MAX_PATTERN_LENGTH} characters`);
+    }
+    try {
+        return new RegExp(source, flags);
+    } catch (error) {
+        throw new Error(error.message);
+    }
+};
+
+// Callable by name only; each receives already evaluated arguments
+const FUNCTIONS = {
+    contains: (haystack, needle) => Array.isArray(haystack)
+        ? haystack.some(item => looseEquals(item, needle))
+        : toText(haystack).includes(toText(needle)),
+    startsWith: (text, prefix) => toText(text).startsWith(toText(prefix)),
+    endsWith: (text, suffix) => toText(text).endsWith(toText(suffix)),
+    lower: text => toText(text).toLowerCase(),
+    upper: text => toText(text).toUpperCase(),
+    trim: text => toText(text).trim(),
+    length: value => {
+        if (value === undefined || value === null) return 0;
+        if (typeof value === 'string' || Array.isArray(value)) return value.length;
+        return typeof value === 'object' ? Object.keys(value).length : toText(value).length;
+    },
+    matches: (text, pattern, flags) => toRegExp(pattern, flags).test(toText(text)),
+    match: (text, pattern, flags) => {
+        const found = toRegExp(pattern, flags).exec(toText(text));
+        return found ? Array.from(found) : null;
+    },
+    replace: (text, pattern, replacement, flags = 'g') => toText(text).replace(toRegExp(pattern, flags), toText(replacement)),
+    split: (text, separator) => toText(text).split(separator === undefined ? ',' : toText(separator)),
+    join: (items, separator) => (Array.isArray(items) ? items : [items]).map(toText).join(separator === undefined ? ',' : toText(separator)),
+    fromJSON: text => {
+        try {
+            return JSON.parse(toText(text));
+        } catch (error) {
+            throw new Error(`fromJSON could not parse its input: ${error.message}`);
+        }
+    },
+    toJSON: value => JSON.stringify(value),
+    default: (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value),
+    exists: value => value !== undefined && value !== null,
+    number: value => Number(value),
+    string: value => toText(value),
+    keys: value => (value && typeof value === 'object' ? Object.keys(value) : [])
+};
+
+function looseEquals(left, right) {
+    if (left && right && typeof left === 'object' && typeof right === 'object') {
+        return JSON.stringify(left) === JSON.stringify(right);
+    }
+    return left == right;
+}
+
+const KEYWORD_OPERATORS = { and: '&&', or: '||', not: '!' };
+const LITERALS = { true: true, false: false, null: null };
+const SYMBOLS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '??', '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '.', ',', '(', ')', '[', ']'];
+
+class WorkflowExpression {
+    static FUNCTIONS = FUNCTIONS;
+
+    static cache = new Map(); // source -> parsed tree
+
+    /**
+     * Parse an expression (cached)
+     * @throws {Error} With the position of the problem
+     */
+    static parse(source) {
+        const text = String(source);
+        if (WorkflowExpression.cache.has(text)) {
+            return WorkflowExpression.cache.get(text);
+        }
+
+        const tree = new ExpressionParser(text).parse();
+        if (WorkflowExpression.cache.size >= CACHE_SIZE) {
+            WorkflowExpression.cache.delete(WorkflowExpression.cache.keys().next().value);
+        }
+        WorkflowExpression.cache.set(text, tree);
+        return tree;
+    }
+
+    /**
+     * Error message for an expression that doesn't parse, or null
+     */
+    static check(source) {
+        try {
+            WorkflowExpression.parse(source);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    static evaluate(source, scope = {}) {
+        return WorkflowExpression.evaluateNode(WorkflowExpression.parse(source), scope, String(source));
+    }
+
+    /**
+     * Value of a condition's `variable`: a scope key as written, else a path such as steps.build.success
+     */
+    static lookup(scope, name) {
+        if (hasOwn(scope, name)) {
+            return scope[name];
+        }
+        try {
+            return WorkflowExpression.evaluate(name, scope);
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    /**
+     * Split text into literal parts and {{ expression }} placeholders; \{{ ... }} stays literal
+     * @returns {Array<{text: string, expression?: string}>}
+     */
+    static splitTemplate(template) {
+        const parts = [];
+        const pattern = /\\?\{\{([\s\S]*?)\}\}/g;
+        let last = 0;
+        let match;
+        while ((match = pattern.exec(template)) !== null) {
+            if (match.index > last) {
+                parts.push({ text: template.slice(last, match.index) });
+            }
+            if (match[0].startsWith('\\')) {
+                parts.push({ text: match[0].slice(1) });
+            } else {
+                parts.push({ text: match[0], expression: match[1].trim() });
+            }
+            last = pattern.lastIndex;
+        }
+        if (last < template.length) {
+            parts.push({ text: template.slice(last) });
+        }
+        return parts;
+    }
+
+    /**
+     * Fill {{ expression }} placeholders. A string that is a single placeholder keeps the
+     * value's type unless `raw` is false; elsewhere objects are written as JSON. Placeholders
+     * that evaluate to undefined are left as written.
+     * @param {Object} options - { raw = true, indent }: indent is passed to JSON.stringify
+     */
+    static interpolate(template, scope = {}, options = {}) {
+        const { raw = true, indent } = options;
+        const parts = WorkflowExpression.splitTemplate(template);
+        const valueOf = part => {
+            if (hasOwn(scope, part.expression)) {
+                return scope[part.expression];
+            }
+            try {
+                return WorkflowExpression.evaluate(part.expression, scope);
+            } catch (error) {
+                throw new Error(`Cannot evaluate "${part.text}": ${error.message}`);
+            }
+        };
+
+        if (raw && parts.length === 1 && parts[0].expression !== undefined) {
+            const value = valueOf(parts[0]);
+            return value === undefined ? template : value;
+        }
+
+        return parts.map(part => {
+            if (part.expression === undefined) {
+                return part.text;
+            }
+            const value = valueOf(part);
+            if (value === undefined) {
+                return part.text;
+            }
+            return value !== null && typeof value === 'object' ? JSON.stringify(value, null, indent) : String(value);
+        }).join('');
+    }
+
+    /**
+     * Parse errors for every placeholder in a template
+     * @returns {string[]}
+     */
+    static templateErrors(template) {
+        return WorkflowExpression.splitTemplate(template)
+            .filter(part => part.expression !== undefined)
+            .map(part => {
+                const problem = part.expression ? WorkflowExpression.check(part.expression) : 'empty placeholder';
+                return problem && `invalid expression ${part.text}: ${problem}`;
+            })
+            .filter(Boolean);
+    }
+
+    static evaluateNode(node, scope, source) {
+        const evaluate = child => WorkflowExpression.evaluateNode(child, scope, source);
+
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+
+            case 'array':
+                return node.elements.map(evaluate);
+
+            case 'name':
+                return hasOwn(scope, node.name) ? scope[node.name] : undefined;
+
+            case 'member': {
+                const object = evaluate(node.object);
+                const key = evaluate(node.property);
+                if (FORBIDDEN_PROPERTIES.includes(String(key))) {
+                    throw new Error(`Property "${key}" is not accessible`);
+                }
+                if (object === undefined || object === null || (typeof object !== 'object' && typeof object !== 'string')) {
+                    return undefined;
+                }
+                return hasOwn(Object(object), key) ? object[key] : undefined;
+            }
+
+            case 'call':
+                return FUNCTIONS[node.name](...node.args.map(evaluate));
+
+            case 'unary': {
+                const value = evaluate(node.argument);
+                return node.operator === '!' ? !value : -Number(value);
+            }
+
+            case 'logical': {
+                const left = evaluate(node.left);
+                if (node.operator === '&&') return left ? evaluate(node.right) : left;
+                if (node.operator === '||') return left ? left : evaluate(node.right);
+                return left === undefined || left === null ? evaluate(node.right) : left;
+            }
+
+            case 'conditional':
+                return evaluate(node.test) ? evaluate(node.consequent) : evaluate(node.alternate);
+
+            case 'binary': {
+                const left = evaluate(node.left);
+                const right = evaluate(node.right);
+                switch (node.operator) {
+                    case '==': return looseEquals(left, right);
+                    case '!=': return !looseEquals(left, right);
+                    case '===': return left === right;
+                    case '!==': return left !== right;
+                    case '<': return left < right;
+                    case '<=': return left <= right;
+                    case '>': return left > right;
+                    case '>=': return left >= right;
+                }
+                // Arithmetic on a missing value stays missing, so the placeholder is kept rather than NaN
+                if (left === undefined || right === undefined) {
+                    return undefined;
+                }
+                switch (node.operator) {
+                    case '+':
+                        return typeof left === 'string' || typeof right === 'string'
+                            ? toText(left) + toText(right)
+                            : Number(left) + Number(right);
+                    case '-': return Number(left) - Number(right);
+                    case '*': return Number(left) * Number(right);
+                    case '/': return Number(left) / Number(right);
+                    case '%': return Number(left) % Number(right);
+                }
+            }
+        }
+        throw new Error(`Unsupported expression node "${node.type}" in "${source}"`);
+    }
+}
+
+/**
+ * Recursive descent parser; each method handles one precedence level
+ */
+class ExpressionParser {
+    constructor(source) {
+        this.source = source;
+        this.tokens = this.tokenize(source);
+        this.index = 0;
+    }
+
+    parse() {
+        if (this.peek().type === 'end') {
+            throw this.error(this.peek(), 'Expression is empty');
+        }
+        const node = this.conditional();
+        if (this.peek().type !== 'end') {
+            throw this.error(this.peek(), `Unexpected ${this.describe(this.peek())}`);
+        }
+        return node;
+    }
+
+    tokenize(source) {
+        const tokens = [];
+        let position = 0;
+
+        while (position < source.length) {
+            const char = source[position];
+            if (/\s/.test(char)) {
+                position++;
+                continue;
+            }
+
+            const number = /^\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/.exec(source.slice(position));
+            if (number) {
+                tokens.push({ type: 'number', value: Number(number[0]), position });
+                position += number[0].length;
+                continue;
+            }
+
+            const name = /^[A-Za-z_$][\w$]*/.exec(source.slice(position));
+            if (name) {
+                tokens.push({ type: 'name', value: name[0], position });
+                position += name[0].length;
+                continue;
+            }
+
+            if (char === '"' || char === "'") {
+                const start = position;
+                let value = '';
+                position++;
+                while (position < source.length && source[position] !== char) {
+                    if (source[position] === '\\' && position + 1 < source.length) {
+                        const escaped = source[position + 1];
+                        const escapes = { n: '\n', t: '\t', r: '\r', '\\': '\\', "'": "'", '"': '"' };
+                        // Unknown escapes keep their backslash so regex patterns like '\d' read naturally
+                        value += hasOwn(escapes, escaped) ? escapes[escaped] : `\\${escaped}`;
+                        position += 2;
+                    } else {
+                        value += source[position++];
+                    }
+                }
+                if (position >= source.length) {
+                    throw this.error({ position: start }, 'Unterminated string');
+                }
+                position++;
+                tokens.push({ type: 'string', value, position: start });
+                continue;
+            }
+
+            const symbol = SYMBOLS.find(candidate => source.startsWith(candidate, position));
+            if (!symbol) {
+                throw this.error({ position }, `Unexpected character "${char}"`);
+            }
+            tokens.push({ type: 'operator', value: symbol, position });
+            position += symbol.length;
+        }
+
+        tokens.push({ type: 'end', position: source.length });
+        return tokens;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    /**
+     * Consume the operator (or keyword spelling of one) if it comes next
+     */
+    accept(...operators) {
+        const token = this.peek();
+        const value = token.type === 'operator' ? token.value : (token.type === 'name' && KEYWORD_OPERATORS[token.value]);
+        if (value && operators.includes(value)) {
+            this.index++;
+            return value;
+        }
+        return null;
+    }
+
+    expect(operator) {
+        if (!this.accept(operator)) {
+            throw this.error(this.peek(), `Expected "${operator}" but found ${this.describe(this.peek())}`);
+        }
+    }
+
+    conditional() {
+        const test = this.nullish();
+        if (!this.accept('?')) {
+            return test;
+        }
+        const consequent = this.conditional();
+        this.expect(':');
+        return { type: 'conditional', test, consequent, alternate: this.conditional() };
+    }
+
+    nullish() {
+        let node = this.or();
+        while (this.accept('??')) {
+            node = { type: 'logical', operator: '??', left: node, right: this.or() };
+        }
+        return node;
+    }
+
+    or() {
+        let node = this.and();
+        while (this.accept('||')) {
+            node = { type: 'logical', operator: '||', left: node, right: this.and() };
+        }
+        return node;
+    }
+
+    and() {
+        let node = this.equality();
+        while (this.accept('&&')) {
+            node = { type: 'logical', operator: '&&', left: node, right: this.equality() };
+        }
+        return node;
+    }
+
+    equality() {
+        let node = this.comparison();
+        let operator;
+        while ((operator = this.accept('===', '!==', '==', '!='))) {
+            node = { type: 'binary', operator, left: node, right: this.comparison() };
+        }
+        return node;
+    }
+
+    comparison() {
+        let node = this.additive();
+        let operator;
+        while ((operator = this.accept('<=', '>=', '<', '>'))) {
+            node = { type: 'binary', operator, left: node, right: this.additive() };
+        }
+        return node;
+    }
+
+    additive() {
+        let node = this.multiplicative();
+        let operator;
+        while ((operator = this.accept('+', '-'))) {
+            node = { type: 'binary', operator, left: node, right: this.multiplicative() };
+        }
+        return node;
+    }
+
+    multiplicative() {
+        let node = this.unary();
+        let operator;
+        while ((operator = this.accept('*', '/', '%'))) {
+            node = { type: 'binary', operator, left: node, right: this.unary() };
+        }
+        return node;
+    }
+
+    unary() {
+        const operator = this.accept('!', '-');
+        if (operator) {
+            return { type: 'unary', operator, argument: this.unary() };
+        }
+        return this.postfix();
+    }
+
+    postfix() {
+        let node = this.primary();
+        for (;;) {
+            if (this.accept('.')) {
+                const token = this.next();
+                if (token.type !== 'name') {
+                    throw this.error(token, `Expected a property name after "." but found ${this.describe(token)}`);
+                }
+                this.checkProperty(token.value, token);
+                node = { type: 'member', object: node, property: { type: 'literal', value: token.value } };
+            } else if (this.accept('[')) {
+                const property = this.conditional();
+                this.expect(']');
+                if (property.type === 'literal') {
+                    this.checkProperty(String(property.value), this.tokens[this.index - 2]);
+                }
+                node = { type: 'member', object: node, property };
+            } else if (this.peek().type === 'operator' && this.peek().value === '(') {
+                throw this.error(this.peek(), 'Only built-in functions can be called');
+            } else {
+                return node;
+            }
+        }
+    }
+
+    primary() {
+        const token = this.next();
+
+        if (token.type === 'number' || token.type === 'string') {
+            return { type: 'literal', value: token.value };
+        }
+
+        if (token.type === 'name') {
+            if (hasOwn(LITERALS, token.value)) {
+                return { type: 'literal', value: LITERALS[token.value] };
+            }
+            if (this.accept('(')) {
+                return this.call(token);
+            }
+            return { type: 'name', name: token.value };
+        }
+
+        if (token.type === 'operator' && token.value === '(') {
+            const node = this.conditional();
+            this.expect(')');
+            return node;
+        }
+
+        if (token.type === 'operator' && token.value === '[') {
+            const elements = [];
+            if (!this.accept(']')) {
+                do {
+                    elements.push(this.conditional());
+                } while (this.accept(','));
+                this.expect(']');
+            }
+            return { type: 'array', elements };
+        }
+
+        throw this.error(token, `Unexpected ${this.describe(token)}`);
+    }
+
+    call(token) {
+        if (!hasOwn(FUNCTIONS, token.value)) {
+            throw this.error(token, `Unknown function "${token.value}" (available: ${Object.keys(FUNCTIONS).join(', ')})`);
+        }
+
+        const args = [];
+        if (!this.accept(')')) {
+            do {
+                args.push(this.conditional());
+            } while (this.accept(','));
+            this.expect(')');
+        }
+
+        // Catch bad literal patterns now rather than when the step runs
+        if (['matches', 'match', 'replace'].includes(token.value) && args[1] && args[1].type === 'literal') {
+            const flags = args[token.value === 'replace' ? 3 : 2];
+            try {
+                toRegExp(args[1].value, flags && flags.type === 'literal' ? flags.value : undefined);
+            } catch (error) {
+                throw this.error(token, error.message);
+            }
+        }
+        return { type: 'call', name: token.value, args };
+    }
+
+    checkProperty(name, token) {
+        if (FORBIDDEN_PROPERTIES.includes(name)) {
+            throw this.error(token, `Property "${name}" is not accessible`);
+        }
+    }
+
+    describe(token) {
+        if (token.type === 'end') return 'end of expression';
+        if (token.type === 'string') return `string '${token.value}'`;
+        return `"${token.value}"`;
+    }
+
+    error(token, message) {
+        return new Error(`${message} at position ${token.position + 1} in "${this.source}"`);
+    }
+}
+
+module.exports = WorkflowExpression;
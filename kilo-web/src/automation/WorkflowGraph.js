@@ -0,0 +1,127 @@
+/**
+ * WorkflowGraph - Dependency graph of a workflow's top-level steps
+ * Steps name each other with `id` and list prerequisites in `needs`. As soon as
+ * any step has `needs` the workflow runs as a graph: steps without `needs`
+ * start right away and the rest start when everything they need has finished.
+ */
+
+class WorkflowGraph {
+    /**
+     * Whether the steps should run as a graph rather than in order
+     */
+    static usesGraph(steps = []) {
+        return steps.some(step => step && step.needs !== undefined);
+    }
+
+    static stepId(step, index) {
+        return step.id || `step-${index + 1}`;
+    }
+
+    static needsOf(step) {
+        if (step.needs === undefined || step.needs === null) {
+            return [];
+        }
+        return Array.isArray(step.needs) ? step.needs : [step.needs];
+    }
+
+    /**
+     * Duplicate ids, unknown dependencies and cycles
+     * @returns {Array<{path: Array<string|number>, message: string}>}
+     */
+    static validate(steps = []) {
+        const problems = [];
+        const indexes = new Map();
+
+        steps.forEach((step, index) => {
+            const id = WorkflowGraph.stepId(step, index);
+            if (indexes.has(id)) {
+                problems.push({ path: ['steps', index, 'id'], message: `duplicate step id "${id}"` });
+            } else {
+                indexes.set(id, index);
+            }
+        });
+
+        steps.forEach((step, index) => {
+            for (const need of WorkflowGraph.needsOf(step)) {
+                if (!indexes.has(need)) {
+                    problems.push({ path: ['steps', index, 'needs'], message: `needs unknown step "${need}"` });
+                } else if (indexes.get(need) === index) {
+                    problems.push({ path: ['steps', index, 'needs'], message: 'a step cannot need itself' });
+                }
+            }
+        });
+        if (problems.length > 0) {
+            return problems;
+        }
+
+        const cycle = WorkflowGraph.findCycle(steps);
+        if (cycle) {
+            const ids = cycle.map(index => WorkflowGraph.stepId(steps[index], index));
+            problems.push({ path: ['steps', cycle[0], 'needs'], message: `dependency cycle: ${[...ids, ids[0]].join(' -> ')}` });
+        }
+        return problems;
+    }
+
+    /**
+     * Indexes of the steps each step needs
+     * @returns {Map<number, number[]>}
+     */
+    static dependencies(steps = []) {
+        const indexes = new Map(steps.map((step, index) => [WorkflowGraph.stepId(step, index), index]));
+        return new Map(steps.map((step, index) => [
+            index,
+            WorkflowGraph.needsOf(step).map(need => indexes.get(need)).filter(need => need !== undefined)
+        ]));
+    }
+
+    /**
+     * Every step that needs `index`, directly or through other steps
+     */
+    static dependents(steps, index) {
+        const dependencies = WorkflowGraph.dependencies(steps);
+        const found = new Set();
+        const visit = target => {
+            for (const [candidate, needs] of dependencies) {
+                if (needs.includes(target) && !found.has(candidate)) {
+                    found.add(candidate);
+                    visit(candidate);
+                }
+            }
+        };
+        visit(index);
+        return found;
+    }
+
+    static findCycle(steps) {
+        const dependencies = WorkflowGraph.dependencies(steps);
+        const state = new Map(); // index -> 'visiting' | 'done'
+        const path = [];
+
+        const visit = index => {
+            state.set(index, 'visiting');
+            path.push(index);
+            for (const need of dependencies.get(index)) {
+                if (state.get(need) === 'visiting') {
+                    return path.slice(path.indexOf(need));
+                }
+                if (!state.has(need)) {
+                    const cycle = visit(need);
+                    if (cycle) return cycle;
+                }
+            }
+            path.pop();
+            state.set(index, 'done');
+            return null;
+        };
+
+        for (const index of dependencies.keys()) {
+            if (!state.has(index)) {
+                const cycle = visit(index);
+                if (cycle) return cycle;
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = WorkflowGraph;
@@ -7,6 +7,9 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const MarkdownWorkflowParser = require('./MarkdownWorkflowParser');
+const YamlWorkflowParser = require('./YamlWorkflowParser');
+const WorkflowTriggerScheduler = require('./WorkflowTriggerScheduler');
 
 class WorkflowManager {
     constructor(workspaceDir, toolRegistry, modeManager) {
@@ -28,6 +31,14 @@ class WorkflowManager {
         // Workflow templates
         this.templates = new Map();
         
+        this.markdownParser = new MarkdownWorkflowParser();
+        this.yamlParser = new YamlWorkflowParser();
+        
+        // Fires cron, file and git triggers; listeners of 'workflowTriggered' run the workflow
+        this.triggerScheduler = new WorkflowTriggerScheduler(workspaceDir, fired => this.emit('workflowTriggered', fired));
+        this.triggerRefresh = Promise.resolve();
+        this.workflowsWatcher = null;
+        
         this.initialize();
     }
 
@@ -42,6 +53,10 @@ class WorkflowManager {
             // Load workflow toggles
             await this.loadWorkflowToggles();
             
+            // Schedule triggers, and reschedule when workflow files change
+            await this.refreshTriggers();
+            this.watchWorkflowFiles();
+            
             console.log('✅ WorkflowManager initialized successfully');
         } catch (error) {
             console.error('❌ WorkflowManager initialization failed:', error);
@@ -83,7 +98,7 @@ class WorkflowManager {
             const files = await fs.readdir(directory);
             
             for (const file of files) {
-                if (file.endsWith('.md') || file.endsWith('.yaml') || file.endsWith('.json')) {
+                if (file.endsWith('.md') || file.endsWith('.yaml') || file.endsWith('.yml') || file.endsWith('.json')) {
                     const filePath = path.join(directory, file);
                     try {
                         const workflow = await this.loadWorkflowFile(filePath, isGlobal);
@@ -114,8 +129,8 @@ class WorkflowManager {
         if (filePath.endsWith('.json')) {
             workflow = JSON.parse(content);
         } else if (filePath.endsWith('.yaml') || filePath.endsWith('.yml')) {
-            // Simple YAML parsing for basic workflows
-            workflow = this.parseSimpleYaml(content);
+            // Full YAML, validated against WorkflowSchema
+            workflow = this.yamlParser.parse(content, fileName);
         } else {
             // Markdown format (compatible with kilocode)
             workflow = this.parseMarkdownWorkflow(content, baseName);
@@ -125,6 +140,7 @@ class WorkflowManager {
             id: crypto.createHash('md5').update(filePath).digest('hex'),
             name: workflow.name || baseName,
             description: workflow.description || '',
+            category: workflow.category,
             filePath: filePath,
             fileName: fileName,
             isGlobal: isGlobal,
@@ -134,6 +150,10 @@ class WorkflowManager {
             steps: workflow.steps || [],
             variables: workflow.variables || {},
             conditions: workflow.conditions || [],
+            maxConcurrency: workflow.maxConcurrency,
+            failFast: workflow.failFast,
+            onFailure: workflow.onFailure,
+            finally: workflow.finally,
             metadata: {
                 created: workflow.created || new Date().toISOString(),
                 modified: (await fs.stat(filePath)).mtime.toISOString(),
@@ -144,90 +164,54 @@ class WorkflowManager {
         };
     }
 
-    parseMarkdownWorkflow(content, name) {
-        const lines = content.split('\n');
-        const workflow = {
-            name: name,
-            description: '',
-            steps: [],
-            variables: {},
-            triggers: []
-        };
-
-        let currentSection = 'description';
-        let currentStep = null;
+    /**
+     * Reschedule triggers from the enabled workflow files
+     */
+    refreshTriggers() {
+        this.triggerRefresh = this.triggerRefresh.then(async () => {
+            const workflows = [
+                ...await this.loadWorkflowsFromDirectory(this.workflowsDir, false),
+                ...await this.loadWorkflowsFromDirectory(this.globalWorkflowsDir, true)
+            ];
+            await this.triggerScheduler.sync(workflows.filter(workflow => workflow.enabled));
+        }).catch(error => {
+            console.error('Error scheduling workflow triggers:', error);
+        });
+        return this.triggerRefresh;
+    }
 
-        for (const line of lines) {
-            const trimmed = line.trim();
-            
-            if (trimmed.startsWith('# ')) {
-                workflow.name = trimmed.substring(2).trim();
-            } else if (trimmed.startsWith('## Steps')) {
-                currentSection = 'steps';
-            } else if (trimmed.startsWith('## Variables')) {
-                currentSection = 'variables';
-            } else if (trimmed.startsWith('## Triggers')) {
-                currentSection = 'triggers';
-            } else if (trimmed.match(/^\d+\./)) {
-                // Step item
-                if (currentSection === 'steps') {
-                    const stepText = trimmed.replace(/^\d+\.\s*/, '');
-                    workflow.steps.push({
-                        type: 'manual',
-                        description: stepText,
-                        action: this.parseStepAction(stepText)
-                    });
-                }
-            } else if (trimmed && currentSection === 'description') {
-                workflow.description += (workflow.description ? '\n' : '') + trimmed;
-            }
+    watchWorkflowFiles() {
+        if (this.workflowsWatcher) {
+            return;
         }
 
-        return workflow;
+        let timer = null;
+        try {
+            this.workflowsWatcher = require('fs').watch(this.workflowsDir, () => {
+                clearTimeout(timer);
+                timer = setTimeout(() => this.refreshTriggers(), 500);
+            });
+            this.workflowsWatcher.unref();
+        } catch (error) {
+            console.warn('⚠️ Not watching workflow files for trigger changes:', error.message);
+        }
     }
 
-    parseStepAction(stepText) {
-        // Parse common step patterns
-        if (stepText.includes('execute') || stepText.includes('run')) {
-            return { type: 'command', command: stepText };
-        } else if (stepText.includes('create') || stepText.includes('write')) {
-            return { type: 'file_operation', operation: 'create' };
-        } else if (stepText.includes('test')) {
-            return { type: 'test', command: stepText };
-        }
-        
-        return { type: 'manual', description: stepText };
+    getTriggers() {
+        return this.triggerScheduler.getTriggers();
     }
 
-    parseSimpleYaml(content) {
-        // Basic YAML parsing for workflow definitions
-        const lines = content.split('\n');
-        const workflow = {};
-        let currentKey = null;
-        let currentArray = null;
-
-        for (const line of lines) {
-            const trimmed = line.trim();
-            if (!trimmed || trimmed.startsWith('#')) continue;
-
-            if (trimmed.includes(':') && !trimmed.startsWith('-')) {
-                const [key, value] = trimmed.split(':', 2);
-                const cleanKey = key.trim();
-                const cleanValue = value ? value.trim() : '';
-
-                if (cleanValue) {
-                    workflow[cleanKey] = cleanValue;
-                } else {
-                    currentKey = cleanKey;
-                    currentArray = [];
-                    workflow[cleanKey] = currentArray;
-                }
-            } else if (trimmed.startsWith('-') && currentArray) {
-                currentArray.push(trimmed.substring(1).trim());
-            }
+    async stopTriggers() {
+        if (this.workflowsWatcher) {
+            this.workflowsWatcher.close();
+            this.workflowsWatcher = null;
         }
+        await this.triggerScheduler.stop();
+    }
 
-        return workflow;
+    parseMarkdownWorkflow(content, name) {
+        // See MarkdownWorkflowParser for the syntax
+        return this.markdownParser.parse(content, name);
     }
 
     async loadWorkflowToggles() {
@@ -285,6 +269,7 @@ class WorkflowManager {
         const toggles = isGlobal ? this.globalWorkflowToggles : this.workflowToggles;
         toggles.set(filePath, enabled);
         await this.saveWorkflowToggles();
+        await this.refreshTriggers();
         
         this.emit('workflowToggled', { filePath, enabled, isGlobal });
     }
@@ -334,6 +319,10 @@ class WorkflowManager {
             variables: config.variables || {},
             triggers: config.triggers || [],
             conditions: config.conditions || [],
+            maxConcurrency: config.maxConcurrency,
+            failFast: config.failFast,
+            onFailure: config.onFailure,
+            finally: config.finally,
             metadata: {
                 created: new Date().toISOString(),
                 modified: new Date().toISOString(),
@@ -365,6 +354,7 @@ class WorkflowManager {
             this.workflowToggles.delete(filePath);
             this.globalWorkflowToggles.delete(filePath);
             await this.saveWorkflowToggles();
+            await this.refreshTriggers();
 
             this.emit('workflowDeleted', { workflowId, filePath });
             return true;
@@ -0,0 +1,271 @@
+/**
+ * WorkflowSchema - JSON schema for workflow definitions
+ * Describes the structure WorkflowTemplates builds in code, so the same
+ * workflows can be written as files and checked when they are loaded
+ */
+
+const Ajv = require('ajv');
+const CronExpression = require('./CronExpression');
+const WorkflowExpression = require('./WorkflowExpression');
+const WorkflowGraph = require('./WorkflowGraph');
+const WorkflowTriggerScheduler = require('./WorkflowTriggerScheduler');
+
+const CONDITION_OPERATORS = [
+    'equals', '==', 'not_equals', '!=', 'greater_than', '>', 'less_than', '<',
+    'contains', 'exists', 'not_exists'
+];
+
+// Fields each step type can't do without
+const REQUIRED_BY_TYPE = {
+    tool: ['tool'],
+    command: ['command'],
+    conditional: ['condition'],
+    loop: ['items', 'step'],
+    parallel: ['steps'],
+    delay: ['delay'],
+    prompt: ['prompt']
+};
+
+const WORKFLOW_SCHEMA = {
+    $id: 'kilo-workflow',
+    type: 'object',
+    required: ['steps'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        category: { type: 'string' },
+        tags: { type: 'array', items: { type: 'string' } },
+        type: { type: 'string' },
+        version: { type: ['string', 'number'] },
+        created: { type: 'string' },
+        variables: { type: 'object' },
+        triggers: { type: 'array', items: { $ref: '#/definitions/trigger' } },
+        conditions: { $ref: '#/definitions/conditions' },
+        maxConcurrency: { type: 'integer', minimum: 1 },
+        failFast: { type: 'boolean' },
+        steps: { type: 'array', items: { $ref: '#/definitions/step' } },
+        onFailure: { type: 'array', items: { $ref: '#/definitions/step' } },
+        finally: { type: 'array', items: { $ref: '#/definitions/step' } },
+        metadata: { type: 'object' }
+    },
+    additionalProperties: false,
+    definitions: {
+        // An expression string, or a list of expressions and comparisons that must all hold
+        conditions: {
+            type: ['array', 'string'],
+            minLength: 1,
+            items: {
+                type: ['object', 'string'],
+                minLength: 1,
+                required: ['variable', 'operator'],
+                properties: {
+                    variable: { type: 'string', minLength: 1 },
+                    operator: { enum: CONDITION_OPERATORS },
+                    value: {}
+                },
+                additionalProperties: false
+            }
+        },
+        // Cron expressions are parsed in validate(), which JSON schema can't do
+        trigger: {
+            type: 'object',
+            required: ['type'],
+            properties: {
+                type: { type: 'string', minLength: 1 },
+                expression: { type: 'string', minLength: 1 },
+                patterns: { type: ['array', 'string'], items: { type: 'string' } },
+                event: { enum: WorkflowTriggerScheduler.GIT_EVENTS },
+                debounce: { type: ['integer', 'string'] }
+            },
+            allOf: [
+                { if: { properties: { type: { const: 'cron' } } }, then: { required: ['expression'] } },
+                { if: { properties: { type: { const: 'file' } } }, then: { required: ['patterns'] } },
+                { if: { properties: { type: { const: 'git' } } }, then: { required: ['event'] } }
+            ]
+        },
+        // Value a manual step asks for before the workflow continues
+        input: {
+            anyOf: [
+                { type: 'string', minLength: 1 },
+                {
+                    type: 'object',
+                    required: ['name'],
+                    properties: {
+                        name: { type: 'string', minLength: 1 },
+                        description: { type: 'string' },
+                        required: { type: 'boolean' },
+                        default: {}
+                    },
+                    additionalProperties: false
+                }
+            ]
+        },
+        // Retry settings; `true` uses the engine defaults
+        retry: {
+            type: ['boolean', 'object'],
+            properties: {
+                attempts: { type: 'integer', minimum: 1 },
+                // Fixed delay in ms, or delay × factor^(retry - 1) capped at maxDelay
+                backoff: {
+                    type: ['integer', 'object'],
+                    minimum: 0,
+                    properties: {
+                        delay: { type: 'integer', minimum: 0 },
+                        factor: { type: 'number', minimum: 1 },
+                        maxDelay: { type: 'integer', minimum: 0 }
+                    },
+                    additionalProperties: false
+                },
+                retryOn: { type: 'array', items: { type: 'string', minLength: 1 } }
+            },
+            additionalProperties: false
+        },
+        step: {
+            type: 'object',
+            required: ['type'],
+            properties: {
+                type: { enum: ['tool', 'command', 'conditional', 'loop', 'parallel', 'delay', 'manual', 'prompt'] },
+                id: { type: 'string', pattern: '^[A-Za-z0-9_.-]+$' },
+                needs: { type: ['array', 'string'], items: { type: 'string' } },
+                name: { type: 'string' },
+                description: { type: 'string' },
+                instructions: { type: 'string' },
+                tool: { type: 'string', minLength: 1 },
+                parameters: { type: 'object' },
+                command: { type: 'string', minLength: 1 },
+                workingDirectory: { type: 'string' },
+                condition: { $ref: '#/definitions/conditions' },
+                conditions: { $ref: '#/definitions/conditions' },
+                then: { $ref: '#/definitions/step' },
+                else: { $ref: '#/definitions/step' },
+                items: { type: ['array', 'string'] },
+                itemVariable: { type: 'string' },
+                indexVariable: { type: 'string' },
+                maxIterations: { type: 'integer', minimum: 1 },
+                step: { $ref: '#/definitions/step' },
+                steps: { type: 'array', minItems: 1, items: { $ref: '#/definitions/step' } },
+                maxConcurrency: { type: 'integer', minimum: 1 },
+                failFast: { type: 'boolean' },
+                delay: { type: ['integer', 'string'] },
+                inputs: { type: 'array', items: { $ref: '#/definitions/input' } },
+                prompt: { type: 'string', minLength: 1 },
+                mode: { type: 'string', minLength: 1 },
+                profile: { type: 'string', minLength: 1 },
+                allowTools: { type: ['boolean', 'array'], items: { type: 'string' } },
+                maxToolRounds: { type: 'integer', minimum: 1 },
+                responseFormat: { enum: ['text', 'json'] },
+                optional: { type: 'boolean' },
+                stopOnFailure: { type: 'boolean' },
+                timeout: { type: ['integer', 'string'], minimum: 1 },
+                retry: { $ref: '#/definitions/retry' },
+                outputs: { type: 'object', additionalProperties: { type: 'string' } }
+            },
+            additionalProperties: false,
+            allOf: Object.entries(REQUIRED_BY_TYPE).map(([type, required]) => ({
+                if: { required: ['type'], properties: { type: { const: type } } },
+                then: { required }
+            }))
+        }
+    }
+};
+
+class WorkflowSchema {
+    static SCHEMA = WORKFLOW_SCHEMA;
+
+    static validator = null;
+
+    /**
+     * Validate a workflow definition
+     * @returns {Array<{path: Array<string|number>, message: string}>} Empty when valid
+     */
+    static validate(workflow) {
+        if (!WorkflowSchema.validator) {
+            WorkflowSchema.validator = new Ajv({ allErrors: true, allowUnionTypes: true }).compile(WORKFLOW_SCHEMA);
+        }
+
+        const problems = WorkflowSchema.validator(workflow)
+            ? []
+            : WorkflowSchema.validator.errors
+                .filter(error => error.keyword !== 'if') // The failing "then" is reported on its own
+                .map(error => WorkflowSchema.describeError(error));
+
+        // Step ids, needs and cycles only make sense once the steps themselves are valid
+        if (problems.length === 0 && WorkflowGraph.usesGraph(workflow.steps)) {
+            problems.push(...WorkflowGraph.validate(workflow.steps));
+        }
+
+        for (const key of ['conditions', 'steps', 'onFailure', 'finally']) {
+            if (workflow && workflow[key] !== undefined) {
+                problems.push(...WorkflowSchema.expressionProblems(workflow[key], [key], key === 'conditions'));
+            }
+        }
+
+        (Array.isArray(workflow && workflow.triggers) ? workflow.triggers : []).forEach((trigger, index) => {
+            if (trigger && trigger.type === 'cron' && typeof trigger.expression === 'string') {
+                try {
+                    new CronExpression(trigger.expression);
+                } catch (error) {
+                    problems.push({ path: ['triggers', index, 'expression'], message: error.message });
+                }
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * Expressions that don't parse, in {{ }} placeholders anywhere in the steps and in conditions
+     */
+    static expressionProblems(value, path, isCondition = false) {
+        if (typeof value === 'string') {
+            if (isCondition) {
+                const problem = WorkflowExpression.check(value);
+                return problem ? [{ path, message: `invalid condition: ${problem}` }] : [];
+            }
+            return WorkflowExpression.templateErrors(value).map(message => ({ path, message }));
+        }
+        if (Array.isArray(value)) {
+            return value.flatMap((item, index) => WorkflowSchema.expressionProblems(item, [...path, index], isCondition));
+        }
+        if (value && typeof value === 'object' && !isCondition) {
+            return Object.entries(value)
+                .filter(([key]) => key !== 'outputs') // Paths into the result, not templates
+                .flatMap(([key, item]) => WorkflowSchema.expressionProblems(
+                    item, [...path, key], isCondition || key === 'condition' || key === 'conditions'
+                ));
+        }
+        return [];
+    }
+
+    static describeError(error) {
+        const path = error.instancePath
+            .split('/')
+            .slice(1)
+            .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+            .map(segment => (/^\d+$/.test(segment) ? Number(segment) : segment));
+
+        switch (error.keyword) {
+            case 'required':
+                return { path, message: `missing required property "${error.params.missingProperty}"` };
+            case 'additionalProperties':
+                return {
+                    path: [...path, error.params.additionalProperty],
+                    message: `unknown property "${error.params.additionalProperty}"`
+                };
+            case 'enum':
+                return { path, message: `must be one of: ${error.params.allowedValues.join(', ')}` };
+            default:
+                return { path, message: error.message };
+        }
+    }
+
+    /**
+     * Render a path like ['steps', 2, 'then', 'tool'] as steps[2].then.tool
+     */
+    static formatPath(path) {
+        return path.reduce((text, segment) => (
+            typeof segment === 'number' ? `${text}[${segment}]` : (text ? `${text}.${segment}` : segment)
+        ), '') || 'workflow';
+    }
+}
+
+module.exports = WorkflowSchema;
@@ -124,6 +124,7 @@ class WorkflowTemplates {
             tags: ['code-review', 'formatting', 'linting', 'testing'],
             variables: {
                 branch: 'current',
+                baseBranch: 'main',
                 fixFormatting: 'true',
                 runTests: 'true'
             },
@@ -186,10 +187,36 @@ class WorkflowTemplates {
                         hasChanges: 'output'
                     }
                 },
+                {
+                    type: 'tool',
+                    name: 'Collect branch diff',
+                    tool: 'execute_command',
+                    parameters: {
+                        command: 'git diff {{baseBranch}}...HEAD'
+                    },
+                    outputs: {
+                        diff: 'output'
+                    }
+                },
+                {
+                    type: 'prompt',
+                    name: 'Summarize changes for reviewers',
+                    mode: 'ask',
+                    allowTools: ['read_file', 'search_files'],
+                    responseFormat: 'json',
+                    prompt: 'Prepare a code review summary for branch {{currentBranch}} against {{baseBranch}}. ' +
+                        'Answer with JSON: {"summary": "what changed and why", "risks": ["things reviewers should check"]}.\n\n' +
+                        'Diff:\n{{diff}}',
+                    outputs: {
+                        reviewSummary: 'json.summary',
+                        reviewRisks: 'json.risks'
+                    },
+                    optional: true
+                },
                 {
                     type: 'manual',
                     name: 'Review changes and commit',
-                    instructions: 'Review the changes made by formatting and linting, then commit if needed.',
+                    instructions: 'Review the changes made by formatting and linting, then commit if needed.\n\nSummary: {{reviewSummary}}\nRisks: {{reviewRisks}}',
                     conditions: [
                         { variable: 'hasChanges', operator: 'exists' }
                     ]
@@ -359,6 +386,11 @@ class WorkflowTemplates {
                         instructions: 'Update CHANGELOG.md with new version {{newVersion}} and release notes.'
                     }
                 },
+                {
+                    type: 'manual',
+                    name: 'Release sign-off',
+                    instructions: 'Approve releasing version {{newVersion}}. Rejecting stops the release before anything is committed, tagged or pushed.'
+                },
                 {
                     type: 'tool',
                     name: 'Commit version changes',
@@ -638,7 +670,8 @@ class WorkflowTemplates {
                     },
                     outputs: {
                         outdatedPackages: 'output'
-                    }
+                    },
+                    optional: true
                 },
                 {
                     type: 'tool',
@@ -646,6 +679,12 @@ class WorkflowTemplates {
                     tool: 'execute_command',
                     parameters: {
                         command: 'npm update'
+                    },
+                    timeout: 600000,
+                    retry: {
+                        attempts: 3,
+                        backoff: { delay: 5000, factor: 2 },
+                        retryOn: ['timeout', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'socket hang up', 'network']
                     }
                 },
                 {
@@ -681,6 +720,17 @@ class WorkflowTemplates {
                         instructions: 'Create a pull request with the dependency updates for review.'
                     }
                 }
+            ],
+            onFailure: [
+                {
+                    type: 'tool',
+                    name: 'Restore package files',
+                    tool: 'execute_command',
+                    parameters: {
+                        command: 'git checkout -- package.json package-lock.json'
+                    },
+                    optional: true
+                }
             ]
         };
     }
@@ -0,0 +1,461 @@
+/**
+ * WorkflowTriggerScheduler - Fires workflow triggers
+ * Handles cron schedules, workspace file changes (glob patterns) and local git
+ * hook events. Git hooks get a small marked block that appends the event to
+ * .kilo/workflow-triggers/git-events.log, which the scheduler tails. Every
+ * trigger is debounced so bursts of events start one run.
+ */
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const chokidar = require('chokidar');
+const picomatch = require('picomatch');
+const CronExpression = require('./CronExpression');
+
+const HOOK_START = '# >>> kilo-web workflow triggers >>>';
+const HOOK_END = '# <<< kilo-web workflow triggers <<<';
+
+class WorkflowTriggerScheduler {
+    static DEFAULT_DEBOUNCE = { cron: 0, file: 2000, git: 1000 };
+
+    static GIT_EVENTS = ['post-commit', 'pre-push', 'post-merge', 'post-checkout'];
+
+    // Changes under these directories never fire file triggers
+    static IGNORED_DIRECTORIES = ['.git', 'node_modules', '.kilo'];
+
+    // setTimeout can't wait longer than this; longer waits are re-armed
+    static MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+    static MAX_PENDING_EVENTS = 100;
+
+    /**
+     * @param {string} workspaceDir
+     * @param {Function} onFire - Called with { workflow, trigger, type, events, variables }
+     */
+    constructor(workspaceDir, onFire) {
+        this.workspaceDir = workspaceDir;
+        this.onFire = onFire;
+        this.gitEventsFile = path.join(workspaceDir, '.kilo', 'workflow-triggers', 'git-events.log');
+
+        this.registrations = new Map(); // key -> registration
+        this.firingHistory = new Map(); // key -> { lastFiredAt, fireCount }, kept across syncs
+        this.fileWatcher = null;
+        this.gitWatcher = null;
+        this.gitEventsOffset = 0;
+        this.gitEventsRead = Promise.resolve();
+    }
+
+    /**
+     * Replace the scheduled triggers with those of the given (enabled) workflows
+     */
+    async sync(workflows) {
+        this.clearRegistrations();
+
+        for (const workflow of workflows) {
+            (workflow.triggers || []).forEach((trigger, index) => {
+                try {
+                    const registration = this.createRegistration(workflow, trigger, index);
+                    if (registration) {
+                        this.registrations.set(registration.key, registration);
+                    }
+                } catch (error) {
+                    console.warn(`⚠️ Ignoring trigger ${index + 1} of workflow "${workflow.name}": ${error.message}`);
+                }
+            });
+        }
+
+        for (const registration of this.getRegistrations('cron')) {
+            this.scheduleCron(registration);
+        }
+        await this.updateFileWatcher();
+        await this.updateGitHooks();
+
+        if (this.registrations.size > 0) {
+            console.log(`⏰ Scheduled ${this.registrations.size} workflow triggers`);
+        }
+    }
+
+    createRegistration(workflow, trigger, index) {
+        const type = String(trigger.type || '').toLowerCase();
+        const key = `${workflow.id}:${index}`;
+        const registration = {
+            key,
+            workflow,
+            trigger,
+            type,
+            debounce: this.parseDebounce(trigger.debounce, type),
+            pendingEvents: [],
+            timer: null,
+            debounceTimer: null,
+            nextFireTime: null,
+            pendingFireTime: null,
+            lastFiredAt: null,
+            fireCount: 0,
+            ...this.firingHistory.get(key)
+        };
+
+        switch (type) {
+            case 'cron':
+                registration.cron = new CronExpression(trigger.expression || trigger.schedule || trigger.value || '');
+                break;
+
+            case 'file': {
+                const patterns = trigger.patterns || trigger.paths || trigger.value;
+                registration.patterns = (Array.isArray(patterns) ? patterns : String(patterns || '').split(','))
+                    .map(pattern => String(pattern).trim().replace(/^\.\//, ''))
+                    .filter(Boolean);
+                if (registration.patterns.length === 0) {
+                    throw new Error('file triggers need at least one glob pattern');
+                }
+                registration.matches = picomatch(registration.patterns, { dot: true });
+                break;
+            }
+
+            case 'git':
+                registration.event = String(trigger.event || trigger.value || '').trim();
+                if (!WorkflowTriggerScheduler.GIT_EVENTS.includes(registration.event)) {
+                    throw new Error(`unsupported git event "${registration.event}" (use ${WorkflowTriggerScheduler.GIT_EVENTS.join(', ')})`);
+                }
+                break;
+
+            default:
+                // Manual and other trigger types aren't scheduled
+                return null;
+        }
+
+        return registration;
+    }
+
+    parseDebounce(value, type) {
+        if (value === undefined || value === null) {
+            return WorkflowTriggerScheduler.DEFAULT_DEBOUNCE[type] || 0;
+        }
+        const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h)?$/i.exec(String(value).trim());
+        if (!match) {
+            throw new Error(`invalid debounce "${value}" (use e.g. 500ms, 5s, 2m)`);
+        }
+        const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+        return Math.round(Number(match[1]) * units[(match[2] || 'ms').toLowerCase()]);
+    }
+
+    getRegistrations(type) {
+        return Array.from(this.registrations.values()).filter(registration => registration.type === type);
+    }
+
+    scheduleCron(registration) {
+        const from = Math.max(Date.now(), registration.nextFireTime || 0);
+        const next = registration.cron.next(new Date(from));
+        registration.nextFireTime = next ? next.getTime() : null;
+        if (next) {
+            this.armCronTimer(registration);
+        }
+    }
+
+    armCronTimer(registration) {
+        const delay = Math.min(Math.max(registration.nextFireTime - Date.now(), 0), WorkflowTriggerScheduler.MAX_TIMER_DELAY);
+        registration.timer = setTimeout(() => {
+            if (Date.now() < registration.nextFireTime) {
+                this.armCronTimer(registration);
+                return;
+            }
+            this.queue(registration, { type: 'cron', scheduledFor: registration.nextFireTime, timestamp: Date.now() });
+            this.scheduleCron(registration);
+        }, delay);
+        registration.timer.unref();
+    }
+
+    /**
+     * Collect an event and (re)start the trigger's debounce window
+     */
+    queue(registration, event) {
+        registration.pendingEvents.push(event);
+        if (registration.pendingEvents.length > WorkflowTriggerScheduler.MAX_PENDING_EVENTS) {
+            registration.pendingEvents.shift();
+        }
+
+        clearTimeout(registration.debounceTimer);
+        if (registration.debounce <= 0) {
+            this.fire(registration);
+            return;
+        }
+        registration.pendingFireTime = Date.now() + registration.debounce;
+        registration.debounceTimer = setTimeout(() => this.fire(registration), registration.debounce);
+        registration.debounceTimer.unref();
+    }
+
+    fire(registration) {
+        const events = registration.pendingEvents;
+        registration.pendingEvents = [];
+        registration.debounceTimer = null;
+        registration.pendingFireTime = null;
+        registration.lastFiredAt = Date.now();
+        registration.fireCount++;
+        this.firingHistory.set(registration.key, { lastFiredAt: registration.lastFiredAt, fireCount: registration.fireCount });
+
+        const variables = { triggerType: registration.type, triggerEvents: events };
+        if (registration.type === 'file') {
+            variables.changedFiles = [...new Set(events.map(event => event.path))];
+        } else if (registration.type === 'git') {
+            variables.gitEvent = registration.event;
+        }
+
+        console.log(`⚡ Trigger ${registration.type} fired for workflow "${registration.workflow.name}" (${events.length} events)`);
+        Promise.resolve()
+            .then(() => this.onFire({
+                workflow: registration.workflow,
+                trigger: registration.trigger,
+                type: registration.type,
+                events,
+                variables
+            }))
+            .catch(error => console.error(`Error running triggered workflow "${registration.workflow.name}":`, error));
+    }
+
+    async updateFileWatcher() {
+        const wanted = this.getRegistrations('file').length > 0;
+        if (wanted && !this.fileWatcher) {
+            const ignored = WorkflowTriggerScheduler.IGNORED_DIRECTORIES;
+            this.fileWatcher = chokidar.watch(this.workspaceDir, {
+                ignoreInitial: true,
+                ignored: filePath => path.relative(this.workspaceDir, filePath).split(path.sep).some(segment => ignored.includes(segment))
+            });
+            for (const event of ['add', 'change', 'unlink']) {
+                this.fileWatcher.on(event, filePath => this.handleFileChange(event, filePath));
+            }
+            this.fileWatcher.on('error', error => console.warn('⚠️ Workflow file trigger watcher error:', error.message));
+        } else if (!wanted && this.fileWatcher) {
+            await this.fileWatcher.close();
+            this.fileWatcher = null;
+        }
+    }
+
+    handleFileChange(event, filePath) {
+        const relativePath = path.relative(this.workspaceDir, filePath).split(path.sep).join('/');
+        for (const registration of this.getRegistrations('file')) {
+            if (registration.matches(relativePath)) {
+                this.queue(registration, { type: 'file', event, path: relativePath, timestamp: Date.now() });
+            }
+        }
+    }
+
+    /**
+     * Install hook blocks for the git events in use and remove the ones no longer needed
+     */
+    async updateGitHooks() {
+        const wanted = new Set(this.getRegistrations('git').map(registration => registration.event));
+        const hooksDirectory = await this.resolveHooksDirectory(wanted.size > 0);
+
+        if (hooksDirectory) {
+            for (const event of WorkflowTriggerScheduler.GIT_EVENTS) {
+                try {
+                    if (wanted.has(event)) {
+                        await this.installHook(hooksDirectory, event);
+                    } else {
+                        await this.removeHook(hooksDirectory, event);
+                    }
+                } catch (error) {
+                    console.warn(`⚠️ Could not update git ${event} hook:`, error.message);
+                }
+            }
+        }
+
+        if (wanted.size > 0 && !this.gitWatcher) {
+            await this.watchGitEvents();
+        } else if (wanted.size === 0 && this.gitWatcher) {
+            this.gitWatcher.close();
+            this.gitWatcher = null;
+        }
+    }
+
+    /**
+     * The repository's hooks directory, or null when there is no repository or
+     * hooks live elsewhere (core.hooksPath), in which case nothing is installed
+     */
+    resolveHooksDirectory(warn) {
+        return new Promise(resolve => {
+            execFile('git', ['rev-parse', '--absolute-git-dir', '--git-path', 'hooks'], { cwd: this.workspaceDir }, (error, stdout) => {
+                if (error) {
+                    if (warn) {
+                        console.warn('⚠️ Git triggers need the workspace to be a git repository');
+                    }
+                    resolve(null);
+                    return;
+                }
+
+                const [gitDir, hooksPath] = stdout.trim().split('\n');
+                const hooksDirectory = path.resolve(this.workspaceDir, hooksPath);
+                if (path.relative(gitDir, hooksDirectory).startsWith('..')) {
+                    if (warn) {
+                        console.warn(`⚠️ core.hooksPath points to ${hooksDirectory}; add this to the hooks that should fire workflow triggers:\n${this.hookCommand('<event>')}`);
+                    }
+                    resolve(null);
+                    return;
+                }
+                resolve(hooksDirectory);
+            });
+        });
+    }
+
+    hookCommand(event) {
+        const quote = text => `'${text.replace(/'/g, `'\\''`)}'`;
+        return `mkdir -p ${quote(path.dirname(this.gitEventsFile))} && echo "${event} $(date +%s)" >> ${quote(this.gitEventsFile)} 2>/dev/null || true`;
+    }
+
+    hookBlock(event) {
+        return `${HOOK_START}\n# Fires kilo-web workflow triggers; remove this block to stop\n${this.hookCommand(event)}\n${HOOK_END}\n`;
+    }
+
+    stripHookBlock(content) {
+        const start = content.indexOf(HOOK_START);
+        const end = content.indexOf(HOOK_END);
+        if (start === -1 || end === -1) {
+            return content;
+        }
+        return content.slice(0, start) + content.slice(end + HOOK_END.length).replace(/^\n/, '');
+    }
+
+    async readHook(hookPath) {
+        try {
+            return await fsp.readFile(hookPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async installHook(hooksDirectory, event) {
+        const hookPath = path.join(hooksDirectory, event);
+        const existing = await this.readHook(hookPath);
+        const rest = existing === null ? '#!/bin/sh\n' : this.stripHookBlock(existing);
+
+        // Right after the shebang, so an early "exit" in an existing hook doesn't skip it
+        const shebang = /^#!.*\n/.exec(rest);
+        const content = shebang
+            ? shebang[0] + this.hookBlock(event) + rest.slice(shebang[0].length)
+            : this.hookBlock(event) + rest;
+
+        if (content !== existing) {
+            await fsp.mkdir(hooksDirectory, { recursive: true });
+            await fsp.writeFile(hookPath, content, 'utf8');
+            await fsp.chmod(hookPath, 0o755);
+            console.log(`🪝 Installed git ${event} hook for workflow triggers`);
+        }
+    }
+
+    async removeHook(hooksDirectory, event) {
+        const hookPath = path.join(hooksDirectory, event);
+        const existing = await this.readHook(hookPath);
+        if (existing === null || !existing.includes(HOOK_START)) {
+            return;
+        }
+
+        const rest = this.stripHookBlock(existing);
+        if (/^(#!.*)?\s*$/.test(rest)) {
+            await fsp.unlink(hookPath);
+        } else {
+            await fsp.writeFile(hookPath, rest, 'utf8');
+        }
+    }
+
+    async watchGitEvents() {
+        const directory = path.dirname(this.gitEventsFile);
+        await fsp.mkdir(directory, { recursive: true });
+
+        // Only events from now on count
+        try {
+            this.gitEventsOffset = (await fsp.stat(this.gitEventsFile)).size;
+        } catch (error) {
+            this.gitEventsOffset = 0;
+        }
+
+        this.gitWatcher = fs.watch(directory, () => {
+            this.gitEventsRead = this.gitEventsRead
+                .then(() => this.readGitEvents())
+                .catch(error => console.warn('⚠️ Failed to read git trigger events:', error.message));
+        });
+        this.gitWatcher.unref();
+    }
+
+    async readGitEvents() {
+        let size;
+        try {
+            size = (await fsp.stat(this.gitEventsFile)).size;
+        } catch (error) {
+            return;
+        }
+        if (size < this.gitEventsOffset) {
+            this.gitEventsOffset = 0; // Truncated
+        }
+        if (size === this.gitEventsOffset) {
+            return;
+        }
+
+        const handle = await fsp.open(this.gitEventsFile, 'r');
+        let text;
+        try {
+            const buffer = Buffer.alloc(size - this.gitEventsOffset);
+            await handle.read(buffer, 0, buffer.length, this.gitEventsOffset);
+            text = buffer.toString('utf8');
+        } finally {
+            await handle.close();
+        }
+
+        // Leave a partially written last line for the next read
+        const complete = text.slice(0, text.lastIndexOf('\n') + 1);
+        this.gitEventsOffset += Buffer.byteLength(complete);
+
+        for (const line of complete.split('\n').filter(Boolean)) {
+            const [event, seconds] = line.trim().split(/\s+/);
+            for (const registration of this.getRegistrations('git')) {
+                if (registration.event === event) {
+                    this.queue(registration, { type: 'git', event, timestamp: Number(seconds) * 1000 || Date.now() });
+                }
+            }
+        }
+    }
+
+    /**
+     * Scheduled triggers with their next fire times, for display
+     */
+    getTriggers() {
+        return Array.from(this.registrations.values()).map(registration => ({
+            id: registration.key,
+            workflowId: registration.workflow.id,
+            workflowName: registration.workflow.name,
+            type: registration.type,
+            expression: registration.cron ? registration.cron.expression : undefined,
+            patterns: registration.patterns,
+            event: registration.event,
+            debounce: registration.debounce,
+            nextFireTime: registration.pendingFireTime || registration.nextFireTime,
+            lastFiredAt: registration.lastFiredAt,
+            fireCount: registration.fireCount
+        }));
+    }
+
+    clearRegistrations() {
+        for (const registration of this.registrations.values()) {
+            clearTimeout(registration.timer);
+            clearTimeout(registration.debounceTimer);
+        }
+        this.registrations.clear();
+    }
+
+    async stop() {
+        this.clearRegistrations();
+        if (this.fileWatcher) {
+            await this.fileWatcher.close();
+            this.fileWatcher = null;
+        }
+        if (this.gitWatcher) {
+            this.gitWatcher.close();
+            this.gitWatcher = null;
+        }
+    }
+}
+
+module.exports = WorkflowTriggerScheduler;
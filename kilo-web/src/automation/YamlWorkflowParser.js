@@ -0,0 +1,88 @@
+/**
+ * YamlWorkflowParser - Loads .yaml/.yml workflow files
+ * Parses full YAML (nested steps, parameters, conditions) and validates the
+ * result against WorkflowSchema, reporting problems with their line numbers
+ */
+
+const YAML = require('yaml');
+const WorkflowSchema = require('./WorkflowSchema');
+
+class YamlWorkflowParser {
+    /**
+     * Parse and validate a YAML workflow
+     * @param {string} content - File content
+     * @param {string} fileName - Used in error messages
+     * @returns {Object} Workflow definition
+     * @throws {Error} With `errors: [{line, path, message}]` when the file is invalid
+     */
+    parse(content, fileName) {
+        const lineCounter = new YAML.LineCounter();
+        const document = YAML.parseDocument(content, { lineCounter, prettyErrors: false });
+
+        if (document.errors.length > 0) {
+            throw this.createError(fileName, document.errors.map(error => ({
+                line: lineCounter.linePos(error.pos[0]).line,
+                path: [],
+                message: error.message.split('\n')[0]
+            })));
+        }
+
+        const workflow = document.toJS() ?? {};
+        if (typeof workflow !== 'object' || Array.isArray(workflow)) {
+            throw this.createError(fileName, [{ line: 1, path: [], message: 'a workflow must be a mapping with a "steps" list' }]);
+        }
+
+        const problems = WorkflowSchema.validate(workflow);
+        if (problems.length > 0) {
+            throw this.createError(fileName, problems.map(problem => ({
+                ...problem,
+                line: this.lineOf(document, lineCounter, problem.path)
+            })));
+        }
+
+        return workflow;
+    }
+
+    /**
+     * Line of the node at a path, falling back to the nearest ancestor that exists
+     */
+    lineOf(document, lineCounter, path) {
+        for (let length = path.length; length >= 0; length--) {
+            const node = this.nodeAt(document, path.slice(0, length));
+            if (node && node.range) {
+                return lineCounter.linePos(node.range[0]).line;
+            }
+        }
+        return 1;
+    }
+
+    nodeAt(document, path) {
+        if (path.length === 0) {
+            return document.contents;
+        }
+
+        // Point unknown-key errors at the key rather than its value
+        const parent = path.length > 1 ? document.getIn(path.slice(0, -1), true) : document.contents;
+        const key = path[path.length - 1];
+        if (YAML.isMap(parent)) {
+            const pair = parent.items.find(item => (YAML.isScalar(item.key) ? item.key.value : item.key) === key);
+            return pair ? pair.key : null;
+        }
+        return document.getIn(path, true);
+    }
+
+    createError(fileName, problems) {
+        const lines = problems
+            .sort((a, b) => a.line - b.line)
+            .map(problem => {
+                const location = problem.path.length > 0 ? `${WorkflowSchema.formatPath(problem.path)}: ` : '';
+                return `${fileName} line ${problem.line}: ${location}${problem.message}`;
+            });
+
+        const error = new Error(lines.join('\n'));
+        error.errors = problems;
+        return error;
+    }
+}
+
+module.exports = YamlWorkflowParser;
@@ -492,6 +492,7 @@ class AutoApproveManager {
       timestamp: Date.now(),
       operation: {
         type: operation.type,
+        toolName: operation.toolName,
         filePath: operation.filePath,
         command: operation.command,
         userId: operation.userId,
@@ -592,8 +593,11 @@ class AutoApproveManager {
   }
 
   startHourlyReset() {
-    // Reset hourly counters
-    setInterval(() => {
+    // Reset hourly counters; initialize runs again whenever settings change
+    if (this.hourlyResetInterval) {
+      clearInterval(this.hourlyResetInterval);
+    }
+    this.hourlyResetInterval = setInterval(() => {
       this.requestCounts.clear();
     }, 60 * 60 * 1000); // Every hour
   }
@@ -5,11 +5,14 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const { spawn } = require('child_process');
+const ChromiumBrowser = require('./ChromiumBrowser');
+const HtmlBrowser = require('./HtmlBrowser');
 
 class BrowserToolsManager {
   static DEFAULT_SETTINGS = {
     browserToolEnabled: true,
+    browserEngine: 'auto', // 'auto' (Chromium, falling back to HTML-only), 'chromium' or 'html'
+    browserExecutablePath: null,
     browserViewportSize: '1280x720',
     screenshotQuality: 75,
     remoteBrowserHost: null,
@@ -41,6 +44,8 @@ class BrowserToolsManager {
     this.workspaceDir = workspaceDir;
     this.settings = { ...BrowserToolsManager.DEFAULT_SETTINGS };
     this.browser = null;
+    this.browserLaunch = null;
+    this.cleanupInterval = null;
     this.pages = new Map();
     this.activePageId = null;
     this.sessionData = new Map();
@@ -60,6 +65,10 @@ class BrowserToolsManager {
    * Initialize the browser tools manager
    */
   async initialize(settings = {}) {
+    // Settings changes take effect on the next launch
+    if (this.browser || this.browserLaunch) {
+      await this.closeBrowser();
+    }
     this.settings = { ...BrowserToolsManager.DEFAULT_SETTINGS, ...settings };
     
     if (!this.settings.browserToolEnabled) {
@@ -68,8 +77,8 @@ class BrowserToolsManager {
     }
 
     try {
+      // The browser itself is launched lazily when the first page is opened
       await this.ensureDirectories();
-      await this.initializeBrowser();
       this.startSessionCleanup();
       this.isInitialized = true;
       console.log('✅ Browser Tools Manager initialized');
@@ -91,32 +100,81 @@ class BrowserToolsManager {
   }
 
   /**
-   * Launch local browser instance
+   * Launch the browser on first use, sharing one launch between concurrent callers
    */
-  async launchLocalBrowser() {
-    // This is a simplified implementation
-    // In production, you would use puppeteer or playwright
-    console.log('🌐 Launching local browser instance...');
-    
-    const browserOptions = {
+  async ensureBrowser() {
+    if (!this.isInitialized) {
+      throw new Error('Browser not initialized or not connected');
+    }
+    if (this.browser?.isConnected) {
+      return this.browser;
+    }
+
+    if (!this.browserLaunch) {
+      this.pages.clear();
+      this.activePageId = null;
+      this.browserLaunch = this.initializeBrowser().finally(() => {
+        this.browserLaunch = null;
+      });
+    }
+    await this.browserLaunch;
+    return this.browser;
+  }
+
+  /**
+   * Options shared by both browser engines
+   */
+  getBrowserOptions() {
+    const blockedUrls = [];
+    if (!this.settings.loadImages) {
+      blockedUrls.push('*.png', '*.jpg', '*.jpeg', '*.gif', '*.webp', '*.svg', '*.ico');
+    }
+
+    return {
       headless: this.settings.headlessMode,
       viewport: this.parseViewportSize(this.settings.browserViewportSize),
       userAgent: this.settings.userAgent,
       timeout: this.settings.timeout,
       javascript: this.settings.enableJavaScript,
-      loadImages: this.settings.loadImages
+      webSecurity: this.settings.enableWebSecurity,
+      proxy: this.settings.proxySettings,
+      blockedUrls
     };
+  }
 
-    // Simulated browser instance
-    this.browser = {
-      isConnected: true,
-      options: browserOptions,
-      pages: new Map(),
-      newPage: async () => this.createNewPage(),
-      close: async () => this.closeBrowser()
-    };
+  /**
+   * Launch local browser instance: headless Chromium when one is installed,
+   * otherwise the HTML-only engine
+   */
+  async launchLocalBrowser() {
+    const options = this.getBrowserOptions();
+    const engine = this.settings.browserEngine;
+
+    if (engine !== 'html') {
+      const executablePath = ChromiumBrowser.findExecutable(this.settings.browserExecutablePath);
+
+      if (executablePath) {
+        console.log(`🌐 Launching headless Chromium: ${executablePath}`);
+        try {
+          this.browser = await ChromiumBrowser.launch(executablePath, options);
+          console.log('Browser launched successfully');
+          return;
+        } catch (error) {
+          if (engine === 'chromium') throw error;
+          console.warn(`⚠️ Chromium failed to launch, using HTML-only browser: ${error.message}`);
+        }
+      } else if (engine === 'chromium') {
+        throw new Error('No Chromium executable found; set browserExecutablePath or CHROME_PATH');
+      } else {
+        console.warn('⚠️ No Chromium executable found, using HTML-only browser');
+      }
+    }
 
-    console.log('Browser launched successfully');
+    if (!HtmlBrowser.isAvailable()) {
+      throw new Error('No browser available: install Chromium or the optional jsdom package');
+    }
+    this.browser = await HtmlBrowser.launch(options);
+    console.log('🌐 HTML-only browser ready (no screenshots or script execution)');
   }
 
   /**
@@ -125,15 +183,7 @@ class BrowserToolsManager {
   async connectToRemoteBrowser() {
     console.log(`🔗 Connecting to remote browser at ${this.settings.remoteBrowserHost}...`);
     
-    // In production, implement actual remote browser connection
-    this.browser = {
-      isConnected: true,
-      isRemote: true,
-      host: this.settings.remoteBrowserHost,
-      pages: new Map(),
-      newPage: async () => this.createNewPage(),
-      close: async () => this.closeBrowser()
-    };
+    this.browser = await ChromiumBrowser.connect(this.settings.remoteBrowserHost, this.getBrowserOptions());
 
     console.log('Connected to remote browser successfully');
   }
@@ -142,9 +192,7 @@ class BrowserToolsManager {
    * Create a new browser page/tab
    */
   async createNewPage() {
-    if (!this.isInitialized || !this.browser?.isConnected) {
-      throw new Error('Browser not initialized or not connected');
-    }
+    const browser = await this.ensureBrowser();
 
     if (this.pages.size >= this.settings.maxConcurrentTabs) {
       throw new Error(`Maximum concurrent tabs (${this.settings.maxConcurrentTabs}) reached`);
@@ -153,6 +201,7 @@ class BrowserToolsManager {
     const pageId = this.generatePageId();
     const page = {
       id: pageId,
+      handle: await browser.newPage(),
       url: null,
       title: null,
       content: null,
@@ -182,13 +231,10 @@ class BrowserToolsManager {
     const startTime = Date.now();
 
     try {
-      // Simulate navigation
       console.log(`🔄 Navigating to: ${url}`);
       
-      // In production, use actual browser navigation
-      page.url = url;
-      page.title = `Page Title for ${url}`;
-      page.lastActivity = Date.now();
+      await page.handle.navigate(url, { timeout: options.timeout || this.settings.navigationTimeout });
+      await this.refreshPageInfo(page);
       
       // Add to interaction history
       page.interactions.push({
@@ -218,28 +264,40 @@ class BrowserToolsManager {
   async takeScreenshot(options = {}) {
     const page = await this.getActivePage();
     const timestamp = Date.now();
-    const filename = options.filename || `screenshot_${timestamp}.png`;
+    const format = options.format || 'webp';
+    const filename = options.filename || `screenshot_${timestamp}.${format}`;
     const fullPath = path.join(this.workspaceDir, this.settings.screenshotDirectory, filename);
 
     try {
-      // Simulate screenshot capture
+      const quality = options.quality || this.settings.screenshotQuality;
+      const image = await page.handle.screenshot({ format, quality, fullPage: options.fullPage });
+      if (!image) {
+        throw new Error('Screenshots require a Chromium browser; the HTML-only browser cannot render pages');
+      }
+
       const screenshotData = {
         filename,
-        path: fullPath,
+        path: options.save === false ? null : fullPath,
         url: page.url,
         timestamp,
-        quality: options.quality || this.settings.screenshotQuality,
+        format,
+        quality,
+        size: image.length,
         dimensions: this.parseViewportSize(this.settings.browserViewportSize)
       };
 
-      // In production, capture actual screenshot
-      await this.saveScreenshotData(screenshotData);
+      // Callers that only need the image (e.g. browser_action) can skip writing it to disk
+      if (options.save !== false) {
+        await this.saveScreenshotData(screenshotData, image);
+        console.log(`📸 Screenshot saved: ${filename}`);
+      }
       
       page.screenshots.push(screenshotData);
       this.stats.screenshotsTaken++;
-
-      console.log(`📸 Screenshot saved: ${filename}`);
-      return screenshotData;
+      return {
+        ...screenshotData,
+        dataUrl: `data:image/${format};base64,${image.toString('base64')}`
+      };
 
     } catch (error) {
       this.stats.errorsEncountered++;
@@ -255,14 +313,7 @@ class BrowserToolsManager {
     const page = await this.getActivePage();
 
     try {
-      // Simulate text extraction
-      let extractedText = '';
-      
-      if (selector) {
-        extractedText = `Text content from selector: ${selector} on ${page.url}`;
-      } else {
-        extractedText = `Full page text content from ${page.url}`;
-      }
+      const extractedText = await page.handle.text(selector);
 
       page.interactions.push({
         type: 'text_extraction',
@@ -292,8 +343,12 @@ class BrowserToolsManager {
     const page = await this.getActivePage();
 
     try {
-      // Simulate click
-      console.log(`👆 Clicking element: ${selector}`);
+      console.log(`👆 Clicking element: ${selector || `(${options.coordinates.x}, ${options.coordinates.y})`}`);
+      
+      await page.handle.click(selector || options.coordinates, {
+        timeout: options.timeout || this.settings.navigationTimeout
+      });
+      await this.refreshPageInfo(page);
       
       page.interactions.push({
         type: 'click',
@@ -305,6 +360,7 @@ class BrowserToolsManager {
       return {
         success: true,
         selector,
+        url: page.url,
         timestamp: Date.now()
       };
 
@@ -325,7 +381,7 @@ class BrowserToolsManager {
       console.log(`📝 Filling form on: ${page.url}`);
       
       for (const [selector, value] of Object.entries(formData)) {
-        // Simulate form filling
+        await page.handle.fill(selector, value);
         page.interactions.push({
           type: 'form_fill',
           selector,
@@ -356,6 +412,9 @@ class BrowserToolsManager {
     try {
       console.log(`📤 Submitting form: ${selector}`);
       
+      await page.handle.submit(selector, { timeout: this.settings.navigationTimeout });
+      await this.refreshPageInfo(page);
+      
       page.interactions.push({
         type: 'form_submit',
         selector,
@@ -367,6 +426,7 @@ class BrowserToolsManager {
       return {
         success: true,
         selector,
+        url: page.url,
         timestamp: Date.now()
       };
 
@@ -385,13 +445,11 @@ class BrowserToolsManager {
     const startTime = Date.now();
 
     try {
-      // Simulate waiting
       console.log(`⏳ Waiting for element: ${selector}`);
       
-      // In production, implement actual waiting logic
-      await new Promise(resolve => setTimeout(resolve, 1000));
-
       const page = await this.getActivePage();
+      const found = await page.handle.waitFor(selector, { timeout });
+
       page.interactions.push({
         type: 'wait_element',
         selector,
@@ -400,7 +458,7 @@ class BrowserToolsManager {
       });
 
       return {
-        found: true,
+        found,
         selector,
         waitTime: Date.now() - startTime
       };
@@ -425,9 +483,12 @@ class BrowserToolsManager {
     try {
       console.log(`🔧 Executing script on: ${page.url}`);
       
-      // Simulate script execution
-      const result = `Script result for: ${script.substring(0, 50)}...`;
-      
+      // With arguments the script is treated as a function to call
+      const expression = args.length > 0
+        ? `(${script}).apply(null, ${JSON.stringify(args)})`
+        : script;
+      const result = await page.handle.evaluate(expression);
+
       page.interactions.push({
         type: 'script_execution',
         script: script.substring(0, 100) + '...',
@@ -455,7 +516,8 @@ class BrowserToolsManager {
     }
 
     const page = await this.getActivePage();
-    return page.cookies || [];
+    page.cookies = await page.handle.cookies();
+    return page.cookies;
   }
 
   /**
@@ -467,6 +529,7 @@ class BrowserToolsManager {
     }
 
     const page = await this.getActivePage();
+    await page.handle.setCookies(cookies);
     page.cookies = cookies;
 
     page.interactions.push({
@@ -486,14 +549,39 @@ class BrowserToolsManager {
     const downloadPath = path.join(this.workspaceDir, this.settings.downloadDirectory, filename);
 
     try {
+      await this.validateAndCleanUrl(url);
       console.log(`📥 Downloading file: ${url}`);
       
-      // Simulate download
+      const response = await fetch(url, {
+        headers: { 'User-Agent': this.settings.userAgent },
+        signal: AbortSignal.timeout(options.timeout || this.settings.timeout)
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const declaredSize = Number(response.headers.get('content-length'));
+      if (declaredSize > this.settings.maxDownloadSize) {
+        throw new Error(`File exceeds maximum download size (${declaredSize} > ${this.settings.maxDownloadSize} bytes)`);
+      }
+
+      const chunks = [];
+      let size = 0;
+      for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > this.settings.maxDownloadSize) {
+          throw new Error(`File exceeds maximum download size (${this.settings.maxDownloadSize} bytes)`);
+        }
+        chunks.push(chunk);
+      }
+      await fs.writeFile(downloadPath, Buffer.concat(chunks));
+
       const downloadInfo = {
         url,
         filename,
         path: downloadPath,
-        size: Math.floor(Math.random() * 1000000), // Simulated size
+        size,
+        mimeType: response.headers.get('content-type'),
         timestamp: Date.now(),
         status: 'completed'
       };
@@ -515,9 +603,7 @@ class BrowserToolsManager {
    */
   async getPageSource() {
     const page = await this.getActivePage();
-    
-    // Simulate getting page source
-    const pageSource = `<!DOCTYPE html><html><head><title>${page.title}</title></head><body>Simulated page content for ${page.url}</body></html>`;
+    const pageSource = await page.handle.content();
     
     return {
       source: pageSource,
@@ -536,6 +622,7 @@ class BrowserToolsManager {
       throw new Error(`Page ${targetPageId} not found`);
     }
 
+    await this.pages.get(targetPageId).handle.close();
     this.pages.delete(targetPageId);
     
     if (this.activePageId === targetPageId) {
@@ -552,7 +639,7 @@ class BrowserToolsManager {
    * Get active page
    */
   async getActivePage() {
-    if (!this.activePageId || !this.pages.has(this.activePageId)) {
+    if (!this.browser?.isConnected || !this.activePageId || !this.pages.has(this.activePageId)) {
       // Create new page if none exists
       return await this.createNewPage();
     }
@@ -577,6 +664,73 @@ class BrowserToolsManager {
     return { success: true, pageId, url: page.url };
   }
 
+  /**
+   * Move the mouse over a viewport coordinate
+   */
+  async hoverAt(x, y) {
+    const page = await this.getActivePage();
+    await page.handle.hover({ x, y });
+    page.interactions.push({ type: 'hover', coordinates: { x, y }, timestamp: Date.now() });
+    return { success: true, x, y };
+  }
+
+  /**
+   * Type text into the focused element
+   */
+  async typeText(text) {
+    const page = await this.getActivePage();
+    await page.handle.type(text);
+    page.interactions.push({ type: 'type', length: text.length, timestamp: Date.now() });
+    return { success: true, length: text.length };
+  }
+
+  /**
+   * Scroll the active page by one viewport height
+   */
+  async scrollPage(direction = 'down') {
+    const page = await this.getActivePage();
+    const { height } = this.parseViewportSize(this.settings.browserViewportSize);
+    await page.handle.scroll(direction === 'up' ? -height : height);
+    page.interactions.push({ type: 'scroll', direction, timestamp: Date.now() });
+    return { success: true, direction };
+  }
+
+  /**
+   * Resize the viewport of the active page
+   */
+  async resizeViewport(size) {
+    const { width, height } = this.parseViewportSize(size);
+    if (!width || !height) {
+      throw new Error(`Invalid viewport size: ${size} (expected WIDTHxHEIGHT)`);
+    }
+
+    const page = await this.getActivePage();
+    await page.handle.setViewport(width, height);
+    page.interactions.push({ type: 'resize', width, height, timestamp: Date.now() });
+    return { success: true, width, height };
+  }
+
+  /**
+   * Console output from the active page since the last call
+   */
+  async getConsoleLogs() {
+    const page = await this.getActivePage();
+    return page.handle.takeConsoleLogs();
+  }
+
+  /**
+   * Which engine is driving pages: 'chromium', 'html' or null before launch
+   */
+  getEngine() {
+    return this.browser?.isConnected ? this.browser.engine : null;
+  }
+
+  async refreshPageInfo(page) {
+    page.url = page.handle.url();
+    page.title = await page.handle.title().catch(() => page.title);
+    page.lastActivity = Date.now();
+  }
+
   /**
    * List all pages
    */
@@ -599,6 +753,7 @@ class BrowserToolsManager {
   getStats() {
     return {
       ...this.stats,
+      engine: this.getEngine(),
       activePagesCount: this.pages.size,
       totalSessionTime: Date.now() - this.stats.sessionStartTime,
       averagePageLifetime: this.calculateAveragePageLifetime(),
@@ -687,14 +842,17 @@ class BrowserToolsManager {
     }
   }
 
-  async saveScreenshotData(screenshotData) {
-    // In production, save actual screenshot file
-    await fs.writeFile(screenshotData.path, `Simulated screenshot data for ${screenshotData.url}`);
+  async saveScreenshotData(screenshotData, image) {
+    await fs.writeFile(screenshotData.path, image);
   }
 
   startSessionCleanup() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+    }
+
     // Clean up inactive pages periodically
-    setInterval(() => {
+    this.cleanupInterval = setInterval(() => {
       const cutoff = Date.now() - this.settings.sessionTimeout;
       const inactivePages = [];
 
@@ -704,24 +862,42 @@ class BrowserToolsManager {
         }
       }
 
-      inactivePages.forEach(pageId => this.closePage(pageId));
+      inactivePages.forEach(pageId => this.closePage(pageId).catch(() => {}));
       
       if (inactivePages.length > 0) {
         console.log(`🧹 Cleaned up ${inactivePages.length} inactive pages`);
       }
     }, 300000); // Check every 5 minutes
+    this.cleanupInterval.unref();
   }
 
   /**
    * Close browser and cleanup
    */
   async closeBrowser() {
-    if (this.browser?.isConnected) {
+    if (this.browserLaunch) {
+      await this.browserLaunch.catch(() => {});
+    }
+
+    if (this.browser) {
       console.log('🔒 Closing browser...');
-      this.browser.isConnected = false;
+      try {
+        // Remote browsers outlive us, so close the tabs we opened
+        for (const page of this.pages.values()) {
+          await page.handle.close().catch(() => {});
+        }
+        await this.browser.close();
+      } catch (error) {
+        console.warn('Error closing browser:', error.message);
+      }
       this.browser = null;
     }
 
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+
     this.pages.clear();
     this.activePageId = null;
     this.isInitialized = false;
@@ -6,6 +6,22 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const ProviderSettingsManager = require('./ProviderSettingsManager');
+const TokenCounter = require('./TokenCounter');
+
+const DEFAULT_CONDENSING_PROMPT = `You are summarizing the earlier part of a conversation between a user and a coding assistant so the conversation can continue without it.
+
+Write a concise summary that keeps:
+- What the user asked for and the current state of that work
+- Every file path, function or command that was read, changed or discussed
+- Decisions made and the reasons given for them
+- Errors hit and how they were resolved
+- Anything still pending or promised
+
+Write the summary only, with no preamble.`;
+
+// Paths like src/core/ChatManager.js or ./server.js mentioned in message text
+const FILE_PATH_PATTERN = /(?:^|[\s`'"(])((?:\.{0,2}\/)?[\w@.-]+(?:\/[\w@.-]+)*\.[A-Za-z0-9]{1,8})(?=$|[\s`'"),:;]|\.(?:\s|$))/g;
 
 class ChatManager {
   constructor(workspaceDir) {
@@ -15,7 +31,12 @@ class ChatManager {
     this.messages = [];
     this.contextFiles = new Set();
     this.taskStack = [];
+    this.condenseHistory = []; // [{ id, timestamp, messages }] originals kept so a condense can be undone
     this.messageSender = null;
+    this.providerSettingsManager = null;
+    this.settingsService = null;
+    this.tokenCounter = TokenCounter.shared;
+    this.tokenTarget = {}; // { provider, model } whose tokenizer counts the messages
     
     this.ensureDirectories();
   }
@@ -32,6 +53,29 @@ class ChatManager {
     this.messageSender = sender;
   }
 
+  /**
+   * Count tokens the way `profile`'s provider and model do, and recount the loaded messages
+   */
+  setTokenTarget(profile) {
+    this.tokenTarget = profile ? { provider: profile.provider, model: profile.model } : {};
+    this.recountTokens();
+  }
+
+  recountTokens() {
+    for (const msg of this.messages) {
+      msg.metadata = { ...msg.metadata, tokensEstimate: this.estimateTokens(msg.text) };
+    }
+  }
+
+  /**
+   * Services condensing needs: provider profiles to summarize with, and the
+   * global settings holding condensingApiConfigId and customCondensingPrompt
+   */
+  setCondensingServices({ providerSettingsManager, settingsService }) {
+    this.providerSettingsManager = providerSettingsManager || null;
+    this.settingsService = settingsService || null;
+  }
+
   generateConversationId() {
     return crypto.randomUUID();
   }
@@ -52,6 +96,7 @@ class ChatManager {
       }] : [],
       contextFiles: [],
       taskStack: [],
+      condenseHistory: [],
       metadata: {
         totalMessages: initialMessage ? 1 : 0,
         tokensUsed: 0,
@@ -64,6 +109,7 @@ class ChatManager {
     this.messages = conversation.messages;
     this.contextFiles = new Set(conversation.contextFiles);
     this.taskStack = conversation.taskStack;
+    this.condenseHistory = [];
 
     return conversation;
   }
@@ -78,6 +124,8 @@ class ChatManager {
       this.messages = conversation.messages || [];
       this.contextFiles = new Set(conversation.contextFiles || []);
       this.taskStack = conversation.taskStack || [];
+      this.condenseHistory = conversation.condenseHistory || [];
+      this.recountTokens(); // Saved counts may come from another tokenizer
 
       // Send updated state to WebSocket
       if (this.messageSender) {
@@ -110,6 +158,7 @@ class ChatManager {
       messages: this.messages,
       contextFiles: Array.from(this.contextFiles),
       taskStack: this.taskStack,
+      condenseHistory: this.condenseHistory,
       metadata: {
         totalMessages: this.messages.length,
         tokensUsed: this.calculateTokens(),
@@ -178,6 +227,10 @@ class ChatManager {
       ...this.messages[messageIndex],
       text: newText,
       lastModified: Date.now(),
+      metadata: {
+        ...this.messages[messageIndex].metadata,
+        tokensEstimate: this.estimateTokens(newText)
+      },
       editHistory: [
         ...(this.messages[messageIndex].editHistory || []),
         {
@@ -231,6 +284,7 @@ class ChatManager {
     this.messages = [];
     this.contextFiles.clear();
     this.taskStack = [];
+    this.condenseHistory = [];
     
     if (this.currentConversationId) {
       await this.saveConversation();
@@ -321,52 +375,204 @@ class ChatManager {
   }
 
   estimateTokens(text) {
-    // Simple token estimation (roughly 4 characters per token)
-    return Math.ceil(text.length / 4);
+    return this.tokenCounter.count(text || '', this.tokenTarget);
   }
 
   calculateTokens() {
     return this.messages.reduce((total, msg) => total + this.estimateTokens(msg.text), 0);
   }
 
-  async condenseConversation(maxTokens = 8000) {
+  /**
+   * Replace older messages with a summary written by the condensing provider profile.
+   * The original messages are kept in condenseHistory so the condense can be undone.
+   * @returns {Promise<Object|false>} The summary message, or false when nothing needed condensing
+   */
+  async condenseConversation(maxTokens = 8000, options = {}) {
     const currentTokens = this.calculateTokens();
     
-    if (currentTokens <= maxTokens) {
+    if (currentTokens <= maxTokens && !options.force) {
       return false; // No condensing needed
     }
 
-    // Keep system messages, recent messages, and important context
-    const systemMessages = this.messages.filter(msg => msg.type === 'system');
+    // Keep system messages, recent messages, and important context; earlier summaries are summarized again
+    const systemMessages = this.messages.filter(msg => msg.type === 'system' && !msg.metadata?.condensed);
     const recentMessages = this.messages.slice(-10); // Keep last 10 messages
     const importantMessages = this.messages.filter(msg => 
       msg.metadata?.important || 
       msg.metadata?.toolsUsed?.length > 0
-    );
+    ).slice(-5); // Keep last 5 important messages
 
-    // Create condensed conversation
-    const condensedMessages = [
-      ...systemMessages,
-      {
-        id: crypto.randomUUID(),
-        type: 'system',
-        text: `[Previous conversation condensed - ${this.messages.length - recentMessages.length} messages summarized]`,
-        timestamp: Date.now(),
-        metadata: { condensed: true }
-      },
-      ...importantMessages.slice(-5), // Keep last 5 important messages
-      ...recentMessages
-    ];
+    const keptIds = new Set([...systemMessages, ...importantMessages, ...recentMessages].map(msg => msg.id));
+    const summarized = this.messages.filter(msg => !keptIds.has(msg.id));
+    if (summarized.length === 0) {
+      return false;
+    }
+
+    const { text, profile } = await this.summarizeMessages(summarized);
+    const condenseId = crypto.randomUUID();
+    const summaryMessage = {
+      id: crypto.randomUUID(),
+      type: 'system',
+      text: text,
+      timestamp: Date.now(),
+      metadata: {
+        condensed: true,
+        condenseId: condenseId,
+        summarizedMessages: summarized.length,
+        tokensEstimate: this.estimateTokens(text),
+        tokensBefore: currentTokens,
+        profile: profile.name
+      }
+    };
 
-    // Remove duplicates
-    const uniqueMessages = condensedMessages.filter((msg, index, arr) => 
-      arr.findIndex(m => m.id === msg.id) === index
-    );
+    // The summary takes the place of the first message it replaces
+    const firstIndex = this.messages.findIndex(msg => !keptIds.has(msg.id));
+    const condensedMessages = this.messages.filter((msg, index) => keptIds.has(msg.id) && index < firstIndex);
+    condensedMessages.push(summaryMessage, ...this.messages.filter((msg, index) => keptIds.has(msg.id) && index > firstIndex));
 
-    this.messages = uniqueMessages;
+    this.condenseHistory.push({ id: condenseId, timestamp: Date.now(), messages: this.messages });
+    this.messages = condensedMessages;
     await this.saveConversation();
+    console.log(`🗜️ Condensed ${summarized.length} messages (${currentTokens} -> ${this.calculateTokens()} tokens) with profile ${profile.name}`);
 
-    return true; // Condensing performed
+    if (this.messageSender) {
+      this.messageSender({
+        type: 'conversationCondensed',
+        data: {
+          conversationId: this.currentConversationId,
+          condenseId: condenseId,
+          summary: summaryMessage,
+          summarizedMessages: summarized.length
+        }
+      });
+      this.sendMessagesState();
+    }
+
+    return summaryMessage;
+  }
+
+  /**
+   * Bring back the messages a condense replaced (the latest one by default).
+   * Undoing an older condense undoes the ones after it too; messages added since are kept.
+   */
+  async undoCondense(condenseId = null) {
+    const index = condenseId
+      ? this.condenseHistory.findIndex(entry => entry.id === condenseId)
+      : this.condenseHistory.length - 1;
+    if (index === -1) {
+      throw new Error(condenseId ? 'Condense not found' : 'No condense to undo');
+    }
+
+    const undone = this.condenseHistory.splice(index);
+    const undoneIds = new Set(undone.map(entry => entry.id));
+
+    // Later copies of a message replace earlier ones (edits) but keep its original position
+    const restored = new Map();
+    for (const messages of [...undone.map(entry => entry.messages), this.messages]) {
+      for (const msg of messages) {
+        if (!undoneIds.has(msg.metadata?.condenseId)) {
+          restored.set(msg.id, msg);
+        }
+      }
+    }
+
+    this.messages = Array.from(restored.values());
+    await this.saveConversation();
+
+    if (this.messageSender) {
+      this.messageSender({
+        type: 'condenseUndone',
+        data: {
+          conversationId: this.currentConversationId,
+          condenseIds: Array.from(undoneIds),
+          messageCount: this.messages.length
+        }
+      });
+      this.sendMessagesState();
+    }
+
+    return this.messages;
+  }
+
+  /**
+   * Ask the condensing provider profile for a summary of `messages`
+   * @returns {Promise<{text: string, profile: Object}>}
+   */
+  async summarizeMessages(messages) {
+    if (!this.providerSettingsManager) {
+      throw new Error('Condensing needs provider settings, which are not available');
+    }
+
+    const settings = this.settingsService ? (await this.settingsService.getGlobalSettings()) || {} : {};
+    const profile = await this.getCondensingProfile(settings.condensingApiConfigId);
+    const provider = ProviderSettingsManager.createProvider(profile);
+    const systemPrompt = (settings.customCondensingPrompt || '').trim() || DEFAULT_CONDENSING_PROMPT;
+
+    const filePaths = this.collectFilePaths(messages);
+    const transcript = messages.map(msg => `[${msg.type}] ${msg.text || ''}`).join('\n\n');
+    let prompt = `Summarize this conversation:\n\n${transcript}`;
+    if (filePaths.length > 0) {
+      prompt += `\n\nFiles mentioned: ${filePaths.join(', ')}`;
+    }
+
+    const request = {
+      messages: [{ role: 'user', content: prompt }],
+      systemPrompt: systemPrompt
+    };
+    const response = await provider.complete(request);
+    this.tokenCounter.recordUsage({ provider: profile.provider, model: profile.model }, request, response.usage);
+
+    let text = (response.content || '').trim();
+    if (!text) {
+      throw new Error(`Provider profile '${profile.name}' returned an empty summary`);
+    }
+
+    // File paths are what later messages most often refer back to, so never lose them
+    const missingPaths = filePaths.filter(filePath => !text.includes(filePath));
+    if (missingPaths.length > 0) {
+      text += `\n\nFiles mentioned earlier: ${missingPaths.join(', ')}`;
+    }
+    return { text, profile };
+  }
+
+  /**
+   * The profile set in condensingApiConfigId, else the active one
+   */
+  async getCondensingProfile(configId) {
+    if (configId) {
+      try {
+        return await this.providerSettingsManager.getProfile({ id: configId });
+      } catch (error) {
+        console.warn(`⚠️ Condensing profile ${configId} not found, using the active provider`);
+      }
+    }
+    return this.providerSettingsManager.getCurrentProvider();
+  }
+
+  /**
+   * Context files and file paths named in the messages, in first-mentioned order
+   */
+  collectFilePaths(messages, limit = 50) {
+    const paths = new Set();
+    for (const msg of messages) {
+      (msg.metadata?.contextFiles || []).forEach(filePath => paths.add(filePath));
+      for (const match of (msg.text || '').matchAll(FILE_PATH_PATTERN)) {
+        if (!/\.\d+$/.test(match[1])) { // Version numbers, not files
+          paths.add(match[1]);
+        }
+      }
+    }
+    return Array.from(paths).slice(0, limit);
+  }
+
+  sendMessagesState() {
+    this.messageSender({
+      type: 'state',
+      state: {
+        clineMessages: this.messages,
+        currentConversationId: this.currentConversationId
+      }
+    });
   }
 
   getCurrentState() {
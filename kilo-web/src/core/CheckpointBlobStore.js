@@ -0,0 +1,223 @@
+/**
+ * Checkpoint Blob Store for Kilo-Web
+ * Content-addressed storage for checkpoint file contents. Each unique file
+ * content is stored once, keyed by its SHA-256 and compressed on disk, so
+ * checkpoints only hold a manifest of path -> hash.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const brotliCompress = promisify(zlib.brotliCompress);
+const brotliDecompress = promisify(zlib.brotliDecompress);
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+class CheckpointBlobStore {
+  // File suffix per encoding; blobs keep their original encoding if settings change later
+  static ENCODINGS = {
+    brotli: '.br',
+    gzip: '.gz',
+    none: ''
+  };
+
+  // Temp files younger than this may belong to a write still in progress
+  static STALE_TEMP_MS = 60 * 60 * 1000;
+
+  constructor(objectsDir, options = {}) {
+    this.objectsDir = objectsDir;
+    this.encoding = options.encoding || 'brotli';
+    this.stats = {
+      blobCount: 0,
+      storedBytes: 0
+    };
+  }
+
+  static hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Create the objects directory and count what is already stored
+   */
+  async initialize() {
+    await fs.mkdir(this.objectsDir, { recursive: true });
+
+    this.stats = { blobCount: 0, storedBytes: 0 };
+    for (const blob of await this.listBlobs()) {
+      if (blob.temporary) continue;
+      this.stats.blobCount++;
+      this.stats.storedBytes += blob.size;
+    }
+  }
+
+  blobPath(hash, encoding) {
+    return path.join(this.objectsDir, hash.slice(0, 2), hash.slice(2) + CheckpointBlobStore.ENCODINGS[encoding]);
+  }
+
+  /**
+   * Find the stored file for a hash, whichever encoding it was written with
+   * @returns {Promise<{path: string, encoding: string}|null>}
+   */
+  async locate(hash) {
+    for (const encoding of Object.keys(CheckpointBlobStore.ENCODINGS)) {
+      const blobPath = this.blobPath(hash, encoding);
+      try {
+        await fs.access(blobPath);
+        return { path: blobPath, encoding };
+      } catch (error) {
+        // Try the next encoding
+      }
+    }
+    return null;
+  }
+
+  async has(hash) {
+    return (await this.locate(hash)) !== null;
+  }
+
+  /**
+   * Store content, returning its hash. Content that is already stored is not written again.
+   * @returns {Promise<{hash: string, stored: boolean}>}
+   */
+  async write(content, hash = CheckpointBlobStore.hash(content)) {
+    if (await this.has(hash)) {
+      return { hash, stored: false };
+    }
+
+    const data = await this.encode(content);
+    const blobPath = this.blobPath(hash, this.encoding);
+    await fs.mkdir(path.dirname(blobPath), { recursive: true });
+
+    // Write then rename so a crash never leaves a truncated blob under its final name
+    const tempPath = `${blobPath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, blobPath);
+
+    this.stats.blobCount++;
+    this.stats.storedBytes += data.length;
+    return { hash, stored: true };
+  }
+
+  /**
+   * Read and decompress a blob, verifying it against its hash
+   */
+  async read(hash) {
+    const location = await this.locate(hash);
+    if (!location) {
+      throw new Error(`Checkpoint blob ${hash} not found`);
+    }
+
+    const content = await this.decode(await fs.readFile(location.path), location.encoding);
+    if (CheckpointBlobStore.hash(content) !== hash) {
+      throw new Error(`Checkpoint blob ${hash} is corrupt`);
+    }
+    return content;
+  }
+
+  async encode(content) {
+    switch (this.encoding) {
+      case 'brotli':
+        return brotliCompress(content, {
+          params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 9 }
+        });
+      case 'gzip':
+        return gzip(content, { level: 9 });
+      default:
+        return content;
+    }
+  }
+
+  async decode(data, encoding) {
+    switch (encoding) {
+      case 'brotli':
+        return brotliDecompress(data);
+      case 'gzip':
+        return gunzip(data);
+      default:
+        return data;
+    }
+  }
+
+  /**
+   * Every blob on disk
+   * @returns {Promise<Array<{hash: string, path: string, size: number}>>}
+   */
+  async listBlobs() {
+    const blobs = [];
+    let prefixes;
+    try {
+      prefixes = await fs.readdir(this.objectsDir);
+    } catch (error) {
+      return blobs;
+    }
+
+    for (const prefix of prefixes) {
+      const prefixDir = path.join(this.objectsDir, prefix);
+      let entries;
+      try {
+        entries = await fs.readdir(prefixDir);
+      } catch (error) {
+        continue; // Not a directory
+      }
+
+      for (const entry of entries) {
+        const blobPath = path.join(prefixDir, entry);
+        const stats = await fs.stat(blobPath);
+        blobs.push({
+          hash: prefix + entry.split('.')[0],
+          path: blobPath,
+          size: stats.size,
+          modified: stats.mtimeMs,
+          temporary: entry.endsWith('.tmp')
+        });
+      }
+    }
+    return blobs;
+  }
+
+  /**
+   * Delete every blob not in the referenced set, plus stale temp files
+   * @returns {Promise<{removed: number, freedBytes: number}>}
+   */
+  async collectGarbage(referencedHashes) {
+    let removed = 0;
+    let freedBytes = 0;
+
+    for (const blob of await this.listBlobs()) {
+      if (blob.temporary
+        ? Date.now() - blob.modified < CheckpointBlobStore.STALE_TEMP_MS
+        : referencedHashes.has(blob.hash)) {
+        continue;
+      }
+
+      try {
+        await fs.unlink(blob.path);
+        if (!blob.temporary) {
+          removed++;
+          this.stats.blobCount--;
+          this.stats.storedBytes -= blob.size;
+        }
+        freedBytes += blob.size;
+      } catch (error) {
+        console.warn(`Failed to remove checkpoint blob ${blob.hash}:`, error.message);
+      }
+    }
+
+    // Drop prefix directories that are now empty
+    for (const prefix of await fs.readdir(this.objectsDir).catch(() => [])) {
+      await fs.rmdir(path.join(this.objectsDir, prefix)).catch(() => {});
+    }
+
+    return { removed, freedBytes };
+  }
+
+  getStats() {
+    return { ...this.stats, encoding: this.encoding };
+  }
+}
+
+module.exports = CheckpointBlobStore;
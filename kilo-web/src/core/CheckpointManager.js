@@ -5,11 +5,9 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const crypto = require('crypto');
-
-const execAsync = promisify(exec);
+const CheckpointBlobStore = require('./CheckpointBlobStore');
+const ShadowGitRepository = require('./ShadowGitRepository');
+const UnifiedDiff = require('./UnifiedDiff');
 
 class CheckpointManager {
   static DEFAULT_SETTINGS = {
@@ -23,6 +21,7 @@ class CheckpointManager {
     smartTiming: true,
     retentionDays: 30,
     compressionEnabled: true,
+    compressionAlgorithm: 'brotli', // 'brotli' or 'gzip'
     backupDirectory: '.kilo/checkpoints',
     includePatterns: ['**/*.js', '**/*.ts', '**/*.jsx', '**/*.tsx', '**/*.json', '**/*.md'],
     excludePatterns: ['node_modules/**', '.git/**', '*.log', 'dist/**', 'build/**'],
@@ -30,10 +29,20 @@ class CheckpointManager {
     diffViewerEnabled: true
   };
 
+  // Directories under backupDirectory that hold storage rather than a checkpoint
+  static STORAGE_DIRECTORIES = ['objects', 'shadow.git'];
+
+  // Files larger than this are listed in diffs without hunks
+  static MAX_DIFF_FILE_SIZE = 1024 * 1024;
+
   constructor(workspaceDir = './') {
     this.workspaceDir = workspaceDir;
     this.settings = { ...CheckpointManager.DEFAULT_SETTINGS };
     this.checkpoints = new Map();
+    this.blobStore = null;
+    this.shadowGit = null; // Set when git integration is enabled and git is installed
+    this.fileHashCache = new Map(); // path -> { size, modified, hash } from the last capture
+    this.pendingHashes = new Set(); // Blobs written by captures that haven't been saved yet
     this.lastCheckpointTime = 0;
     this.fileWatchers = new Map();
     this.activityBuffer = [];
@@ -44,7 +53,8 @@ class CheckpointManager {
       autoCheckpoints: 0,
       manualCheckpoints: 0,
       restorations: 0,
-      cleanups: 0
+      cleanups: 0,
+      blobsCollected: 0
     };
   }
 
@@ -55,6 +65,12 @@ class CheckpointManager {
     this.settings = { ...CheckpointManager.DEFAULT_SETTINGS, ...settings };
     
     await this.ensureCheckpointDirectory();
+    this.blobStore = new CheckpointBlobStore(
+      path.join(this.workspaceDir, this.settings.backupDirectory, 'objects'),
+      { encoding: this.settings.compressionEnabled ? this.settings.compressionAlgorithm : 'none' }
+    );
+    await this.blobStore.initialize();
+    await this.initializeShadowGit();
     await this.loadExistingCheckpoints();
     
     if (this.settings.enableCheckpoints) {
@@ -91,15 +107,24 @@ class CheckpointManager {
       }
     };
 
+    const capturedHashes = new Set();
     try {
-      // Capture current state
-      checkpoint.state = await this.captureWorkspaceState();
-      
-      // Create git commit if enabled
-      if (this.settings.gitIntegrationEnabled) {
+      // Prefer a shadow git commit; the blob store covers workspaces without git
+      if (this.shadowGit) {
         checkpoint.gitCommit = await this.createGitCommit(checkpoint);
       }
       
+      if (checkpoint.gitCommit) {
+        checkpoint.state = {
+          format: 'git',
+          timestamp,
+          ...await this.shadowGit.getTreeState(checkpoint.gitCommit.hash),
+          newBlobs: 0
+        };
+      } else {
+        checkpoint.state = await this.captureWorkspaceState({ capturedHashes });
+      }
+      
       // Save checkpoint data
       await this.saveCheckpoint(checkpoint);
       
@@ -123,6 +148,10 @@ class CheckpointManager {
     } catch (error) {
       console.error('Failed to create checkpoint:', error);
       throw error;
+    } finally {
+      for (const hash of capturedHashes) {
+        this.pendingHashes.delete(hash);
+      }
     }
   }
 
@@ -138,18 +167,15 @@ class CheckpointManager {
     try {
       // Create backup of current state before restoration
       if (options.createBackup !== false) {
-        await this.createCheckpoint({
-          type: 'backup',
-          description: `Backup before restoring ${checkpointId}`,
-          tags: ['pre-restore', 'backup']
-        });
+        await this.createRestoreBackup(checkpointId);
       }
 
-      // Git-based restoration
-      if (checkpoint.gitCommit && this.settings.gitIntegrationEnabled) {
+      if (this.isShadowCheckpoint(checkpoint)) {
         await this.restoreFromGit(checkpoint.gitCommit);
+      } else if (checkpoint.state?.format === 'git') {
+        throw new Error(`Checkpoint ${checkpointId} is stored in the shadow git repository, which is unavailable`);
       } else {
-        // File-based restoration
+        // File-based restoration (also used for checkpoints whose gitCommit points into the user's own repo)
         await this.restoreWorkspaceState(checkpoint.state);
       }
 
@@ -169,6 +195,127 @@ class CheckpointManager {
     }
   }
 
+  /**
+   * Restore only the given files from a checkpoint. Files the checkpoint
+   * doesn't contain are deleted from the workspace.
+   */
+  async restoreFiles(checkpointId, filePaths, options = {}) {
+    const checkpoint = this.checkpoints.get(checkpointId);
+    if (!checkpoint) {
+      throw new Error(`Checkpoint ${checkpointId} not found`);
+    }
+    if (!Array.isArray(filePaths) || filePaths.length === 0) {
+      throw new Error('No files given to restore');
+    }
+
+    try {
+      const relativePaths = filePaths.map(filePath => this.normalizeFilePath(filePath));
+      const contents = [];
+      for (const filePath of relativePaths) {
+        contents.push(await this.readCheckpointFile(checkpoint, filePath));
+      }
+
+      if (options.createBackup !== false) {
+        await this.createRestoreBackup(checkpointId);
+      }
+
+      const restored = [];
+      const removed = [];
+      for (let i = 0; i < relativePaths.length; i++) {
+        const fullPath = path.join(this.workspaceDir, relativePaths[i]);
+        if (contents[i] === null) {
+          await fs.rm(fullPath, { force: true });
+          removed.push(relativePaths[i]);
+        } else {
+          await fs.mkdir(path.dirname(fullPath), { recursive: true });
+          await fs.writeFile(fullPath, contents[i]);
+          restored.push(relativePaths[i]);
+        }
+      }
+
+      this.stats.restorations++;
+      console.log(`🔄 Restored ${relativePaths.length} files from checkpoint: ${checkpointId}`);
+
+      return {
+        restored: true,
+        checkpointId,
+        files: restored,
+        removed
+      };
+
+    } catch (error) {
+      console.error('Failed to restore checkpoint files:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Undo selected hunks of a file's checkpoint -> workspace diff, leaving the
+   * other changes in place. Hunk indexes refer to getFileDiffs(checkpointId, 'current')
+   * with the same contextLines.
+   */
+  async restoreHunks(checkpointId, filePath, hunkIndexes, options = {}) {
+    const checkpoint = this.checkpoints.get(checkpointId);
+    if (!checkpoint) {
+      throw new Error(`Checkpoint ${checkpointId} not found`);
+    }
+    if (!Array.isArray(hunkIndexes) || hunkIndexes.length === 0) {
+      throw new Error('No hunks given to restore');
+    }
+
+    try {
+      const relativePath = this.normalizeFilePath(filePath);
+      const saved = await this.readCheckpointFile(checkpoint, relativePath);
+      const current = await this.readWorkspaceFile(relativePath);
+      if ((saved && UnifiedDiff.isBinary(saved)) || (current && UnifiedDiff.isBinary(current))) {
+        throw new Error(`Cannot restore hunks of binary file ${relativePath}`);
+      }
+
+      const savedText = saved ? saved.toString('utf8') : '';
+      const content = UnifiedDiff.revertHunks(
+        savedText,
+        current ? current.toString('utf8') : '',
+        hunkIndexes,
+        options.contextLines ?? UnifiedDiff.DEFAULT_CONTEXT
+      );
+
+      if (options.createBackup !== false) {
+        await this.createRestoreBackup(checkpointId);
+      }
+
+      const fullPath = path.join(this.workspaceDir, relativePath);
+      if (saved === null && content === '') {
+        await fs.rm(fullPath, { force: true }); // Every hunk of a file added since the checkpoint
+      } else {
+        await fs.mkdir(path.dirname(fullPath), { recursive: true });
+        await fs.writeFile(fullPath, content);
+      }
+
+      this.stats.restorations++;
+      console.log(`🔄 Restored ${hunkIndexes.length} hunks of ${relativePath} from checkpoint: ${checkpointId}`);
+
+      return {
+        restored: true,
+        checkpointId,
+        path: relativePath,
+        hunks: hunkIndexes,
+        remainingHunks: UnifiedDiff.createHunks(savedText, content, options.contextLines ?? UnifiedDiff.DEFAULT_CONTEXT).length
+      };
+
+    } catch (error) {
+      console.error('Failed to restore checkpoint hunks:', error);
+      throw error;
+    }
+  }
+
+  async createRestoreBackup(checkpointId) {
+    return this.createCheckpoint({
+      type: 'backup',
+      description: `Backup before restoring ${checkpointId}`,
+      tags: ['pre-restore', 'backup']
+    });
+  }
+
   /**
    * Get checkpoint differences
    */
@@ -178,18 +325,105 @@ class CheckpointManager {
       throw new Error(`Checkpoint ${checkpointId} not found`);
     }
 
-    let compareState;
-    if (compareWith === 'current') {
-      compareState = await this.captureWorkspaceState();
-    } else if (this.checkpoints.has(compareWith)) {
-      compareState = this.checkpoints.get(compareWith).state;
-    } else {
+    const compareCheckpoint = this.checkpoints.get(compareWith);
+    if (compareWith !== 'current' && !compareCheckpoint) {
       throw new Error(`Compare target ${compareWith} not found`);
     }
 
+    // Both sides in the shadow repository: let git compare the trees
+    if (this.isShadowCheckpoint(checkpoint) &&
+        (compareWith === 'current' || this.isShadowCheckpoint(compareCheckpoint))) {
+      const target = compareWith === 'current'
+        ? await this.shadowGit.writeWorkTree()
+        : compareCheckpoint.gitCommit.hash;
+      return this.calculateGitDiff(checkpoint.gitCommit.hash, target);
+    }
+
+    const compareState = compareWith === 'current'
+      ? await this.captureWorkspaceState({ store: false })
+      : compareCheckpoint.state;
     return this.calculateDiff(checkpoint.state, compareState);
   }
 
+  /**
+   * Unified diffs for every changed file between a checkpoint and another
+   * checkpoint or the live workspace
+   * @param {Object} options
+   * @param {string[]} options.paths - Only diff these files
+   * @param {number} options.contextLines - Unchanged lines around each change
+   */
+  async getFileDiffs(checkpointId, compareWith = 'current', options = {}) {
+    const summary = await this.getCheckpointDiff(checkpointId, compareWith);
+    const checkpoint = this.checkpoints.get(checkpointId);
+    const compareCheckpoint = compareWith === 'current' ? null : this.checkpoints.get(compareWith);
+    const context = options.contextLines ?? UnifiedDiff.DEFAULT_CONTEXT;
+    const wanted = options.paths ? new Set(options.paths.map(filePath => this.normalizeFilePath(filePath))) : null;
+
+    const changed = [
+      ...summary.added.map(file => ({ path: file.path, status: 'added' })),
+      ...summary.removed.map(file => ({ path: file.path, status: 'removed' })),
+      ...summary.modified.map(file => ({ path: file.path, status: 'modified' }))
+    ]
+      .filter(file => !wanted || wanted.has(file.path))
+      .sort((a, b) => a.path.localeCompare(b.path));
+
+    const files = [];
+    for (const { path: filePath, status } of changed) {
+      const before = status === 'added' ? null : await this.readCheckpointFile(checkpoint, filePath);
+      let after = null;
+      if (status !== 'removed') {
+        after = compareCheckpoint
+          ? await this.readCheckpointFile(compareCheckpoint, filePath)
+          : await this.readWorkspaceFile(filePath);
+      }
+      files.push(this.createFileDiff(filePath, status, before, after, context));
+    }
+
+    return {
+      checkpointId,
+      compareWith,
+      summary: {
+        added: summary.added.length,
+        removed: summary.removed.length,
+        modified: summary.modified.length,
+        unchanged: summary.unchanged.length
+      },
+      files
+    };
+  }
+
+  createFileDiff(filePath, status, before, after, context) {
+    const fileDiff = {
+      path: filePath,
+      status,
+      oldSize: before ? before.length : 0,
+      newSize: after ? after.length : 0,
+      binary: false,
+      tooLarge: false,
+      hunks: [],
+      patch: ''
+    };
+
+    if ((before && UnifiedDiff.isBinary(before)) || (after && UnifiedDiff.isBinary(after))) {
+      fileDiff.binary = true;
+    } else if (Math.max(fileDiff.oldSize, fileDiff.newSize) > CheckpointManager.MAX_DIFF_FILE_SIZE) {
+      fileDiff.tooLarge = true;
+    } else {
+      const displayPath = filePath.split(path.sep).join('/');
+      fileDiff.hunks = UnifiedDiff.createHunks(
+        before ? before.toString('utf8') : '',
+        after ? after.toString('utf8') : '',
+        context
+      );
+      fileDiff.patch = UnifiedDiff.formatPatch(
+        before ? displayPath : null,
+        after ? displayPath : null,
+        fileDiff.hunks
+      );
+    }
+    return fileDiff;
+  }
+
   /**
    * List all checkpoints
    */
@@ -227,14 +461,15 @@ class CheckpointManager {
       author: cp.author,
       tags: cp.tags,
       fileCount: cp.state?.files?.length || 0,
-      size: cp.state?.totalSize || 0
+      size: cp.state?.totalSize || 0,
+      newBlobs: cp.state?.newBlobs || 0
     }));
   }
 
   /**
    * Delete a checkpoint
    */
-  async deleteCheckpoint(checkpointId) {
+  async deleteCheckpoint(checkpointId, options = {}) {
     const checkpoint = this.checkpoints.get(checkpointId);
     if (!checkpoint) {
       throw new Error(`Checkpoint ${checkpointId} not found`);
@@ -243,11 +478,20 @@ class CheckpointManager {
     try {
       // Remove checkpoint files
       const checkpointPath = path.join(this.workspaceDir, this.settings.backupDirectory, checkpointId);
-      await fs.rmdir(checkpointPath, { recursive: true });
+      await fs.rm(checkpointPath, { recursive: true, force: true });
+      
+      if (checkpoint.gitCommit?.shadow && this.shadowGit) {
+        await this.shadowGit.deleteRef(checkpointId);
+      }
       
       // Remove from memory
       this.checkpoints.delete(checkpointId);
       
+      // Blobs no other checkpoint uses can go too (bulk cleanup collects once at the end)
+      if (options.collectGarbage !== false) {
+        await this.collectGarbage();
+      }
+      
       console.log(`🗑️ Deleted checkpoint: ${checkpointId}`);
       return true;
       
@@ -258,14 +502,22 @@ class CheckpointManager {
   }
 
   /**
-   * Capture current workspace state
+   * Capture current workspace state as a manifest of path -> content hash.
+   * File contents go to the blob store; files whose size and mtime match the
+   * previous capture are not read again.
+   * @param {Object} options
+   * @param {boolean} options.store - Write contents to the blob store (false only hashes)
+   * @param {Set<string>} options.capturedHashes - Collects hashes written, for GC protection
    */
-  async captureWorkspaceState() {
+  async captureWorkspaceState(options = {}) {
+    const store = options.store !== false;
     const state = {
+      format: 2,
       timestamp: Date.now(),
       files: [],
       totalSize: 0,
-      fileCount: 0
+      fileCount: 0,
+      newBlobs: 0
     };
 
     try {
@@ -275,15 +527,31 @@ class CheckpointManager {
         try {
           const fullPath = path.join(this.workspaceDir, filePath);
           const stats = await fs.stat(fullPath);
-          const content = await fs.readFile(fullPath, 'utf8');
-          const hash = crypto.createHash('sha256').update(content).digest('hex');
+          const modified = stats.mtime.getTime();
+          
+          let hash;
+          const cached = this.fileHashCache.get(filePath);
+          if (cached && cached.size === stats.size && cached.modified === modified &&
+              (!store || await this.blobStore.has(cached.hash))) {
+            hash = cached.hash;
+          } else {
+            const content = await fs.readFile(fullPath);
+            hash = CheckpointBlobStore.hash(content);
+            if (store) {
+              // Protect the blob from GC until the checkpoint referencing it is saved
+              this.pendingHashes.add(hash);
+              options.capturedHashes?.add(hash);
+              const { stored } = await this.blobStore.write(content, hash);
+              if (stored) state.newBlobs++;
+            }
+            this.fileHashCache.set(filePath, { size: stats.size, modified, hash });
+          }
           
           const fileInfo = {
             path: filePath,
             size: stats.size,
-            modified: stats.mtime.getTime(),
-            hash,
-            content: this.settings.compressionEnabled ? this.compressContent(content) : content
+            modified,
+            hash
           };
           
           state.files.push(fileInfo);
@@ -315,16 +583,14 @@ class CheckpointManager {
         await fs.mkdir(path.dirname(fullPath), { recursive: true });
         
         // Restore file content
-        const content = this.settings.compressionEnabled 
-          ? this.decompressContent(fileInfo.content)
-          : fileInfo.content;
-          
-        await fs.writeFile(fullPath, content, 'utf8');
+        const content = await this.readFileContent(fileInfo);
+        await fs.writeFile(fullPath, content);
         
         // Restore modification time
         const atime = new Date();
         const mtime = new Date(fileInfo.modified);
         await fs.utimes(fullPath, atime, mtime);
+        this.fileHashCache.set(fileInfo.path, { size: fileInfo.size, modified: fileInfo.modified, hash: fileInfo.hash });
       }
       
     } catch (error) {
@@ -334,39 +600,66 @@ class CheckpointManager {
   }
 
   /**
-   * Git integration methods
+   * Git integration methods. Checkpoints live in a shadow repository under the
+   * backup directory; the user's own repository, HEAD and branches are never touched.
    */
+  async initializeShadowGit() {
+    this.shadowGit = null;
+    if (!this.settings.gitIntegrationEnabled) {
+      return;
+    }
+
+    const repository = new ShadowGitRepository(
+      this.workspaceDir,
+      path.join(this.workspaceDir, this.settings.backupDirectory, 'shadow.git')
+    );
+    if (!await repository.isAvailable()) {
+      console.warn('Git not found, checkpoints will use the blob store only');
+      return;
+    }
+
+    try {
+      await repository.initialize({
+        includePatterns: this.settings.includePatterns,
+        excludePatterns: this.settings.excludePatterns,
+        internalDirectory: this.settings.backupDirectory
+      });
+      this.shadowGit = repository;
+    } catch (error) {
+      console.warn('Failed to initialize shadow git repository:', error.message);
+    }
+  }
+
+  isShadowCheckpoint(checkpoint) {
+    return Boolean(this.shadowGit && checkpoint?.gitCommit?.shadow);
+  }
+
   async createGitCommit(checkpoint) {
     try {
-      // Check if git repo exists
-      await execAsync('git rev-parse --git-dir', { cwd: this.workspaceDir });
-      
-      // Stage all changes
-      await execAsync('git add .', { cwd: this.workspaceDir });
-      
-      // Create commit
       const message = `Checkpoint: ${checkpoint.description}`;
-      const { stdout } = await execAsync(`git commit -m "${message}"`, { cwd: this.workspaceDir });
-      
-      // Get commit hash
-      const { stdout: hash } = await execAsync('git rev-parse HEAD', { cwd: this.workspaceDir });
+      const { hash, tree } = await this.shadowGit.commit(checkpoint.id, message);
       
       return {
-        hash: hash.trim(),
+        hash,
+        tree,
         message,
-        timestamp: checkpoint.timestamp
+        timestamp: checkpoint.timestamp,
+        shadow: true
       };
       
     } catch (error) {
-      console.warn('Git commit failed:', error.message);
+      console.warn('Shadow git commit failed:', error.message);
       return null;
     }
   }
 
   async restoreFromGit(gitCommit) {
     try {
-      await execAsync(`git checkout ${gitCommit.hash}`, { cwd: this.workspaceDir });
-      console.log(`Restored from git commit: ${gitCommit.hash}`);
+      if (!await this.shadowGit.hasCommit(gitCommit.hash)) {
+        throw new Error(`Shadow commit ${gitCommit.hash} not found`);
+      }
+      await this.shadowGit.restore(gitCommit.hash);
+      console.log(`Restored from shadow commit: ${gitCommit.hash}`);
       
     } catch (error) {
       console.error('Git restoration failed:', error);
@@ -442,19 +735,105 @@ class CheckpointManager {
     const sortedCheckpoints = Array.from(this.checkpoints.values())
       .sort((a, b) => b.timestamp - a.timestamp);
     
+    // Enforce the checkpoint limit, oldest first
+    for (const checkpoint of sortedCheckpoints.slice(this.settings.maxCheckpoints)) {
+      toDelete.push(checkpoint.id);
+    }
+    
     const toKeep = sortedCheckpoints.slice(0, Math.min(10, this.settings.maxCheckpoints));
     const keepIds = new Set(toKeep.map(cp => cp.id));
 
-    for (const id of toDelete) {
+    let deleted = 0;
+    for (const id of new Set(toDelete)) {
       if (!keepIds.has(id)) {
         try {
-          await this.deleteCheckpoint(id);
+          await this.deleteCheckpoint(id, { collectGarbage: false });
           this.stats.cleanups++;
+          deleted++;
         } catch (error) {
           console.error(`Failed to cleanup checkpoint ${id}:`, error);
         }
       }
     }
+
+    if (deleted > 0) {
+      await this.collectGarbage();
+    }
+  }
+
+  /**
+   * Remove blobs that no remaining checkpoint references
+   */
+  async collectGarbage() {
+    const referenced = new Set(this.pendingHashes);
+    for (const checkpoint of this.checkpoints.values()) {
+      if (checkpoint.state?.format === 'git') continue; // Contents live in the shadow repository
+      for (const file of checkpoint.state?.files || []) {
+        referenced.add(file.hash);
+      }
+    }
+
+    const result = await this.blobStore.collectGarbage(referenced);
+    this.stats.blobsCollected += result.removed;
+    if (result.removed > 0) {
+      console.log(`🧹 Collected ${result.removed} checkpoint blobs (${Math.round(result.freedBytes / 1024)} KB freed)`);
+    }
+
+    if (this.shadowGit) {
+      try {
+        await this.shadowGit.prune();
+      } catch (error) {
+        console.warn('Failed to prune shadow git repository:', error.message);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Read a captured file's content from the blob store
+   * @returns {Promise<Buffer>}
+   */
+  async readFileContent(fileInfo) {
+    if (fileInfo.content !== undefined) {
+      return this.decodeLegacyContent(fileInfo.content); // Checkpoints from before the blob store
+    }
+    return this.blobStore.read(fileInfo.hash);
+  }
+
+  /**
+   * Read one file as it was in a checkpoint
+   * @returns {Promise<Buffer|null>} null when the checkpoint doesn't contain the file
+   */
+  async readCheckpointFile(checkpoint, filePath) {
+    if (this.isShadowCheckpoint(checkpoint)) {
+      return this.shadowGit.readFile(checkpoint.gitCommit.hash, filePath);
+    }
+    if (checkpoint.state?.format === 'git') {
+      throw new Error(`Checkpoint ${checkpoint.id} is stored in the shadow git repository, which is unavailable`);
+    }
+
+    const fileInfo = (checkpoint.state?.files || []).find(file => file.path === filePath);
+    return fileInfo ? this.readFileContent(fileInfo) : null;
+  }
+
+  async readWorkspaceFile(filePath) {
+    try {
+      return await fs.readFile(path.join(this.workspaceDir, filePath));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Workspace-relative form of a path, rejecting anything outside the workspace
+   */
+  normalizeFilePath(filePath) {
+    const relativePath = path.relative(this.workspaceDir, path.resolve(this.workspaceDir, filePath));
+    if (!relativePath || relativePath === '..' || relativePath.startsWith(`..${path.sep}`) || path.isAbsolute(relativePath)) {
+      throw new Error(`Path is outside the workspace: ${filePath}`);
+    }
+    return relativePath;
   }
 
   /**
@@ -546,6 +925,48 @@ class CheckpointManager {
     return diff;
   }
 
+  /**
+   * Same shape as calculateDiff, computed from two shadow commits or trees
+   */
+  async calculateGitDiff(from, to) {
+    const diff = {
+      added: [],
+      removed: [],
+      modified: [],
+      unchanged: []
+    };
+
+    const [state1, state2, changes] = await Promise.all([
+      this.shadowGit.getTreeState(from),
+      this.shadowGit.getTreeState(to),
+      this.shadowGit.diffNameStatus(from, to)
+    ]);
+    const sizes1 = new Map(state1.files.map(f => [f.path, f.size]));
+    const sizes2 = new Map(state2.files.map(f => [f.path, f.size]));
+    const changed = new Set();
+
+    for (const { status, path } of changes) {
+      changed.add(path);
+      if (status === 'A') {
+        diff.added.push({ path, size: sizes2.get(path) || 0 });
+      } else if (status === 'D') {
+        diff.removed.push({ path, size: sizes1.get(path) || 0 });
+      } else {
+        const oldSize = sizes1.get(path) || 0;
+        const newSize = sizes2.get(path) || 0;
+        diff.modified.push({ path, oldSize, newSize, sizeDiff: newSize - oldSize });
+      }
+    }
+
+    for (const [path, size] of sizes2) {
+      if (!changed.has(path) && sizes1.has(path)) {
+        diff.unchanged.push({ path, size });
+      }
+    }
+
+    return diff;
+  }
+
   hasSignificantChanges() {
     // Simple implementation - check if enough time has passed
     return Date.now() - this.lastCheckpointTime > this.settings.autoCheckpointInterval;
@@ -580,14 +1001,36 @@ class CheckpointManager {
     };
   }
 
-  compressContent(content) {
-    // Simple compression placeholder - use proper compression in production
-    return Buffer.from(content).toString('base64');
+  /**
+   * Legacy checkpoints stored content inline, base64-encoded when compression was enabled
+   */
+  decodeLegacyContent(content) {
+    const isBase64 = /^[A-Za-z0-9+/]*={0,2}$/.test(content) &&
+      Buffer.from(content, 'base64').toString('base64') === content;
+    return isBase64 ? Buffer.from(content, 'base64') : Buffer.from(content, 'utf8');
   }
 
-  decompressContent(compressed) {
-    // Simple decompression placeholder
-    return Buffer.from(compressed, 'base64').toString('utf8');
+  /**
+   * Move inline content from a legacy checkpoint into the blob store
+   * @returns {Promise<boolean>} Whether the checkpoint was changed
+   */
+  async migrateLegacyCheckpoint(checkpoint) {
+    const files = checkpoint.state?.files || [];
+    if (!files.some(file => file.content !== undefined)) {
+      return false;
+    }
+
+    for (const file of files) {
+      if (file.content === undefined) continue;
+      const content = this.decodeLegacyContent(file.content);
+      const { hash } = await this.blobStore.write(content);
+      file.hash = hash;
+      delete file.content;
+    }
+    checkpoint.state.format = 2;
+
+    await this.saveCheckpoint(checkpoint);
+    return true;
   }
 
   generateCheckpointId() {
@@ -613,12 +1056,16 @@ class CheckpointManager {
     try {
       const checkpointDir = path.join(this.workspaceDir, this.settings.backupDirectory);
       const entries = await fs.readdir(checkpointDir, { withFileTypes: true });
+      let migrated = 0;
       
       for (const entry of entries) {
-        if (entry.isDirectory()) {
+        if (entry.isDirectory() && !CheckpointManager.STORAGE_DIRECTORIES.includes(entry.name)) {
           try {
             const metadataPath = path.join(checkpointDir, entry.name, 'metadata.json');
             const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+            if (await this.migrateLegacyCheckpoint(metadata)) {
+              migrated++;
+            }
             this.checkpoints.set(metadata.id, metadata);
           } catch (error) {
             console.warn(`Failed to load checkpoint ${entry.name}:`, error.message);
@@ -626,6 +1073,11 @@ class CheckpointManager {
         }
       }
       
+      this.primeFileHashCache();
+      
+      if (migrated > 0) {
+        console.log(`📦 Migrated ${migrated} checkpoints to the blob store`);
+      }
       console.log(`Loaded ${this.checkpoints.size} existing checkpoints`);
       
     } catch (error) {
@@ -633,6 +1085,20 @@ class CheckpointManager {
     }
   }
 
+  /**
+   * Seed the hash cache from the newest checkpoint so unchanged files aren't re-read
+   */
+  primeFileHashCache() {
+    this.fileHashCache.clear();
+    const newest = Array.from(this.checkpoints.values())
+      .filter(cp => cp.state?.format !== 'git') // Git object ids aren't blob store hashes
+      .sort((a, b) => b.timestamp - a.timestamp)[0];
+
+    for (const file of newest?.state?.files || []) {
+      this.fileHashCache.set(file.path, { size: file.size, modified: file.modified, hash: file.hash });
+    }
+  }
+
   startCleanupScheduler() {
     // Run cleanup daily
     setInterval(async () => {
@@ -645,6 +1111,7 @@ class CheckpointManager {
       ...this.stats,
       totalSize: Array.from(this.checkpoints.values())
         .reduce((sum, cp) => sum + (cp.state?.totalSize || 0), 0),
+      storage: this.blobStore ? this.blobStore.getStats() : null,
       oldestCheckpoint: Math.min(...Array.from(this.checkpoints.values()).map(cp => cp.timestamp)),
       newestCheckpoint: Math.max(...Array.from(this.checkpoints.values()).map(cp => cp.timestamp))
     };
@@ -655,6 +1122,7 @@ class CheckpointManager {
    */
   cleanup() {
     this.checkpoints.clear();
+    this.fileHashCache.clear();
     this.activityBuffer.length = 0;
     this.checkpointQueue.length = 0;
     
@@ -0,0 +1,652 @@
+/**
+ * Chromium Browser Engine for Kilo-Web
+ * Drives a headless Chromium (local or remote) over the Chrome DevTools Protocol
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+/**
+ * JSON-RPC style connection to a browser's DevTools WebSocket.
+ * Page sessions share this connection using flattened session IDs.
+ */
+class CDPConnection extends EventEmitter {
+  /**
+   * @param {number} commandTimeout - ms a command may wait for its response, so a hung tab fails the call instead of stalling it
+   */
+  constructor(ws, commandTimeout = 30000) {
+    super();
+    this.ws = ws;
+    this.commandTimeout = commandTimeout;
+    this.nextId = 1;
+    this.callbacks = new Map();
+    this.closed = false;
+
+    ws.on('message', (data) => this.handleMessage(data));
+    ws.on('close', () => {
+      this.closed = true;
+      for (const { reject, timer } of this.callbacks.values()) {
+        clearTimeout(timer);
+        reject(new Error('DevTools connection closed'));
+      }
+      this.callbacks.clear();
+      this.emit('close');
+    });
+    ws.on('error', (error) => this.emit('error', error));
+  }
+
+  static connect(wsUrl, timeout = 30000) {
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(wsUrl, { perMessageDeflate: false, handshakeTimeout: timeout });
+      ws.once('open', () => resolve(new CDPConnection(ws, timeout)));
+      ws.once('error', reject);
+    });
+  }
+
+  /**
+   * Send a protocol command, optionally scoped to a page session; rejects when
+   * no response arrives within the timeout (the connection's commandTimeout by default)
+   */
+  send(method, params = {}, sessionId = null, timeout = this.commandTimeout) {
+    if (this.closed) {
+      return Promise.reject(new Error('DevTools connection closed'));
+    }
+
+    const id = this.nextId++;
+    const message = { id, method, params };
+    if (sessionId) {
+      message.sessionId = sessionId;
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.callbacks.delete(id);
+        reject(new Error(`${method}: timed out after ${timeout}ms waiting for the browser`));
+      }, timeout);
+      this.callbacks.set(id, { resolve, reject, method, timer });
+      this.ws.send(JSON.stringify(message));
+    });
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      console.error('Error parsing DevTools message:', error.message);
+      return;
+    }
+
+    if (message.id !== undefined) {
+      const callback = this.callbacks.get(message.id);
+      if (!callback) return;
+      this.callbacks.delete(message.id);
+      clearTimeout(callback.timer);
+
+      if (message.error) {
+        callback.reject(new Error(`${callback.method}: ${message.error.message}`));
+      } else {
+        callback.resolve(message.result);
+      }
+      return;
+    }
+
+    // Protocol event, routed per session
+    this.emit(`${message.sessionId || 'browser'}:${message.method}`, message.params);
+  }
+
+  /**
+   * Resolve with the params of the next matching event, or reject on timeout
+   */
+  waitForEvent(sessionId, method, timeout) {
+    const eventName = `${sessionId || 'browser'}:${method}`;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.off(eventName, listener);
+        reject(new Error(`Timed out after ${timeout}ms waiting for ${method}`));
+      }, timeout);
+
+      const listener = (params) => {
+        clearTimeout(timer);
+        resolve(params);
+      };
+      this.once(eventName, listener);
+    });
+  }
+
+  close() {
+    if (!this.closed) {
+      this.ws.close();
+    }
+  }
+}
+
+/**
+ * A single tab attached over a flattened CDP session
+ */
+class ChromiumPage {
+  static MAX_CONSOLE_LOGS = 200;
+
+  constructor(connection, targetId, sessionId, options) {
+    this.connection = connection;
+    this.targetId = targetId;
+    this.sessionId = sessionId;
+    this.options = options;
+    this.consoleLogs = [];
+    this.currentUrl = 'about:blank';
+
+    connection.on(`${sessionId}:Runtime.consoleAPICalled`, (params) => {
+      const text = params.args
+        .map(arg => arg.value !== undefined ? String(arg.value) : (arg.description || arg.type))
+        .join(' ');
+      this.recordConsole(params.type, text);
+    });
+    connection.on(`${sessionId}:Runtime.exceptionThrown`, (params) => {
+      const details = params.exceptionDetails;
+      this.recordConsole('error', details.exception?.description || details.text);
+    });
+    connection.on(`${sessionId}:Page.frameNavigated`, (params) => {
+      if (!params.frame.parentId) {
+        this.currentUrl = params.frame.url;
+      }
+    });
+  }
+
+  static async create(connection, options) {
+    const { targetId } = await connection.send('Target.createTarget', { url: 'about:blank' });
+    const { sessionId } = await connection.send('Target.attachToTarget', { targetId, flatten: true });
+    const page = new ChromiumPage(connection, targetId, sessionId, options);
+
+    await Promise.all([
+      page.send('Page.enable'),
+      page.send('Runtime.enable'),
+      page.send('Network.enable')
+    ]);
+
+    await page.setViewport(options.viewport.width, options.viewport.height);
+    if (options.userAgent) {
+      await page.send('Network.setUserAgentOverride', { userAgent: options.userAgent });
+    }
+    if (!options.javascript) {
+      await page.send('Emulation.setScriptExecutionDisabled', { value: true });
+    }
+    if (options.blockedUrls.length > 0) {
+      await page.send('Network.setBlockedURLs', { urls: options.blockedUrls });
+    }
+
+    return page;
+  }
+
+  send(method, params = {}, timeout = undefined) {
+    return this.connection.send(method, params, this.sessionId, timeout);
+  }
+
+  recordConsole(type, text) {
+    this.consoleLogs.push({ type, text, timestamp: Date.now() });
+    if (this.consoleLogs.length > ChromiumPage.MAX_CONSOLE_LOGS) {
+      this.consoleLogs.shift();
+    }
+  }
+
+  /**
+   * Return and clear console output collected since the last call
+   */
+  takeConsoleLogs() {
+    return this.consoleLogs.splice(0);
+  }
+
+  async navigate(url, { timeout }) {
+    const loaded = this.connection.waitForEvent(this.sessionId, 'Page.loadEventFired', timeout);
+    loaded.catch(() => {}); // Handled below; avoid unhandled rejection on early failure
+
+    // Page.navigate answers once the server responds, which may take the whole navigation timeout
+    const result = await this.send('Page.navigate', { url }, timeout);
+    if (result.errorText) {
+      throw new Error(`Navigation to ${url} failed: ${result.errorText}`);
+    }
+
+    // Same-document navigations (fragments) don't fire a load event
+    if (result.loaderId) {
+      await loaded;
+    }
+    this.currentUrl = await this.evaluate('location.href');
+  }
+
+  /**
+   * Run an action that may trigger a navigation and wait for the page to settle
+   */
+  async settleAfter(action, timeout) {
+    let navigating = false;
+    let loaded = false;
+    const onStart = () => { navigating = true; loaded = false; };
+    const onLoad = () => { loaded = true; };
+    const startEvent = `${this.sessionId}:Page.frameStartedLoading`;
+    const loadEvent = `${this.sessionId}:Page.loadEventFired`;
+    this.connection.on(startEvent, onStart);
+    this.connection.on(loadEvent, onLoad);
+
+    try {
+      await action();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      if (navigating && !loaded) {
+        await this.connection.waitForEvent(this.sessionId, 'Page.loadEventFired', timeout).catch(() => {});
+      }
+    } finally {
+      this.connection.off(startEvent, onStart);
+      this.connection.off(loadEvent, onLoad);
+    }
+  }
+
+  async evaluate(expression) {
+    const result = await this.send('Runtime.evaluate', {
+      expression,
+      returnByValue: true,
+      awaitPromise: true,
+      userGesture: true
+    });
+
+    if (result.exceptionDetails) {
+      const details = result.exceptionDetails;
+      throw new Error(details.exception?.description || details.text);
+    }
+    return result.result.value;
+  }
+
+  /**
+   * Capture the viewport (or full page) as an image buffer
+   */
+  async screenshot({ format = 'png', quality, fullPage = false } = {}) {
+    const params = { format, captureBeyondViewport: fullPage };
+    if (format !== 'png' && quality) {
+      params.quality = quality;
+    }
+    const { data } = await this.send('Page.captureScreenshot', params);
+    return Buffer.from(data, 'base64');
+  }
+
+  async setViewport(width, height) {
+    await this.send('Emulation.setDeviceMetricsOverride', {
+      width,
+      height,
+      deviceScaleFactor: 1,
+      mobile: false
+    });
+  }
+
+  async mouseClick(x, y) {
+    await this.send('Input.dispatchMouseEvent', { type: 'mouseMoved', x, y });
+    await this.send('Input.dispatchMouseEvent', { type: 'mousePressed', x, y, button: 'left', clickCount: 1 });
+    await this.send('Input.dispatchMouseEvent', { type: 'mouseReleased', x, y, button: 'left', clickCount: 1 });
+  }
+
+  async click(target, { timeout }) {
+    const { x, y } = typeof target === 'string'
+      ? await this.elementCenter(target)
+      : target;
+    await this.settleAfter(() => this.mouseClick(x, y), timeout);
+  }
+
+  async hover({ x, y }) {
+    await this.send('Input.dispatchMouseEvent', { type: 'mouseMoved', x, y });
+  }
+
+  async type(text) {
+    await this.send('Input.insertText', { text });
+  }
+
+  async scroll(deltaY) {
+    await this.evaluate(`window.scrollBy(0, ${Number(deltaY)})`);
+  }
+
+  async elementCenter(selector) {
+    const rect = await this.evaluate(`(() => {
+      const el = document.querySelector(${JSON.stringify(selector)});
+      if (!el) return null;
+      el.scrollIntoView({ block: 'center', inline: 'center' });
+      const r = el.getBoundingClientRect();
+      return { x: r.left + r.width / 2, y: r.top + r.height / 2 };
+    })()`);
+
+    if (!rect) {
+      throw new Error(`Element not found: ${selector}`);
+    }
+    return rect;
+  }
+
+  async fill(selector, value) {
+    const found = await this.evaluate(`(() => {
+      const el = document.querySelector(${JSON.stringify(selector)});
+      if (!el) return false;
+      const value = ${JSON.stringify(value)};
+      el.focus();
+      if (el.type === 'checkbox' || el.type === 'radio') {
+        el.checked = Boolean(value);
+      } else {
+        const proto = Object.getPrototypeOf(el);
+        const setter = Object.getOwnPropertyDescriptor(proto, 'value')?.set;
+        setter ? setter.call(el, String(value)) : (el.value = String(value));
+      }
+      el.dispatchEvent(new Event('input', { bubbles: true }));
+      el.dispatchEvent(new Event('change', { bubbles: true }));
+      return true;
+    })()`);
+
+    if (!found) {
+      throw new Error(`Element not found: ${selector}`);
+    }
+  }
+
+  async submit(selector, { timeout }) {
+    await this.settleAfter(async () => {
+      const found = await this.evaluate(`(() => {
+        const el = document.querySelector(${JSON.stringify(selector)});
+        const form = el && (el.tagName === 'FORM' ? el : el.closest('form'));
+        if (!form) return false;
+        form.requestSubmit ? form.requestSubmit() : form.submit();
+        return true;
+      })()`);
+
+      if (!found) {
+        throw new Error(`Form not found: ${selector}`);
+      }
+    }, timeout);
+  }
+
+  async waitFor(selector, { timeout }) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      if (await this.evaluate(`!!document.querySelector(${JSON.stringify(selector)})`)) {
+        return true;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    return false;
+  }
+
+  async text(selector = null) {
+    const text = await this.evaluate(`(() => {
+      const el = ${selector ? `document.querySelector(${JSON.stringify(selector)})` : 'document.body'};
+      return el ? el.innerText : null;
+    })()`);
+
+    if (text === null && selector) {
+      throw new Error(`Element not found: ${selector}`);
+    }
+    return text || '';
+  }
+
+  content() {
+    return this.evaluate('document.documentElement.outerHTML');
+  }
+
+  title() {
+    return this.evaluate('document.title');
+  }
+
+  url() {
+    return this.currentUrl;
+  }
+
+  async cookies() {
+    const { cookies } = await this.send('Network.getCookies', { urls: [this.currentUrl] });
+    return cookies;
+  }
+
+  async setCookies(cookies) {
+    await this.send('Network.setCookies', {
+      cookies: cookies.map(cookie => ({ url: this.currentUrl, ...cookie }))
+    });
+  }
+
+  async close() {
+    if (!this.connection.closed) {
+      await this.connection.send('Target.closeTarget', { targetId: this.targetId }).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Headless Chromium, either launched locally or reached through a remote DevTools endpoint
+ */
+class ChromiumBrowser {
+  static LAUNCH_ARGS = [
+    '--remote-debugging-port=0',
+    '--no-first-run',
+    '--no-default-browser-check',
+    '--disable-gpu',
+    '--disable-dev-shm-usage',
+    '--disable-background-networking',
+    '--mute-audio',
+    '--hide-scrollbars'
+  ];
+
+  static EXECUTABLE_NAMES = [
+    'google-chrome',
+    'google-chrome-stable',
+    'chromium',
+    'chromium-browser',
+    'chrome',
+    'microsoft-edge'
+  ];
+
+  static KNOWN_PATHS = [
+    '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+    '/Applications/Chromium.app/Contents/MacOS/Chromium',
+    'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+    'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe'
+  ];
+
+  constructor(connection, options, child = null, userDataDir = null) {
+    this.engine = 'chromium';
+    this.connection = connection;
+    this.options = options;
+    this.child = child;
+    this.userDataDir = userDataDir;
+    this.isRemote = !child;
+
+    // Losing the connection ends a launched browser; its profile goes once it has exited
+    connection.on('close', () => {
+      if (this.child && this.child.exitCode === null) {
+        this.child.once('exit', () => this.removeUserDataDir());
+        this.child.kill();
+      } else {
+        this.removeUserDataDir();
+      }
+    });
+  }
+
+  removeUserDataDir() {
+    if (this.userDataDir) {
+      fs.rmSync(this.userDataDir, { recursive: true, force: true });
+    }
+  }
+
+  get isConnected() {
+    return !this.connection.closed;
+  }
+
+  /**
+   * Locate a Chromium-family executable on this machine
+   * @returns {string|null}
+   */
+  static findExecutable(configuredPath = null) {
+    const candidates = [
+      configuredPath,
+      process.env.CHROME_PATH,
+      process.env.PUPPETEER_EXECUTABLE_PATH
+    ].filter(Boolean);
+
+    for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+      for (const name of ChromiumBrowser.EXECUTABLE_NAMES) {
+        candidates.push(path.join(dir, process.platform === 'win32' ? `${name}.exe` : name));
+      }
+    }
+    candidates.push(...ChromiumBrowser.KNOWN_PATHS);
+    candidates.push(...ChromiumBrowser.findPuppeteerBrowsers());
+
+    return candidates.find(candidate => {
+      try {
+        fs.accessSync(candidate, fs.constants.X_OK);
+        return fs.statSync(candidate).isFile();
+      } catch (error) {
+        return false;
+      }
+    }) || null;
+  }
+
+  /**
+   * Browsers previously downloaded by puppeteer into ~/.cache/puppeteer
+   */
+  static findPuppeteerBrowsers() {
+    const cacheDir = path.join(os.homedir(), '.cache', 'puppeteer');
+    const layouts = [
+      ['chrome-headless-shell', 'chrome-headless-shell'],
+      ['chrome', 'chrome']
+    ];
+    const found = [];
+
+    for (const [product, binary] of layouts) {
+      const productDir = path.join(cacheDir, product);
+      let versions = [];
+      try {
+        versions = fs.readdirSync(productDir).sort().reverse();
+      } catch (error) {
+        continue;
+      }
+
+      for (const version of versions) {
+        try {
+          for (const platformDir of fs.readdirSync(path.join(productDir, version))) {
+            found.push(path.join(productDir, version, platformDir, binary));
+          }
+        } catch (error) {
+          // Incomplete download
+        }
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Launch a local headless browser and attach to its DevTools endpoint
+   */
+  static async launch(executablePath, options) {
+    const userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kilo-browser-'));
+    const args = [
+      ...ChromiumBrowser.LAUNCH_ARGS,
+      `--user-data-dir=${userDataDir}`,
+      `--window-size=${options.viewport.width},${options.viewport.height}`
+    ];
+
+    if (options.headless) {
+      args.push('--headless=new');
+    }
+    if (typeof process.getuid === 'function' && process.getuid() === 0) {
+      args.push('--no-sandbox'); // Chromium refuses to sandbox as root
+    }
+    if (!options.webSecurity) {
+      args.push('--disable-web-security');
+    }
+    if (options.proxy && options.proxy.server) {
+      args.push(`--proxy-server=${options.proxy.server}`);
+    }
+    args.push('about:blank');
+
+    const child = spawn(executablePath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+
+    try {
+      const wsUrl = await new Promise((resolve, reject) => {
+        let stderr = '';
+        const timer = setTimeout(() => {
+          reject(new Error(`Timed out after ${options.timeout}ms waiting for browser to start`));
+        }, options.timeout);
+
+        const onData = (data) => {
+          stderr += data.toString();
+          const match = stderr.match(/DevTools listening on (ws:\/\/\S+)/);
+          if (match) {
+            clearTimeout(timer);
+            child.stderr.off('data', onData);
+            child.stderr.resume(); // Keep draining so the browser never blocks on a full pipe
+            resolve(match[1]);
+          }
+        };
+
+        child.stderr.on('data', onData);
+        child.once('error', (error) => {
+          clearTimeout(timer);
+          reject(error);
+        });
+        child.once('exit', (code) => {
+          clearTimeout(timer);
+          reject(new Error(`Browser exited with code ${code} before it was ready: ${stderr.trim().split('\n').pop()}`));
+        });
+      });
+
+      const connection = await CDPConnection.connect(wsUrl, options.timeout);
+      return new ChromiumBrowser(connection, options, child, userDataDir);
+    } catch (error) {
+      child.kill();
+      fs.rmSync(userDataDir, { recursive: true, force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Connect to a browser that is already running with remote debugging enabled.
+   * Accepts a ws:// DevTools URL or an http://host:port endpoint.
+   */
+  static async connect(host, options) {
+    let wsUrl = host;
+
+    if (!/^wss?:\/\//.test(host)) {
+      const baseUrl = /^https?:\/\//.test(host) ? host : `http://${host}`;
+      const response = await fetch(new URL('/json/version', baseUrl), {
+        signal: AbortSignal.timeout(options.timeout)
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} from ${baseUrl}/json/version`);
+      }
+      const info = await response.json();
+      wsUrl = info.webSocketDebuggerUrl;
+    }
+
+    const connection = await CDPConnection.connect(wsUrl, options.timeout);
+    return new ChromiumBrowser(connection, options);
+  }
+
+  async newPage() {
+    return ChromiumPage.create(this.connection, this.options);
+  }
+
+  async close() {
+    if (this.isRemote) {
+      this.connection.close();
+      return;
+    }
+
+    await this.connection.send('Browser.close').catch(() => {});
+    this.connection.close();
+
+    if (this.child && this.child.exitCode === null) {
+      await new Promise(resolve => {
+        const timer = setTimeout(() => {
+          this.child.kill('SIGKILL');
+          resolve();
+        }, 5000);
+        this.child.once('exit', () => {
+          clearTimeout(timer);
+          resolve();
+        });
+      });
+    }
+
+    this.removeUserDataDir();
+  }
+}
+
+module.exports = ChromiumBrowser;
@@ -0,0 +1,381 @@
+/**
+ * CodeDefinitionParser - Top-level definitions of a source file, found with tree-sitter
+ * Grammars come from the WASM builds in tree-sitter-wasms, so parsing works offline.
+ * Each language lists the node types that define something and the node types to
+ * look inside for more (modules, class bodies, export statements); function bodies
+ * are never entered, so only top-level definitions and class members are reported.
+ * Without web-tree-sitter, the CodeIndex symbol patterns are used instead.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const CodeIndex = require('./CodeIndex');
+
+const MAX_FILE_SIZE = 1024 * 1024;
+const MAX_SIGNATURE_LENGTH = 120;
+
+// Definitions whose members are listed as well; functions directly inside a type are methods
+const TYPE_KINDS = new Set(['class', 'interface', 'struct', 'trait', 'impl', 'enum']);
+const CONTAINER_KINDS = new Set([...TYPE_KINDS, 'module', 'namespace']);
+
+const JS_DEFINITIONS = {
+  class_declaration: 'class',
+  abstract_class_declaration: 'class',
+  function_declaration: 'function',
+  generator_function_declaration: 'function',
+  method_definition: 'method',
+  variable_declarator: 'variable',
+  assignment_expression: 'export'
+};
+const JS_CONTAINERS = ['program', 'export_statement', 'class_body', 'lexical_declaration', 'variable_declaration', 'expression_statement', 'class'];
+const JS_FUNCTION_VALUES = new Set(['arrow_function', 'function', 'function_expression', 'generator_function']);
+
+const TS_DEFINITIONS = {
+  ...JS_DEFINITIONS,
+  interface_declaration: 'interface',
+  type_alias_declaration: 'type',
+  enum_declaration: 'enum',
+  function_signature: 'function',
+  internal_module: 'namespace'
+};
+const TS_CONTAINERS = [...JS_CONTAINERS, 'statement_block', 'ambient_declaration'];
+
+const LANGUAGES = {
+  javascript: {
+    grammar: 'javascript',
+    extensions: ['.js', '.jsx', '.mjs', '.cjs'],
+    definitions: JS_DEFINITIONS,
+    containers: JS_CONTAINERS
+  },
+  typescript: {
+    grammar: 'typescript',
+    extensions: ['.ts', '.mts', '.cts'],
+    definitions: TS_DEFINITIONS,
+    containers: TS_CONTAINERS
+  },
+  tsx: {
+    grammar: 'tsx',
+    extensions: ['.tsx'],
+    definitions: TS_DEFINITIONS,
+    containers: TS_CONTAINERS
+  },
+  python: {
+    grammar: 'python',
+    extensions: ['.py', '.pyi'],
+    definitions: { class_definition: 'class', function_definition: 'function' },
+    containers: ['module', 'decorated_definition', 'block']
+  },
+  go: {
+    grammar: 'go',
+    extensions: ['.go'],
+    definitions: { function_declaration: 'function', method_declaration: 'method', type_spec: 'type' },
+    containers: ['source_file', 'type_declaration'],
+    capitalizedExports: true
+  },
+  java: {
+    grammar: 'java',
+    extensions: ['.java'],
+    definitions: {
+      class_declaration: 'class',
+      record_declaration: 'class',
+      interface_declaration: 'interface',
+      annotation_type_declaration: 'interface',
+      enum_declaration: 'enum',
+      method_declaration: 'method',
+      constructor_declaration: 'method'
+    },
+    containers: ['program', 'class_body', 'interface_body', 'enum_body', 'enum_body_declarations']
+  },
+  rust: {
+    grammar: 'rust',
+    extensions: ['.rs'],
+    definitions: {
+      function_item: 'function',
+      function_signature_item: 'function',
+      struct_item: 'struct',
+      enum_item: 'enum',
+      union_item: 'struct',
+      trait_item: 'trait',
+      type_item: 'type',
+      impl_item: 'impl',
+      mod_item: 'module',
+      macro_definition: 'macro'
+    },
+    containers: ['source_file', 'declaration_list']
+  },
+  csharp: {
+    grammar: 'c_sharp',
+    extensions: ['.cs'],
+    definitions: {
+      class_declaration: 'class',
+      record_declaration: 'class',
+      struct_declaration: 'struct',
+      interface_declaration: 'interface',
+      enum_declaration: 'enum',
+      method_declaration: 'method',
+      constructor_declaration: 'method',
+      namespace_declaration: 'namespace',
+      file_scoped_namespace_declaration: 'namespace'
+    },
+    containers: ['compilation_unit', 'declaration_list']
+  },
+  ruby: {
+    grammar: 'ruby',
+    extensions: ['.rb'],
+    definitions: { class: 'class', module: 'module', method: 'method', singleton_method: 'method' },
+    containers: ['program', 'body_statement']
+  },
+  php: {
+    grammar: 'php',
+    extensions: ['.php'],
+    definitions: {
+      class_declaration: 'class',
+      interface_declaration: 'interface',
+      trait_declaration: 'trait',
+      enum_declaration: 'enum',
+      function_definition: 'function',
+      method_declaration: 'method',
+      namespace_definition: 'namespace'
+    },
+    containers: ['program', 'declaration_list', 'compound_statement', 'enum_declaration_list']
+  }
+};
+
+const EXTENSIONS = {};
+for (const [name, language] of Object.entries(LANGUAGES)) {
+  language.containers = new Set(language.containers);
+  for (const ext of language.extensions) {
+    EXTENSIONS[ext] = name;
+  }
+}
+
+class CodeDefinitionParser {
+  static sharedInstance = null;
+
+  /**
+   * The parser everything shares, so each grammar is loaded once
+   */
+  static get shared() {
+    if (!CodeDefinitionParser.sharedInstance) {
+      CodeDefinitionParser.sharedInstance = new CodeDefinitionParser();
+    }
+    return CodeDefinitionParser.sharedInstance;
+  }
+
+  constructor() {
+    this.ready = null;
+    this.Parser = null;
+    this.parsers = new Map(); // language name -> Promise<parser>
+  }
+
+  static languageFor(filePath) {
+    return EXTENSIONS[path.extname(filePath).toLowerCase()] || null;
+  }
+
+  static isSupported(filePath) {
+    return Boolean(CodeDefinitionParser.languageFor(filePath));
+  }
+
+  /**
+   * Load web-tree-sitter; resolves to null when it isn't installed
+   */
+  initialize() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        try {
+          const Parser = require('web-tree-sitter');
+          await Parser.init();
+          this.Parser = Parser;
+        } catch (error) {
+          console.warn(`⚠️ tree-sitter unavailable, listing definitions with patterns: ${error.message}`);
+          this.Parser = null;
+        }
+        return this.Parser;
+      })();
+    }
+    return this.ready;
+  }
+
+  getParser(languageName) {
+    if (!this.parsers.has(languageName)) {
+      this.parsers.set(languageName, (async () => {
+        const grammar = require.resolve(`tree-sitter-wasms/out/tree-sitter-${LANGUAGES[languageName].grammar}.wasm`);
+        const parser = new this.Parser();
+        parser.setLanguage(await this.Parser.Language.load(grammar));
+        return parser;
+      })());
+    }
+    return this.parsers.get(languageName);
+  }
+
+  /**
+   * Definitions in `content`, or null when the file's language isn't supported
+   * @returns {Promise<Array|null>} [{ name, kind, line, endLine, parent, exported, signature }] with 1-based lines
+   */
+  async parse(content, filePath) {
+    const languageName = CodeDefinitionParser.languageFor(filePath);
+    if (!languageName) {
+      return null;
+    }
+
+    const lines = content.split(/\r?\n/);
+    if (!(await this.initialize())) {
+      return CodeDefinitionParser.patternDefinitions(content, filePath, lines);
+    }
+
+    let parser;
+    try {
+      parser = await this.getParser(languageName);
+    } catch (error) {
+      console.warn(`⚠️ No ${languageName} grammar, listing definitions with patterns: ${error.message}`);
+      return CodeDefinitionParser.patternDefinitions(content, filePath, lines);
+    }
+
+    const tree = parser.parse(content);
+    try {
+      const definitions = [];
+      this.collect(tree.rootNode, LANGUAGES[languageName], { parent: null, parentKind: null, exported: false }, lines, definitions);
+      return definitions;
+    } finally {
+      tree.delete();
+    }
+  }
+
+  async parseFile(fullPath) {
+    const stats = await fs.stat(fullPath);
+    if (stats.size > MAX_FILE_SIZE) {
+      throw new Error(`File is too large to parse (${stats.size} bytes)`);
+    }
+    return this.parse(await fs.readFile(fullPath, 'utf8'), fullPath);
+  }
+
+  collect(node, language, context, lines, definitions) {
+    for (const child of node.namedChildren) {
+      const kind = this.kindOf(child, language, context);
+      const name = kind && this.nameOf(child);
+
+      if (!name) {
+        if (language.containers.has(child.type)) {
+          const exported = context.exported || child.type === 'export_statement';
+          this.collect(child, language, { ...context, exported }, lines, definitions);
+        }
+        continue;
+      }
+
+      definitions.push({
+        name,
+        kind,
+        line: child.startPosition.row + 1,
+        endLine: child.endPosition.row + 1,
+        parent: context.parent || undefined,
+        exported: this.isExported(child, name, language, context) || undefined,
+        signature: (lines[child.startPosition.row] || '').trim().slice(0, MAX_SIGNATURE_LENGTH)
+      });
+
+      if (CONTAINER_KINDS.has(kind)) {
+        this.collect(child, language, { parent: name, parentKind: kind, exported: false }, lines, definitions);
+      }
+    }
+  }
+
+  /**
+   * Kind of definition `node` is, refined by what it contains and where it is
+   */
+  kindOf(node, language, context) {
+    const kind = language.definitions[node.type];
+    if (!kind) {
+      return null;
+    }
+
+    switch (node.type) {
+      case 'variable_declarator': {
+        // Only functions and classes held in variables, and exported values
+        const value = node.childForFieldName('value');
+        if (value && JS_FUNCTION_VALUES.has(value.type)) {
+          return 'function';
+        }
+        if (value && value.type === 'class') {
+          return 'class';
+        }
+        return context.exported ? 'variable' : null;
+      }
+      case 'assignment_expression': {
+        const left = node.childForFieldName('left');
+        return left && /^(?:module\.exports|exports)\b/.test(left.text) ? 'export' : null;
+      }
+      case 'type_spec': {
+        const type = node.childForFieldName('type');
+        if (type && type.type === 'struct_type') {
+          return 'struct';
+        }
+        return type && type.type === 'interface_type' ? 'interface' : 'type';
+      }
+      case 'function_definition':
+      case 'function_item':
+      case 'function_signature_item':
+        return TYPE_KINDS.has(context.parentKind) ? 'method' : 'function';
+      default:
+        return kind;
+    }
+  }
+
+  nameOf(node) {
+    switch (node.type) {
+      case 'assignment_expression': {
+        const left = node.childForFieldName('left').text;
+        const right = node.childForFieldName('right');
+        if (left === 'module.exports' || left === 'exports') {
+          return right && right.type === 'identifier' ? right.text : left;
+        }
+        return left.replace(/^(?:module\.)?exports\./, '');
+      }
+      case 'impl_item': {
+        const type = node.childForFieldName('type');
+        const trait = node.childForFieldName('trait');
+        return type ? (trait ? `${trait.text} for ${type.text}` : type.text) : null;
+      }
+      default: {
+        const name = node.childForFieldName('name');
+        return name ? name.text : null;
+      }
+    }
+  }
+
+  isExported(node, name, language, context) {
+    if (context.exported || node.type === 'assignment_expression') {
+      return true;
+    }
+    // Go exports capitalized names; Rust, Java and C# mark them public
+    if (language.capitalizedExports) {
+      return /^[A-Z]/.test(name);
+    }
+    return node.namedChildren.some(child =>
+      (child.type === 'visibility_modifier' && child.text.startsWith('pub')) ||
+      (child.type === 'modifiers' && /\bpublic\b/.test(child.text)) ||
+      (child.type === 'modifier' && child.text === 'public'));
+  }
+
+  /**
+   * Definitions from the CodeIndex symbol patterns, for when tree-sitter can't be loaded
+   */
+  static patternDefinitions(content, filePath, lines) {
+    return CodeIndex.extractSymbols(content, filePath).map(symbol => ({
+      name: symbol.name,
+      kind: symbol.kind,
+      line: symbol.line,
+      endLine: symbol.line,
+      signature: (lines[symbol.line - 1] || '').trim().slice(0, MAX_SIGNATURE_LENGTH)
+    }));
+  }
+
+  /**
+   * "# path" followed by "start--end | signature" per definition, members indented
+   */
+  static format(relativePath, definitions) {
+    const rows = definitions.map(definition =>
+      `${definition.parent ? '  ' : ''}${definition.line}--${definition.endLine} | ${definition.signature}`);
+    return [`# ${relativePath}`, ...rows].join('\n');
+  }
+}
+
+module.exports = CodeDefinitionParser;
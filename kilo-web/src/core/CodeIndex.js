@@ -0,0 +1,648 @@
+/**
+ * CodeIndex - Local index of the workspace for relevance-ranked context
+ * Keeps a symbol table (classes, functions, methods and types found with
+ * per-language patterns) and a BM25 full-text index over chunks of each file,
+ * so a task description can be matched to the files and line ranges it is
+ * about. Chunks follow symbol boundaries where there are any. After the first
+ * build the index is updated file by file as the watcher reports changes.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const chokidar = require('chokidar');
+const TokenCounter = require('./TokenCounter');
+
+const IGNORED_DIRECTORIES = [
+  '.git', 'node_modules', '.kilo', 'dist', 'build', 'out', 'coverage', 'target',
+  '__pycache__', '.venv', 'venv', '.next', '.nuxt', '.cache', 'vendor', 'uploads', 'logs'
+];
+
+const TEXT_EXTENSIONS = [
+  '.md', '.txt', '.json', '.yaml', '.yml', '.toml', '.html', '.css', '.scss',
+  '.sh', '.sql', '.graphql', '.vue', '.svelte'
+];
+
+const MAX_FILE_SIZE = 512 * 1024;
+const MAX_FILES = 5000;
+
+// Chunks are split at symbols; longer stretches are cut into windows of CHUNK_LINES
+const CHUNK_LINES = 40;
+const MAX_CHUNK_LINES = 80;
+const MIN_CHUNK_LINES = 8;
+
+// BM25 parameters, and the score added to a chunk that defines a symbol named in the query
+const K1 = 1.2;
+const B = 0.75;
+const SYMBOL_BOOST = 3;
+
+// Changes arriving within this window are indexed together
+const UPDATE_DELAY = 250;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'could', 'do', 'does', 'for',
+  'from', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our',
+  'please', 'should', 'so', 'that', 'the', 'their', 'there', 'this', 'to', 'was', 'we',
+  'what', 'when', 'where', 'which', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// Names that look like method definitions to the patterns below but are control flow
+const CONTROL_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'with', 'else', 'do']);
+
+const LANGUAGES = {
+  '.js': 'javascript', '.jsx': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript',
+  '.ts': 'javascript', '.tsx': 'javascript',
+  '.py': 'python',
+  '.go': 'go',
+  '.rs': 'rust',
+  '.java': 'java', '.kt': 'java', '.cs': 'java', '.scala': 'java',
+  '.rb': 'ruby',
+  '.php': 'php',
+  '.c': 'c', '.h': 'c', '.cc': 'c', '.cpp': 'c', '.hpp': 'c'
+};
+
+// Patterns are matched per line; the first capture group is the symbol name
+const SYMBOL_PATTERNS = {
+  javascript: [
+    { kind: 'class', pattern: /^\s*(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+([A-Za-z_$][\w$]*)/ },
+    { kind: 'function', pattern: /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)/ },
+    { kind: 'function', pattern: /^\s*(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]+)?=>|[A-Za-z_$][\w$]*\s*=>)/ },
+    { kind: 'interface', pattern: /^\s*(?:export\s+)?(?:declare\s+)?interface\s+([A-Za-z_$][\w$]*)/ },
+    { kind: 'type', pattern: /^\s*(?:export\s+)?(?:declare\s+)?type\s+([A-Za-z_$][\w$]*)\s*(?:<[^>]*>)?\s*=/ },
+    { kind: 'enum', pattern: /^\s*(?:export\s+)?(?:declare\s+)?(?:const\s+)?enum\s+([A-Za-z_$][\w$]*)/ },
+    { kind: 'method', pattern: /^\s+(?:(?:public|private|protected|static|async|get|set|override|readonly)\s+)*\*?#?([A-Za-z_$][\w$]*)\s*(?:<[^>]*>)?\s*\([^)]*\)\s*(?::\s*[^{]+)?\{\s*$/ }
+  ],
+  python: [
+    { kind: 'class', pattern: /^\s*class\s+([A-Za-z_]\w*)/ },
+    { kind: 'function', pattern: /^\s*(?:async\s+)?def\s+([A-Za-z_]\w*)/ }
+  ],
+  go: [
+    { kind: 'method', pattern: /^func\s+\([^)]*\)\s*([A-Za-z_]\w*)/ },
+    { kind: 'function', pattern: /^func\s+([A-Za-z_]\w*)/ },
+    { kind: 'type', pattern: /^type\s+([A-Za-z_]\w*)/ }
+  ],
+  rust: [
+    { kind: 'function', pattern: /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:const\s+)?(?:async\s+)?(?:unsafe\s+)?fn\s+([A-Za-z_]\w*)/ },
+    { kind: 'type', pattern: /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:struct|enum|trait|type|union)\s+([A-Za-z_]\w*)/ },
+    { kind: 'impl', pattern: /^\s*impl(?:<[^>]*>)?\s+(?:[\w:]+(?:<[^>]*>)?\s+for\s+)?([A-Za-z_]\w*)/ },
+    { kind: 'module', pattern: /^\s*(?:pub\s+)?mod\s+([A-Za-z_]\w*)/ }
+  ],
+  java: [
+    { kind: 'class', pattern: /^\s*(?:(?:public|private|protected|internal|static|final|abstract|sealed|partial|open|data)\s+)*(?:class|interface|enum|record|struct|object)\s+([A-Za-z_]\w*)/ },
+    { kind: 'method', pattern: /^\s+(?:(?:public|private|protected|internal|static|final|abstract|virtual|override|async|synchronized)\s+)+[\w<>\[\],.?\s]*?\b([A-Za-z_]\w*)\s*\(/ },
+    { kind: 'function', pattern: /^\s*(?:(?:private|public|internal|suspend|override)\s+)*fun\s+(?:<[^>]*>\s*)?(?:[\w.]+\.)?([A-Za-z_]\w*)/ }
+  ],
+  ruby: [
+    { kind: 'class', pattern: /^\s*(?:class|module)\s+([A-Z]\w*)/ },
+    { kind: 'method', pattern: /^\s*def\s+(?:self\.)?([A-Za-z_]\w*[?!=]?)/ }
+  ],
+  php: [
+    { kind: 'class', pattern: /^\s*(?:(?:abstract|final)\s+)?(?:class|interface|trait|enum)\s+([A-Za-z_]\w*)/ },
+    { kind: 'function', pattern: /^\s*(?:(?:public|private|protected|static|abstract|final)\s+)*function\s+&?([A-Za-z_]\w*)/ }
+  ],
+  c: [
+    { kind: 'class', pattern: /^\s*(?:class|struct|union|enum)\s+([A-Za-z_]\w*)\s*(?::[^{;]*)?\{?\s*$/ },
+    { kind: 'function', pattern: /^(?:[A-Za-z_][\w:<>,*&\s]*?[\s*&])([A-Za-z_][\w:~]*)\s*\([^;]*\)?\s*(?:const\s*)?\{?\s*$/ }
+  ]
+};
+
+class CodeIndex {
+  static IGNORED_DIRECTORIES = IGNORED_DIRECTORIES;
+
+  constructor(workspaceDir = './') {
+    this.workspaceDir = path.resolve(workspaceDir);
+    this.files = new Map(); // relative path -> { mtime, size, symbols, chunkIds }
+    this.chunks = new Map(); // id -> { path, startLine, endLine, length, symbols }
+    this.postings = new Map(); // term -> Map(chunk id -> term frequency)
+    this.symbols = new Map(); // lowercased name -> [{ name, kind, path, line }]
+    this.totalLength = 0;
+    this.nextChunkId = 1;
+    this.watcher = null;
+    this.pendingUpdates = new Set();
+    this.updateTimer = null;
+    this.building = null;
+    this.builtAt = null;
+  }
+
+  /**
+   * Build the index and keep it current while the workspace changes
+   */
+  async initialize({ watch = true } = {}) {
+    await this.build();
+    if (watch) {
+      this.watch();
+    }
+  }
+
+  /**
+   * Index every file that is new or changed since the last build and drop the ones that are gone
+   */
+  build() {
+    if (!this.building) {
+      this.building = this.runBuild().finally(() => {
+        this.building = null;
+      });
+    }
+    return this.building;
+  }
+
+  async runBuild() {
+    const startTime = Date.now();
+    const seen = new Set();
+    let indexed = 0;
+
+    for await (const relativePath of this.walk(this.workspaceDir)) {
+      if (seen.size >= MAX_FILES) {
+        console.warn(`⚠️ Code index stopped at ${MAX_FILES} files`);
+        break;
+      }
+      seen.add(relativePath);
+      if (await this.updateFile(relativePath)) {
+        indexed++;
+      }
+      // Let requests through while a large workspace is indexed
+      if (seen.size % 50 === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+
+    for (const relativePath of Array.from(this.files.keys())) {
+      if (!seen.has(relativePath)) {
+        this.removeFile(relativePath);
+      }
+    }
+
+    this.builtAt = Date.now();
+    console.log(`🗂️ Code index: ${this.files.size} files, ${this.chunks.size} chunks (${indexed} indexed in ${Date.now() - startTime}ms)`);
+    return this.getStats();
+  }
+
+  async *walk(directory) {
+    let entries;
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRECTORIES.includes(entry.name)) {
+          yield* this.walk(fullPath);
+        }
+      } else if (entry.isFile() && this.isIndexable(entry.name)) {
+        yield this.relativePath(fullPath);
+      }
+    }
+  }
+
+  isIndexable(fileName) {
+    const ext = path.extname(fileName).toLowerCase();
+    return Boolean(LANGUAGES[ext]) || TEXT_EXTENSIONS.includes(ext);
+  }
+
+  /**
+   * Workspace-relative path with forward slashes, as used for every key in the index
+   */
+  relativePath(filePath) {
+    return path.relative(this.workspaceDir, path.resolve(this.workspaceDir, filePath)).split(path.sep).join('/');
+  }
+
+  /**
+   * (Re)index one file if it changed since it was last indexed
+   * @returns {Promise<boolean>} Whether the file was indexed
+   */
+  async updateFile(filePath) {
+    const relativePath = this.relativePath(filePath);
+    const fullPath = path.join(this.workspaceDir, relativePath);
+
+    let stats;
+    try {
+      stats = await fs.stat(fullPath);
+    } catch (error) {
+      this.removeFile(relativePath);
+      return false;
+    }
+
+    const existing = this.files.get(relativePath);
+    if (existing && existing.mtime === stats.mtimeMs && existing.size === stats.size) {
+      return false;
+    }
+    if (!stats.isFile() || stats.size > MAX_FILE_SIZE) {
+      this.removeFile(relativePath);
+      return false;
+    }
+
+    const content = await fs.readFile(fullPath, 'utf8');
+    if (content.includes('\u0000')) {
+      this.removeFile(relativePath);
+      return false;
+    }
+
+    this.indexContent(relativePath, content, { mtime: stats.mtimeMs, size: stats.size });
+    return true;
+  }
+
+  indexContent(relativePath, content, { mtime = Date.now(), size = content.length } = {}) {
+    this.removeFile(relativePath);
+
+    const lines = content.split(/\r?\n/);
+    const symbols = CodeIndex.extractSymbols(content, relativePath).map(symbol => ({ ...symbol, path: relativePath }));
+    const pathTerms = CodeIndex.tokenize(relativePath.replace(/\.[^./]+$/, ''));
+    const chunkIds = [];
+
+    for (const { startLine, endLine } of CodeIndex.chunkLines(lines.length, symbols)) {
+      const id = this.nextChunkId++;
+      const chunkSymbols = symbols.filter(symbol => symbol.line >= startLine && symbol.line <= endLine);
+      const terms = CodeIndex.tokenize(lines.slice(startLine - 1, endLine).join('\n')).concat(pathTerms);
+
+      const frequencies = new Map();
+      for (const term of terms) {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1);
+      }
+      for (const [term, frequency] of frequencies) {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+        }
+        this.postings.get(term).set(id, frequency);
+      }
+
+      this.chunks.set(id, {
+        path: relativePath,
+        startLine,
+        endLine,
+        length: terms.length,
+        terms: Array.from(frequencies.keys()),
+        symbols: chunkSymbols.map(symbol => symbol.name)
+      });
+      this.totalLength += terms.length;
+      chunkIds.push(id);
+    }
+
+    for (const symbol of symbols) {
+      const key = symbol.name.toLowerCase();
+      if (!this.symbols.has(key)) {
+        this.symbols.set(key, []);
+      }
+      this.symbols.get(key).push(symbol);
+    }
+
+    this.files.set(relativePath, { mtime, size, symbols, chunkIds, lineCount: lines.length });
+  }
+
+  removeFile(filePath) {
+    const relativePath = this.relativePath(filePath);
+    const file = this.files.get(relativePath);
+    if (!file) {
+      return false;
+    }
+
+    for (const id of file.chunkIds) {
+      const chunk = this.chunks.get(id);
+      for (const term of chunk.terms) {
+        const posting = this.postings.get(term);
+        posting.delete(id);
+        if (posting.size === 0) {
+          this.postings.delete(term);
+        }
+      }
+      this.totalLength -= chunk.length;
+      this.chunks.delete(id);
+    }
+
+    for (const symbol of file.symbols) {
+      const key = symbol.name.toLowerCase();
+      const remaining = (this.symbols.get(key) || []).filter(entry => entry.path !== relativePath);
+      if (remaining.length > 0) {
+        this.symbols.set(key, remaining);
+      } else {
+        this.symbols.delete(key);
+      }
+    }
+
+    this.files.delete(relativePath);
+    return true;
+  }
+
+  /**
+   * Follow workspace changes; updates are batched so a save burst indexes each file once
+   */
+  watch() {
+    if (this.watcher) {
+      return;
+    }
+    this.watcher = chokidar.watch(this.workspaceDir, {
+      ignoreInitial: true,
+      ignored: filePath => path.relative(this.workspaceDir, filePath).split(path.sep).some(segment => IGNORED_DIRECTORIES.includes(segment))
+    });
+    for (const event of ['add', 'change', 'unlink']) {
+      this.watcher.on(event, filePath => {
+        if (this.isIndexable(filePath)) {
+          this.scheduleUpdate(filePath);
+        }
+      });
+    }
+    this.watcher.on('error', error => console.warn('⚠️ Code index watcher error:', error.message));
+  }
+
+  scheduleUpdate(filePath) {
+    this.pendingUpdates.add(this.relativePath(filePath));
+    if (!this.updateTimer) {
+      this.updateTimer = setTimeout(() => this.flushUpdates(), UPDATE_DELAY);
+    }
+  }
+
+  async flushUpdates() {
+    this.updateTimer = null;
+    const paths = Array.from(this.pendingUpdates);
+    this.pendingUpdates.clear();
+    for (const relativePath of paths) {
+      try {
+        await this.updateFile(relativePath);
+      } catch (error) {
+        console.warn(`⚠️ Could not index ${relativePath}:`, error.message);
+      }
+    }
+  }
+
+  async close() {
+    if (this.updateTimer) {
+      clearTimeout(this.updateTimer);
+      this.updateTimer = null;
+    }
+    if (this.watcher) {
+      await this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Chunks ranked by BM25 for `query`, plus a boost for chunks defining a symbol the query names
+   * @param {Object} options - { limit, paths: restrict to these files }
+   * @returns {Array} [{ path, startLine, endLine, score, symbols }]
+   */
+  search(query, { limit = 20, paths = null } = {}) {
+    const allowed = paths ? new Set(paths.map(filePath => this.relativePath(filePath))) : null;
+    const chunkCount = this.chunks.size;
+    if (!query || chunkCount === 0) {
+      return [];
+    }
+    const averageLength = this.totalLength / chunkCount || 1;
+    const scores = new Map();
+
+    for (const term of new Set(CodeIndex.tokenize(query))) {
+      const posting = this.postings.get(term);
+      if (!posting) {
+        continue;
+      }
+      const idf = Math.log(1 + (chunkCount - posting.size + 0.5) / (posting.size + 0.5));
+      for (const [id, frequency] of posting) {
+        const chunk = this.chunks.get(id);
+        if (allowed && !allowed.has(chunk.path)) {
+          continue;
+        }
+        const score = idf * frequency * (K1 + 1) / (frequency + K1 * (1 - B + B * chunk.length / averageLength));
+        scores.set(id, (scores.get(id) || 0) + score);
+      }
+    }
+
+    for (const word of new Set(query.match(/[A-Za-z_$][\w$]*/g) || [])) {
+      for (const symbol of this.symbols.get(word.toLowerCase()) || []) {
+        if (allowed && !allowed.has(symbol.path)) {
+          continue;
+        }
+        const id = this.files.get(symbol.path).chunkIds.find(chunkId => {
+          const chunk = this.chunks.get(chunkId);
+          return symbol.line >= chunk.startLine && symbol.line <= chunk.endLine;
+        });
+        if (id) {
+          scores.set(id, (scores.get(id) || 0) + SYMBOL_BOOST);
+        }
+      }
+    }
+
+    return Array.from(scores.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([id, score]) => {
+        const { path: filePath, startLine, endLine, symbols } = this.chunks.get(id);
+        return { path: filePath, startLine, endLine, score: Math.round(score * 1000) / 1000, symbols };
+      });
+  }
+
+  /**
+   * The best-ranked line ranges for `query` that fit in `tokenBudget`, grouped by file
+   * Adjacent ranges of a file are merged so the excerpt reads as one block.
+   * @param {Object} options - { tokenBudget, target: { provider, model }, paths, limit }
+   * @returns {Promise<Object>} { files: [{ path, score, tokens, ranges: [{ startLine, endLine, score, content }] }], tokens }
+   */
+  async selectContext(query, { tokenBudget = 8000, target = {}, paths = null, limit = 50 } = {}) {
+    const counter = TokenCounter.shared;
+    const fileLines = new Map();
+    const selected = new Map();
+    let used = 0;
+
+    for (const hit of this.search(query, { limit, paths })) {
+      if (!fileLines.has(hit.path)) {
+        try {
+          fileLines.set(hit.path, (await fs.readFile(path.join(this.workspaceDir, hit.path), 'utf8')).split(/\r?\n/));
+        } catch (error) {
+          fileLines.set(hit.path, null);
+        }
+      }
+      const lines = fileLines.get(hit.path);
+      if (!lines) {
+        continue;
+      }
+
+      const content = lines.slice(hit.startLine - 1, hit.endLine).join('\n');
+      const tokens = counter.count(content, target);
+      if (used + tokens > tokenBudget) {
+        continue;
+      }
+      used += tokens;
+
+      if (!selected.has(hit.path)) {
+        selected.set(hit.path, { path: hit.path, score: 0, tokens: 0, ranges: [] });
+      }
+      const file = selected.get(hit.path);
+      file.score += hit.score;
+      file.tokens += tokens;
+      file.ranges.push({ startLine: hit.startLine, endLine: hit.endLine, score: hit.score, symbols: hit.symbols });
+    }
+
+    const files = Array.from(selected.values()).sort((a, b) => b.score - a.score);
+    for (const file of files) {
+      const lines = fileLines.get(file.path);
+      file.score = Math.round(file.score * 1000) / 1000;
+      file.ranges = CodeIndex.mergeRanges(file.ranges).map(range => ({
+        ...range,
+        content: lines.slice(range.startLine - 1, range.endLine).join('\n')
+      }));
+    }
+
+    return { files, tokens: used };
+  }
+
+  /**
+   * Definitions whose name matches; `exact: false` also finds names containing `name`
+   */
+  findSymbols(name, { exact = true, limit = 50 } = {}) {
+    const needle = String(name || '').toLowerCase();
+    if (!needle) {
+      return [];
+    }
+    if (exact) {
+      return (this.symbols.get(needle) || []).slice(0, limit);
+    }
+
+    const matches = [];
+    for (const [key, entries] of this.symbols) {
+      if (key.includes(needle)) {
+        matches.push(...entries);
+        if (matches.length >= limit) {
+          break;
+        }
+      }
+    }
+    return matches.slice(0, limit);
+  }
+
+  getFileSymbols(filePath) {
+    const file = this.files.get(this.relativePath(filePath));
+    return file ? file.symbols : null;
+  }
+
+  getStats() {
+    let symbolCount = 0;
+    for (const entries of this.symbols.values()) {
+      symbolCount += entries.length;
+    }
+    return {
+      files: this.files.size,
+      chunks: this.chunks.size,
+      symbols: symbolCount,
+      terms: this.postings.size,
+      watching: Boolean(this.watcher),
+      building: Boolean(this.building),
+      builtAt: this.builtAt
+    };
+  }
+
+  /**
+   * Symbol definitions in `content`, found with the patterns for the file's language
+   * @returns {Array} [{ name, kind, line }] with 1-based lines
+   */
+  static extractSymbols(content, fileName) {
+    const language = LANGUAGES[path.extname(fileName).toLowerCase()];
+    const patterns = SYMBOL_PATTERNS[language];
+    if (!patterns) {
+      return [];
+    }
+
+    const symbols = [];
+    content.split(/\r?\n/).forEach((line, index) => {
+      for (const { kind, pattern } of patterns) {
+        const match = line.match(pattern);
+        if (match && !CONTROL_KEYWORDS.has(match[1])) {
+          // Python functions indented under a class are methods
+          const isMethod = language === 'python' && kind === 'function' && /^\s+/.test(line);
+          symbols.push({ name: match[1], kind: isMethod ? 'method' : kind, line: index + 1 });
+          break;
+        }
+      }
+    });
+    return symbols;
+  }
+
+  /**
+   * Split `lineCount` lines into chunks starting at symbol definitions
+   * Short stretches are joined with the next one and long ones are cut into windows.
+   */
+  static chunkLines(lineCount, symbols) {
+    const starts = Array.from(new Set([1, ...symbols.map(symbol => symbol.line)])).sort((a, b) => a - b);
+    const segments = starts.map((start, index) => ({
+      startLine: start,
+      endLine: index + 1 < starts.length ? starts[index + 1] - 1 : lineCount
+    }));
+
+    const merged = [];
+    for (const segment of segments) {
+      const previous = merged[merged.length - 1];
+      if (previous && previous.endLine - previous.startLine + 1 < MIN_CHUNK_LINES &&
+          segment.endLine - previous.startLine + 1 <= CHUNK_LINES) {
+        previous.endLine = segment.endLine;
+      } else {
+        merged.push({ ...segment });
+      }
+    }
+
+    const chunks = [];
+    for (const segment of merged) {
+      if (segment.endLine - segment.startLine + 1 <= MAX_CHUNK_LINES) {
+        chunks.push(segment);
+        continue;
+      }
+      for (let start = segment.startLine; start <= segment.endLine; start += CHUNK_LINES) {
+        chunks.push({ startLine: start, endLine: Math.min(start + CHUNK_LINES - 1, segment.endLine) });
+      }
+    }
+    return chunks;
+  }
+
+  static mergeRanges(ranges) {
+    const sorted = [...ranges].sort((a, b) => a.startLine - b.startLine);
+    const merged = [];
+    for (const range of sorted) {
+      const previous = merged[merged.length - 1];
+      if (previous && range.startLine <= previous.endLine + 1) {
+        previous.endLine = Math.max(previous.endLine, range.endLine);
+        previous.score = Math.max(previous.score, range.score);
+        previous.symbols = previous.symbols.concat(range.symbols);
+      } else {
+        merged.push({ ...range, symbols: [...range.symbols] });
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Index terms for `text`: lowercased identifiers and their camelCase/snake_case parts
+   */
+  static tokenize(text) {
+    const terms = [];
+    for (const word of String(text).match(/[A-Za-z][A-Za-z0-9]*(?:[_$][A-Za-z0-9]+)*/g) || []) {
+      const whole = CodeIndex.normalizeTerm(word);
+      if (whole) {
+        terms.push(whole);
+      }
+      const parts = word.split(/[_$]+|(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/);
+      if (parts.length > 1) {
+        for (const part of parts) {
+          const term = CodeIndex.normalizeTerm(part);
+          if (term && term !== whole) {
+            terms.push(term);
+          }
+        }
+      }
+    }
+    return terms;
+  }
+
+  static normalizeTerm(word) {
+    const term = word.toLowerCase();
+    if (term.length < 2 || STOP_WORDS.has(term)) {
+      return null;
+    }
+    // Plurals match their singular: files -> file, entries -> entry
+    if (term.length > 4 && term.endsWith('ies')) {
+      return `${term.slice(0, -3)}y`;
+    }
+    if (term.length > 3 && term.endsWith('s') && !/(?:ss|us|is)$/.test(term)) {
+      return term.slice(0, -1);
+    }
+    return term;
+  }
+}
+
+module.exports = CodeIndex;
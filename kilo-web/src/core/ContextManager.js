@@ -5,6 +5,7 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const TokenCounter = require('./TokenCounter');
 
 class ContextManager {
   static DEFAULT_SETTINGS = {
@@ -20,6 +21,8 @@ class ContextManager {
     writeDelayMs: 100,
     includeDiagnosticMessages: true,
     maxDiagnosticMessages: 10,
+    terminalOutputLineLimit: 500,
+    terminalOutputCharacterLimit: 50000,
     contextWindowSize: 200000,
     relevanceThreshold: 0.3,
     cacheTimeout: 300000, // 5 minutes
@@ -37,6 +40,22 @@ class ContextManager {
     this.contextWindow = [];
     this.contextSize = 0;
     this.diagnostics = [];
+    this.tokenTarget = {}; // { provider, model } whose tokenizer sizes the context
+    this.codeIndex = null;
+  }
+
+  /**
+   * Size context in the tokens of `profile`'s provider and model
+   */
+  setTokenTarget(profile) {
+    this.tokenTarget = profile ? { provider: profile.provider, model: profile.model } : {};
+  }
+
+  /**
+   * Rank files against the current message with `codeIndex` instead of file-type heuristics
+   */
+  setCodeIndex(codeIndex) {
+    this.codeIndex = codeIndex;
   }
 
   /**
@@ -243,8 +262,14 @@ class ContextManager {
 
   /**
    * Multi-file context strategy
+   * With a `query` (usually the current user message) and a code index, files and
+   * line ranges are chosen by relevance to it.
    */
-  async optimizeMultiFileContext(files) {
+  async optimizeMultiFileContext(files, query = '', options = {}) {
+    if (query && this.codeIndex) {
+      return this.relevantFileStrategy(files, query, options);
+    }
+
     const strategy = this.settings.multiFileStrategy;
     
     switch (strategy) {
@@ -284,6 +309,27 @@ class ContextManager {
     return selectedFiles;
   }
 
+  /**
+   * Relevant file strategy - the line ranges the code index ranks highest for `query`
+   * Only `files` are considered when any are given.
+   */
+  async relevantFileStrategy(files, query, { tokenBudget } = {}) {
+    const { files: selected } = await this.codeIndex.selectContext(query, {
+      tokenBudget: tokenBudget || Math.floor(this.settings.contextWindowSize * 0.8),
+      target: this.tokenTarget,
+      paths: files.length > 0 ? files.map(file => file.path) : null
+    });
+
+    const topScore = selected.length > 0 ? selected[0].score : 1;
+    const byPath = new Map(files.map(file => [this.codeIndex.relativePath(file.path), file]));
+    return selected.map(file => ({
+      ...byPath.get(file.path),
+      ...file,
+      size: file.tokens,
+      priority: file.score / topScore
+    }));
+  }
+
   /**
    * Calculate file priority for context inclusion
    */
@@ -390,11 +436,11 @@ class ContextManager {
     return `ctx_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  /**
+   * Size in tokens, to compare with contextWindowSize
+   */
   calculateContentSize(content) {
-    if (typeof content === 'string') {
-      return new Blob([content]).size;
-    }
-    return JSON.stringify(content).length;
+    return TokenCounter.shared.count(content, this.tokenTarget);
   }
 
   isCodeContent(content) {
@@ -0,0 +1,308 @@
+/**
+ * HTML-only Browser Engine for Kilo-Web
+ * Fallback used when no Chromium is available: fetches pages over HTTP and
+ * parses them with jsdom. Page scripts never run and nothing is rendered, so
+ * screenshots, coordinate clicks and script execution are unavailable.
+ */
+
+class HtmlPage {
+  static MAX_REDIRECTS = 10;
+  static BLOCK_ELEMENTS = 'address, article, aside, blockquote, br, dd, div, dl, dt, footer, form, h1, h2, h3, h4, h5, h6, header, hr, li, main, nav, ol, p, pre, section, table, tr, ul';
+
+  constructor(jsdom, options) {
+    this.jsdom = jsdom;
+    this.options = options;
+    this.cookieJar = new jsdom.CookieJar();
+    this.dom = new jsdom.JSDOM('', { url: 'about:blank' });
+  }
+
+  get document() {
+    return this.dom.window.document;
+  }
+
+  /**
+   * Fetch a URL, following redirects manually so cookies set along the way are kept
+   */
+  async request(url, { method = 'GET', body = null, timeout } = {}) {
+    let currentUrl = url;
+    let currentMethod = method;
+    let currentBody = body;
+
+    for (let redirects = 0; redirects <= HtmlPage.MAX_REDIRECTS; redirects++) {
+      const headers = {
+        'User-Agent': this.options.userAgent,
+        Accept: 'text/html,application/xhtml+xml,*/*;q=0.8'
+      };
+      const cookieHeader = this.cookieJar.getCookieStringSync(currentUrl);
+      if (cookieHeader) {
+        headers.Cookie = cookieHeader;
+      }
+      if (currentBody) {
+        headers['Content-Type'] = 'application/x-www-form-urlencoded';
+      }
+
+      const response = await fetch(currentUrl, {
+        method: currentMethod,
+        headers,
+        body: currentBody,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeout)
+      });
+
+      for (const cookie of response.headers.getSetCookie()) {
+        try {
+          this.cookieJar.setCookieSync(cookie, currentUrl);
+        } catch (error) {
+          // Ignore cookies the jar rejects (bad domain etc.)
+        }
+      }
+
+      const location = response.headers.get('location');
+      if (response.status >= 300 && response.status < 400 && location) {
+        currentUrl = new URL(location, currentUrl).toString();
+        if (response.status !== 307 && response.status !== 308) {
+          currentMethod = 'GET';
+          currentBody = null;
+        }
+        continue;
+      }
+
+      return { response, url: currentUrl };
+    }
+
+    throw new Error(`Too many redirects loading ${url}`);
+  }
+
+  async load(url, requestOptions) {
+    const { response, url: finalUrl } = await this.request(url, requestOptions);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const contentType = response.headers.get('content-type') || 'text/html';
+    const html = await response.text();
+    const isHtml = /html|xml/.test(contentType);
+
+    this.dom.window.close();
+    this.dom = new this.jsdom.JSDOM(isHtml ? html : `<pre>${this.escapeHtml(html)}</pre>`, {
+      url: finalUrl,
+      contentType: isHtml ? contentType.split(';')[0] : 'text/html',
+      cookieJar: this.cookieJar
+    });
+  }
+
+  navigate(url, { timeout }) {
+    return this.load(url, { timeout });
+  }
+
+  async click(target, { timeout }) {
+    if (typeof target !== 'string') {
+      throw new Error('Clicking by coordinate requires a Chromium browser; use a CSS selector instead');
+    }
+
+    const element = this.querySelector(target);
+    const link = element.closest('a[href]');
+    if (link) {
+      return this.navigate(link.href, { timeout });
+    }
+
+    const isSubmit = (element.tagName === 'BUTTON' && (element.type || 'submit') === 'submit') ||
+      (element.tagName === 'INPUT' && ['submit', 'image'].includes(element.type));
+    if (isSubmit && element.form) {
+      return this.submitForm(element.form, element, timeout);
+    }
+
+    if (element.type === 'checkbox' || element.type === 'radio') {
+      element.checked = element.type === 'radio' ? true : !element.checked;
+    }
+    element.focus();
+    element.dispatchEvent(new this.dom.window.MouseEvent('click', { bubbles: true }));
+  }
+
+  async hover() {
+    throw new Error('Hovering requires a Chromium browser');
+  }
+
+  async type(text) {
+    const element = this.document.activeElement;
+    if (!element || !('value' in element)) {
+      throw new Error('No focused input to type into');
+    }
+    element.value += text;
+  }
+
+  async scroll() {
+    // Nothing is rendered, so there is no viewport to scroll
+  }
+
+  async fill(selector, value) {
+    const element = this.querySelector(selector);
+    element.focus();
+    if (element.type === 'checkbox' || element.type === 'radio') {
+      element.checked = Boolean(value);
+    } else {
+      element.value = String(value);
+    }
+  }
+
+  async submit(selector, { timeout }) {
+    const element = this.querySelector(selector);
+    const form = element.tagName === 'FORM' ? element : element.closest('form');
+    if (!form) {
+      throw new Error(`Form not found: ${selector}`);
+    }
+    return this.submitForm(form, null, timeout);
+  }
+
+  /**
+   * Serialize a form the way a browser would and load the response
+   */
+  async submitForm(form, submitter, timeout) {
+    const params = new URLSearchParams();
+    for (const field of form.elements) {
+      if (!field.name || field.disabled) continue;
+      if (['submit', 'image', 'button', 'reset'].includes(field.type) && field !== submitter) continue;
+      if ((field.type === 'checkbox' || field.type === 'radio') && !field.checked) continue;
+      if (field.type === 'file') continue;
+
+      if (field.tagName === 'SELECT' && field.multiple) {
+        for (const option of field.selectedOptions) {
+          params.append(field.name, option.value);
+        }
+      } else {
+        params.append(field.name, field.value);
+      }
+    }
+
+    const method = (form.getAttribute('method') || 'GET').toUpperCase();
+    const action = new URL(form.getAttribute('action') || '', this.dom.window.location.href);
+
+    if (method === 'POST') {
+      return this.load(action.toString(), { method: 'POST', body: params.toString(), timeout });
+    }
+    action.search = params.toString();
+    return this.load(action.toString(), { timeout });
+  }
+
+  async waitFor(selector) {
+    // Without scripts the DOM never changes after load
+    return !!this.document.querySelector(selector);
+  }
+
+  async evaluate() {
+    throw new Error('JavaScript execution requires a Chromium browser');
+  }
+
+  async screenshot() {
+    return null;
+  }
+
+  async setViewport() {
+    // No rendering, viewport is irrelevant
+  }
+
+  async text(selector = null) {
+    const element = selector ? this.querySelector(selector) : this.document.body;
+    if (!element) return '';
+
+    const clone = element.cloneNode(true);
+    for (const hidden of clone.querySelectorAll('script, style, noscript, template')) {
+      hidden.remove();
+    }
+    // Approximate innerText line breaks between block elements
+    for (const block of clone.querySelectorAll(HtmlPage.BLOCK_ELEMENTS)) {
+      block.after(this.document.createTextNode('\n'));
+    }
+    return clone.textContent.replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+  }
+
+  async content() {
+    return this.dom.serialize();
+  }
+
+  async title() {
+    return this.document.title;
+  }
+
+  url() {
+    return this.dom.window.location.href;
+  }
+
+  takeConsoleLogs() {
+    return [];
+  }
+
+  async cookies() {
+    return this.cookieJar.getCookiesSync(this.url()).map(cookie => ({
+      name: cookie.key,
+      value: cookie.value,
+      domain: cookie.domain,
+      path: cookie.path,
+      expires: cookie.expires instanceof Date ? cookie.expires.getTime() / 1000 : -1,
+      httpOnly: cookie.httpOnly,
+      secure: cookie.secure
+    }));
+  }
+
+  async setCookies(cookies) {
+    for (const cookie of cookies) {
+      const url = cookie.url || this.url();
+      const attributes = [`${cookie.name}=${cookie.value}`];
+      if (cookie.domain) attributes.push(`Domain=${cookie.domain}`);
+      if (cookie.path) attributes.push(`Path=${cookie.path}`);
+      this.cookieJar.setCookieSync(attributes.join('; '), url);
+    }
+  }
+
+  querySelector(selector) {
+    const element = this.document.querySelector(selector);
+    if (!element) {
+      throw new Error(`Element not found: ${selector}`);
+    }
+    return element;
+  }
+
+  escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  async close() {
+    this.dom.window.close();
+  }
+}
+
+class HtmlBrowser {
+  constructor(jsdom, options) {
+    this.engine = 'html';
+    this.jsdom = jsdom;
+    this.options = options;
+    this.isConnected = true;
+    this.isRemote = false;
+  }
+
+  /**
+   * Whether the optional jsdom dependency is installed
+   */
+  static isAvailable() {
+    try {
+      require.resolve('jsdom');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  static async launch(options) {
+    return new HtmlBrowser(require('jsdom'), options);
+  }
+
+  async newPage() {
+    return new HtmlPage(this.jsdom, this.options);
+  }
+
+  async close() {
+    this.isConnected = false;
+  }
+}
+
+module.exports = HtmlBrowser;
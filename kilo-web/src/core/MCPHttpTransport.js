@@ -0,0 +1,299 @@
+/**
+ * MCP HTTP Transport for Kilo-Web
+ * Client side of the remote MCP transports:
+ *  - 'sse': legacy HTTP+SSE (GET event stream announces a POST endpoint, responses arrive on the stream)
+ *  - 'streamable-http': single endpoint, POST returns JSON or an SSE stream, session tracked via Mcp-Session-Id
+ */
+
+const EventEmitter = require('events');
+
+class MCPHttpTransport extends EventEmitter {
+  static ENDPOINT_TIMEOUT_MS = 10000;
+  static SESSION_HEADER = 'mcp-session-id';
+
+  constructor({ type, url, headers = {} }) {
+    super();
+    this.type = type;
+    this.url = url;
+    this.headers = headers;
+
+    this.endpoint = null; // POST endpoint announced by legacy SSE servers
+    this.sessionId = null; // Streamable HTTP session
+    this.closed = false;
+    this.abortController = new AbortController();
+  }
+
+  /**
+   * Open the transport. For legacy SSE this opens the event stream and waits
+   * for the server to announce its message endpoint.
+   */
+  async start() {
+    if (this.type === 'sse') {
+      await this.openLegacyStream();
+    } else if (this.type !== 'streamable-http') {
+      throw new Error(`Unsupported transport type: ${this.type}`);
+    }
+  }
+
+  /**
+   * Open the legacy SSE stream and resolve once the `endpoint` event arrives
+   */
+  async openLegacyStream() {
+    const response = await fetch(this.url, {
+      method: 'GET',
+      headers: { ...this.headers, Accept: 'text/event-stream' },
+      signal: this.abortController.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error('Timed out waiting for SSE endpoint event'));
+      }, MCPHttpTransport.ENDPOINT_TIMEOUT_MS);
+
+      this.readEventStream(response, (event) => {
+        if (event.event === 'endpoint') {
+          this.endpoint = new URL(event.data.trim(), this.url).toString();
+          clearTimeout(timer);
+          resolve();
+        } else {
+          this.dispatchEventData(event);
+        }
+      }).then(() => {
+        clearTimeout(timer);
+        reject(new Error('SSE stream closed before endpoint event'));
+        this.handleStreamEnd('SSE stream closed by server');
+      }, (error) => {
+        clearTimeout(timer);
+        reject(error);
+        this.handleStreamEnd(`SSE stream error: ${error.message}`);
+      });
+    });
+  }
+
+  /**
+   * Open the optional streamable HTTP GET stream for server-initiated messages.
+   * Servers that don't offer one answer 405, which is fine.
+   */
+  async openNotificationStream() {
+    if (this.type !== 'streamable-http' || this.closed) {
+      return;
+    }
+
+    try {
+      const response = await fetch(this.url, {
+        method: 'GET',
+        headers: this.buildHeaders({ Accept: 'text/event-stream' }),
+        signal: this.abortController.signal
+      });
+
+      if (response.status === 405 || !response.ok) {
+        return;
+      }
+
+      await this.readEventStream(response, event => this.dispatchEventData(event));
+    } catch (error) {
+      if (!this.closed) {
+        console.warn(`MCP notification stream for ${this.url} ended: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Send a JSON-RPC message
+   */
+  async send(message) {
+    if (this.closed) {
+      throw new Error('Transport is closed');
+    }
+
+    if (this.type === 'sse') {
+      await this.sendLegacy(message);
+    } else {
+      await this.sendStreamable(message);
+    }
+  }
+
+  async sendLegacy(message) {
+    if (!this.endpoint) {
+      throw new Error('SSE endpoint not yet known');
+    }
+
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: { ...this.headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(message),
+      signal: this.abortController.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    // Responses arrive on the event stream; drain the acknowledgement body
+    await response.text();
+  }
+
+  async sendStreamable(message) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: this.buildHeaders({
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream'
+      }),
+      body: JSON.stringify(message),
+      signal: this.abortController.signal
+    });
+
+    const sessionId = response.headers.get(MCPHttpTransport.SESSION_HEADER);
+    if (sessionId) {
+      this.sessionId = sessionId;
+    }
+
+    if (response.status === 404 && this.sessionId) {
+      // Server dropped our session; the caller needs to re-initialize
+      this.handleStreamEnd('MCP session expired');
+      throw new Error('MCP session expired');
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    if (response.status === 202) {
+      return; // Notification or response accepted, nothing to read
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('text/event-stream')) {
+      // Read the stream in the background; responses are matched by request ID
+      this.readEventStream(response, event => this.dispatchEventData(event)).catch(error => {
+        if (!this.closed) {
+          this.emit('error', error);
+        }
+      });
+    } else if (contentType.includes('application/json')) {
+      const body = await response.json();
+      for (const item of Array.isArray(body) ? body : [body]) {
+        this.emit('message', item);
+      }
+    } else {
+      await response.text();
+    }
+  }
+
+  /**
+   * Close the transport, ending the streamable HTTP session if there is one
+   */
+  async close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+
+    if (this.type === 'streamable-http' && this.sessionId) {
+      try {
+        await fetch(this.url, {
+          method: 'DELETE',
+          headers: this.buildHeaders({})
+        });
+      } catch (error) {
+        // Session cleanup is best-effort
+      }
+    }
+
+    this.abortController.abort();
+    this.emit('close', { intentional: true });
+  }
+
+  /**
+   * Called when a stream the transport depends on goes away
+   */
+  handleStreamEnd(reason) {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.abortController.abort();
+    this.emit('close', { intentional: false, error: reason });
+  }
+
+  buildHeaders(extra) {
+    const headers = { ...this.headers, ...extra };
+    if (this.sessionId) {
+      headers['Mcp-Session-Id'] = this.sessionId;
+    }
+    return headers;
+  }
+
+  /**
+   * Parse a `message` SSE event into JSON-RPC message(s)
+   */
+  dispatchEventData(event) {
+    if (event.event && event.event !== 'message') {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(event.data);
+      for (const item of Array.isArray(data) ? data : [data]) {
+        this.emit('message', item);
+      }
+    } catch (error) {
+      console.error(`Error parsing MCP SSE message from ${this.url}:`, error.message);
+    }
+  }
+
+  /**
+   * Read a text/event-stream body, invoking onEvent for each complete event
+   */
+  async readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop(); // Keep incomplete event
+
+      for (const block of blocks) {
+        const event = this.parseEventBlock(block);
+        if (event) {
+          onEvent(event);
+        }
+      }
+    }
+  }
+
+  parseEventBlock(block) {
+    const event = { event: null, data: '', id: null };
+    const dataLines = [];
+
+    for (const line of block.split(/\r?\n/)) {
+      if (!line || line.startsWith(':')) continue; // Comment / keep-alive
+
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+      if (field === 'event') event.event = value;
+      else if (field === 'data') dataLines.push(value);
+      else if (field === 'id') event.id = value;
+    }
+
+    if (dataLines.length === 0) {
+      return null;
+    }
+    event.data = dataLines.join('\n');
+    return event;
+  }
+}
+
+module.exports = MCPHttpTransport;
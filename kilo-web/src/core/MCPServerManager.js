@@ -9,9 +9,16 @@ const path = require('path');
 const { spawn, exec } = require('child_process');
 const EventEmitter = require('events');
 const crypto = require('crypto');
+const MCPHttpTransport = require('./MCPHttpTransport');
 
 class MCPServerManager extends EventEmitter {
   static SETTINGS_FILE = '.kilo/settings/mcp-servers.json';
+  static PROTOCOL_VERSION = '2024-11-05';
+  static DEFAULT_REQUEST_TIMEOUT_MS = 60000; // 60 seconds, matches kilocode's default server timeout
+  static REMOTE_TYPES = ['sse', 'streamable-http'];
+  static DEFAULT_RETRY_ATTEMPTS = 5;
+  static DEFAULT_RETRY_DELAY_MS = 1000;
+  static MAX_RETRY_DELAY_MS = 30000;
   static BUILTIN_SERVERS = {
     'weather': {
       name: 'Weather Server',
@@ -59,11 +66,15 @@ class MCPServerManager extends EventEmitter {
     // Server state management
     this.servers = new Map(); // serverId -> server config
     this.processes = new Map(); // serverId -> process instance
+    this.transports = new Map(); // serverId -> MCPHttpTransport for remote servers
     this.connections = new Map(); // serverId -> connection state
     this.serverStatuses = new Map(); // serverId -> status info
     this.serverHealth = new Map(); // serverId -> health metrics
     this.tools = new Map(); // toolId -> tool info
     this.resources = new Map(); // resourceId -> resource info
+    this.resourceTemplates = new Map(); // templateId -> resource template info
+    this.resourceSubscriptions = new Map(); // serverId:uri -> subscription info
+    this.prompts = new Map(); // promptId -> prompt info
     
     // WebSocket clients for real-time updates
     this.websocketClients = new Set();
@@ -75,6 +86,15 @@ class MCPServerManager extends EventEmitter {
     // Request tracking for metrics
     this.requestMetrics = new Map(); // serverId -> metrics
     
+    // JSON-RPC request correlation
+    this.pendingRequests = new Map(); // requestId -> pending request entry
+    this.nextRequestId = 1;
+    this.startingServers = new Map(); // serverId -> start promise
+    
+    // Remote server reconnection
+    this.reconnectTimers = new Map(); // serverId -> timeout handle
+    this.reconnectAttempts = new Map(); // serverId -> consecutive failed attempts
+    
     this._lock = Promise.resolve();
   }
 
@@ -238,6 +258,24 @@ class MCPServerManager extends EventEmitter {
         }
       }
       
+      for (const [templateId, template] of this.resourceTemplates.entries()) {
+        if (template.serverId === serverId) {
+          this.resourceTemplates.delete(templateId);
+        }
+      }
+      
+      for (const [subscriptionId, subscription] of this.resourceSubscriptions.entries()) {
+        if (subscription.serverId === serverId) {
+          this.resourceSubscriptions.delete(subscriptionId);
+        }
+      }
+      
+      for (const [promptId, prompt] of this.prompts.entries()) {
+        if (prompt.serverId === serverId) {
+          this.prompts.delete(promptId);
+        }
+      }
+      
       // Save configuration
       await this.saveServerConfigurations();
       
@@ -259,29 +297,63 @@ class MCPServerManager extends EventEmitter {
       throw new Error(`Server ${serverId} is disabled`);
     }
     
-    if (this.processes.has(serverId)) {
+    if (this.startingServers.has(serverId)) {
+      return this.startingServers.get(serverId);
+    }
+    
+    if (this.processes.has(serverId) || this.transports.has(serverId)) {
       console.log(`⏯️ Server ${serverId} already running`);
       return;
     }
     
-    try {
-      this.updateServerStatus(serverId, 'connecting');
-      
-      if (server.type === 'stdio') {
-        await this.startStdioServer(serverId, server);
-      } else if (server.type === 'sse') {
-        await this.startSSEServer(serverId, server);
-      } else {
-        throw new Error(`Unsupported server type: ${server.type}`);
+    const startPromise = (async () => {
+      try {
+        this.updateServerStatus(serverId, 'connecting');
+        
+        if (server.type === 'stdio') {
+          await this.startStdioServer(serverId, server);
+        } else if (MCPServerManager.REMOTE_TYPES.includes(server.type)) {
+          await this.startRemoteServer(serverId, server);
+        } else {
+          throw new Error(`Unsupported server type: ${server.type}`);
+        }
+        
+        console.log(`🚀 Started MCP server: ${server.name} (${serverId})`);
+        
+      } catch (error) {
+        console.error(`❌ Failed to start server ${serverId}:`, error);
+        this.updateServerStatus(serverId, 'error', error.message);
+        throw error;
+      } finally {
+        this.startingServers.delete(serverId);
       }
-      
-      console.log(`🚀 Started MCP server: ${server.name} (${serverId})`);
-      
-    } catch (error) {
-      console.error(`❌ Failed to start server ${serverId}:`, error);
-      this.updateServerStatus(serverId, 'error', error.message);
-      throw error;
+    })();
+    
+    this.startingServers.set(serverId, startPromise);
+    return startPromise;
+  }
+
+  /**
+   * Make sure a server is running and has completed the initialize handshake
+   */
+  async ensureServerConnected(serverId) {
+    const server = this.servers.get(serverId);
+    if (!server) {
+      throw new Error(`Server ${serverId} not found`);
     }
+    
+    const connection = this.connections.get(serverId);
+    if (connection && connection.initialized) {
+      return connection;
+    }
+    
+    await this.startServer(serverId);
+    
+    const started = this.connections.get(serverId);
+    if (!started || !started.initialized) {
+      throw new Error(`Server ${serverId} is not connected`);
+    }
+    return started;
   }
 
   /**
@@ -294,67 +366,169 @@ class MCPServerManager extends EventEmitter {
       cwd: server.cwd || this.workspaceDir
     };
     
-    const process = spawn(server.command, server.args || [], options);
-    this.processes.set(serverId, process);
+    const child = spawn(server.command, server.args || [], options);
+    child.startTime = Date.now();
+    this.processes.set(serverId, child);
     
     // Set up process event handlers
-    process.on('error', (error) => {
+    child.on('error', (error) => {
       console.error(`Process error for server ${serverId}:`, error);
+      this.rejectPendingRequests(serverId, `Server process error: ${error.message}`);
       this.updateServerStatus(serverId, 'error', error.message);
     });
     
-    process.on('exit', (code, signal) => {
+    child.on('exit', (code, signal) => {
       console.log(`Process exited for server ${serverId}: code=${code}, signal=${signal}`);
-      this.processes.delete(serverId);
-      this.connections.delete(serverId);
-      this.updateServerStatus(serverId, 'disconnected');
+      if (this.processes.get(serverId) === child) {
+        this.processes.delete(serverId);
+        this.connections.delete(serverId);
+        this.rejectPendingRequests(serverId, `Server process exited (code=${code}, signal=${signal})`);
+        this.updateServerStatus(serverId, 'disconnected');
+      }
     });
     
     // Set up MCP communication
-    await this.setupMCPCommunication(serverId, process);
+    try {
+      await this.setupMCPCommunication(serverId, child);
+    } catch (error) {
+      this.processes.delete(serverId);
+      this.connections.delete(serverId);
+      child.kill('SIGTERM');
+      throw error;
+    }
     
     this.updateServerStatus(serverId, 'connected');
   }
 
   /**
-   * Start an SSE-based MCP server
+   * Connect to a remote MCP server over SSE or streamable HTTP
    */
-  async startSSEServer(serverId, server) {
-    // For SSE servers, we connect to an existing HTTP endpoint
-    // This is a simplified implementation - full SSE support would need more work
+  async startRemoteServer(serverId, server) {
+    const transport = new MCPHttpTransport({
+      type: server.type,
+      url: server.url,
+      headers: this.buildRemoteHeaders(server)
+    });
+    
+    transport.on('message', (message) => this.handleMCPMessage(serverId, message));
+    transport.on('error', (error) => {
+      console.error(`Transport error for server ${serverId}:`, error.message);
+    });
+    transport.on('close', (info) => this.handleTransportClosed(serverId, transport, info));
+    
+    this.transports.set(serverId, transport);
+    this.connections.set(serverId, { type: server.type, url: server.url, startTime: Date.now() });
     
     try {
-      const response = await fetch(server.url + '/health', {
-        method: 'GET',
-        headers: server.headers || {}
-      });
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      // Store connection info
-      this.connections.set(serverId, {
-        type: 'sse',
-        url: server.url,
-        headers: server.headers
-      });
-      
-      this.updateServerStatus(serverId, 'connected');
-      
+      await transport.start();
+      await this.initializeConnection(serverId, server.type);
     } catch (error) {
-      throw new Error(`Failed to connect to SSE server: ${error.message}`);
+      this.transports.delete(serverId);
+      this.connections.delete(serverId);
+      await transport.close();
+      throw new Error(`Failed to connect to ${server.type} server: ${error.message}`);
+    }
+    
+    // Listen for server-initiated messages outside of request streams
+    transport.openNotificationStream();
+    
+    this.reconnectAttempts.delete(serverId);
+    this.updateServerStatus(serverId, 'connected');
+  }
+
+  /**
+   * Build request headers for a remote server, including configured auth
+   */
+  buildRemoteHeaders(server) {
+    const headers = { ...(server.headers || {}) };
+    const auth = server.auth || { type: 'none' };
+    
+    if (auth.type === 'bearer' && auth.token) {
+      headers['Authorization'] = `Bearer ${auth.token}`;
+    } else if (auth.type === 'basic' && auth.username) {
+      const credentials = Buffer.from(`${auth.username}:${auth.password || ''}`).toString('base64');
+      headers['Authorization'] = `Basic ${credentials}`;
+    } else if (auth.type === 'api-key' && auth.apiKey) {
+      headers[auth.headerName || 'X-API-Key'] = auth.apiKey;
+    }
+    
+    return headers;
+  }
+
+  /**
+   * Clean up after a remote transport closes and reconnect if it wasn't intentional
+   */
+  handleTransportClosed(serverId, transport, info = {}) {
+    if (this.transports.get(serverId) !== transport) {
+      return; // Stale transport from an earlier connection
+    }
+    
+    this.transports.delete(serverId);
+    this.connections.delete(serverId);
+    this.rejectPendingRequests(serverId, info.error || 'Connection closed');
+    this.updateServerStatus(serverId, 'disconnected', info.error || null);
+    
+    const server = this.servers.get(serverId);
+    if (!info.intentional && server && server.enabled) {
+      this.scheduleReconnect(serverId);
+    }
+  }
+
+  /**
+   * Schedule a reconnect attempt with exponential backoff
+   */
+  scheduleReconnect(serverId) {
+    const server = this.servers.get(serverId);
+    if (!server || this.reconnectTimers.has(serverId)) {
+      return;
+    }
+    
+    const attempt = (this.reconnectAttempts.get(serverId) || 0) + 1;
+    const maxAttempts = server.retryAttempts ?? MCPServerManager.DEFAULT_RETRY_ATTEMPTS;
+    if (attempt > maxAttempts) {
+      console.error(`❌ Giving up reconnecting to server ${serverId} after ${maxAttempts} attempts`);
+      this.reconnectAttempts.delete(serverId);
+      this.updateServerStatus(serverId, 'error', `Reconnect failed after ${maxAttempts} attempts`);
+      return;
+    }
+    
+    this.reconnectAttempts.set(serverId, attempt);
+    const baseDelay = server.retryDelay || MCPServerManager.DEFAULT_RETRY_DELAY_MS;
+    const delay = Math.min(baseDelay * Math.pow(2, attempt - 1), MCPServerManager.MAX_RETRY_DELAY_MS);
+    
+    console.log(`🔁 Reconnecting to server ${serverId} in ${delay}ms (attempt ${attempt}/${maxAttempts})`);
+    this.updateServerStatus(serverId, 'connecting', `Reconnecting (attempt ${attempt}/${maxAttempts})`);
+    
+    this.reconnectTimers.set(serverId, setTimeout(async () => {
+      this.reconnectTimers.delete(serverId);
+      try {
+        await this.startServer(serverId);
+      } catch (error) {
+        this.scheduleReconnect(serverId);
+      }
+    }, delay));
+  }
+
+  /**
+   * Cancel any pending reconnect for a server
+   */
+  cancelReconnect(serverId) {
+    const timer = this.reconnectTimers.get(serverId);
+    if (timer) {
+      clearTimeout(timer);
+      this.reconnectTimers.delete(serverId);
     }
+    this.reconnectAttempts.delete(serverId);
   }
 
   /**
    * Set up MCP protocol communication for stdio server
    */
-  async setupMCPCommunication(serverId, process) {
+  async setupMCPCommunication(serverId, child) {
     let messageBuffer = '';
     
     // Handle incoming messages from server
-    process.stdout.on('data', (data) => {
+    child.stdout.on('data', (data) => {
       messageBuffer += data.toString();
       
       // Process complete JSON-RPC messages
@@ -373,71 +547,627 @@ class MCPServerManager extends EventEmitter {
       }
     });
     
-    process.stderr.on('data', (data) => {
+    child.stderr.on('data', (data) => {
       console.error(`Server ${serverId} stderr:`, data.toString());
     });
     
-    // Send initialization message
-    await this.sendMCPMessage(serverId, {
-      jsonrpc: '2.0',
-      id: 1,
-      method: 'initialize',
-      params: {
-        protocolVersion: '2024-11-05',
-        capabilities: {
-          tools: { listChanged: true },
-          resources: { subscribe: true, listChanged: true }
-        },
-        clientInfo: {
-          name: 'kilo-web',
-          version: '1.0.0'
-        }
+    await this.initializeConnection(serverId, 'stdio');
+  }
+
+  /**
+   * Perform the MCP initialize handshake and load the server's catalog
+   */
+  async initializeConnection(serverId, type) {
+    const result = await this.sendMCPRequest(serverId, 'initialize', {
+      protocolVersion: MCPServerManager.PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: {
+        name: 'kilo-web',
+        version: '1.0.0'
       }
     });
+    
+    const capabilities = result.capabilities || {};
+    this.connections.set(serverId, {
+      ...this.connections.get(serverId),
+      type,
+      initialized: true,
+      protocolVersion: result.protocolVersion,
+      capabilities,
+      serverInfo: result.serverInfo || null,
+      instructions: result.instructions || null
+    });
+    
+    await this.sendMCPNotification(serverId, 'notifications/initialized');
+    
+    if (capabilities.tools) {
+      await this.refreshServerTools(serverId);
+    }
+    if (capabilities.resources) {
+      await this.refreshServerResources(serverId);
+      await this.restoreResourceSubscriptions(serverId);
+    }
+    if (capabilities.prompts) {
+      await this.refreshServerPrompts(serverId);
+    }
   }
 
   /**
    * Handle incoming MCP messages
    */
   handleMCPMessage(serverId, message) {
-    // Update metrics
-    this.updateRequestMetrics(serverId, Date.now(), true);
-    
-    if (message.method) {
-      // Handle notifications and requests
+    if (message.method && message.id !== undefined) {
+      // Server-to-client request
+      this.handleServerRequest(serverId, message);
+    } else if (message.method) {
+      // Handle notifications
       switch (message.method) {
-        case 'tools/list':
-          this.handleToolsList(serverId, message);
-          break;
-        case 'resources/list':
-          this.handleResourcesList(serverId, message);
-          break;
         case 'notifications/tools/list_changed':
           this.refreshServerTools(serverId);
           break;
         case 'notifications/resources/list_changed':
           this.refreshServerResources(serverId);
           break;
+        case 'notifications/prompts/list_changed':
+          this.refreshServerPrompts(serverId);
+          break;
+        case 'notifications/resources/updated':
+          this.handleResourceUpdated(serverId, message.params || {});
+          break;
+        case 'notifications/message':
+          console.log(`MCP server ${serverId} [${message.params?.level || 'info'}]:`, message.params?.data);
+          break;
         default:
           console.log(`Unhandled MCP method ${message.method} from server ${serverId}`);
       }
-    } else if (message.result || message.error) {
+    } else if ('result' in message || 'error' in message) {
       // Handle responses
       this.handleMCPResponse(serverId, message);
     }
   }
 
+  /**
+   * Answer requests initiated by the server
+   */
+  handleServerRequest(serverId, message) {
+    const response = { jsonrpc: '2.0', id: message.id };
+    
+    if (message.method === 'ping') {
+      response.result = {};
+    } else {
+      response.error = { code: -32601, message: `Method not supported by client: ${message.method}` };
+    }
+    
+    this.sendMCPMessage(serverId, response).catch(error => {
+      console.error(`Error responding to ${message.method} from server ${serverId}:`, error);
+    });
+  }
+
+  /**
+   * Match a JSON-RPC response to its pending request
+   */
+  handleMCPResponse(serverId, message) {
+    const pending = this.pendingRequests.get(message.id);
+    if (!pending || pending.serverId !== serverId) {
+      console.warn(`Received response for unknown request ${message.id} from server ${serverId}`);
+      return;
+    }
+    
+    if (message.error) {
+      const error = new Error(`MCP error ${message.error.code}: ${message.error.message}`);
+      error.code = message.error.code;
+      error.data = message.error.data;
+      this.settleRequest(message.id, error);
+    } else {
+      this.settleRequest(message.id, null, message.result);
+    }
+  }
+
+  /**
+   * Send a JSON-RPC request and wait for the matching response
+   * @param {Object} options - { timeout: ms, signal: AbortSignal }
+   */
+  sendMCPRequest(serverId, method, params = {}, options = {}) {
+    const requestId = this.nextRequestId++;
+    const timeoutMs = options.timeout || this.getRequestTimeout(serverId);
+    
+    return new Promise((resolve, reject) => {
+      if (options.signal && options.signal.aborted) {
+        reject(new Error(`MCP request ${method} to server ${serverId} was cancelled`));
+        return;
+      }
+      
+      const onAbort = () => this.cancelRequest(requestId, 'Request aborted by client');
+      
+      this.pendingRequests.set(requestId, {
+        id: requestId,
+        serverId,
+        method,
+        startTime: Date.now(),
+        resolve,
+        reject,
+        timer: setTimeout(() => {
+          this.cancelRequest(requestId, `Timed out after ${timeoutMs}ms`);
+        }, timeoutMs),
+        detach: () => {
+          if (options.signal) {
+            options.signal.removeEventListener('abort', onAbort);
+          }
+        }
+      });
+      
+      if (options.signal) {
+        options.signal.addEventListener('abort', onAbort, { once: true });
+      }
+      
+      this.sendMCPMessage(serverId, {
+        jsonrpc: '2.0',
+        id: requestId,
+        method,
+        params
+      }).catch(error => this.settleRequest(requestId, error));
+    });
+  }
+
+  /**
+   * Send a JSON-RPC notification (no response expected)
+   */
+  async sendMCPNotification(serverId, method, params) {
+    const message = { jsonrpc: '2.0', method };
+    if (params) {
+      message.params = params;
+    }
+    await this.sendMCPMessage(serverId, message);
+  }
+
+  /**
+   * Resolve or reject a pending request and record metrics
+   */
+  settleRequest(requestId, error, result) {
+    const pending = this.pendingRequests.get(requestId);
+    if (!pending) {
+      return false;
+    }
+    
+    this.pendingRequests.delete(requestId);
+    clearTimeout(pending.timer);
+    pending.detach();
+    
+    this.updateRequestMetrics(pending.serverId, Date.now() - pending.startTime, !error);
+    
+    if (error) {
+      this.recordRequestError(pending.serverId, pending.method, error);
+      pending.reject(error);
+    } else {
+      pending.resolve(result);
+    }
+    return true;
+  }
+
+  /**
+   * Cancel a pending request, notifying the server
+   */
+  cancelRequest(requestId, reason = 'Request cancelled') {
+    const pending = this.pendingRequests.get(Number(requestId));
+    if (!pending) {
+      return false;
+    }
+    
+    this.sendMCPNotification(pending.serverId, 'notifications/cancelled', {
+      requestId: pending.id,
+      reason
+    }).catch(() => {
+      // Server may already be gone
+    });
+    
+    return this.settleRequest(pending.id, new Error(`MCP request ${pending.method} to server ${pending.serverId} cancelled: ${reason}`));
+  }
+
+  /**
+   * Reject every pending request for a server (used when it goes away)
+   */
+  rejectPendingRequests(serverId, reason) {
+    for (const [requestId, pending] of this.pendingRequests.entries()) {
+      if (pending.serverId === serverId) {
+        this.settleRequest(requestId, new Error(`MCP request ${pending.method} failed: ${reason}`));
+      }
+    }
+  }
+
+  /**
+   * Get pending requests, optionally filtered by server
+   */
+  getPendingRequests(serverId = null) {
+    return Array.from(this.pendingRequests.values())
+      .filter(pending => !serverId || pending.serverId === serverId)
+      .map(pending => ({
+        id: pending.id,
+        serverId: pending.serverId,
+        method: pending.method,
+        startedAt: new Date(pending.startTime).toISOString()
+      }));
+  }
+
+  /**
+   * Get request timeout for a server (config `timeout` is in milliseconds)
+   */
+  getRequestTimeout(serverId) {
+    const server = this.servers.get(serverId);
+    if (server && server.timeout) {
+      return server.timeout;
+    }
+    return MCPServerManager.DEFAULT_REQUEST_TIMEOUT_MS;
+  }
+
   /**
    * Send MCP message to server
    */
   async sendMCPMessage(serverId, message) {
-    const process = this.processes.get(serverId);
-    if (!process) {
+    const transport = this.transports.get(serverId);
+    if (transport) {
+      await transport.send(message);
+      return;
+    }
+    
+    const child = this.processes.get(serverId);
+    if (!child) {
       throw new Error(`No active process for server ${serverId}`);
     }
     
     const messageStr = JSON.stringify(message) + '\n';
-    process.stdin.write(messageStr);
+    child.stdin.write(messageStr);
+  }
+
+  /**
+   * Request the tool list from a server, following pagination cursors
+   */
+  async refreshServerTools(serverId) {
+    try {
+      const tools = await this.listAll(serverId, 'tools/list', 'tools');
+      this.handleToolsList(serverId, { result: { tools } });
+    } catch (error) {
+      console.error(`Error refreshing tools for server ${serverId}:`, error.message);
+    }
+  }
+
+  /**
+   * Request the resource list from a server, following pagination cursors
+   */
+  async refreshServerResources(serverId) {
+    try {
+      const resources = await this.listAll(serverId, 'resources/list', 'resources');
+      this.handleResourcesList(serverId, { result: { resources } });
+    } catch (error) {
+      console.error(`Error refreshing resources for server ${serverId}:`, error.message);
+    }
+    
+    try {
+      const resourceTemplates = await this.listAll(serverId, 'resources/templates/list', 'resourceTemplates');
+      this.handleResourceTemplatesList(serverId, { result: { resourceTemplates } });
+    } catch (error) {
+      // Resource templates are optional; servers without them answer "method not found"
+      if (error.code !== -32601) {
+        console.error(`Error refreshing resource templates for server ${serverId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Request the prompt list from a server, following pagination cursors
+   */
+  async refreshServerPrompts(serverId) {
+    try {
+      const prompts = await this.listAll(serverId, 'prompts/list', 'prompts');
+      this.handlePromptsList(serverId, { result: { prompts } });
+    } catch (error) {
+      console.error(`Error refreshing prompts for server ${serverId}:`, error.message);
+    }
+  }
+
+  /**
+   * Collect every page of a paginated list method
+   */
+  async listAll(serverId, method, key) {
+    const items = [];
+    let cursor;
+    
+    do {
+      const result = await this.sendMCPRequest(serverId, method, cursor ? { cursor } : {});
+      items.push(...(result[key] || []));
+      cursor = result.nextCursor;
+    } while (cursor);
+    
+    return items;
+  }
+
+  /**
+   * Find the server that provides a resource URI, checking concrete
+   * resources first and then URI templates
+   */
+  findResource(uri, serverId = null) {
+    for (const resource of this.resources.values()) {
+      if (resource.uri === uri && (!serverId || resource.serverId === serverId)) {
+        return resource;
+      }
+    }
+    
+    for (const template of this.resourceTemplates.values()) {
+      if ((!serverId || template.serverId === serverId) && this.matchesUriTemplate(template.uriTemplate, uri)) {
+        return {
+          uri,
+          name: template.name,
+          description: template.description,
+          mimeType: template.mimeType,
+          serverId: template.serverId,
+          fromTemplate: template.uriTemplate
+        };
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Check a URI against an RFC 6570 style template (simple and reserved expansion)
+   */
+  matchesUriTemplate(uriTemplate, uri) {
+    const pattern = uriTemplate
+      .split(/(\{[^}]+\})/)
+      .map(part => {
+        if (part.startsWith('{') && part.endsWith('}')) {
+          return /^\{[+#]/.test(part) ? '.+' : '[^/?#]+';
+        }
+        return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+    
+    return new RegExp(`^${pattern}$`).test(uri);
+  }
+
+  /**
+   * Read a resource's contents via resources/read
+   * @returns {Promise<Array>} contents entries with either `text` or base64 `blob`
+   */
+  async readResource(serverId, uri, options = {}) {
+    await this.ensureServerConnected(serverId);
+    
+    const result = await this.sendMCPRequest(serverId, 'resources/read', { uri }, options);
+    return result.contents || [];
+  }
+
+  /**
+   * Subscribe to update notifications for a resource
+   */
+  async subscribeResource(serverId, uri) {
+    const connection = await this.ensureServerConnected(serverId);
+    if (!connection.capabilities.resources || !connection.capabilities.resources.subscribe) {
+      throw new Error(`Server ${serverId} does not support resource subscriptions`);
+    }
+    
+    await this.sendMCPRequest(serverId, 'resources/subscribe', { uri });
+    
+    const subscription = {
+      serverId,
+      uri,
+      subscribedAt: new Date().toISOString(),
+      lastUpdated: null
+    };
+    this.resourceSubscriptions.set(`${serverId}:${uri}`, subscription);
+    
+    console.log(`🔔 Subscribed to resource ${uri} on server ${serverId}`);
+    this.broadcastEvent('mcpResourceSubscribed', { subscription });
+    return subscription;
+  }
+
+  /**
+   * Cancel a resource subscription
+   */
+  async unsubscribeResource(serverId, uri) {
+    const subscriptionId = `${serverId}:${uri}`;
+    if (!this.resourceSubscriptions.has(subscriptionId)) {
+      return false;
+    }
+    
+    this.resourceSubscriptions.delete(subscriptionId);
+    
+    if (this.connections.get(serverId)?.initialized) {
+      await this.sendMCPRequest(serverId, 'resources/unsubscribe', { uri });
+    }
+    
+    console.log(`🔕 Unsubscribed from resource ${uri} on server ${serverId}`);
+    this.broadcastEvent('mcpResourceUnsubscribed', { serverId, uri });
+    return true;
+  }
+
+  /**
+   * Re-send subscriptions after a server (re)connects
+   */
+  async restoreResourceSubscriptions(serverId) {
+    const connection = this.connections.get(serverId);
+    if (!connection.capabilities.resources.subscribe) {
+      return;
+    }
+    
+    for (const subscription of this.resourceSubscriptions.values()) {
+      if (subscription.serverId !== serverId) continue;
+      
+      try {
+        await this.sendMCPRequest(serverId, 'resources/subscribe', { uri: subscription.uri });
+      } catch (error) {
+        console.error(`Error restoring subscription to ${subscription.uri} on server ${serverId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Handle notifications/resources/updated by re-reading the resource
+   * and streaming the new contents to clients. Updates to resources nobody
+   * subscribed to are ignored, so they are neither read nor broadcast.
+   */
+  async handleResourceUpdated(serverId, params) {
+    const { uri } = params;
+    const subscription = this.resourceSubscriptions.get(`${serverId}:${uri}`);
+    if (!subscription) {
+      return;
+    }
+    subscription.lastUpdated = new Date().toISOString();
+    
+    let contents = null;
+    let error = null;
+    try {
+      contents = await this.readResource(serverId, uri);
+    } catch (readError) {
+      error = readError.message;
+      console.error(`Error reading updated resource ${uri} from server ${serverId}:`, readError.message);
+    }
+    
+    this.emit('resourceUpdated', { serverId, uri, contents });
+    this.broadcastEvent('mcpResourceUpdated', { serverId, uri, contents, error });
+  }
+
+  /**
+   * Get active resource subscriptions
+   */
+  getResourceSubscriptions(serverId = null) {
+    return Array.from(this.resourceSubscriptions.values())
+      .filter(subscription => !serverId || subscription.serverId === serverId);
+  }
+
+  /**
+   * Find a prompt by name, optionally scoped to one server
+   */
+  findPrompt(promptName, serverId = null) {
+    if (this.prompts.has(promptName)) {
+      return this.prompts.get(promptName); // Fully qualified serverId:promptName
+    }
+    
+    const matches = Array.from(this.prompts.values()).filter(prompt =>
+      prompt.name === promptName && (!serverId || prompt.serverId === serverId)
+    );
+    
+    if (matches.length > 1) {
+      const serverIds = matches.map(prompt => prompt.serverId).join(', ');
+      throw new Error(`Prompt '${promptName}' is provided by multiple servers (${serverIds}); specify a server`);
+    }
+    return matches[0] || null;
+  }
+
+  /**
+   * Fetch a prompt with its arguments filled in via prompts/get
+   * @returns {Promise<Object>} { description, messages, text }
+   */
+  async getPrompt(serverId, promptName, args = {}, options = {}) {
+    await this.ensureServerConnected(serverId);
+    
+    const prompt = this.prompts.get(`${serverId}:${promptName}`);
+    if (prompt && prompt.arguments) {
+      const missing = prompt.arguments
+        .filter(arg => arg.required && (args[arg.name] === undefined || args[arg.name] === ''))
+        .map(arg => arg.name);
+      if (missing.length > 0) {
+        throw new Error(`Missing required prompt arguments: ${missing.join(', ')}`);
+      }
+    }
+    
+    // Prompt arguments are always strings in the MCP spec
+    const stringArgs = {};
+    for (const [key, value] of Object.entries(args)) {
+      stringArgs[key] = typeof value === 'string' ? value : JSON.stringify(value);
+    }
+    
+    const result = await this.sendMCPRequest(serverId, 'prompts/get', {
+      name: promptName,
+      arguments: stringArgs
+    }, options);
+    
+    const messages = result.messages || [];
+    return {
+      description: result.description || (prompt && prompt.description) || '',
+      messages,
+      text: this.renderPromptMessages(messages)
+    };
+  }
+
+  /**
+   * Flatten prompt messages into plain text suitable for a chat message
+   */
+  renderPromptMessages(messages) {
+    return messages
+      .map(message => {
+        const content = message.content || {};
+        if (content.type === 'text') {
+          return content.text;
+        }
+        if (content.type === 'resource' && content.resource) {
+          return content.resource.text || `[resource: ${content.resource.uri}]`;
+        }
+        return `[${content.type}${content.mimeType ? `: ${content.mimeType}` : ''}]`;
+      })
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  /**
+   * Resolve a server by ID or display name
+   */
+  resolveServerId(nameOrId) {
+    if (this.servers.has(nameOrId)) {
+      return nameOrId;
+    }
+    
+    for (const [serverId, server] of this.servers.entries()) {
+      if (server.name === nameOrId) {
+        return serverId;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find a tool by name, optionally scoped to one server
+   */
+  findTool(toolName, serverId = null) {
+    if (this.tools.has(toolName)) {
+      return this.tools.get(toolName); // Fully qualified serverId:toolName
+    }
+    
+    const matches = Array.from(this.tools.values()).filter(tool =>
+      tool.name === toolName && (!serverId || tool.serverId === serverId)
+    );
+    
+    if (matches.length > 1) {
+      const serverIds = matches.map(tool => tool.serverId).join(', ');
+      throw new Error(`Tool '${toolName}' is provided by multiple servers (${serverIds}); specify a server`);
+    }
+    return matches[0] || null;
+  }
+
+  /**
+   * Invoke a tool on an MCP server via tools/call
+   * @param {Object} options - { timeout: ms, signal: AbortSignal }
+   */
+  async callTool(serverId, toolName, args = {}, options = {}) {
+    await this.ensureServerConnected(serverId);
+    
+    const tool = this.tools.get(`${serverId}:${toolName}`);
+    if (tool && tool.enabled === false) {
+      throw new Error(`Tool '${toolName}' is disabled on server ${serverId}`);
+    }
+    
+    const startTime = Date.now();
+    const result = await this.sendMCPRequest(serverId, 'tools/call', {
+      name: toolName,
+      arguments: args
+    }, options);
+    
+    this.broadcastEvent('mcpToolInvoked', {
+      serverId,
+      toolName,
+      isError: !!result.isError,
+      duration: Date.now() - startTime
+    });
+    
+    return result;
   }
 
   /**
@@ -499,23 +1229,92 @@ class MCPServerManager extends EventEmitter {
     }
   }
 
+  /**
+   * Handle resource templates list from server
+   */
+  handleResourceTemplatesList(serverId, message) {
+    if (message.result && message.result.resourceTemplates) {
+      // Clear existing templates for this server
+      for (const [templateId, template] of this.resourceTemplates.entries()) {
+        if (template.serverId === serverId) {
+          this.resourceTemplates.delete(templateId);
+        }
+      }
+      
+      // Add new templates
+      for (const template of message.result.resourceTemplates) {
+        const templateId = `${serverId}:${template.uriTemplate}`;
+        this.resourceTemplates.set(templateId, {
+          ...template,
+          serverId
+        });
+      }
+      
+      console.log(`📐 Updated ${message.result.resourceTemplates.length} resource templates for server ${serverId}`);
+      this.broadcastEvent('mcpResourceTemplatesUpdated', {
+        serverId,
+        resourceTemplates: Array.from(this.resourceTemplates.values())
+      });
+    }
+  }
+
+  /**
+   * Handle prompts list from server
+   */
+  handlePromptsList(serverId, message) {
+    if (message.result && message.result.prompts) {
+      // Clear existing prompts for this server
+      for (const [promptId, prompt] of this.prompts.entries()) {
+        if (prompt.serverId === serverId) {
+          this.prompts.delete(promptId);
+        }
+      }
+      
+      // Add new prompts
+      for (const prompt of message.result.prompts) {
+        const promptId = `${serverId}:${prompt.name}`;
+        this.prompts.set(promptId, {
+          ...prompt,
+          arguments: prompt.arguments || [],
+          serverId
+        });
+      }
+      
+      console.log(`💬 Updated ${message.result.prompts.length} prompts for server ${serverId}`);
+      this.broadcastEvent('mcpPromptsUpdated', {
+        serverId,
+        prompts: Array.from(this.prompts.values())
+      });
+    }
+  }
+
   /**
    * Stop an MCP server
    */
   async stopServer(serverId) {
-    const process = this.processes.get(serverId);
-    if (process) {
-      process.kill('SIGTERM');
+    const child = this.processes.get(serverId);
+    if (child) {
+      child.kill('SIGTERM');
       
       // Wait for graceful shutdown or force kill after timeout
       setTimeout(() => {
-        if (this.processes.has(serverId)) {
+        if (child.exitCode === null && child.signalCode === null) {
           console.log(`Force killing server ${serverId}`);
-          process.kill('SIGKILL');
+          child.kill('SIGKILL');
         }
       }, 5000);
     }
     
+    this.cancelReconnect(serverId);
+    
+    const transport = this.transports.get(serverId);
+    this.transports.delete(serverId);
+    if (transport) {
+      await transport.close();
+    }
+    
+    this.rejectPendingRequests(serverId, 'Server stopped');
+    
     // Clean up connection state
     this.processes.delete(serverId);
     this.connections.delete(serverId);
@@ -560,25 +1359,13 @@ class MCPServerManager extends EventEmitter {
     const startTime = Date.now();
     
     try {
-      if (server.type === 'stdio') {
-        // For stdio servers, try to start temporarily if not running
-        if (!this.processes.has(serverId)) {
-          await this.startServer(serverId);
-          // Give it time to initialize
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          await this.stopServer(serverId);
-        }
-      } else if (server.type === 'sse') {
-        // For SSE servers, try to connect to health endpoint
-        const response = await fetch(server.url + '/health', {
-          method: 'GET',
-          headers: server.headers || {},
-          timeout: 5000
-        });
-        
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
+      // Start temporarily if not running; startup includes the initialize handshake
+      const wasConnected = this.connections.get(serverId)?.initialized;
+      await this.ensureServerConnected(serverId);
+      await this.sendMCPRequest(serverId, 'ping', {}, { timeout: 10000 });
+      
+      if (!wasConnected) {
+        await this.stopServer(serverId);
       }
       
       const responseTime = Date.now() - startTime;
@@ -611,13 +1398,13 @@ class MCPServerManager extends EventEmitter {
     };
     
     // Add process info for stdio servers
-    const process = this.processes.get(serverId);
-    if (process) {
-      statusInfo.processId = process.pid;
+    const child = this.processes.get(serverId);
+    if (child) {
+      statusInfo.processId = child.pid;
       
       // Get memory usage if available
       try {
-        const memUsage = process.memoryUsage ? process.memoryUsage() : null;
+        const memUsage = child.memoryUsage ? child.memoryUsage() : null;
         if (memUsage) {
           statusInfo.memoryUsage = memUsage.rss;
         }
@@ -634,12 +1421,14 @@ class MCPServerManager extends EventEmitter {
    * Calculate server uptime
    */
   calculateUptime(serverId) {
-    const process = this.processes.get(serverId);
-    if (!process || !process.startTime) {
+    const child = this.processes.get(serverId);
+    const connection = this.connections.get(serverId);
+    const startTime = (child && child.startTime) || (connection && connection.startTime);
+    if (!startTime) {
       return 0;
     }
     
-    return Date.now() - process.startTime;
+    return Date.now() - startTime;
   }
 
   /**
@@ -666,6 +1455,23 @@ class MCPServerManager extends EventEmitter {
     metrics.averageResponseTime = metrics.responseTimes.reduce((a, b) => a + b, 0) / metrics.responseTimes.length;
   }
 
+  /**
+   * Record a failed request in the server's error log
+   */
+  recordRequestError(serverId, method, error) {
+    const metrics = this.requestMetrics.get(serverId);
+    if (!metrics) return;
+    
+    metrics.errors.push({
+      timestamp: new Date().toISOString(),
+      method,
+      message: error.message
+    });
+    if (metrics.errors.length > 50) {
+      metrics.errors.shift(); // Keep only last 50
+    }
+  }
+
   /**
    * Start health monitoring
    */
@@ -745,6 +1551,13 @@ class MCPServerManager extends EventEmitter {
     return Array.from(this.resources.values()).filter(resource => resource.serverId === serverId);
   }
 
+  /**
+   * Get prompts for a specific server
+   */
+  getServerPrompts(serverId) {
+    return Array.from(this.prompts.values()).filter(prompt => prompt.serverId === serverId);
+  }
+
   /**
    * Broadcast event to WebSocket clients
    */
@@ -785,7 +1598,10 @@ class MCPServerManager extends EventEmitter {
         serverStatuses: Object.fromEntries(this.serverStatuses),
         serverHealth: Object.fromEntries(this.serverHealth),
         tools: Array.from(this.tools.values()),
-        resources: Array.from(this.resources.values())
+        resources: Array.from(this.resources.values()),
+        resourceTemplates: Array.from(this.resourceTemplates.values()),
+        resourceSubscriptions: Array.from(this.resourceSubscriptions.values()),
+        prompts: Array.from(this.prompts.values())
       }
     }));
   }
@@ -805,17 +1621,17 @@ class MCPServerManager extends EventEmitter {
       throw new Error('Server name is required and must be a string');
     }
     
-    if (!config.type || !['stdio', 'sse'].includes(config.type)) {
-      throw new Error('Server type must be either "stdio" or "sse"');
+    if (!config.type || !['stdio', ...MCPServerManager.REMOTE_TYPES].includes(config.type)) {
+      throw new Error('Server type must be "stdio", "sse" or "streamable-http"');
     }
     
     if (config.type === 'stdio') {
       if (!config.command || typeof config.command !== 'string') {
         throw new Error('Command is required for stdio servers');
       }
-    } else if (config.type === 'sse') {
+    } else {
       if (!config.url || typeof config.url !== 'string') {
-        throw new Error('URL is required for SSE servers');
+        throw new Error(`URL is required for ${config.type} servers`);
       }
       
       try {
@@ -849,6 +1665,7 @@ class MCPServerManager extends EventEmitter {
       .filter(status => status.status === 'connected').length;
     const totalTools = this.tools.size;
     const totalResources = this.resources.size;
+    const totalPrompts = this.prompts.size;
     
     // Calculate average response time across all servers
     let totalResponseTime = 0;
@@ -868,6 +1685,7 @@ class MCPServerManager extends EventEmitter {
       connectedServers,
       totalTools,
       totalResources,
+      totalPrompts,
       averageResponseTime,
       uptimePercentage: totalServers > 0 ? (connectedServers / totalServers) * 100 : 0
     };
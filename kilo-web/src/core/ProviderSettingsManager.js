@@ -619,6 +619,24 @@ class ProviderSettingsManager {
     ];
   }
 
+  /**
+   * Instantiate the provider a profile names; only that provider's SDK is loaded,
+   * so one missing SDK doesn't break every other provider
+   */
+  static createProvider(profile) {
+    if (!/^[a-z0-9-]+$/.test(profile.provider || '') || profile.provider === 'index') {
+      throw new Error(`Unknown AI provider '${profile.provider}' in profile '${profile.name}'`);
+    }
+
+    let ProviderClass;
+    try {
+      ProviderClass = require(`../api/providers/${profile.provider}`);
+    } catch (error) {
+      throw new Error(`Could not load AI provider '${profile.provider}': ${error.message}`);
+    }
+    return new ProviderClass(profile);
+  }
+
   /**
    * Get available models for a provider
    */
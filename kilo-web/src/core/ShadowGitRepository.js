@@ -0,0 +1,227 @@
+/**
+ * Shadow Git Repository for Kilo-Web
+ * A git directory kept under .kilo/checkpoints that tracks the user's work tree
+ * without touching their own repository. Each checkpoint is a parentless commit
+ * pinned by refs/checkpoints/<id>, so HEAD never moves and deleted checkpoints
+ * can be pruned.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+class ShadowGitRepository {
+  static REF_PREFIX = 'refs/checkpoints/';
+  static MAX_BUFFER = 64 * 1024 * 1024;
+
+  constructor(workspaceDir, gitDir) {
+    this.workspaceDir = path.resolve(workspaceDir);
+    this.gitDir = path.resolve(gitDir);
+    this.available = null;
+    this.rulesChanged = false;
+  }
+
+  /**
+   * Run git against the shadow directory. GIT_* variables from the environment are
+   * dropped so a surrounding repository (or hook) can never leak in.
+   */
+  async git(args, options = {}) {
+    const env = Object.fromEntries(
+      Object.entries(process.env).filter(([key]) => !key.startsWith('GIT_'))
+    );
+
+    const { stdout } = await execFileAsync('git', [
+      `--git-dir=${this.gitDir}`,
+      `--work-tree=${this.workspaceDir}`,
+      ...args
+    ], {
+      cwd: this.workspaceDir,
+      env: { ...env, ...options.env },
+      encoding: options.encoding || 'utf8',
+      maxBuffer: ShadowGitRepository.MAX_BUFFER
+    });
+    return stdout;
+  }
+
+  /**
+   * Whether git is installed
+   */
+  async isAvailable() {
+    if (this.available === null) {
+      try {
+        await execFileAsync('git', ['--version']);
+        this.available = true;
+      } catch (error) {
+        this.available = false;
+      }
+    }
+    return this.available;
+  }
+
+  /**
+   * Create the shadow repository if needed and (re)write its ignore rules
+   * @param {Object} patterns - { includePatterns, excludePatterns, internalDirectory }
+   */
+  async initialize(patterns) {
+    try {
+      await fs.access(path.join(this.gitDir, 'HEAD'));
+    } catch (error) {
+      await fs.mkdir(this.gitDir, { recursive: true });
+      await this.git(['init', '--quiet']);
+      await this.git(['config', 'user.name', 'Kilo Checkpoints']);
+      await this.git(['config', 'user.email', 'checkpoints@kilo.local']);
+      await this.git(['config', 'commit.gpgsign', 'false']);
+      await this.git(['config', 'core.autocrlf', 'false']);
+      await this.git(['config', 'gc.auto', '0']); // We prune explicitly after cleanup
+      console.log(`📁 Created shadow checkpoint repository: ${this.gitDir}`);
+    }
+
+    await this.writeExcludeFile(patterns);
+  }
+
+  /**
+   * Translate checkpoint include/exclude patterns into gitignore rules
+   */
+  async writeExcludeFile({ includePatterns = [], excludePatterns = [], internalDirectory }) {
+    const lines = ['# Generated by Kilo-Web from checkpoint settings'];
+
+    if (includePatterns.length > 0) {
+      // Ignore everything, then re-include directories and the included patterns
+      lines.push('*', '!*/');
+      for (const pattern of includePatterns) {
+        lines.push(`!${pattern.replace(/^\*\*\//, '')}`);
+      }
+    }
+
+    lines.push(...excludePatterns);
+    if (internalDirectory) {
+      lines.push(`/${internalDirectory.replace(/^(\.?\/)+/, '').replace(/\/+$/, '')}/`);
+    }
+
+    const infoDir = path.join(this.gitDir, 'info');
+    const excludePath = path.join(infoDir, 'exclude');
+    const content = lines.join('\n') + '\n';
+    const previous = await fs.readFile(excludePath, 'utf8').catch(() => null);
+
+    if (content !== previous) {
+      await fs.mkdir(infoDir, { recursive: true });
+      await fs.writeFile(excludePath, content);
+      this.rulesChanged = true;
+    }
+  }
+
+  /**
+   * Stage the whole work tree into the shadow index and return its tree hash
+   */
+  async writeWorkTree() {
+    if (this.rulesChanged) {
+      // Files that became ignored must leave the index too, so rebuild it from scratch
+      await this.git(['read-tree', '--empty']);
+      this.rulesChanged = false;
+    }
+    await this.git(['add', '--all']);
+    return (await this.git(['write-tree'])).trim();
+  }
+
+  /**
+   * Snapshot the work tree as a commit referenced by refs/checkpoints/<checkpointId>
+   * @returns {Promise<{hash: string, tree: string}>}
+   */
+  async commit(checkpointId, message) {
+    const tree = await this.writeWorkTree();
+    const hash = (await this.git(['commit-tree', tree, '-m', message])).trim();
+    await this.git(['update-ref', this.refName(checkpointId), hash]);
+    return { hash, tree };
+  }
+
+  /**
+   * Make the work tree match a commit: changed files are overwritten and files
+   * the commit doesn't have are removed. Only files the shadow repository tracks
+   * are touched, and the user's own HEAD and branches are left alone.
+   */
+  async restore(hash) {
+    await this.writeWorkTree(); // Index must reflect the work tree so extra files get removed
+    await this.git(['read-tree', '-u', '--reset', hash]);
+  }
+
+  /**
+   * List the files in a commit or tree with their sizes
+   * @returns {Promise<{files: Array, totalSize: number, fileCount: number}>}
+   */
+  async getTreeState(treeish) {
+    const output = await this.git(['ls-tree', '-r', '-l', '-z', treeish]);
+    const state = { files: [], totalSize: 0, fileCount: 0 };
+
+    for (const entry of output.split('\0')) {
+      if (!entry) continue;
+      const tab = entry.indexOf('\t');
+      const [, type, oid, size] = entry.slice(0, tab).split(/\s+/);
+      if (type !== 'blob') continue; // Skip submodules
+
+      const fileSize = Number(size);
+      state.files.push({ path: entry.slice(tab + 1), size: fileSize, hash: oid });
+      state.totalSize += fileSize;
+      state.fileCount++;
+    }
+    return state;
+  }
+
+  /**
+   * Compare two commits or trees
+   * @returns {Promise<Array<{status: string, path: string}>>} status is A, D or M
+   */
+  async diffNameStatus(from, to) {
+    const output = await this.git(['diff', '--name-status', '--no-renames', '-z', from, to]);
+    const parts = output.split('\0');
+    const changes = [];
+
+    for (let i = 0; i + 1 < parts.length; i += 2) {
+      if (!parts[i]) break;
+      changes.push({ status: parts[i][0], path: parts[i + 1] });
+    }
+    return changes;
+  }
+
+  /**
+   * Read a file's content at a commit or tree
+   * @returns {Promise<Buffer|null>} null when the file isn't in it
+   */
+  async readFile(treeish, filePath) {
+    const gitPath = filePath.split(path.sep).join('/');
+    try {
+      return await this.git(['cat-file', 'blob', `${treeish}:${gitPath}`], { encoding: 'buffer' });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  refName(checkpointId) {
+    return `${ShadowGitRepository.REF_PREFIX}${checkpointId}`;
+  }
+
+  async hasCommit(hash) {
+    try {
+      await this.git(['cat-file', '-e', `${hash}^{commit}`]);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async deleteRef(checkpointId) {
+    await this.git(['update-ref', '-d', this.refName(checkpointId)]);
+  }
+
+  /**
+   * Drop objects no longer reachable from any checkpoint ref
+   */
+  async prune() {
+    await this.git(['reflog', 'expire', '--expire-unreachable=now', '--all']);
+    await this.git(['gc', '--prune=now', '--quiet']);
+  }
+}
+
+module.exports = ShadowGitRepository;
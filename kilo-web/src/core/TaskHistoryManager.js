@@ -617,6 +617,33 @@ class TaskHistoryManager {
         return task;
     }
 
+    // Todo Lists
+
+    async getTodos(taskId) {
+        const task = await this.getTaskById(taskId);
+        if (!task) {
+            throw new Error(`Task ${taskId} not found`);
+        }
+        return task.todos || [];
+    }
+
+    /**
+     * Replace a task's checklist (kept by update_todo_list) and save the task right away
+     */
+    async updateTodos(taskId, todos) {
+        const task = await this.getTaskById(taskId);
+        if (!task) {
+            throw new Error(`Task ${taskId} not found`);
+        }
+
+        task.todos = todos;
+        task.lastModified = Date.now();
+
+        await this.saveTask(task);
+        this.emit('todosUpdated', { taskId, todos, task });
+        return todos;
+    }
+
     // Export and Import
 
     async exportTasks(options = {}) {
@@ -917,6 +944,14 @@ class TaskHistoryManager {
         return Array.from(this.activeTasks.values());
     }
 
+    /**
+     * The most recently started task that is still in progress, if any
+     */
+    getCurrentTaskId() {
+        const taskIds = Array.from(this.activeTasks.keys());
+        return taskIds.length > 0 ? taskIds[taskIds.length - 1] : null;
+    }
+
     async getTaskById(taskId) {
         return this.activeTasks.get(taskId) || await this.loadTask(taskId);
     }
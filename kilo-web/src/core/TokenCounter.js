@@ -0,0 +1,226 @@
+/**
+ * TokenCounter - Local token counts per provider and model
+ * Counts with the BPE tables bundled in js-tiktoken, so nothing is fetched at
+ * runtime. The table is chosen per provider and model; providers that don't
+ * publish their tokenizer (Anthropic, Llama-based models and most others) are
+ * counted with cl100k and then scaled by how far earlier estimates were from
+ * the `usage` numbers the provider reported.
+ */
+
+// Tokens a chat message costs beyond its text (role and separators)
+const MESSAGE_OVERHEAD = 4;
+
+// Raw counts remembered per tokenizer, so recounting a conversation is cheap
+const CACHE_SIZE = 2000;
+
+// How much each new usage report moves the correction factor
+const CALIBRATION_WEIGHT = 0.3;
+const MIN_CORRECTION = 0.5;
+const MAX_CORRECTION = 2;
+
+// Tokenizer factories by name; each returns { count(text) }
+const TOKENIZERS = {
+  o200k_base: () => tiktokenCounter('o200k_base'),
+  cl100k_base: () => tiktokenCounter('cl100k_base'),
+  approximate: () => ({ count: text => Math.ceil(text.length / 4) })
+};
+
+// First match wins; `provider` is compared exactly, `model` is a pattern on the model id
+const DEFAULT_RULES = [
+  { provider: 'openai', model: /^(gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|o\d|chatgpt-4o)/, tokenizer: 'o200k_base' },
+  { model: /gpt-oss/, tokenizer: 'o200k_base' },
+  { tokenizer: 'cl100k_base' }
+];
+
+// BPE merging is quadratic in the length of a run without whitespace (minified code,
+// base64), so such runs are counted in pieces of this many characters
+const MAX_RUN = 256;
+const LONG_RUN = new RegExp(`\\S{${MAX_RUN + 1},}`, 'g');
+
+function tiktokenCounter(encoding) {
+  const { Tiktoken } = require('js-tiktoken/lite');
+  const encoder = new Tiktoken(require(`js-tiktoken/ranks/${encoding}`));
+  // 'all' lets text containing <|endoftext|> and friends be counted instead of throwing
+  const encode = text => (text ? encoder.encode(text, 'all').length : 0);
+
+  return {
+    count: text => {
+      let total = 0;
+      let last = 0;
+      for (const run of text.matchAll(LONG_RUN)) {
+        total += encode(text.slice(last, run.index));
+        for (let start = 0; start < run[0].length; start += MAX_RUN) {
+          total += encode(run[0].slice(start, start + MAX_RUN));
+        }
+        last = run.index + run[0].length;
+      }
+      return total + encode(text.slice(last));
+    }
+  };
+}
+
+class TokenCounter {
+  static MESSAGE_OVERHEAD = MESSAGE_OVERHEAD;
+
+  static sharedInstance = null;
+
+  /**
+   * The counter everything shares, so usage reported anywhere improves every estimate
+   */
+  static get shared() {
+    if (!TokenCounter.sharedInstance) {
+      TokenCounter.sharedInstance = new TokenCounter();
+    }
+    return TokenCounter.sharedInstance;
+  }
+
+  constructor() {
+    this.factories = { ...TOKENIZERS };
+    this.tokenizers = new Map(); // name -> loaded tokenizer
+    this.cache = new Map(); // tokenizer name -> Map(text -> raw count)
+    this.rules = [...DEFAULT_RULES];
+    this.corrections = new Map(); // 'provider:model' and 'provider' -> { factor, samples }
+  }
+
+  /**
+   * Add a tokenizer, e.g. one wrapping a provider's own tokenizer library
+   * @param {Function} factory - Returns { count(text) }; called once, on first use
+   */
+  registerTokenizer(name, factory) {
+    this.factories[name] = factory;
+    this.tokenizers.delete(name);
+    this.cache.delete(name);
+  }
+
+  /**
+   * Use `tokenizer` for matching models; rules added later take precedence
+   * @param {Object} rule - { provider?, model?: RegExp|string, tokenizer }
+   */
+  addRule(rule) {
+    if (!this.factories[rule.tokenizer]) {
+      throw new Error(`Unknown tokenizer: ${rule.tokenizer}`);
+    }
+    this.rules.unshift(rule);
+  }
+
+  tokenizerFor({ provider, model } = {}) {
+    const rule = this.rules.find(candidate =>
+      (!candidate.provider || candidate.provider === provider) &&
+      (!candidate.model || (model && new RegExp(candidate.model).test(model)))
+    );
+    return rule ? rule.tokenizer : 'approximate';
+  }
+
+  getTokenizer(name) {
+    if (!this.tokenizers.has(name)) {
+      try {
+        this.tokenizers.set(name, this.factories[name]());
+      } catch (error) {
+        console.warn(`⚠️ Tokenizer ${name} unavailable, estimating from length: ${error.message}`);
+        this.tokenizers.set(name, TOKENIZERS.approximate());
+      }
+    }
+    return this.tokenizers.get(name);
+  }
+
+  /**
+   * Tokens in `content` for the provider and model in `target`
+   * @param {string|Object} content - Objects are counted as JSON
+   * @param {Object} target - { provider, model }
+   * @param {Object} options - { raw: true } skips the usage-based correction
+   */
+  count(content, target = {}, options = {}) {
+    if (content === undefined || content === null) {
+      return 0;
+    }
+    const text = typeof content === 'string' ? content : JSON.stringify(content);
+    if (!text) {
+      return 0;
+    }
+
+    const tokens = this.countRaw(text, this.tokenizerFor(target));
+    return options.raw ? tokens : Math.max(1, Math.round(tokens * this.correctionFor(target)));
+  }
+
+  countRaw(text, tokenizerName) {
+    if (!this.cache.has(tokenizerName)) {
+      this.cache.set(tokenizerName, new Map());
+    }
+    const cache = this.cache.get(tokenizerName);
+    if (cache.has(text)) {
+      return cache.get(text);
+    }
+
+    const tokens = this.getTokenizer(tokenizerName).count(text);
+    if (cache.size >= CACHE_SIZE) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(text, tokens);
+    return tokens;
+  }
+
+  /**
+   * Tokens a request to the provider will use: system prompt, messages and tool schemas
+   * @param {Object} request - { systemPrompt, messages: [{ role, content }], tools }
+   */
+  countRequest(request, target = {}, options = {}) {
+    const { systemPrompt, messages = [], tools = [] } = request;
+    let total = systemPrompt ? this.count(systemPrompt, target, options) + MESSAGE_OVERHEAD : 0;
+    for (const message of messages) {
+      total += this.count(message.content, target, options) + MESSAGE_OVERHEAD;
+    }
+    if (tools.length > 0) {
+      total += this.count(tools, target, options);
+    }
+    return total;
+  }
+
+  /**
+   * Correct future estimates with the input tokens a provider reported for `request`
+   * @returns {number|null} The new correction factor
+   */
+  recordUsage(target, request, usage) {
+    const actual = usage && usage.inputTokens;
+    const estimated = this.countRequest(request, target, { raw: true });
+    if (!target.provider || !actual || !estimated) {
+      return null;
+    }
+
+    const ratio = Math.min(MAX_CORRECTION, Math.max(MIN_CORRECTION, actual / estimated));
+    for (const key of this.correctionKeys(target)) {
+      const current = this.corrections.get(key);
+      this.corrections.set(key, current
+        ? { factor: current.factor + (ratio - current.factor) * CALIBRATION_WEIGHT, samples: current.samples + 1 }
+        : { factor: ratio, samples: 1 });
+    }
+    return this.correctionFor(target);
+  }
+
+  /**
+   * Factor for the model, else for the provider, else 1
+   */
+  correctionFor(target = {}) {
+    for (const key of this.correctionKeys(target)) {
+      if (this.corrections.has(key)) {
+        return this.corrections.get(key).factor;
+      }
+    }
+    return 1;
+  }
+
+  correctionKeys({ provider, model } = {}) {
+    if (!provider) {
+      return [];
+    }
+    return model ? [`${provider}:${model}`, provider] : [provider];
+  }
+
+  getStats() {
+    return {
+      tokenizers: Array.from(this.tokenizers.keys()),
+      corrections: Object.fromEntries(this.corrections)
+    };
+  }
+}
+
+module.exports = TokenCounter;
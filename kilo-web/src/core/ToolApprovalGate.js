@@ -0,0 +1,180 @@
+/**
+ * ToolApprovalGate - Puts tool calls through the AutoApproveManager before they run
+ * Calls the manager auto-approves go straight through. Anything else becomes an
+ * approval request that waits until someone answers it with respond(), or until
+ * the call is aborted. Answers go into the manager's audit log next to its own decisions.
+ */
+
+const EventEmitter = require('events');
+const path = require('path');
+
+// AutoApproveManager operation type of each tool; unlisted tools are 'unknown' and always asked about
+const OPERATION_TYPES = {
+  read_file: 'read',
+  list_files: 'read',
+  search_files: 'read',
+  list_code_definition_names: 'read',
+  write_to_file: 'write',
+  apply_diff: 'write',
+  insert_content: 'write',
+  search_and_replace: 'write',
+  execute_command: 'execute',
+  read_command_output: 'read', // 'execute' when it stops the command, see operationTypeFor
+  browser_action: 'browser',
+  use_mcp_tool: 'mcp',
+  access_mcp_resource: 'mcp',
+  switch_mode: 'mode_switch',
+  new_task: 'subtask',
+  update_todo_list: 'todo_update'
+};
+
+// Asking the user is already a question to them, and completing only reports a result.
+// Unanswered follow-up questions are auto-answered by the tool itself (alwaysAllowFollowupQuestions).
+const UNGATED_TOOLS = new Set(['ask_followup_question', 'attempt_completion']);
+
+class ToolApprovalGate extends EventEmitter {
+  constructor(autoApproveManager, workspaceDir) {
+    super();
+    this.autoApproveManager = autoApproveManager;
+    this.workspaceDir = workspaceDir;
+    this.pending = new Map(); // requestId -> { request, operation, resolve }
+  }
+
+  static operationTypeFor(toolName, parameters = {}) {
+    if (toolName === 'read_command_output' && String(parameters.stop).toLowerCase() === 'true') {
+      return 'execute';
+    }
+    return OPERATION_TYPES[toolName] || 'unknown';
+  }
+
+  /**
+   * The AutoApproveManager operation for a tool call; file paths are resolved
+   * against the workspace the same way the tools resolve them
+   */
+  operationFor(toolName, parameters = {}, id) {
+    const type = ToolApprovalGate.operationTypeFor(toolName, parameters);
+    const operation = { id, type, toolName };
+
+    if (type === 'read' || type === 'write') {
+      const target = typeof parameters.path === 'string' ? parameters.path.replace(/^\/+/, '') : '';
+      operation.filePath = path.resolve(this.workspaceDir, target || '.');
+    } else if (type === 'execute') {
+      operation.command = toolName === 'read_command_output'
+        ? `stop ${parameters.process_id || ''}`.trim()
+        : String(parameters.command || '');
+    }
+    return operation;
+  }
+
+  /**
+   * Decide whether a tool call may run, asking the user when it isn't auto-approved
+   * @param {Object} options - { signal, source }: an AbortSignal that withdraws the request, and who made the call
+   * @returns {Promise<Object>} { approved, autoApproved?, reason, feedback? }
+   */
+  async requestApproval(toolName, parameters = {}, options = {}) {
+    const { signal, source = null } = options;
+    if (UNGATED_TOOLS.has(toolName)) {
+      return { approved: true, reason: `${toolName} does not need approval` };
+    }
+
+    const id = `approval_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const operation = this.operationFor(toolName, parameters, id);
+
+    const decision = await this.autoApproveManager.shouldAutoApprove(operation);
+    if (decision.approved) {
+      return { approved: true, autoApproved: true, reason: decision.reason };
+    }
+
+    // The emergency stop turns every call down without asking
+    if (this.autoApproveManager.emergencyStop) {
+      return { approved: false, reason: decision.reason };
+    }
+
+    const request = {
+      id,
+      toolName,
+      operationType: operation.type,
+      parameters,
+      filePath: operation.filePath,
+      command: operation.command,
+      reason: decision.reason,
+      riskLevel: decision.riskLevel || null,
+      riskFactors: decision.riskFactors || [],
+      source,
+      requestedAt: Date.now()
+    };
+
+    let onAbort;
+    const response = await new Promise(resolve => {
+      if (signal?.aborted) {
+        resolve({ approved: false, cancelled: true });
+        return;
+      }
+      this.pending.set(id, { request, operation, resolve });
+      onAbort = () => resolve({ approved: false, cancelled: true });
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      console.log(`✋ Waiting for approval of ${toolName} (${decision.reason})`);
+      this.emit('approvalRequired', { request });
+    });
+
+    signal?.removeEventListener('abort', onAbort);
+    const wasPending = this.pending.delete(id);
+    let decisionName = response.approved ? 'user_approved' : 'user_denied';
+    let reason = response.approved ? 'Approved by user' : 'Denied by user';
+    if (response.cancelled) {
+      decisionName = 'cancelled';
+      reason = response.reason || 'Tool call was cancelled before it was answered';
+    }
+    this.autoApproveManager.logAudit(operation, decisionName, response.feedback ? `${reason}: ${response.feedback}` : reason);
+
+    if (wasPending) {
+      this.emit('approvalResolved', { request, response: { ...response, decision: decisionName } });
+    }
+
+    return {
+      approved: Boolean(response.approved),
+      cancelled: response.cancelled || undefined,
+      reason,
+      feedback: response.feedback
+    };
+  }
+
+  /**
+   * Answer a waiting approval request
+   * @param {Object} response - { approved, feedback, respondedBy }
+   * @returns {Object} The request that was answered
+   */
+  respond(requestId, response = {}) {
+    const pending = this.pending.get(requestId);
+    if (!pending) {
+      throw new Error(`No tool call is waiting for approval with id ${requestId}`);
+    }
+    if (typeof response.approved !== 'boolean') {
+      throw new Error('approved must be true or false');
+    }
+
+    pending.resolve({
+      approved: response.approved,
+      feedback: response.feedback || undefined,
+      respondedBy: response.respondedBy,
+      respondedAt: Date.now()
+    });
+    return pending.request;
+  }
+
+  getPendingRequests() {
+    return Array.from(this.pending.values()).map(pending => pending.request);
+  }
+
+  /**
+   * Turn down everything still waiting, e.g. on shutdown or emergency stop
+   */
+  cancelAll(reason = 'Tool call was cancelled before it was answered') {
+    for (const pending of this.pending.values()) {
+      pending.resolve({ approved: false, cancelled: true, reason });
+    }
+  }
+}
+
+module.exports = ToolApprovalGate;
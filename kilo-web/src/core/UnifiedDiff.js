@@ -0,0 +1,229 @@
+/**
+ * Unified Diff for Kilo-Web
+ * Line-based Myers diff producing unified-diff hunks, plus the reverse
+ * operation used to undo selected hunks when restoring part of a file.
+ */
+
+class UnifiedDiff {
+  static DEFAULT_CONTEXT = 3;
+
+  // Past this many edits the diff degrades to "replace everything" instead of using O(D^2) memory
+  static MAX_EDIT_DISTANCE = 4000;
+
+  static NO_NEWLINE_MARKER = '\\ No newline at end of file';
+
+  /**
+   * Split text into lines that keep their terminator, so joining them gives back the exact text
+   */
+  static splitLines(text) {
+    return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+  }
+
+  /**
+   * Whether a buffer looks binary (contains a NUL byte near the start)
+   */
+  static isBinary(buffer) {
+    return buffer.subarray(0, 8000).includes(0);
+  }
+
+  /**
+   * Edit script turning one line array into another
+   * @returns {Array<{type: ' '|'-'|'+', line: string}>}
+   */
+  static diffLines(oldLines, newLines) {
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+      start++;
+    }
+
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+      oldEnd--;
+      newEnd--;
+    }
+
+    return [
+      ...oldLines.slice(0, start).map(line => ({ type: ' ', line })),
+      ...UnifiedDiff.myers(oldLines.slice(start, oldEnd), newLines.slice(start, newEnd)),
+      ...oldLines.slice(oldEnd).map(line => ({ type: ' ', line }))
+    ];
+  }
+
+  static myers(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, UnifiedDiff.MAX_EDIT_DISTANCE);
+    const offset = n + m + 1;
+    const v = new Int32Array(2 * offset + 1);
+    const trace = []; // trace[d][k + d] is the furthest x reached on diagonal k after d edits
+
+    for (let d = 0; d <= max; d++) {
+      for (let k = -d; k <= d; k += 2) {
+        let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < n && y < m && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+
+        if (x >= n && y >= m) {
+          trace.push(v.slice(offset - d, offset + d + 1));
+          return UnifiedDiff.backtrack(a, b, trace);
+        }
+      }
+      trace.push(v.slice(offset - d, offset + d + 1));
+    }
+
+    return [
+      ...a.map(line => ({ type: '-', line })),
+      ...b.map(line => ({ type: '+', line }))
+    ];
+  }
+
+  static backtrack(a, b, trace) {
+    const ops = [];
+    const furthest = (d, k) => trace[d][k + d];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d > 0; d--) {
+      const k = x - y;
+      const inserted = k === -d || (k !== d && furthest(d - 1, k - 1) < furthest(d - 1, k + 1));
+      const prevK = inserted ? k + 1 : k - 1;
+      const prevX = furthest(d - 1, prevK);
+      const prevY = prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        ops.push({ type: ' ', line: a[--x] });
+        y--;
+      }
+      if (inserted) {
+        ops.push({ type: '+', line: b[--y] });
+      } else {
+        ops.push({ type: '-', line: a[--x] });
+      }
+    }
+
+    while (x > 0 && y > 0) {
+      ops.push({ type: ' ', line: a[--x] });
+      y--;
+    }
+    return ops.reverse();
+  }
+
+  /**
+   * Group an edit script into hunks with the given number of context lines
+   * @returns {Array<{oldStart: number, oldLines: number, newStart: number, newLines: number, lines: string[]}>}
+   */
+  static createHunks(oldText, newText, context = UnifiedDiff.DEFAULT_CONTEXT) {
+    const ops = UnifiedDiff.diffLines(UnifiedDiff.splitLines(oldText), UnifiedDiff.splitLines(newText));
+
+    // Line position (0-based) in each file before every op
+    let oldIndex = 0;
+    let newIndex = 0;
+    const positions = ops.map(op => {
+      const position = { oldIndex, newIndex };
+      if (op.type !== '+') oldIndex++;
+      if (op.type !== '-') newIndex++;
+      return position;
+    });
+
+    const changes = [];
+    ops.forEach((op, index) => {
+      if (op.type !== ' ') changes.push(index);
+    });
+
+    // Changes separated by no more than 2 * context unchanged lines share a hunk
+    const hunks = [];
+    let i = 0;
+    while (i < changes.length) {
+      const first = changes[i];
+      let last = first;
+      while (i + 1 < changes.length && changes[i + 1] - last - 1 <= 2 * context) {
+        last = changes[++i];
+      }
+      i++;
+      hunks.push({
+        start: Math.max(0, first - context),
+        end: Math.min(ops.length, last + context + 1)
+      });
+    }
+
+    return hunks.map(({ start, end }) => {
+      const slice = ops.slice(start, end);
+      const oldLines = slice.filter(op => op.type !== '+').length;
+      const newLines = slice.filter(op => op.type !== '-').length;
+      const lines = [];
+      for (const op of slice) {
+        lines.push(op.type + op.line.replace(/\n$/, ''));
+        if (!op.line.endsWith('\n')) {
+          lines.push(UnifiedDiff.NO_NEWLINE_MARKER);
+        }
+      }
+
+      return {
+        // Unified diff numbers an empty range by the line before it
+        oldStart: positions[start].oldIndex + (oldLines > 0 ? 1 : 0),
+        oldLines,
+        newStart: positions[start].newIndex + (newLines > 0 ? 1 : 0),
+        newLines,
+        lines
+      };
+    });
+  }
+
+  /**
+   * Render hunks as a unified diff. A null path stands for a missing file (/dev/null).
+   */
+  static formatPatch(oldPath, newPath, hunks) {
+    if (hunks.length === 0) {
+      return '';
+    }
+
+    const output = [
+      `--- ${oldPath === null ? '/dev/null' : `a/${oldPath}`}`,
+      `+++ ${newPath === null ? '/dev/null' : `b/${newPath}`}`
+    ];
+    for (const hunk of hunks) {
+      output.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+      output.push(...hunk.lines);
+    }
+    return output.join('\n') + '\n';
+  }
+
+  /**
+   * Undo selected hunks of the oldText -> newText diff, returning newText with
+   * those regions put back to their old content
+   * @param {number[]} hunkIndexes - Indexes into createHunks(oldText, newText, context)
+   */
+  static revertHunks(oldText, newText, hunkIndexes, context = UnifiedDiff.DEFAULT_CONTEXT) {
+    const hunks = UnifiedDiff.createHunks(oldText, newText, context);
+    for (const index of hunkIndexes) {
+      if (!Number.isInteger(index) || index < 0 || index >= hunks.length) {
+        throw new Error(`Hunk ${index} does not exist (file has ${hunks.length} hunks)`);
+      }
+    }
+
+    const oldLines = UnifiedDiff.splitLines(oldText);
+    const result = UnifiedDiff.splitLines(newText);
+    const rangeStart = (start, count) => (count > 0 ? start - 1 : start);
+
+    // Later hunks first so earlier line numbers stay valid
+    for (const index of [...new Set(hunkIndexes)].sort((a, b) => b - a)) {
+      const hunk = hunks[index];
+      const oldStart = rangeStart(hunk.oldStart, hunk.oldLines);
+      result.splice(
+        rangeStart(hunk.newStart, hunk.newLines),
+        hunk.newLines,
+        ...oldLines.slice(oldStart, oldStart + hunk.oldLines)
+      );
+    }
+    return result.join('');
+  }
+}
+
+module.exports = UnifiedDiff;
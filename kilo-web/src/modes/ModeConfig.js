@@ -29,7 +29,7 @@ const TOOL_GROUPS = {
         alwaysAvailable: false
     },
     command: {
-        tools: ['execute_command'],
+        tools: ['execute_command', 'read_command_output'],
         alwaysAvailable: false
     },
     mcp: {
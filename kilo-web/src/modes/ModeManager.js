@@ -241,7 +241,14 @@ class ModeManager {
      * Generate system prompt for current mode
      */
     generateSystemPrompt(globalCustomInstructions = '', language = 'en') {
-        const mode = this.getCurrentMode();
+        return this.generateSystemPromptForMode(this.currentMode, globalCustomInstructions, language);
+    }
+
+    /**
+     * Generate system prompt for any mode (workflow prompt steps run in a mode of their own)
+     */
+    generateSystemPromptForMode(modeSlug, globalCustomInstructions = '', language = 'en') {
+        const mode = this.getModeBySlug(modeSlug);
         if (!mode) {
             return 'You are Kilo Code, an AI assistant for software development.';
         }
@@ -279,7 +279,7 @@ router.post('/tools/execute', async (req, res) => {
       return res.status(400).json({ error: 'Missing tool parameters' });
     }
     
-    const result = await toolRegistry.executeTool(tool, parameters);
+    const result = await toolRegistry.executeTool(tool, parameters, null, { source: 'api' });
     const formattedResult = toolRegistry.formatToolResult(result);
     
     res.json({
@@ -307,7 +307,7 @@ router.post('/execute', async (req, res) => {
       return res.status(400).json({ error: 'Missing command' });
     }
     
-    const result = await toolRegistry.executeTool('execute_command', { command, cwd });
+    const result = await toolRegistry.executeTool('execute_command', { command, cwd }, null, { source: 'api' });
     res.json(result);
     
   } catch (error) {
@@ -393,6 +393,9 @@ router.post('/api/settings/providers/activate/:name', async (req, res) => {
 
     const { name } = req.params;
     const provider = await providerSettingsManager.activateProfile({ name });
+    if (req.app.locals.chatManager) {
+      req.app.locals.chatManager.setTokenTarget(provider);
+    }
     res.json({ success: true, provider, message: 'Provider profile activated successfully' });
   } catch (error) {
     console.error('Error activating provider profile:', error);
@@ -1045,23 +1048,34 @@ router.post('/api/mcp/tools/:toolName/invoke', async (req, res) => {
     }
 
     const { toolName } = req.params;
-    const { parameters = {} } = req.body;
+    const { parameters = {}, serverId, timeout } = req.body;
     
     const mcpManager = settingsManager.getMCPServerManager();
     
     // Find the tool
-    const tool = Array.from(mcpManager.tools.values()).find(t => t.name === toolName);
+    const tool = mcpManager.findTool(toolName, serverId ? mcpManager.resolveServerId(serverId) : null);
     if (!tool) {
       return res.status(404).json({ error: `Tool '${toolName}' not found` });
     }
     
-    // For now, return a placeholder response
-    // Full implementation would send the tool invocation to the MCP server
+    // Cancel the MCP request if the HTTP client goes away
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        abortController.abort();
+      }
+    });
+    
+    const result = await mcpManager.callTool(tool.serverId, tool.name, parameters, {
+      timeout,
+      signal: abortController.signal
+    });
+    
     res.json({
-      success: true,
-      message: 'Tool invocation not yet implemented',
+      success: !result.isError,
       tool: tool.name,
-      serverId: tool.serverId
+      serverId: tool.serverId,
+      result
     });
     
   } catch (error) {
@@ -1070,7 +1084,189 @@ router.post('/api/mcp/tools/:toolName/invoke', async (req, res) => {
   }
 });
 
-// GET /api/mcp/resources/:resourceUri - Access an MCP resource
+// GET /api/mcp/requests - List in-flight MCP requests
+router.get('/api/mcp/requests', async (req, res) => {
+  try {
+    const settingsManager = req.app.locals.settingsManager;
+    if (!settingsManager) {
+      return res.status(503).json({ error: 'Settings manager not initialized' });
+    }
+
+    const mcpManager = settingsManager.getMCPServerManager();
+    const requests = mcpManager.getPendingRequests(req.query.serverId || null);
+    
+    res.json({ success: true, requests });
+  } catch (error) {
+    console.error('Error listing MCP requests:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/mcp/requests/:requestId/cancel - Cancel an in-flight MCP request
+router.post('/api/mcp/requests/:requestId/cancel', async (req, res) => {
+  try {
+    const settingsManager = req.app.locals.settingsManager;
+    if (!settingsManager) {
+      return res.status(503).json({ error: 'Settings manager not initialized' });
+    }
+
+    const mcpManager = settingsManager.getMCPServerManager();
+    const cancelled = mcpManager.cancelRequest(req.params.requestId, req.body.reason || 'Cancelled by user');
+    
+    if (!cancelled) {
+      return res.status(404).json({ error: `Request '${req.params.requestId}' not found` });
+    }
+    
+    res.json({ success: true, message: 'MCP request cancelled' });
+  } catch (error) {
+    console.error('Error cancelling MCP request:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/mcp/resource-templates - Get all resource templates from MCP servers
+router.get('/api/mcp/resource-templates', async (req, res) => {
+  try {
+    const settingsManager = req.app.locals.settingsManager;
+    if (!settingsManager) {
+      return res.status(503).json({ error: 'Settings manager not initialized' });
+    }
+
+    const mcpManager = settingsManager.getMCPServerManager();
+    const resourceTemplates = Array.from(mcpManager.resourceTemplates.values());
+    
+    res.json({ success: true, resourceTemplates });
+  } catch (error) {
+    console.error('Error getting MCP resource templates:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/mcp/prompts - Get all prompts from MCP servers
+router.get('/api/mcp/prompts', async (req, res) => {
+  try {
+    const settingsManager = req.app.locals.settingsManager;
+    if (!settingsManager) {
+      return res.status(503).json({ error: 'Settings manager not initialized' });
+    }
+
+    const mcpManager = settingsManager.getMCPServerManager();
+    const prompts = Array.from(mcpManager.prompts.values());
+    
+    res.json({ success: true, prompts });
+  } catch (error) {
+    console.error('Error getting MCP prompts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/mcp/prompts/:promptName/get - Render an MCP prompt with arguments
+router.post('/api/mcp/prompts/:promptName/get', async (req, res) => {
+  try {
+    const settingsManager = req.app.locals.settingsManager;
+    if (!settingsManager) {
+      return res.status(503).json({ error: 'Settings manager not initialized' });
+    }
+
+    const { promptName } = req.params;
+    const { serverId, arguments: promptArguments = {} } = req.body;
+    
+    const mcpManager = settingsManager.getMCPServerManager();
+    
+    const prompt = mcpManager.findPrompt(promptName, serverId ? mcpManager.resolveServerId(serverId) : null);
+    if (!prompt) {
+      return res.status(404).json({ error: `Prompt '${promptName}' not found` });
+    }
+    
+    const rendered = await mcpManager.getPrompt(prompt.serverId, prompt.name, promptArguments);
+    
+    res.json({
+      success: true,
+      prompt: prompt.name,
+      serverId: prompt.serverId,
+      description: rendered.description,
+      messages: rendered.messages,
+      text: rendered.text
+    });
+    
+  } catch (error) {
+    console.error('Error getting MCP prompt:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/mcp/subscriptions - List active resource subscriptions
+router.get('/api/mcp/subscriptions', async (req, res) => {
+  try {
+    const settingsManager = req.app.locals.settingsManager;
+    if (!settingsManager) {
+      return res.status(503).json({ error: 'Settings manager not initialized' });
+    }
+
+    const mcpManager = settingsManager.getMCPServerManager();
+    const subscriptions = mcpManager.getResourceSubscriptions(req.query.serverId || null);
+    
+    res.json({ success: true, subscriptions });
+  } catch (error) {
+    console.error('Error listing MCP resource subscriptions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/mcp/subscriptions - Subscribe to resource updates
+router.post('/api/mcp/subscriptions', async (req, res) => {
+  try {
+    const settingsManager = req.app.locals.settingsManager;
+    if (!settingsManager) {
+      return res.status(503).json({ error: 'Settings manager not initialized' });
+    }
+
+    const { uri, serverId } = req.body;
+    if (!uri) {
+      return res.status(400).json({ error: 'Resource URI is required' });
+    }
+    
+    const mcpManager = settingsManager.getMCPServerManager();
+    const resource = mcpManager.findResource(uri, serverId ? mcpManager.resolveServerId(serverId) : null);
+    if (!resource) {
+      return res.status(404).json({ error: `Resource '${uri}' not found` });
+    }
+    
+    const subscription = await mcpManager.subscribeResource(resource.serverId, uri);
+    res.json({ success: true, subscription });
+  } catch (error) {
+    console.error('Error subscribing to MCP resource:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/mcp/subscriptions - Unsubscribe from resource updates
+router.delete('/api/mcp/subscriptions', async (req, res) => {
+  try {
+    const settingsManager = req.app.locals.settingsManager;
+    if (!settingsManager) {
+      return res.status(503).json({ error: 'Settings manager not initialized' });
+    }
+
+    const { uri, serverId } = req.body;
+    if (!uri || !serverId) {
+      return res.status(400).json({ error: 'Resource URI and server ID are required' });
+    }
+    
+    const mcpManager = settingsManager.getMCPServerManager();
+    const removed = await mcpManager.unsubscribeResource(serverId, uri);
+    if (!removed) {
+      return res.status(404).json({ error: `No subscription for '${uri}' on server ${serverId}` });
+    }
+    
+    res.json({ success: true, message: 'Unsubscribed from MCP resource' });
+  } catch (error) {
+    console.error('Error unsubscribing from MCP resource:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/mcp/resources/:resourceUri - Read an MCP resource
 router.get('/api/mcp/resources/:resourceUri(*)', async (req, res) => {
   try {
     const settingsManager = req.app.locals.settingsManager;
@@ -1080,19 +1276,20 @@ router.get('/api/mcp/resources/:resourceUri(*)', async (req, res) => {
 
     const resourceUri = req.params.resourceUri;
     const mcpManager = settingsManager.getMCPServerManager();
+    const serverId = req.query.serverId ? mcpManager.resolveServerId(req.query.serverId) : null;
     
-    // Find the resource
-    const resource = Array.from(mcpManager.resources.values()).find(r => r.uri === resourceUri);
+    // Find the resource (directly listed or matching a template)
+    const resource = mcpManager.findResource(resourceUri, serverId);
     if (!resource) {
       return res.status(404).json({ error: `Resource '${resourceUri}' not found` });
     }
     
-    // For now, return resource metadata
-    // Full implementation would fetch the actual resource content from the MCP server
+    const contents = await mcpManager.readResource(resource.serverId, resourceUri);
+    
     res.json({
       success: true,
-      message: 'Resource access not yet implemented',
-      resource: resource
+      resource,
+      contents
     });
     
   } catch (error) {
@@ -1101,6 +1298,114 @@ router.get('/api/mcp/resources/:resourceUri(*)', async (req, res) => {
   }
 });
 
+// Checkpoint API Endpoints
+
+// GET /api/checkpoints - List checkpoints
+router.get('/api/checkpoints', async (req, res) => {
+  try {
+    const settingsManager = req.app.locals.settingsManager;
+    if (!settingsManager) {
+      return res.status(503).json({ error: 'Settings manager not initialized' });
+    }
+
+    const checkpointManager = settingsManager.getCheckpointManager();
+    const { type, tag } = req.query;
+    
+    res.json({
+      success: true,
+      checkpoints: checkpointManager.listCheckpoints({ type, tag }),
+      diffViewerEnabled: checkpointManager.settings.diffViewerEnabled
+    });
+  } catch (error) {
+    console.error('Error listing checkpoints:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/checkpoints/:checkpointId/diff - Unified diffs against another checkpoint or the workspace
+router.get('/api/checkpoints/:checkpointId/diff', async (req, res) => {
+  try {
+    const settingsManager = req.app.locals.settingsManager;
+    if (!settingsManager) {
+      return res.status(503).json({ error: 'Settings manager not initialized' });
+    }
+
+    const checkpointManager = settingsManager.getCheckpointManager();
+    if (!checkpointManager.settings.diffViewerEnabled) {
+      return res.status(403).json({ error: 'Diff viewer is disabled in checkpoint settings' });
+    }
+
+    const { checkpointId } = req.params;
+    const { compareWith = 'current', paths, context } = req.query;
+    if (!checkpointManager.checkpoints.has(checkpointId)) {
+      return res.status(404).json({ error: `Checkpoint '${checkpointId}' not found` });
+    }
+    
+    const diff = await checkpointManager.getFileDiffs(checkpointId, compareWith, {
+      paths: paths ? [].concat(paths).flatMap(p => p.split(',')) : undefined,
+      contextLines: context !== undefined ? parseInt(context, 10) : undefined
+    });
+    
+    res.json({ success: true, ...diff });
+  } catch (error) {
+    console.error('Error getting checkpoint diff:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/checkpoints/:checkpointId/restore - Restore a checkpoint, or only the given paths
+router.post('/api/checkpoints/:checkpointId/restore', async (req, res) => {
+  try {
+    const settingsManager = req.app.locals.settingsManager;
+    if (!settingsManager) {
+      return res.status(503).json({ error: 'Settings manager not initialized' });
+    }
+
+    const checkpointManager = settingsManager.getCheckpointManager();
+    const { checkpointId } = req.params;
+    const { paths, createBackup } = req.body;
+    if (!checkpointManager.checkpoints.has(checkpointId)) {
+      return res.status(404).json({ error: `Checkpoint '${checkpointId}' not found` });
+    }
+    
+    const result = paths
+      ? await checkpointManager.restoreFiles(checkpointId, paths, { createBackup })
+      : await checkpointManager.restoreCheckpoint(checkpointId, { createBackup });
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error restoring checkpoint:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/checkpoints/:checkpointId/restore/hunks - Undo selected hunks of one file
+router.post('/api/checkpoints/:checkpointId/restore/hunks', async (req, res) => {
+  try {
+    const settingsManager = req.app.locals.settingsManager;
+    if (!settingsManager) {
+      return res.status(503).json({ error: 'Settings manager not initialized' });
+    }
+
+    const checkpointManager = settingsManager.getCheckpointManager();
+    const { checkpointId } = req.params;
+    const { path: filePath, hunks, contextLines, createBackup } = req.body;
+    if (!checkpointManager.checkpoints.has(checkpointId)) {
+      return res.status(404).json({ error: `Checkpoint '${checkpointId}' not found` });
+    }
+    if (!filePath || !Array.isArray(hunks)) {
+      return res.status(400).json({ error: 'path and hunks are required' });
+    }
+    
+    const result = await checkpointManager.restoreHunks(checkpointId, filePath, hunks, { contextLines, createBackup });
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error restoring checkpoint hunks:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Comprehensive Settings Import/Export API Endpoints
 
 // POST /api/settings/export - Export all settings with options
@@ -1406,6 +1711,26 @@ router.put('/api/task-history/:taskId', async (req, res) => {
   }
 });
 
+// GET /api/task-history/:taskId/todos - The task's todo list, as kept by update_todo_list
+router.get('/api/task-history/:taskId/todos', async (req, res) => {
+  try {
+    const taskHistoryManager = req.app.locals.taskHistoryManager;
+    if (!taskHistoryManager) {
+      return res.status(503).json({ error: 'Task history manager not initialized' });
+    }
+
+    const task = await taskHistoryManager.getTaskById(req.params.taskId);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    res.json({ success: true, taskId: task.id, todos: task.todos || [] });
+  } catch (error) {
+    console.error('Error getting todo list:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // GET /api/task-history - Get task history with filtering and pagination
 router.get('/task-history', async (req, res) => {
   try {
@@ -1766,9 +2091,11 @@ router.get('/api/workflows/executions', async (req, res) => {
       return res.status(503).json({ error: 'Workflow manager not initialized' });
     }
 
-    // In a full implementation, this would return actual executions
-    // For now, return empty array
-    const executions = [];
+    // Active executions first, then stored history (which survives restarts)
+    const workflowEngine = req.app.locals.workflowEngine;
+    const executions = workflowEngine
+      ? [...workflowEngine.activeExecutions.values(), ...workflowEngine.getExecutionHistory(parseInt(req.query.limit) || 50)]
+      : [];
 
     res.json({ success: true, executions });
   } catch (error) {
@@ -1786,9 +2113,11 @@ router.post('/api/workflows/executions/:executionId/cancel', async (req, res) =>
     }
 
     const { executionId } = req.params;
-    
-    // In a full implementation, this would cancel the actual execution
-    // For now, return success
+    const workflowEngine = req.app.locals.workflowEngine;
+    if (workflowEngine && !(await workflowEngine.cancelExecution(executionId))) {
+      return res.status(404).json({ error: 'Execution not found or already finished' });
+    }
+
     res.json({ success: true, message: 'Workflow execution cancelled' });
   } catch (error) {
     console.error('Error cancelling workflow execution:', error);
@@ -1796,6 +2125,65 @@ router.post('/api/workflows/executions/:executionId/cancel', async (req, res) =>
   }
 });
 
+// GET /api/workflows/triggers - Scheduled workflow triggers with their next fire times
+router.get('/api/workflows/triggers', async (req, res) => {
+  try {
+    const workflowManager = req.app.locals.workflowManager;
+    if (!workflowManager) {
+      return res.status(503).json({ error: 'Workflow manager not initialized' });
+    }
+
+    res.json({ success: true, triggers: workflowManager.getTriggers() });
+  } catch (error) {
+    console.error('Error getting workflow triggers:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/workflows/manual-steps - Manual steps waiting for a response
+router.get('/api/workflows/manual-steps', async (req, res) => {
+  try {
+    const workflowEngine = req.app.locals.workflowEngine;
+    if (!workflowEngine) {
+      return res.status(503).json({ error: 'Workflow engine not initialized' });
+    }
+
+    const pending = workflowEngine.getPendingManualSteps(req.query.executionId || null);
+    res.json({ success: true, pending });
+  } catch (error) {
+    console.error('Error getting pending manual steps:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/workflows/executions/:executionId/respond - Approve, reject or fill in a waiting manual step
+router.post('/api/workflows/executions/:executionId/respond', async (req, res) => {
+  try {
+    const workflowEngine = req.app.locals.workflowEngine;
+    if (!workflowEngine) {
+      return res.status(503).json({ error: 'Workflow engine not initialized' });
+    }
+
+    const { executionId } = req.params;
+    const { requestId, action, values, comment, respondedBy } = req.body || {};
+    if (!workflowEngine.activeExecutions.has(executionId)) {
+      return res.status(404).json({ error: 'Execution not found or already finished' });
+    }
+
+    let request;
+    try {
+      request = workflowEngine.respondToManualStep(executionId, { requestId, action, values, comment, respondedBy });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ success: true, executionId, requestId: request.id, action: action || 'approve' });
+  } catch (error) {
+    console.error('Error responding to manual step:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // GET /api/workflows/stats - Get workflow statistics
 router.get('/api/workflows/stats', async (req, res) => {
   try {
@@ -1890,9 +2278,11 @@ router.get('/workflows/executions', async (req, res) => {
       return res.status(503).json({ error: 'Workflow manager not initialized' });
     }
 
-    // In a full implementation, this would return actual executions
-    // For now, return empty array
-    const executions = [];
+    // Active executions first, then stored history (which survives restarts)
+    const workflowEngine = req.app.locals.workflowEngine;
+    const executions = workflowEngine
+      ? [...workflowEngine.activeExecutions.values(), ...workflowEngine.getExecutionHistory(parseInt(req.query.limit) || 50)]
+      : [];
 
     res.json({ success: true, executions });
   } catch (error) {
@@ -1901,6 +2291,21 @@ router.get('/workflows/executions', async (req, res) => {
   }
 });
 
+// GET /workflows/triggers - Get scheduled workflow triggers (frontend compatibility)
+router.get('/workflows/triggers', async (req, res) => {
+  try {
+    const workflowManager = req.app.locals.workflowManager;
+    if (!workflowManager) {
+      return res.status(503).json({ error: 'Workflow manager not initialized' });
+    }
+
+    res.json({ success: true, triggers: workflowManager.getTriggers() });
+  } catch (error) {
+    console.error('Error getting workflow triggers:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // GET /workflows/stats - Get workflow statistics (frontend compatibility)
 router.get('/workflows/stats', async (req, res) => {
   try {
@@ -1932,6 +2337,259 @@ router.get('/workflows/stats', async (req, res) => {
   }
 });
 
+// Tool Approval API Endpoints
+
+// GET /api/tool-approvals/pending - Tool calls waiting for approval
+router.get('/api/tool-approvals/pending', async (req, res) => {
+  try {
+    const toolApprovalGate = req.app.locals.toolApprovalGate;
+    if (!toolApprovalGate) {
+      return res.status(503).json({ error: 'Tool approval not initialized' });
+    }
+
+    res.json({ success: true, pending: toolApprovalGate.getPendingRequests() });
+  } catch (error) {
+    console.error('Error getting pending tool approvals:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/tool-approvals/:requestId/respond - Approve or deny a waiting tool call
+router.post('/api/tool-approvals/:requestId/respond', async (req, res) => {
+  try {
+    const toolApprovalGate = req.app.locals.toolApprovalGate;
+    if (!toolApprovalGate) {
+      return res.status(503).json({ error: 'Tool approval not initialized' });
+    }
+
+    const { approved, feedback, respondedBy } = req.body || {};
+    let request;
+    try {
+      request = toolApprovalGate.respond(req.params.requestId, { approved, feedback, respondedBy: respondedBy || 'api' });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ success: true, requestId: request.id, approved });
+  } catch (error) {
+    console.error('Error responding to tool approval:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/tool-approvals/audit - Approval decisions, newest first
+router.get('/api/tool-approvals/audit', async (req, res) => {
+  try {
+    const toolApprovalGate = req.app.locals.toolApprovalGate;
+    if (!toolApprovalGate) {
+      return res.status(503).json({ error: 'Tool approval not initialized' });
+    }
+
+    const autoApproveManager = toolApprovalGate.autoApproveManager;
+    const entries = autoApproveManager.getAuditLog({
+      decision: req.query.decision,
+      operationType: req.query.operationType,
+      timeRange: parseInt(req.query.timeRange) || undefined
+    });
+    res.json({
+      success: true,
+      entries: entries.slice(0, parseInt(req.query.limit) || 50),
+      total: entries.length,
+      stats: autoApproveManager.getSessionStats()
+    });
+  } catch (error) {
+    console.error('Error getting tool approval audit log:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Follow-up Question API Endpoints
+
+// GET /api/followup-questions/pending - Questions from ask_followup_question waiting for an answer
+router.get('/api/followup-questions/pending', async (req, res) => {
+  try {
+    const toolRegistry = req.app.locals.toolRegistry;
+    const followupTool = toolRegistry && toolRegistry.getTool('ask_followup_question');
+    if (!followupTool) {
+      return res.status(503).json({ error: 'Follow-up questions not available' });
+    }
+
+    res.json({ success: true, pending: followupTool.getPendingQuestions() });
+  } catch (error) {
+    console.error('Error getting pending follow-up questions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/followup-questions/:questionId/answer - Answer a waiting question
+router.post('/api/followup-questions/:questionId/answer', async (req, res) => {
+  try {
+    const toolRegistry = req.app.locals.toolRegistry;
+    const followupTool = toolRegistry && toolRegistry.getTool('ask_followup_question');
+    if (!followupTool) {
+      return res.status(503).json({ error: 'Follow-up questions not available' });
+    }
+
+    let request;
+    try {
+      request = followupTool.answer(req.params.questionId, (req.body || {}).answer);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ success: true, questionId: request.id });
+  } catch (error) {
+    console.error('Error answering follow-up question:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Command API Endpoints
+
+// GET /api/commands - Commands run by execute_command, running and recently finished
+router.get('/api/commands', async (req, res) => {
+  try {
+    const toolRegistry = req.app.locals.toolRegistry;
+    const executeCommandTool = toolRegistry && toolRegistry.getTool('execute_command');
+    if (!executeCommandTool) {
+      return res.status(503).json({ error: 'Command execution not available' });
+    }
+
+    res.json({ success: true, processes: executeCommandTool.listProcesses() });
+  } catch (error) {
+    console.error('Error listing commands:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/commands/:processId - A command with the output buffered for it
+router.get('/api/commands/:processId', async (req, res) => {
+  try {
+    const toolRegistry = req.app.locals.toolRegistry;
+    const executeCommandTool = toolRegistry && toolRegistry.getTool('execute_command');
+    if (!executeCommandTool) {
+      return res.status(503).json({ error: 'Command execution not available' });
+    }
+
+    const commandProcess = executeCommandTool.getProcess(req.params.processId);
+    if (!commandProcess) {
+      return res.status(404).json({ error: 'Command not found' });
+    }
+
+    res.json({ success: true, process: commandProcess });
+  } catch (error) {
+    console.error('Error getting command:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/commands/:processId/stop - Stop a running command
+router.post('/api/commands/:processId/stop', async (req, res) => {
+  try {
+    const toolRegistry = req.app.locals.toolRegistry;
+    const executeCommandTool = toolRegistry && toolRegistry.getTool('execute_command');
+    if (!executeCommandTool) {
+      return res.status(503).json({ error: 'Command execution not available' });
+    }
+
+    if (!executeCommandTool.getProcess(req.params.processId)) {
+      return res.status(404).json({ error: 'Command not found' });
+    }
+
+    const wasRunning = executeCommandTool.stopProcess(req.params.processId);
+    res.json({ success: true, processId: req.params.processId, wasRunning });
+  } catch (error) {
+    console.error('Error stopping command:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Code Index API Endpoints
+
+// GET /api/code-index/stats - Get workspace index statistics
+router.get('/api/code-index/stats', async (req, res) => {
+  try {
+    const codeIndex = req.app.locals.codeIndex;
+    if (!codeIndex) {
+      return res.status(503).json({ error: 'Code index not initialized' });
+    }
+
+    res.json({ success: true, stats: codeIndex.getStats() });
+  } catch (error) {
+    console.error('Error getting code index stats:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/code-index/search - Rank workspace chunks for a query
+router.get('/api/code-index/search', async (req, res) => {
+  try {
+    const codeIndex = req.app.locals.codeIndex;
+    if (!codeIndex) {
+      return res.status(503).json({ error: 'Code index not initialized' });
+    }
+    if (!req.query.q) {
+      return res.status(400).json({ error: 'Query parameter q is required' });
+    }
+
+    const results = codeIndex.search(req.query.q, { limit: parseInt(req.query.limit) || 20 });
+    res.json({ success: true, results });
+  } catch (error) {
+    console.error('Error searching code index:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/code-index/symbols - Find symbol definitions by name
+router.get('/api/code-index/symbols', async (req, res) => {
+  try {
+    const codeIndex = req.app.locals.codeIndex;
+    if (!codeIndex) {
+      return res.status(503).json({ error: 'Code index not initialized' });
+    }
+    if (!req.query.name) {
+      return res.status(400).json({ error: 'Query parameter name is required' });
+    }
+
+    const symbols = codeIndex.findSymbols(req.query.name, {
+      exact: req.query.exact !== 'false',
+      limit: parseInt(req.query.limit) || 50
+    });
+    res.json({ success: true, symbols });
+  } catch (error) {
+    console.error('Error finding symbols:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/context/relevant - Pick the files and line ranges most relevant to a message
+router.post('/api/context/relevant', async (req, res) => {
+  try {
+    const settingsManager = req.app.locals.settingsManager;
+    if (!settingsManager || !req.app.locals.codeIndex) {
+      return res.status(503).json({ error: 'Context manager or code index not initialized' });
+    }
+
+    // Without a query, rank against the latest user message of the conversation
+    let query = req.body.query;
+    if (!query && req.app.locals.chatManager) {
+      const lastUserMessage = [...req.app.locals.chatManager.messages].reverse().find(message => message.type === 'user');
+      query = lastUserMessage ? lastUserMessage.text : '';
+    }
+    if (!query) {
+      return res.status(400).json({ error: 'query is required when there is no user message' });
+    }
+
+    const files = await settingsManager.getContextManager().optimizeMultiFileContext(req.body.files || [], query, {
+      tokenBudget: req.body.tokenBudget
+    });
+    res.json({ success: true, query, files });
+  } catch (error) {
+    console.error('Error selecting relevant context:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Settings Validation and Migration API Endpoints
 
 // GET /api/settings/validation/health - Get comprehensive settings health status
@@ -12,12 +12,15 @@ export class ClineService {
   private terminalService: TerminalService;
   private isInitialized = false;
 
-  constructor(workspacePath?: string) {
+  /**
+   * @param terminalService - shared with execute_command so both run through one service
+   */
+  constructor(workspacePath?: string, terminalService?: TerminalService) {
     const storagePath = path.join(os.homedir(), '.kilo-web');
     const workspace = workspacePath || process.cwd();
     
     this.provider = new WebClineProvider(storagePath, workspace);
-    this.terminalService = new TerminalService();
+    this.terminalService = terminalService || new TerminalService();
   }
 
   async initialize(): Promise<void> {
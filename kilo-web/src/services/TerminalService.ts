@@ -1,4 +1,5 @@
 import * as os from 'os';
+import { spawn } from 'child_process';
 
 // Conditional import for node-pty
 let pty: any;
@@ -9,14 +10,47 @@ try {
     pty = null;
 }
 
+function signalName(signal: number): string {
+    const names = os.constants.signals as { [name: string]: number };
+    return Object.keys(names).find(name => names[name] === signal) || String(signal);
+}
+
 export interface TerminalSession {
     id: string;
     process: any; // Changed from pty.IPty to any for optional dependency
     created: Date;
 }
 
+export interface CommandOptions {
+    cwd: string;
+    env?: NodeJS.ProcessEnv;
+    cols?: number;
+    rows?: number;
+}
+
+export interface CommandCallbacks {
+    onData: (data: string) => void;
+    onExit: (exitCode: number | null, signal: string | null) => void;
+}
+
+/**
+ * A single command run to completion (execute_command), as opposed to an interactive terminal
+ */
+export interface CommandSession {
+    id: string;
+    command: string;
+    pid: number | undefined;
+    usesPty: boolean;
+    created: Date;
+    kill: (signal?: NodeJS.Signals) => void;
+}
+
+// How long a stopped command gets to exit after SIGTERM before it is killed
+const STOP_GRACE_MS = 5000;
+
 export class TerminalService {
     private terminals: Map<string, TerminalSession> = new Map();
+    private commands: Map<string, CommandSession> = new Map();
     private messageSender: ((message: any) => void) | null = null;
 
     constructor() {
@@ -145,12 +179,151 @@ export class TerminalService {
         return false;
     }
 
+    /**
+     * Run a command in a pty when node-pty is available, or a plain shell process otherwise.
+     * Output goes to onData as it arrives (stdout and stderr together, like a terminal).
+     */
+    runCommand(commandId: string, command: string, options: CommandOptions, callbacks: CommandCallbacks): CommandSession {
+        if (this.commands.has(commandId)) {
+            throw new Error(`Command ${commandId} is already running`);
+        }
+
+        let session: CommandSession | null = null;
+        if (pty) {
+            try {
+                session = this.runInPty(commandId, command, options, callbacks);
+            } catch (error) {
+                console.warn(`node-pty could not start the command, using a plain process: ${error instanceof Error ? error.message : error}`);
+            }
+        }
+        if (!session) {
+            session = this.runInProcess(commandId, command, options, callbacks);
+        }
+
+        this.commands.set(commandId, session);
+        return session;
+    }
+
+    private runInPty(commandId: string, command: string, options: CommandOptions, callbacks: CommandCallbacks): CommandSession {
+        const isWindows = os.platform() === 'win32';
+        const shell = isWindows ? 'powershell.exe' : 'bash';
+        const ptyProcess = pty.spawn(shell, isWindows ? ['-Command', command] : ['-c', command], {
+            name: 'xterm-color',
+            cols: options.cols || 120,
+            rows: options.rows || 30,
+            cwd: options.cwd,
+            env: (options.env || process.env) as { [key: string]: string }
+        });
+
+        ptyProcess.onData((data: string) => callbacks.onData(data));
+        ptyProcess.onExit((data: { exitCode: number; signal?: number }) => {
+            this.commands.delete(commandId);
+            callbacks.onExit(data.exitCode, data.signal ? signalName(data.signal) : null);
+        });
+
+        return {
+            id: commandId,
+            command,
+            pid: ptyProcess.pid,
+            usesPty: true,
+            created: new Date(),
+            kill: (signal: NodeJS.Signals = 'SIGTERM') => {
+                // The pty's shell leads its own process group, so this stops whatever it started too
+                try {
+                    process.kill(-ptyProcess.pid, signal);
+                } catch (error) {
+                    try {
+                        ptyProcess.kill(isWindows ? undefined : signal);
+                    } catch (killError) {
+                        // Already gone
+                    }
+                }
+            }
+        };
+    }
+
+    private runInProcess(commandId: string, command: string, options: CommandOptions, callbacks: CommandCallbacks): CommandSession {
+        // On POSIX the command gets its own process group so stopping it also stops whatever the shell started
+        const ownGroup = os.platform() !== 'win32';
+        const childProcess = spawn(command, {
+            cwd: options.cwd,
+            env: options.env || process.env,
+            stdio: ['pipe', 'pipe', 'pipe'],
+            shell: true,
+            detached: ownGroup
+        });
+
+        let exited = false;
+        const exit = (exitCode: number | null, signal: string | null) => {
+            if (exited) return;
+            exited = true;
+            this.commands.delete(commandId);
+            callbacks.onExit(exitCode, signal);
+        };
+
+        childProcess.stdout.setEncoding('utf8');
+        childProcess.stderr.setEncoding('utf8');
+        childProcess.stdout.on('data', (data: string) => callbacks.onData(data));
+        childProcess.stderr.on('data', (data: string) => callbacks.onData(data));
+        // 'close' waits for stdout/stderr, which stay open while anything in the group is alive
+        childProcess.on('close', (exitCode, signal) => exit(exitCode, signal));
+        childProcess.on('error', (error) => {
+            callbacks.onData(`\nProcess error: ${error.message}\n`);
+            exit(null, null);
+        });
+
+        return {
+            id: commandId,
+            command,
+            pid: childProcess.pid,
+            usesPty: false,
+            created: new Date(),
+            kill: (signal: NodeJS.Signals = 'SIGTERM') => {
+                try {
+                    if (ownGroup && childProcess.pid) {
+                        process.kill(-childProcess.pid, signal);
+                    } else {
+                        childProcess.kill(signal);
+                    }
+                } catch (error) {
+                    // Already gone
+                }
+            }
+        };
+    }
+
+    /**
+     * Ask a running command to stop, killing it if it hasn't exited after a few seconds
+     */
+    stopCommand(commandId: string): boolean {
+        const session = this.commands.get(commandId);
+        if (!session) {
+            return false;
+        }
+
+        session.kill('SIGTERM');
+        setTimeout(() => {
+            if (this.commands.get(commandId) === session) {
+                session.kill('SIGKILL');
+            }
+        }, STOP_GRACE_MS).unref();
+        return true;
+    }
+
+    getRunningCommands(): string[] {
+        return Array.from(this.commands.keys());
+    }
+
     private cleanup(): void {
         console.log('Cleaning up terminal sessions...');
         for (const [id, session] of this.terminals.entries()) {
             session.process.kill();
         }
         this.terminals.clear();
+        for (const session of this.commands.values()) {
+            session.kill('SIGKILL');
+        }
+        this.commands.clear();
     }
 
     getActiveTerminals(): string[] {
@@ -56,7 +56,7 @@ class ModeAwareToolRegistry extends ToolRegistry {
     /**
      * Execute a tool with mode validation
      */
-    async executeTool(toolName, parameters, provider = null) {
+    async executeTool(toolName, parameters, provider = null, options = {}) {
         const startTime = Date.now();
         
         try {
@@ -112,10 +112,15 @@ class ModeAwareToolRegistry extends ToolRegistry {
                 };
             }
 
+            const denial = await this.checkApproval(toolName, parameters, options);
+            if (denial) {
+                return { ...denial, mode: this.modeManager?.getCurrentModeSlug() || null };
+            }
+
             // Execute the tool
             console.log(`🔧 [TOOL] Executing ${toolName} in mode ${this.modeManager?.getCurrentModeSlug() || 'unknown'}`);
             
-            const result = await tool.execute(parameters, provider);
+            const result = await this.runTool(tool, parameters, provider, options);
             const executionTime = Date.now() - startTime;
 
             // Add metadata to result
@@ -2,7 +2,15 @@ const ReadFileTool = require('./readFile');
 const WriteToFileTool = require('./writeToFile');
 const ListFilesTool = require('./listFiles');
 const ExecuteCommandTool = require('./executeCommand');
+const ReadCommandOutputTool = require('./readCommandOutput');
 const SearchFilesTool = require('./searchFiles');
+const ApplyDiffTool = require('./applyDiff');
+const InsertContentTool = require('./insertContent');
+const SearchAndReplaceTool = require('./searchAndReplace');
+const ListCodeDefinitionNamesTool = require('./listCodeDefinitionNames');
+const AskFollowupQuestionTool = require('./askFollowupQuestion');
+const AttemptCompletionTool = require('./attemptCompletion');
+const UpdateTodoListTool = require('./updateTodoList');
 
 /**
  * Central tool registry and execution framework
@@ -12,17 +20,27 @@ class ToolRegistry {
     constructor(workspaceRoot) {
         this.workspaceRoot = workspaceRoot;
         this.tools = new Map();
+        this.approvalGate = null;
         this.initializeTools();
     }
 
     initializeTools() {
         // Register all available tools
+        const executeCommandTool = new ExecuteCommandTool(this.workspaceRoot);
         const tools = [
             new ReadFileTool(this.workspaceRoot),
             new WriteToFileTool(this.workspaceRoot),
             new ListFilesTool(this.workspaceRoot),
-            new ExecuteCommandTool(this.workspaceRoot),
-            new SearchFilesTool(this.workspaceRoot)
+            executeCommandTool,
+            new ReadCommandOutputTool(this.workspaceRoot, executeCommandTool),
+            new SearchFilesTool(this.workspaceRoot),
+            new ListCodeDefinitionNamesTool(this.workspaceRoot),
+            new ApplyDiffTool(this.workspaceRoot),
+            new InsertContentTool(this.workspaceRoot),
+            new SearchAndReplaceTool(this.workspaceRoot),
+            new AskFollowupQuestionTool(this.workspaceRoot),
+            new AttemptCompletionTool(this.workspaceRoot),
+            new UpdateTodoListTool(this.workspaceRoot)
         ];
 
         for (const tool of tools) {
@@ -32,6 +50,86 @@ class ToolRegistry {
         console.log(`🔧 Initialized ${this.tools.size} tools:`, Array.from(this.tools.keys()));
     }
 
+    /**
+     * Give tools that read context settings (apply_diff's fuzzyMatchThreshold,
+     * execute_command's terminal output limits) the context manager
+     */
+    setContextManager(contextManager) {
+        for (const tool of this.tools.values()) {
+            if ('contextManager' in tool) {
+                tool.contextManager = contextManager;
+            }
+        }
+    }
+
+    /**
+     * Give ask_followup_question the auto-approve settings (followupAutoApproveTimeoutMs)
+     */
+    setAutoApproveManager(autoApproveManager) {
+        for (const tool of this.tools.values()) {
+            if ('autoApproveManager' in tool) {
+                tool.autoApproveManager = autoApproveManager;
+            }
+        }
+    }
+
+    /**
+     * Give the tools that close tasks and keep their todo lists the task history
+     */
+    setTaskHistoryManager(taskHistoryManager) {
+        for (const tool of this.tools.values()) {
+            if ('taskHistoryManager' in tool) {
+                tool.taskHistoryManager = taskHistoryManager;
+            }
+        }
+    }
+
+    /**
+     * Run execute_command's commands through the TerminalService (node-pty or plain spawn)
+     */
+    setTerminalService(terminalService) {
+        for (const tool of this.tools.values()) {
+            if ('terminalService' in tool) {
+                tool.terminalService = terminalService;
+            }
+        }
+    }
+
+    /**
+     * Put every call through an approval gate (ToolApprovalGate) before it runs
+     */
+    setApprovalGate(approvalGate) {
+        this.approvalGate = approvalGate;
+    }
+
+    /**
+     * Ask the approval gate about a call; returns the result to give back when it is
+     * turned down, or null when it may run. options.preApproved skips the gate for
+     * calls the user wrote themselves (workflow tool and command steps).
+     */
+    async checkApproval(toolName, parameters, options = {}) {
+        if (!this.approvalGate || options.preApproved) {
+            return null;
+        }
+
+        const approval = await this.approvalGate.requestApproval(toolName, parameters, {
+            signal: options.signal,
+            source: options.source
+        });
+        if (approval.approved) {
+            return null;
+        }
+
+        return {
+            success: false,
+            denied: true,
+            aborted: approval.cancelled,
+            error: `Tool call not approved: ${approval.reason}${approval.feedback ? ` (${approval.feedback})` : ''}`,
+            feedback: approval.feedback,
+            tool: toolName
+        };
+    }
+
     /**
      * Get list of all available tools with their schemas
      */
@@ -56,8 +154,11 @@ class ToolRegistry {
 
     /**
      * Execute a tool with the given parameters
+     * @param {Object} options - { signal, timeout, waitForExit, source, preApproved, taskId }: an AbortSignal that stops
+     *   the call, a time limit for commands, whether a command is waited for instead of left in the background,
+     *   who made the call, whether it skips the approval gate, and the task it belongs to
      */
-    async executeTool(toolName, parameters, provider = null) {
+    async executeTool(toolName, parameters, provider = null, options = {}) {
         const startTime = Date.now();
         
         try {
@@ -82,10 +183,15 @@ class ToolRegistry {
                 };
             }
 
+            const denial = await this.checkApproval(toolName, parameters, options);
+            if (denial) {
+                return denial;
+            }
+
             // Execute the tool
             console.log(`🔧 [TOOL] Executing ${toolName} with parameters:`, JSON.stringify(parameters, null, 2));
             
-            const result = await tool.execute(parameters, provider);
+            const result = await this.runTool(tool, parameters, provider, options);
             const executionTime = Date.now() - startTime;
 
             // Add metadata to result
@@ -114,6 +220,33 @@ class ToolRegistry {
         }
     }
 
+    /**
+     * Run a tool, giving up as soon as options.signal aborts. Tools that take the
+     * signal (execute_command) stop their work; others finish in the background.
+     */
+    runTool(tool, parameters, provider, options = {}) {
+        const { signal } = options;
+        const aborted = () => ({
+            success: false,
+            aborted: true,
+            error: signal.reason instanceof Error ? signal.reason.message : 'Tool call aborted'
+        });
+        if (!signal) {
+            return tool.execute(parameters, provider, options);
+        }
+        if (signal.aborted) {
+            return Promise.resolve(aborted());
+        }
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => resolve(aborted());
+            signal.addEventListener('abort', onAbort, { once: true });
+            Promise.resolve(tool.execute(parameters, provider, options))
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
     /**
      * Validate parameters against tool schema
      */
@@ -210,12 +343,34 @@ class ToolRegistry {
                 return this.formatReadFileResult(result);
             case 'write_to_file':
                 return this.formatWriteFileResult(result);
+            case 'apply_diff':
+            case 'insert_content':
+            case 'search_and_replace':
+                return this.formatEditFileResult(result);
             case 'list_files':
                 return this.formatListFilesResult(result);
             case 'execute_command':
                 return this.formatExecuteCommandResult(result);
+            case 'read_command_output':
+                return result.processes
+                    ? this.formatCommandListResult(result)
+                    : this.formatExecuteCommandResult(result);
             case 'search_files':
                 return this.formatSearchFilesResult(result);
+            case 'list_code_definition_names':
+                return this.formatListCodeDefinitionsResult(result);
+            case 'use_mcp_tool':
+                return this.formatUseMcpToolResult(result);
+            case 'access_mcp_resource':
+                return this.formatAccessMcpResourceResult(result);
+            case 'browser_action':
+                return this.formatBrowserActionResult(result);
+            case 'ask_followup_question':
+                return this.formatFollowupQuestionResult(result);
+            case 'attempt_completion':
+                return this.formatAttemptCompletionResult(result);
+            case 'update_todo_list':
+                return this.formatUpdateTodoListResult(result);
             default:
                 return {
                     type: 'success',
@@ -252,6 +407,14 @@ class ToolRegistry {
         };
     }
 
+    formatEditFileResult(result) {
+        return {
+            type: 'success',
+            message: `✏️ ${result.message} (${result.lines} lines, ${result.size} bytes)`,
+            details: result
+        };
+    }
+
     formatListFilesResult(result) {
         const message = result.hit_limit 
             ? `📁 Listed ${result.displayed_count}/${result.total_count} files in ${result.path} (${result.recursive ? 'recursive' : 'top-level'})`
@@ -265,14 +428,36 @@ class ToolRegistry {
     }
 
     formatExecuteCommandResult(result) {
+        if (result.status === 'running') {
+            return {
+                type: 'info',
+                message: `⏳ Command running in the background: ${result.command} (${result.process_id}, ${result.execution_time}ms so far)`,
+                output: result.output,
+                details: result
+            };
+        }
+
         const status = result.exit_code === 0 ? '✅' : '❌';
-        const message = `${status} Command executed: ${result.command} (exit code: ${result.exit_code}, ${result.execution_time}ms)`;
-        
+        let message = `${status} Command executed: ${result.command} (exit code: ${result.exit_code}, ${result.execution_time}ms)`;
+        if (result.stopped || result.timed_out || result.aborted) {
+            const how = result.timed_out ? 'timed out' : result.aborted ? 'aborted' : 'stopped';
+            message = `🛑 Command ${how}: ${result.command} (${result.execution_time}ms)`;
+        }
+
         return {
             type: result.exit_code === 0 ? 'success' : 'warning',
             message: message,
             output: result.output,
-            error_output: result.error_output,
+            details: result
+        };
+    }
+
+    formatCommandListResult(result) {
+        const icons = { running: '⏳', completed: '✅', stopped: '🛑' };
+        return {
+            type: 'success',
+            message: `💻 ${result.message}`,
+            content: result.processes.map(processInfo => `${icons[processInfo.status]} ${processInfo.id}: ${processInfo.command}`).join('\n'),
             details: result
         };
     }
@@ -288,6 +473,75 @@ class ToolRegistry {
             matches: result.results
         };
     }
+
+    formatListCodeDefinitionsResult(result) {
+        return {
+            type: 'success',
+            message: `🧭 Found ${result.total_definitions} definitions in ${result.files.length} ${result.files.length === 1 ? 'file' : 'files'} under ${result.path}`,
+            content: result.content,
+            details: result
+        };
+    }
+
+    formatUseMcpToolResult(result) {
+        return {
+            type: 'success',
+            message: `🔌 MCP tool ${result.tool_name} on ${result.server_name} completed`,
+            output: result.output,
+            content: result.content,
+            details: result
+        };
+    }
+
+    formatAccessMcpResourceResult(result) {
+        return {
+            type: 'success',
+            message: `🔌 Read MCP resource ${result.uri} from ${result.server_name}`,
+            content: result.content,
+            images: result.images,
+            details: result
+        };
+    }
+
+    formatBrowserActionResult(result) {
+        return {
+            type: 'success',
+            message: result.url
+                ? `🌐 Browser ${result.action}: ${result.url}`
+                : `🌐 Browser ${result.action} completed`,
+            images: result.screenshot ? [result.screenshot] : [],
+            content: result.text,
+            logs: result.logs,
+            details: result
+        };
+    }
+
+    formatFollowupQuestionResult(result) {
+        return {
+            type: 'success',
+            message: `❓ ${result.question}\n💬 ${result.answer}${result.auto_answered ? ' (answered automatically)' : ''}`,
+            details: result
+        };
+    }
+
+    formatAttemptCompletionResult(result) {
+        return {
+            type: 'success',
+            message: `🏁 ${result.message}`,
+            content: result.result,
+            details: result
+        };
+    }
+
+    formatUpdateTodoListResult(result) {
+        const marks = { pending: '[ ]', in_progress: '[-]', completed: '[x]' };
+        return {
+            type: 'success',
+            message: `📝 ${result.message}`,
+            content: result.todos.map(todo => `${marks[todo.status]} ${todo.content}`).join('\n'),
+            details: result
+        };
+    }
 }
 
 module.exports = ToolRegistry;
\ No newline at end of file
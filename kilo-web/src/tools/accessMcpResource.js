@@ -0,0 +1,115 @@
+/**
+ * Access MCP Resource Tool
+ * Reads a resource exposed by a connected MCP server into the conversation
+ * Based on kilocode's accessMcpResourceTool implementation
+ */
+
+class AccessMcpResourceTool {
+    constructor(workspaceRoot, mcpServerManager = null) {
+        this.workspaceRoot = workspaceRoot;
+        this.mcpServerManager = mcpServerManager;
+        this.name = 'access_mcp_resource';
+        this.description = 'Access a resource provided by a connected MCP server, such as files, API responses or system information';
+        this.input_schema = {
+            type: 'object',
+            properties: {
+                server_name: {
+                    type: 'string',
+                    description: 'The name or ID of the MCP server providing the resource'
+                },
+                uri: {
+                    type: 'string',
+                    description: 'The URI identifying the specific resource to access'
+                }
+            },
+            required: ['server_name', 'uri']
+        };
+    }
+
+    /**
+     * Set the MCP server manager for this tool
+     */
+    setMCPServerManager(mcpServerManager) {
+        this.mcpServerManager = mcpServerManager;
+    }
+
+    /**
+     * Execute the resource read
+     * @param {Object} options - { signal }: aborting the signal cancels the request on the server
+     */
+    async execute(parameters, provider = null, options = {}) {
+        const { server_name, uri } = parameters;
+
+        try {
+            if (!this.mcpServerManager) {
+                return {
+                    success: false,
+                    error: 'MCP server manager not available'
+                };
+            }
+
+            const serverId = this.mcpServerManager.resolveServerId(server_name);
+            if (!serverId) {
+                const availableServers = Array.from(this.mcpServerManager.servers.values())
+                    .filter(server => server.enabled)
+                    .map(server => server.name);
+
+                return {
+                    success: false,
+                    error: `MCP server '${server_name}' not found`,
+                    available_servers: availableServers
+                };
+            }
+
+            const contents = await this.mcpServerManager.readResource(serverId, uri, { signal: options.signal });
+
+            const textParts = [];
+            const images = [];
+            for (const item of contents) {
+                if (typeof item.text === 'string') {
+                    textParts.push(item.text);
+                } else if (item.blob) {
+                    const mimeType = item.mimeType || 'application/octet-stream';
+                    if (mimeType.startsWith('image/')) {
+                        images.push(`data:${mimeType};base64,${item.blob}`);
+                        textParts.push(`[image: ${item.uri || uri} (${mimeType})]`);
+                    } else if (this.isTextMimeType(mimeType)) {
+                        textParts.push(Buffer.from(item.blob, 'base64').toString('utf8'));
+                    } else {
+                        const size = Buffer.byteLength(item.blob, 'base64');
+                        textParts.push(`[binary: ${item.uri || uri} (${mimeType}, ${size} bytes)]`);
+                    }
+                }
+            }
+
+            return {
+                success: true,
+                server_id: serverId,
+                server_name,
+                uri,
+                content: textParts.join('\n\n') || '(Empty response)',
+                images,
+                contents
+            };
+
+        } catch (error) {
+            console.error('Error in access_mcp_resource:', error);
+            return {
+                success: false,
+                error: error.message,
+                server_name,
+                uri
+            };
+        }
+    }
+
+    /**
+     * Whether a blob with this MIME type can be decoded as UTF-8 text
+     */
+    isTextMimeType(mimeType) {
+        return mimeType.startsWith('text/') ||
+            /^application\/(json|xml|javascript|x-yaml|yaml)/.test(mimeType);
+    }
+}
+
+module.exports = AccessMcpResourceTool;
@@ -0,0 +1,382 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Lines searched on each side of a block's :start_line: before the whole file is tried
+const BUFFER_LINES = 40;
+
+// Upper bound on characters compared while fuzzy matching one block; past it,
+// only the lines around :start_line: are compared
+const MAX_FUZZY_WORK = 50000000;
+
+const LINE_NUMBER_PREFIX = /^\s*\d+\s*\|\s?/;
+
+/**
+ * Apply diff tool - web-compatible version of kilocode's applyDiffTool
+ * Edits a file with SEARCH/REPLACE blocks instead of rewriting it. A block's
+ * SEARCH text has to match the file exactly, or be at least
+ * `fuzzyMatchThreshold` similar when that setting is below 1.0.
+ */
+class ApplyDiffTool {
+    constructor(workspaceRoot, contextManager = null) {
+        this.workspaceRoot = workspaceRoot;
+        this.contextManager = contextManager;
+        this.name = 'apply_diff';
+        this.description = 'Request to edit an existing file by replacing parts of it with SEARCH/REPLACE blocks';
+        this.input_schema = {
+            type: 'object',
+            properties: {
+                path: {
+                    type: 'string',
+                    description: 'Path to the file to modify (relative to workspace)'
+                },
+                diff: {
+                    type: 'string',
+                    description: 'One or more blocks, each:\n<<<<<<< SEARCH\n:start_line:[line where the search text starts]\n-------\n[exact content to find, whitespace included]\n=======\n[content to replace it with]\n>>>>>>> REPLACE'
+                }
+            },
+            required: ['path', 'diff']
+        };
+    }
+
+    async execute(parameters, provider) {
+        const { path: filePath, diff } = parameters;
+
+        try {
+            if (!filePath) {
+                return {
+                    success: false,
+                    error: 'Missing required parameter: path'
+                };
+            }
+
+            if (!diff) {
+                return {
+                    success: false,
+                    error: 'Missing required parameter: diff'
+                };
+            }
+
+            const fullPath = this.validatePath(filePath);
+
+            let original;
+            try {
+                original = await fs.readFile(fullPath, 'utf8');
+            } catch (error) {
+                return {
+                    success: false,
+                    error: `File not found: ${filePath}. Use write_to_file to create new files.`,
+                    path: filePath
+                };
+            }
+
+            const parsed = ApplyDiffTool.parseBlocks(diff);
+            if (parsed.error) {
+                return {
+                    success: false,
+                    error: parsed.error,
+                    path: filePath
+                };
+            }
+
+            const eol = original.includes('\r\n') ? '\r\n' : '\n';
+            const lines = original.split(/\r?\n/);
+            const threshold = this.getFuzzyMatchThreshold();
+            const applied = [];
+            const failed = [];
+            const edits = []; // { line, delta } for blocks already applied, to shift later hints
+
+            parsed.blocks.forEach((block, index) => {
+                const number = index + 1;
+                const { search, replace } = ApplyDiffTool.stripLineNumbers(block);
+                if (search.length === 0 || search.every(line => !line.trim())) {
+                    failed.push({ block: number, error: 'SEARCH section is empty; use insert_content to add new lines' });
+                    return;
+                }
+
+                const startLine = block.startLine
+                    ? block.startLine + edits.filter(edit => edit.line < block.startLine).reduce((sum, edit) => sum + edit.delta, 0)
+                    : null;
+                const match = ApplyDiffTool.findMatch(lines, search, { startLine, threshold });
+                if (!match.found) {
+                    failed.push({ block: number, start_line: block.startLine || undefined, error: match.error, best_match: match.best });
+                    return;
+                }
+
+                const replacement = ApplyDiffTool.reindent(replace, search, lines.slice(match.index, match.index + search.length));
+                lines.splice(match.index, search.length, ...replacement);
+                edits.push({ line: match.index + 1, delta: replacement.length - search.length });
+                applied.push({ block: number, line: match.index + 1, similarity: match.similarity });
+            });
+
+            if (applied.length > 0) {
+                await fs.writeFile(fullPath, lines.join(eol), 'utf8');
+            }
+
+            const stats = await fs.stat(fullPath);
+            const result = {
+                success: failed.length === 0,
+                path: filePath,
+                size: stats.size,
+                lines: lines.length,
+                operation: applied.length > 0 ? 'modified' : 'unchanged',
+                applied_blocks: applied,
+                failed_blocks: failed
+            };
+
+            if (failed.length > 0) {
+                const reasons = failed.map(failure => `block ${failure.block}: ${failure.error}`).join('; ');
+                result.error = applied.length > 0
+                    ? `Applied ${applied.length} of ${parsed.blocks.length} blocks and saved the file; ${reasons}`
+                    : `No blocks applied, file unchanged; ${reasons}`;
+            } else {
+                result.message = `Applied ${applied.length} ${applied.length === 1 ? 'block' : 'blocks'} to ${filePath}`;
+            }
+            return result;
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                path: filePath
+            };
+        }
+    }
+
+    getFuzzyMatchThreshold() {
+        const threshold = this.contextManager && this.contextManager.settings.fuzzyMatchThreshold;
+        return typeof threshold === 'number' && threshold > 0 && threshold <= 1 ? threshold : 1.0;
+    }
+
+    validatePath(filePath) {
+        const cleanPath = filePath.replace(/^\/+/, '');
+        const fullPath = path.resolve(this.workspaceRoot, cleanPath);
+
+        if (!fullPath.startsWith(path.resolve(this.workspaceRoot))) {
+            throw new Error(`Path is outside workspace: ${filePath}`);
+        }
+
+        return fullPath;
+    }
+
+    /**
+     * Split a diff into { search, replace, startLine } blocks
+     * Text outside blocks is ignored; a marker line inside content can be escaped with a backslash.
+     */
+    static parseBlocks(diff) {
+        const blocks = [];
+        let block = null;
+        let section = null;
+
+        const lines = diff.replace(/\r\n/g, '\n').split('\n');
+        for (let index = 0; index < lines.length; index++) {
+            const line = lines[index];
+            const where = `diff line ${index + 1}`;
+
+            if (/^<{7}\s*SEARCH\s*$/.test(line)) {
+                if (block) {
+                    return { error: `Block ${blocks.length + 1}: <<<<<<< SEARCH at ${where} before the block's >>>>>>> REPLACE` };
+                }
+                block = { search: [], replace: [], startLine: null };
+                section = 'header';
+                continue;
+            }
+            if (!block) {
+                continue;
+            }
+
+            if (section === 'header') {
+                const hint = line.match(/^:start_line:\s*(\d+)\s*$/);
+                if (hint) {
+                    block.startLine = parseInt(hint[1], 10);
+                    continue;
+                }
+                if (/^:end_line:\s*\d+\s*$/.test(line)) {
+                    continue;
+                }
+                section = 'search';
+                if (/^-{3,}\s*$/.test(line)) {
+                    continue;
+                }
+            }
+
+            if (/^={7}\s*$/.test(line)) {
+                if (section !== 'search') {
+                    return { error: `Block ${blocks.length + 1}: second ======= at ${where}; escape it as \\======= if it is part of the content` };
+                }
+                section = 'replace';
+                continue;
+            }
+            if (/^>{7}\s*REPLACE\s*$/.test(line)) {
+                if (section !== 'replace') {
+                    return { error: `Block ${blocks.length + 1}: >>>>>>> REPLACE at ${where} before its ======= separator` };
+                }
+                blocks.push(block);
+                block = null;
+                continue;
+            }
+
+            block[section].push(line.replace(/^\\(?=<{7}|={7}|>{7})/, ''));
+        }
+
+        if (block) {
+            return { error: `Block ${blocks.length + 1} is missing its >>>>>>> REPLACE marker` };
+        }
+        if (blocks.length === 0) {
+            return { error: 'No SEARCH/REPLACE blocks found. Each block starts with <<<<<<< SEARCH, separates old and new content with =======, and ends with >>>>>>> REPLACE' };
+        }
+        return { blocks };
+    }
+
+    /**
+     * Drop the "  12 | " prefixes read_file adds, when every line of a section has one
+     */
+    static stripLineNumbers({ search, replace }) {
+        const numbered = section => section.some(line => line.trim()) &&
+            section.every(line => !line.trim() || LINE_NUMBER_PREFIX.test(line));
+        if (!numbered(search)) {
+            return { search, replace };
+        }
+        const strip = section => section.map(line => line.replace(LINE_NUMBER_PREFIX, ''));
+        return { search: strip(search), replace: numbered(replace) ? strip(replace) : replace };
+    }
+
+    /**
+     * Where `search` occurs in `lines`: exactly (trailing whitespace aside), else the most
+     * similar window if it reaches `threshold`. Without a start line, an exact match
+     * has to be unique.
+     * @returns {Object} { found, index, similarity } or { found: false, error, best }
+     */
+    static findMatch(lines, search, { startLine = null, threshold = 1.0 } = {}) {
+        const count = search.length;
+        const last = lines.length - count;
+        if (last < 0) {
+            return { found: false, error: `SEARCH has ${count} lines but the file only has ${lines.length}` };
+        }
+
+        const hintIndex = startLine ? Math.min(Math.max(startLine - 1, 0), last) : null;
+        const near = hintIndex === null ? [] : ApplyDiffTool.middleOut(hintIndex, Math.max(0, hintIndex - BUFFER_LINES), Math.min(last, hintIndex + BUFFER_LINES));
+        const everywhere = ApplyDiffTool.middleOut(hintIndex === null ? 0 : hintIndex, 0, last);
+
+        const searchText = search.map(line => line.trimEnd()).join('\n');
+        const windowText = index => lines.slice(index, index + count).map(line => line.trimEnd()).join('\n');
+        const firstLine = search[0].trimEnd();
+
+        const exact = everywhere.filter(index => lines[index].trimEnd() === firstLine && windowText(index) === searchText);
+        if (exact.length === 1 || (exact.length > 1 && hintIndex !== null)) {
+            return { found: true, index: exact[0], similarity: 1 };
+        }
+        if (exact.length > 1) {
+            return {
+                found: false,
+                error: `SEARCH matches ${exact.length} places (lines ${exact.map(index => index + 1).join(', ')}); add :start_line: to pick one`
+            };
+        }
+
+        // No exact match: compare windows with indentation and repeated spaces ignored
+        const normalize = text => text.split('\n').map(line => line.trim().replace(/\s+/g, ' ')).join('\n');
+        const target = normalize(searchText);
+        const workPerWindow = target.length * target.length;
+        const candidates = workPerWindow * everywhere.length <= MAX_FUZZY_WORK ? everywhere : near;
+
+        let best = null;
+        for (const index of candidates) {
+            const text = normalize(windowText(index));
+            // Length difference alone bounds the similarity, so most windows are skipped cheaply
+            const bound = Math.min(text.length, target.length) / Math.max(text.length, target.length, 1);
+            if (best && bound <= best.similarity) {
+                continue;
+            }
+            const similarity = ApplyDiffTool.similarity(text, target);
+            if (!best || similarity > best.similarity) {
+                best = { index, similarity };
+            }
+            if (similarity === 1) {
+                break;
+            }
+        }
+
+        if (best && best.similarity >= threshold) {
+            return { found: true, index: best.index, similarity: Math.round(best.similarity * 1000) / 1000 };
+        }
+
+        const searched = candidates === everywhere ? 'the file' : `lines ${Math.min(...near) + 1}-${Math.max(...near) + count}`;
+        const error = best
+            ? `no match in ${searched}; closest is line ${best.index + 1} at ${Math.round(best.similarity * 100)}% similar, below the ${Math.round(threshold * 100)}% fuzzyMatchThreshold`
+            : 'no exact match, and the file is too large to look for close matches without :start_line:';
+        return {
+            found: false,
+            error,
+            best: best ? {
+                line: best.index + 1,
+                similarity: Math.round(best.similarity * 1000) / 1000,
+                content: lines.slice(best.index, best.index + count).join('\n')
+            } : undefined
+        };
+    }
+
+    /**
+     * Indices from `start` outwards, alternating below and above, within [min, max]
+     */
+    static middleOut(start, min, max) {
+        const order = [];
+        for (let offset = 0; start - offset >= min || start + offset <= max; offset++) {
+            if (start + offset <= max && start + offset >= min) {
+                order.push(start + offset);
+            }
+            if (offset > 0 && start - offset >= min && start - offset <= max) {
+                order.push(start - offset);
+            }
+        }
+        return order;
+    }
+
+    /**
+     * 1 minus the edit distance relative to the longer text
+     */
+    static similarity(a, b) {
+        if (a === b) {
+            return 1;
+        }
+        const longest = Math.max(a.length, b.length);
+        return longest === 0 ? 1 : 1 - ApplyDiffTool.levenshtein(a, b) / longest;
+    }
+
+    static levenshtein(a, b) {
+        let previous = new Int32Array(b.length + 1);
+        let current = new Int32Array(b.length + 1);
+        for (let j = 0; j <= b.length; j++) {
+            previous[j] = j;
+        }
+        for (let i = 1; i <= a.length; i++) {
+            current[0] = i;
+            const code = a.charCodeAt(i - 1);
+            for (let j = 1; j <= b.length; j++) {
+                const substitution = previous[j - 1] + (code === b.charCodeAt(j - 1) ? 0 : 1);
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+            }
+            [previous, current] = [current, previous];
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Shift `replace` to the indentation actually found in the file when a fuzzy match
+     * landed on differently indented lines
+     */
+    static reindent(replace, search, matched) {
+        const index = search.findIndex(line => line.trim());
+        if (index === -1) {
+            return replace;
+        }
+        const searchIndent = search[index].match(/^\s*/)[0];
+        const matchedIndent = (matched[index] || '').match(/^\s*/)[0];
+        if (searchIndent === matchedIndent) {
+            return replace;
+        }
+        return replace.map(line => (line.startsWith(searchIndent) && line.trim()
+            ? matchedIndent + line.slice(searchIndent.length)
+            : line));
+    }
+}
+
+module.exports = ApplyDiffTool;
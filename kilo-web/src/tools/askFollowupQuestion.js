@@ -0,0 +1,160 @@
+const EventEmitter = require('events');
+
+/**
+ * Ask followup question tool - web-compatible version of kilocode's askFollowupQuestionTool
+ * Puts a question to the user and waits for the answer, so the agent loop pauses
+ * until someone replies. With alwaysAllowFollowupQuestions, the first suggested
+ * answer is picked once followupAutoApproveTimeoutMs passes without a reply.
+ */
+class AskFollowupQuestionTool extends EventEmitter {
+    constructor(workspaceRoot, autoApproveManager = null) {
+        super();
+        this.workspaceRoot = workspaceRoot;
+        this.autoApproveManager = autoApproveManager;
+        this.pending = new Map(); // questionId -> { question, resolve }
+        this.name = 'ask_followup_question';
+        this.description = 'Ask the user a question to gather information needed to complete the task, with suggested answers';
+        this.input_schema = {
+            type: 'object',
+            properties: {
+                question: {
+                    type: 'string',
+                    description: 'A clear, specific question addressing the information needed'
+                },
+                follow_up: {
+                    type: 'string',
+                    description: 'Two to four suggested answers, each in <suggest></suggest> tags (or one per line), most likely first'
+                }
+            },
+            required: ['question']
+        };
+    }
+
+    /**
+     * Suggested answers from <suggest> tags, or from the lines of plain text
+     */
+    static parseSuggestions(followUp) {
+        if (!followUp) {
+            return [];
+        }
+        const tagged = Array.from(String(followUp).matchAll(/<suggest[^>]*>([\s\S]*?)<\/suggest>/g), match => match[1].trim());
+        const suggestions = tagged.length > 0
+            ? tagged
+            : String(followUp).split(/\r?\n/).map(line => line.replace(/^\s*(?:[-*]|\d+[.)])\s+/, '').trim());
+        return suggestions.filter(Boolean);
+    }
+
+    async execute(parameters, provider, options = {}) {
+        const { question, follow_up } = parameters;
+        const { signal, taskId = null } = options;
+
+        if (!question || !question.trim()) {
+            return {
+                success: false,
+                error: 'Missing required parameter: question'
+            };
+        }
+
+        const request = {
+            id: `question_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            taskId,
+            question: question.trim(),
+            suggestions: AskFollowupQuestionTool.parseSuggestions(follow_up),
+            askedAt: Date.now(),
+            autoAnswerAt: null
+        };
+
+        const timeout = this.getAutoAnswerTimeout(request);
+        if (timeout !== null) {
+            request.autoAnswerAt = request.askedAt + timeout;
+        }
+
+        let timer = null;
+        let onAbort;
+        const response = await new Promise(resolve => {
+            if (signal?.aborted) {
+                resolve({ cancelled: true });
+                return;
+            }
+            this.pending.set(request.id, { request, resolve });
+            onAbort = () => resolve({ cancelled: true });
+            signal?.addEventListener('abort', onAbort, { once: true });
+            if (timeout !== null) {
+                timer = setTimeout(() => resolve({ answer: request.suggestions[0], autoAnswered: true }), timeout);
+            }
+
+            console.log(`❓ Waiting for an answer: ${request.question}`);
+            this.emit('questionAsked', { request });
+        });
+
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        this.pending.delete(request.id);
+        this.emit('questionAnswered', { request, response });
+
+        if (response.cancelled) {
+            return {
+                success: false,
+                aborted: true,
+                error: response.reason || 'The question was withdrawn before it was answered',
+                question: request.question
+            };
+        }
+
+        if (response.autoAnswered) {
+            this.autoApproveManager?.logAudit({ type: 'followup', toolName: this.name }, 'approved',
+                `No answer within ${timeout}ms; picked the first suggestion`);
+        }
+
+        return {
+            success: true,
+            question: request.question,
+            answer: response.answer,
+            auto_answered: response.autoAnswered || undefined,
+            message: `<answer>\n${response.answer}\n</answer>`
+        };
+    }
+
+    /**
+     * Milliseconds before the first suggestion is picked, or null to wait for the user
+     */
+    getAutoAnswerTimeout(request) {
+        const settings = this.autoApproveManager?.settings;
+        if (!settings?.alwaysAllowFollowupQuestions || request.suggestions.length === 0) {
+            return null;
+        }
+        return Math.max(0, Number(settings.followupAutoApproveTimeoutMs) || 0);
+    }
+
+    /**
+     * Answer a waiting question
+     * @returns {Object} The question that was answered
+     */
+    answer(questionId, answer) {
+        const pending = this.pending.get(questionId);
+        if (!pending) {
+            throw new Error(`No question is waiting with id ${questionId}`);
+        }
+        if (typeof answer !== 'string' || !answer.trim()) {
+            throw new Error('answer must be a non-empty string');
+        }
+
+        pending.resolve({ answer: answer.trim() });
+        return pending.request;
+    }
+
+    getPendingQuestions() {
+        return Array.from(this.pending.values()).map(pending => pending.request);
+    }
+
+    /**
+     * Withdraw every waiting question, e.g. on shutdown
+     */
+    cancelAll(reason) {
+        for (const pending of this.pending.values()) {
+            pending.resolve({ cancelled: true, reason });
+        }
+    }
+}
+
+module.exports = AskFollowupQuestionTool;
@@ -0,0 +1,58 @@
+/**
+ * Attempt completion tool - web-compatible version of kilocode's attemptCompletionTool
+ * Presents the result of the task and closes it in the task history
+ */
+class AttemptCompletionTool {
+    constructor(workspaceRoot, taskHistoryManager = null) {
+        this.workspaceRoot = workspaceRoot;
+        this.taskHistoryManager = taskHistoryManager;
+        this.name = 'attempt_completion';
+        this.description = 'Present the result of the task to the user once it is complete; this ends the task';
+        this.input_schema = {
+            type: 'object',
+            properties: {
+                result: {
+                    type: 'string',
+                    description: 'The final result of the task, written so it does not need a reply'
+                }
+            },
+            required: ['result']
+        };
+    }
+
+    async execute(parameters, provider, options = {}) {
+        const { result } = parameters;
+
+        try {
+            if (!result || !result.trim()) {
+                return {
+                    success: false,
+                    error: 'Missing required parameter: result'
+                };
+            }
+
+            const taskId = options.taskId || this.taskHistoryManager?.getCurrentTaskId() || null;
+            let task = null;
+            if (this.taskHistoryManager && taskId) {
+                task = await this.taskHistoryManager.completeTask(taskId, result.trim());
+            }
+
+            return {
+                success: true,
+                completed: true,
+                result: result.trim(),
+                task_id: taskId,
+                task_status: task ? task.status : undefined,
+                message: task ? `Task "${task.title}" completed` : 'Task completed (no task history to close)'
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+module.exports = AttemptCompletionTool;
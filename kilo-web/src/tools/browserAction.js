@@ -0,0 +1,174 @@
+/**
+ * Browser Action Tool
+ * Drives the headless browser and reports back a screenshot, page text and console logs
+ * Based on kilocode's browserActionTool implementation
+ */
+
+const MAX_TEXT_LENGTH = 20000;
+
+class BrowserActionTool {
+    constructor(workspaceRoot, browserToolsManager = null) {
+        this.workspaceRoot = workspaceRoot;
+        this.browserToolsManager = browserToolsManager;
+        this.name = 'browser_action';
+        this.description = 'Interact with a headless browser. Start with launch to open a URL; every action returns a screenshot, the visible page text and console logs. Finish with close.';
+        this.input_schema = {
+            type: 'object',
+            properties: {
+                action: {
+                    type: 'string',
+                    description: 'The browser action to perform',
+                    enum: ['launch', 'click', 'hover', 'type', 'scroll_down', 'scroll_up', 'resize', 'close']
+                },
+                url: {
+                    type: 'string',
+                    description: 'URL to open (launch only)'
+                },
+                coordinate: {
+                    type: 'string',
+                    description: 'Viewport position as "x,y" (click and hover)'
+                },
+                selector: {
+                    type: 'string',
+                    description: 'CSS selector to click instead of a coordinate'
+                },
+                text: {
+                    type: 'string',
+                    description: 'Text to type into the focused element (type only)'
+                },
+                size: {
+                    type: 'string',
+                    description: 'New viewport size as "width,height" (resize only)'
+                }
+            },
+            required: ['action']
+        };
+    }
+
+    /**
+     * Set the browser tools manager for this tool
+     */
+    setBrowserToolsManager(browserToolsManager) {
+        this.browserToolsManager = browserToolsManager;
+    }
+
+    /**
+     * Execute the browser action
+     */
+    async execute(parameters, provider = null) {
+        const { action } = parameters;
+        const browser = this.browserToolsManager;
+
+        try {
+            if (!browser || !browser.isInitialized) {
+                return {
+                    success: false,
+                    error: 'Browser tools are not available or disabled in settings'
+                };
+            }
+
+            switch (action) {
+                case 'launch':
+                    if (!parameters.url) {
+                        return { success: false, error: 'url is required for launch' };
+                    }
+                    await browser.navigateTo(parameters.url);
+                    break;
+                case 'click':
+                    if (parameters.selector) {
+                        await browser.clickElement(parameters.selector);
+                    } else {
+                        await browser.clickElement(null, { coordinates: this.parseCoordinate(parameters.coordinate) });
+                    }
+                    break;
+                case 'hover': {
+                    const { x, y } = this.parseCoordinate(parameters.coordinate);
+                    await browser.hoverAt(x, y);
+                    break;
+                }
+                case 'type':
+                    if (typeof parameters.text !== 'string') {
+                        return { success: false, error: 'text is required for type' };
+                    }
+                    await browser.typeText(parameters.text);
+                    break;
+                case 'scroll_down':
+                    await browser.scrollPage('down');
+                    break;
+                case 'scroll_up':
+                    await browser.scrollPage('up');
+                    break;
+                case 'resize':
+                    await browser.resizeViewport((parameters.size || '').replace(',', 'x'));
+                    break;
+                case 'close':
+                    if (browser.activePageId) {
+                        await browser.closePage();
+                    }
+                    return {
+                        success: true,
+                        action,
+                        message: 'Browser page closed'
+                    };
+                default:
+                    return {
+                        success: false,
+                        error: `Unknown browser action: ${action}`
+                    };
+            }
+
+            return await this.captureState(action);
+
+        } catch (error) {
+            console.error('Error in browser_action:', error);
+            return {
+                success: false,
+                error: error.message,
+                action
+            };
+        }
+    }
+
+    /**
+     * Collect what the model needs to see after an action
+     */
+    async captureState(action) {
+        const browser = this.browserToolsManager;
+        const page = await browser.getActivePage();
+
+        let screenshot = null;
+        if (browser.getEngine() === 'chromium') {
+            screenshot = (await browser.takeScreenshot({ save: false })).dataUrl;
+        }
+
+        let { text } = await browser.extractText();
+        const truncated = text.length > MAX_TEXT_LENGTH;
+        if (truncated) {
+            text = text.substring(0, MAX_TEXT_LENGTH);
+        }
+
+        const logs = await browser.getConsoleLogs();
+
+        return {
+            success: true,
+            action,
+            engine: browser.getEngine(),
+            url: page.url,
+            title: page.title,
+            screenshot,
+            text,
+            text_truncated: truncated,
+            logs: logs.map(log => `[${log.type}] ${log.text}`).join('\n')
+        };
+    }
+
+    parseCoordinate(coordinate) {
+        const match = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(coordinate || '');
+        if (!match) {
+            throw new Error(`Invalid coordinate '${coordinate}', expected "x,y"`);
+        }
+        return { x: Number(match[1]), y: Number(match[2]) };
+    }
+}
+
+module.exports = BrowserActionTool;
@@ -1,15 +1,37 @@
-const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const fs = require('fs');
 const path = require('path');
 
+// How long a call waits for its command before leaving it running in the background
+const DEFAULT_WAIT_MS = 30000;
+// How long a command started with background="true" gets to fail before the call returns
+const BACKGROUND_STARTUP_MS = 5000;
+// Output limits when the context settings don't set terminalOutputLineLimit/terminalOutputCharacterLimit
+const DEFAULT_LINE_LIMIT = 500;
+const DEFAULT_CHARACTER_LIMIT = 50000;
+// Output kept per command; a long-running command's oldest output is dropped past this
+const MAX_BUFFERED_CHARACTERS = 1000000;
+// Finished commands kept for polling before the oldest are forgotten
+const MAX_FINISHED_PROCESSES = 20;
+// Colors, cursor movement and window titles from commands that think they're in a terminal
+const ANSI_PATTERN = /\x1b\[[0-?]*[ -\/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[@-Z\\-_]/g;
+
 /**
  * Execute command tool - web-compatible version of kilocode's executeCommandTool
- * Supports command execution with timeout and output streaming
+ * Runs commands through the TerminalService (node-pty when available, a plain shell
+ * process otherwise) and emits their output as it arrives. A command still running
+ * when the call stops waiting keeps running in the background, where
+ * read_command_output can check on it or stop it.
  */
-class ExecuteCommandTool {
-    constructor(workspaceRoot) {
+class ExecuteCommandTool extends EventEmitter {
+    constructor(workspaceRoot, terminalService = null, contextManager = null) {
+        super();
         this.workspaceRoot = workspaceRoot;
+        this.terminalService = terminalService;
+        this.contextManager = contextManager;
+        this.processes = new Map(); // processId -> command record
         this.name = 'execute_command';
-        this.description = 'Request to execute a CLI command on the system';
+        this.description = 'Request to execute a CLI command on the system. Commands still running after 30 seconds keep running in the background; check on them with read_command_output.';
         this.input_schema = {
             type: 'object',
             properties: {
@@ -20,14 +42,23 @@ class ExecuteCommandTool {
                 cwd: {
                     type: 'string',
                     description: 'The working directory to execute the command in (optional)'
+                },
+                background: {
+                    type: 'string',
+                    description: 'Set to "true" for commands that don\'t exit on their own, such as dev servers: the call returns once the command has started (optional)'
                 }
             },
             required: ['command']
         };
     }
 
-    async execute(parameters, provider) {
-        const { command, cwd } = parameters;
+    /**
+     * @param {Object} options - { signal, timeout, waitForExit }: aborting the signal stops the command; a timeout
+     *   stops it at that limit, and waitForExit waits for it however long it runs. Otherwise a command still
+     *   running after 30 seconds is left in the background.
+     */
+    async execute(parameters, provider, options = {}) {
+        const { command, cwd, background } = parameters;
 
         try {
             if (!command) {
@@ -49,7 +80,6 @@ class ExecuteCommandTool {
 
             // Validate working directory exists and is within allowed scope
             try {
-                const fs = require('fs');
                 if (!fs.existsSync(workingDir)) {
                     return {
                         success: false,
@@ -71,20 +101,28 @@ class ExecuteCommandTool {
                 };
             }
 
-            // Execute command with timeout
-            const timeout = 30000; // 30 seconds timeout
-            const result = await this.executeCommandWithTimeout(command, workingDir, timeout);
+            if (!this.terminalService) {
+                return {
+                    success: false,
+                    error: 'Command execution is not available: no terminal service'
+                };
+            }
 
-            return {
-                success: true,
-                command: command,
-                working_directory: workingDir,
-                exit_code: result.exitCode,
-                output: result.output,
-                error_output: result.errorOutput,
-                execution_time: result.executionTime,
-                timed_out: result.timedOut
-            };
+            const processRecord = this.startProcess(command, workingDir);
+
+            let wait = String(background).toLowerCase() === 'true' ? BACKGROUND_STARTUP_MS : DEFAULT_WAIT_MS;
+            if (options.timeout || options.waitForExit) {
+                wait = null;
+            }
+            await this.waitForProcess(processRecord, { signal: options.signal, timeout: options.timeout, wait });
+
+            if (processRecord.status === 'running') {
+                processRecord.background = true;
+                console.log(`⏳ Command left running in the background: ${command} (${processRecord.id})`);
+                this.emit('commandBackgrounded', { process: this.summarize(processRecord) });
+            }
+
+            return this.resultFor(processRecord);
 
         } catch (error) {
             return {
@@ -95,116 +133,267 @@ class ExecuteCommandTool {
         }
     }
 
-    async executeCommandWithTimeout(command, workingDir, timeout) {
-        return new Promise((resolve) => {
-            const startTime = Date.now();
-            let output = '';
-            let errorOutput = '';
-            let timedOut = false;
-
-            // Parse command and arguments
-            const args = this.parseCommand(command);
-            const cmd = args.shift();
-
-            const childProcess = spawn(cmd, args, {
-                cwd: workingDir,
-                stdio: ['pipe', 'pipe', 'pipe'],
-                shell: true
-            });
-
-            // Set up timeout
-            const timeoutId = setTimeout(() => {
-                timedOut = true;
-                childProcess.kill('SIGTERM');
-                
-                // If process doesn't terminate gracefully, force kill
-                setTimeout(() => {
-                    if (!childProcess.killed) {
-                        childProcess.kill('SIGKILL');
-                    }
-                }, 5000);
-            }, timeout);
-
-            // Collect stdout
-            childProcess.stdout.on('data', (data) => {
-                output += data.toString();
-            });
-
-            // Collect stderr
-            childProcess.stderr.on('data', (data) => {
-                errorOutput += data.toString();
-            });
-
-            // Handle process completion
-            childProcess.on('close', (exitCode) => {
-                clearTimeout(timeoutId);
-                const executionTime = Date.now() - startTime;
-
-                // Limit output size
-                const maxOutputSize = 50000; // 50KB limit
-                if (output.length > maxOutputSize) {
-                    output = output.substring(0, maxOutputSize) + '\n... (output truncated)';
-                }
-                if (errorOutput.length > maxOutputSize) {
-                    errorOutput = errorOutput.substring(0, maxOutputSize) + '\n... (error output truncated)';
-                }
+    /**
+     * Start a command and keep a record of it: status, exit code and the output it has printed so far
+     */
+    startProcess(command, workingDir) {
+        this.pruneFinishedProcesses();
+
+        const id = `cmd_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const processRecord = {
+            id,
+            command,
+            cwd: workingDir,
+            pid: null,
+            usesPty: false,
+            status: 'running',
+            exitCode: null,
+            signal: null,
+            output: '',
+            readOffset: 0, // how much of output has been returned to the agent
+            droppedCharacters: 0,
+            background: false,
+            timedOut: false,
+            aborted: false,
+            stopped: false,
+            startedAt: Date.now(),
+            endedAt: null
+        };
+        processRecord.exited = new Promise(resolve => {
+            processRecord.resolveExited = resolve;
+        });
 
-                resolve({
-                    exitCode: timedOut ? -1 : exitCode,
-                    output: output,
-                    errorOutput: errorOutput,
-                    executionTime: executionTime,
-                    timedOut: timedOut
-                });
-            });
-
-            // Handle process errors
-            childProcess.on('error', (error) => {
-                clearTimeout(timeoutId);
-                const executionTime = Date.now() - startTime;
-
-                resolve({
-                    exitCode: -1,
-                    output: output,
-                    errorOutput: errorOutput + '\nProcess error: ' + error.message,
-                    executionTime: executionTime,
-                    timedOut: timedOut
-                });
-            });
+        const session = this.terminalService.runCommand(id, command, { cwd: workingDir }, {
+            onData: (data) => this.appendOutput(processRecord, data),
+            onExit: (exitCode, signal) => this.finishProcess(processRecord, exitCode, signal)
         });
+        processRecord.pid = session.pid;
+        processRecord.usesPty = session.usesPty;
+        this.processes.set(id, processRecord);
+
+        this.emit('commandStarted', { process: this.summarize(processRecord) });
+        return processRecord;
     }
 
-    parseCommand(command) {
-        // Simple command parsing - splits on spaces but respects quotes
-        const args = [];
-        let current = '';
-        let inQuotes = false;
-        let quoteChar = '';
-
-        for (let i = 0; i < command.length; i++) {
-            const char = command[i];
-            
-            if ((char === '"' || char === "'") && !inQuotes) {
-                inQuotes = true;
-                quoteChar = char;
-            } else if (char === quoteChar && inQuotes) {
-                inQuotes = false;
-                quoteChar = '';
-            } else if (char === ' ' && !inQuotes) {
-                if (current) {
-                    args.push(current);
-                    current = '';
-                }
+    /**
+     * Wait until the command exits, or until `wait` ms pass (null waits for the exit).
+     * The signal and timeout stop the command while the call is waiting for it.
+     */
+    async waitForProcess(processRecord, { signal, timeout, wait }) {
+        const onAbort = () => this.stopProcess(processRecord.id, 'aborted');
+        if (signal) {
+            if (signal.aborted) {
+                onAbort();
             } else {
-                current += char;
+                signal.addEventListener('abort', onAbort, { once: true });
             }
         }
 
-        if (current) {
-            args.push(current);
+        let timeoutId = null;
+        if (timeout) {
+            timeoutId = setTimeout(() => this.stopProcess(processRecord.id, 'timedOut'), timeout);
+        }
+
+        let waitId = null;
+        const waited = wait ? new Promise(resolve => { waitId = setTimeout(resolve, wait); }) : new Promise(() => {});
+
+        await Promise.race([processRecord.exited, waited]);
+        clearTimeout(timeoutId);
+        clearTimeout(waitId);
+        signal?.removeEventListener('abort', onAbort);
+    }
+
+    appendOutput(processRecord, data) {
+        const chunk = ExecuteCommandTool.cleanOutput(data);
+        if (!chunk) {
+            return;
+        }
+
+        processRecord.output += chunk;
+        const excess = processRecord.output.length - MAX_BUFFERED_CHARACTERS;
+        if (excess > 0) {
+            processRecord.output = processRecord.output.slice(excess);
+            processRecord.readOffset = Math.max(0, processRecord.readOffset - excess);
+            processRecord.droppedCharacters += excess;
         }
 
-        return args;
+        this.emit('commandOutput', { processId: processRecord.id, chunk });
+    }
+
+    finishProcess(processRecord, exitCode, signal) {
+        const stopped = processRecord.timedOut || processRecord.aborted || processRecord.stopped;
+        processRecord.status = stopped ? 'stopped' : 'completed';
+        processRecord.exitCode = exitCode;
+        processRecord.signal = signal;
+        processRecord.endedAt = Date.now();
+        processRecord.resolveExited();
+
+        this.emit('commandFinished', { process: this.summarize(processRecord) });
+    }
+
+    /**
+     * Stop a running command
+     * @param {string} reason - 'stopped' (by the user or agent), 'timedOut' or 'aborted'
+     * @returns {boolean} Whether the command was running
+     */
+    stopProcess(processId, reason = 'stopped') {
+        const processRecord = this.processes.get(processId);
+        if (!processRecord || processRecord.status !== 'running') {
+            return false;
+        }
+
+        processRecord[reason] = true;
+        console.log(`🛑 Stopping command: ${processRecord.command} (${reason})`);
+        return this.terminalService.stopCommand(processId);
+    }
+
+    async waitForExit(processId) {
+        const processRecord = this.processes.get(processId);
+        if (processRecord) {
+            await processRecord.exited;
+        }
+    }
+
+    /**
+     * The tool result for a command: its status and the output it printed since it was last read
+     * @returns {Object|null} Null when there is no such command
+     */
+    resultFor(processRecordOrId) {
+        const processRecord = typeof processRecordOrId === 'string' ? this.processes.get(processRecordOrId) : processRecordOrId;
+        if (!processRecord) {
+            return null;
+        }
+
+        const running = processRecord.status === 'running';
+        const killed = processRecord.timedOut || processRecord.aborted || processRecord.stopped;
+        const output = processRecord.output.slice(processRecord.readOffset);
+        processRecord.readOffset = processRecord.output.length;
+
+        const result = {
+            success: true,
+            command: processRecord.command,
+            working_directory: processRecord.cwd,
+            process_id: processRecord.id,
+            status: processRecord.status,
+            exit_code: running ? null : (killed ? -1 : processRecord.exitCode),
+            output: this.truncateOutput(output),
+            execution_time: (processRecord.endedAt || Date.now()) - processRecord.startedAt,
+            timed_out: processRecord.timedOut,
+            aborted: processRecord.aborted,
+            stopped: processRecord.stopped,
+            background: processRecord.background
+        };
+        if (running) {
+            result.message = `Command is still running in the background. Use read_command_output with process_id "${processRecord.id}" to see new output or stop it.`;
+        }
+        return result;
+    }
+
+    /**
+     * A command record without its output, for listings and events
+     */
+    summarize(processRecord) {
+        return {
+            id: processRecord.id,
+            command: processRecord.command,
+            cwd: processRecord.cwd,
+            pid: processRecord.pid,
+            usesPty: processRecord.usesPty,
+            status: processRecord.status,
+            exitCode: processRecord.exitCode,
+            signal: processRecord.signal,
+            background: processRecord.background,
+            timedOut: processRecord.timedOut,
+            aborted: processRecord.aborted,
+            stopped: processRecord.stopped,
+            startedAt: processRecord.startedAt,
+            endedAt: processRecord.endedAt
+        };
+    }
+
+    /**
+     * A command with all the output still buffered for it (the REST API and the UI)
+     */
+    getProcess(processId) {
+        const processRecord = this.processes.get(processId);
+        if (!processRecord) {
+            return null;
+        }
+        return {
+            ...this.summarize(processRecord),
+            output: processRecord.output,
+            droppedCharacters: processRecord.droppedCharacters
+        };
+    }
+
+    listProcesses() {
+        return Array.from(this.processes.values()).map(processRecord => this.summarize(processRecord));
+    }
+
+    /**
+     * Stop every running command, e.g. on shutdown
+     */
+    stopAll() {
+        for (const processRecord of this.processes.values()) {
+            this.stopProcess(processRecord.id);
+        }
+    }
+
+    pruneFinishedProcesses() {
+        const finished = Array.from(this.processes.values()).filter(processRecord => processRecord.status !== 'running');
+        for (const processRecord of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_PROCESSES))) {
+            this.processes.delete(processRecord.id);
+        }
+    }
+
+    getOutputLimits() {
+        const settings = this.contextManager ? this.contextManager.settings : {};
+        const lineLimit = settings.terminalOutputLineLimit;
+        const characterLimit = settings.terminalOutputCharacterLimit;
+        return {
+            lineLimit: Number.isInteger(lineLimit) && lineLimit > 0 ? lineLimit : DEFAULT_LINE_LIMIT,
+            characterLimit: Number.isInteger(characterLimit) && characterLimit > 0 ? characterLimit : DEFAULT_CHARACTER_LIMIT
+        };
+    }
+
+    truncateOutput(output) {
+        const { lineLimit, characterLimit } = this.getOutputLimits();
+        return ExecuteCommandTool.truncateOutput(output, lineLimit, characterLimit);
+    }
+
+    /**
+     * Keep the start and the end of long output, like kilocode's truncateOutput:
+     * the character limit wins over the line limit, and 20% of either goes to the start
+     */
+    static truncateOutput(output, lineLimit, characterLimit) {
+        if (characterLimit && output.length > characterLimit) {
+            const before = Math.floor(characterLimit * 0.2);
+            const after = characterLimit - before;
+            const omitted = output.length - characterLimit;
+            return `${output.slice(0, before)}\n[...${omitted} characters omitted...]\n${output.slice(-after)}`;
+        }
+
+        const trailingNewline = output.endsWith('\n');
+        const lines = (trailingNewline ? output.slice(0, -1) : output).split('\n');
+        if (lineLimit && lines.length > lineLimit) {
+            const before = Math.floor(lineLimit * 0.2);
+            const after = lineLimit - before;
+            const omitted = lines.length - lineLimit;
+            return [
+                ...lines.slice(0, before),
+                `[...${omitted} lines omitted...]`,
+                ...lines.slice(-after)
+            ].join('\n') + (trailingNewline ? '\n' : '');
+        }
+
+        return output;
+    }
+
+    /**
+     * Plain text from terminal output: no escape sequences and \n line endings
+     */
+    static cleanOutput(data) {
+        return String(data).replace(ANSI_PATTERN, '').replace(/\r\n/g, '\n').replace(/\r/g, '');
     }
 
     isDangerousCommand(command) {
@@ -0,0 +1,132 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Insert content tool - web-compatible version of kilocode's insertContentTool
+ * Adds lines before a given line number without touching the rest of the file
+ */
+class InsertContentTool {
+    constructor(workspaceRoot) {
+        this.workspaceRoot = workspaceRoot;
+        this.name = 'insert_content';
+        this.description = 'Request to insert new lines into a file before a given line, or at its end';
+        this.input_schema = {
+            type: 'object',
+            properties: {
+                path: {
+                    type: 'string',
+                    description: 'Path to the file to insert into (relative to workspace)'
+                },
+                line: {
+                    type: 'string',
+                    description: 'Line number the content is inserted before (1-based); 0 appends to the end of the file'
+                },
+                content: {
+                    type: 'string',
+                    description: 'Lines to insert'
+                }
+            },
+            required: ['path', 'line', 'content']
+        };
+    }
+
+    async execute(parameters, provider) {
+        const { path: filePath, line, content } = parameters;
+
+        try {
+            if (!filePath) {
+                return {
+                    success: false,
+                    error: 'Missing required parameter: path'
+                };
+            }
+
+            if (content === undefined) {
+                return {
+                    success: false,
+                    error: 'Missing required parameter: content'
+                };
+            }
+
+            const lineNumber = parseInt(line, 10);
+            if (isNaN(lineNumber) || lineNumber < 0) {
+                return {
+                    success: false,
+                    error: `Invalid line number: ${line}. Use a line number from 1, or 0 to append`
+                };
+            }
+
+            const fullPath = this.validatePath(filePath);
+
+            let original = null;
+            try {
+                original = await fs.readFile(fullPath, 'utf8');
+            } catch (error) {
+                // A missing file can only be started, not inserted into
+                if (lineNumber > 1) {
+                    return {
+                        success: false,
+                        error: `File not found: ${filePath}. Insert at line 0 or 1 to create it, or use write_to_file`,
+                        path: filePath
+                    };
+                }
+            }
+
+            const eol = original && original.includes('\r\n') ? '\r\n' : '\n';
+            const lines = original ? original.split(/\r?\n/) : [];
+            // A trailing newline leaves an empty last element that isn't a line of its own
+            const endsWithNewline = lines.length > 0 && lines[lines.length - 1] === '';
+            const lineCount = endsWithNewline ? lines.length - 1 : lines.length;
+
+            if (lineNumber > lineCount + 1) {
+                return {
+                    success: false,
+                    error: `Line ${lineNumber} is past the end of ${filePath} (${lineCount} lines); use 0 to append`,
+                    path: filePath
+                };
+            }
+
+            const inserted = content.replace(/\r?\n$/, '').split(/\r?\n/);
+            const index = lineNumber === 0 ? lineCount : lineNumber - 1;
+            lines.splice(index, 0, ...inserted);
+            if (original === null) {
+                lines.push('');
+            }
+
+            await fs.mkdir(path.dirname(fullPath), { recursive: true });
+            await fs.writeFile(fullPath, lines.join(eol), 'utf8');
+
+            const stats = await fs.stat(fullPath);
+            return {
+                success: true,
+                path: filePath,
+                size: stats.size,
+                lines: lineCount + inserted.length,
+                line: index + 1,
+                inserted_lines: inserted.length,
+                operation: original === null ? 'created' : 'modified',
+                message: `Inserted ${inserted.length} ${inserted.length === 1 ? 'line' : 'lines'} at line ${index + 1} of ${filePath}`
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                path: filePath
+            };
+        }
+    }
+
+    validatePath(filePath) {
+        const cleanPath = filePath.replace(/^\/+/, '');
+        const fullPath = path.resolve(this.workspaceRoot, cleanPath);
+
+        if (!fullPath.startsWith(path.resolve(this.workspaceRoot))) {
+            throw new Error(`Path is outside workspace: ${filePath}`);
+        }
+
+        return fullPath;
+    }
+}
+
+module.exports = InsertContentTool;
@@ -0,0 +1,127 @@
+const fs = require('fs').promises;
+const path = require('path');
+const CodeDefinitionParser = require('../core/CodeDefinitionParser');
+
+// Files parsed when a directory is given, so a large directory stays a quick overview
+const MAX_DIRECTORY_FILES = 50;
+
+/**
+ * List code definition names tool - web-compatible version of kilocode's listCodeDefinitionNamesTool
+ * Lists the classes, functions, methods and exports of a file, or of the source
+ * files directly inside a directory, with their line ranges
+ */
+class ListCodeDefinitionNamesTool {
+    constructor(workspaceRoot) {
+        this.workspaceRoot = workspaceRoot;
+        this.name = 'list_code_definition_names';
+        this.description = 'Request to list definition names (classes, functions, methods, exports) in a source file or in the top-level files of a directory';
+        this.input_schema = {
+            type: 'object',
+            properties: {
+                path: {
+                    type: 'string',
+                    description: 'File or directory to list definitions for (relative to workspace)'
+                }
+            },
+            required: ['path']
+        };
+    }
+
+    async execute(parameters, provider) {
+        const { path: targetPath } = parameters;
+
+        try {
+            if (targetPath === undefined) {
+                return {
+                    success: false,
+                    error: 'Missing required parameter: path'
+                };
+            }
+
+            const fullPath = this.validatePath(targetPath);
+            const stats = await fs.stat(fullPath);
+            const parser = CodeDefinitionParser.shared;
+
+            if (stats.isFile()) {
+                if (!CodeDefinitionParser.isSupported(fullPath)) {
+                    return {
+                        success: false,
+                        error: `Unsupported file type: ${path.extname(fullPath) || path.basename(fullPath)}`,
+                        path: targetPath
+                    };
+                }
+                const definitions = await parser.parseFile(fullPath);
+                const relativePath = this.relativePath(fullPath);
+                return {
+                    success: true,
+                    path: targetPath,
+                    files: [{ path: relativePath, definitions }],
+                    total_definitions: definitions.length,
+                    content: definitions.length > 0
+                        ? CodeDefinitionParser.format(relativePath, definitions)
+                        : `No definitions found in ${relativePath}`
+                };
+            }
+
+            const entries = await fs.readdir(fullPath, { withFileTypes: true });
+            const sourceFiles = entries
+                .filter(entry => entry.isFile() && CodeDefinitionParser.isSupported(entry.name))
+                .map(entry => entry.name)
+                .sort();
+
+            const files = [];
+            for (const fileName of sourceFiles.slice(0, MAX_DIRECTORY_FILES)) {
+                const filePath = path.join(fullPath, fileName);
+                try {
+                    const definitions = await parser.parseFile(filePath);
+                    if (definitions.length > 0) {
+                        files.push({ path: this.relativePath(filePath), definitions });
+                    }
+                } catch (error) {
+                    files.push({ path: this.relativePath(filePath), definitions: [], error: error.message });
+                }
+            }
+
+            const sections = files
+                .filter(file => file.definitions.length > 0)
+                .map(file => CodeDefinitionParser.format(file.path, file.definitions));
+            if (sourceFiles.length > MAX_DIRECTORY_FILES) {
+                sections.push(`(Listed the first ${MAX_DIRECTORY_FILES} of ${sourceFiles.length} source files)`);
+            }
+
+            return {
+                success: true,
+                path: targetPath || '.',
+                files,
+                total_files: sourceFiles.length,
+                total_definitions: files.reduce((sum, file) => sum + file.definitions.length, 0),
+                hit_limit: sourceFiles.length > MAX_DIRECTORY_FILES,
+                content: sections.length > 0 ? sections.join('\n\n') : 'No source code definitions found'
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                path: targetPath
+            };
+        }
+    }
+
+    relativePath(fullPath) {
+        return path.relative(path.resolve(this.workspaceRoot), fullPath).split(path.sep).join('/');
+    }
+
+    validatePath(targetPath) {
+        const cleanPath = targetPath.replace(/^\/+/, '') || '.';
+        const fullPath = path.resolve(this.workspaceRoot, cleanPath);
+
+        if (!fullPath.startsWith(path.resolve(this.workspaceRoot))) {
+            throw new Error(`Path is outside workspace: ${targetPath}`);
+        }
+
+        return fullPath;
+    }
+}
+
+module.exports = ListCodeDefinitionNamesTool;
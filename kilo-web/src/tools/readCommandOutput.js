@@ -0,0 +1,71 @@
+/**
+ * Read command output tool - checks on commands execute_command left running in the background
+ * Returns what a command printed since it was last read, and can stop it
+ */
+class ReadCommandOutputTool {
+    constructor(workspaceRoot, executeCommandTool = null) {
+        this.workspaceRoot = workspaceRoot;
+        this.executeCommandTool = executeCommandTool;
+        this.name = 'read_command_output';
+        this.description = 'Check on a command execute_command left running in the background: its status and the output it printed since it was last read. Lists the commands when no process_id is given.';
+        this.input_schema = {
+            type: 'object',
+            properties: {
+                process_id: {
+                    type: 'string',
+                    description: 'The process_id execute_command returned (optional)'
+                },
+                stop: {
+                    type: 'string',
+                    description: 'Set to "true" to stop the command (optional)'
+                }
+            },
+            required: []
+        };
+    }
+
+    async execute(parameters, provider, options = {}) {
+        const { process_id: processId, stop } = parameters;
+
+        try {
+            if (!this.executeCommandTool) {
+                return {
+                    success: false,
+                    error: 'Command execution is not available'
+                };
+            }
+
+            if (!processId) {
+                const processes = this.executeCommandTool.listProcesses();
+                const running = processes.filter(processInfo => processInfo.status === 'running').length;
+                return {
+                    success: true,
+                    processes,
+                    message: `${processes.length} command(s), ${running} still running`
+                };
+            }
+
+            if (!this.executeCommandTool.getProcess(processId)) {
+                return {
+                    success: false,
+                    error: `No command with process_id ${processId}`
+                };
+            }
+
+            if (String(stop).toLowerCase() === 'true') {
+                this.executeCommandTool.stopProcess(processId);
+                await this.executeCommandTool.waitForExit(processId);
+            }
+
+            return this.executeCommandTool.resultFor(processId);
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+module.exports = ReadCommandOutputTool;
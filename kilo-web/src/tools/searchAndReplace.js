@@ -0,0 +1,162 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Search and replace tool - web-compatible version of kilocode's searchAndReplaceTool
+ * Replaces every occurrence of a literal string or regular expression, optionally
+ * only within a range of lines
+ */
+class SearchAndReplaceTool {
+    constructor(workspaceRoot) {
+        this.workspaceRoot = workspaceRoot;
+        this.name = 'search_and_replace';
+        this.description = 'Request to replace every occurrence of text or a regular expression in a file';
+        this.input_schema = {
+            type: 'object',
+            properties: {
+                path: {
+                    type: 'string',
+                    description: 'Path to the file to modify (relative to workspace)'
+                },
+                search: {
+                    type: 'string',
+                    description: 'Text or regular expression to search for'
+                },
+                replace: {
+                    type: 'string',
+                    description: 'Replacement text; with use_regex, $1, $2... insert capture groups'
+                },
+                use_regex: {
+                    type: 'string',
+                    description: 'Treat search as a regular expression (true/false)'
+                },
+                ignore_case: {
+                    type: 'string',
+                    description: 'Match case-insensitively (true/false)'
+                },
+                start_line: {
+                    type: 'string',
+                    description: 'First line to replace in (1-based, optional)'
+                },
+                end_line: {
+                    type: 'string',
+                    description: 'Last line to replace in (inclusive, optional)'
+                }
+            },
+            required: ['path', 'search', 'replace']
+        };
+    }
+
+    async execute(parameters, provider) {
+        const { path: filePath, search, replace, use_regex, ignore_case, start_line, end_line } = parameters;
+
+        try {
+            if (!filePath) {
+                return {
+                    success: false,
+                    error: 'Missing required parameter: path'
+                };
+            }
+
+            if (!search) {
+                return {
+                    success: false,
+                    error: 'Missing required parameter: search'
+                };
+            }
+
+            if (replace === undefined) {
+                return {
+                    success: false,
+                    error: 'Missing required parameter: replace'
+                };
+            }
+
+            const useRegex = String(use_regex).toLowerCase() === 'true';
+            const flags = `g${String(ignore_case).toLowerCase() === 'true' ? 'i' : ''}${useRegex ? 'm' : ''}`;
+            let pattern;
+            try {
+                pattern = new RegExp(useRegex ? search : search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags);
+            } catch (error) {
+                return {
+                    success: false,
+                    error: error.message
+                };
+            }
+
+            const fullPath = this.validatePath(filePath);
+
+            let original;
+            try {
+                original = await fs.readFile(fullPath, 'utf8');
+            } catch (error) {
+                return {
+                    success: false,
+                    error: `File not found: ${filePath}`,
+                    path: filePath
+                };
+            }
+
+            const eol = original.includes('\r\n') ? '\r\n' : '\n';
+            const lines = original.split(/\r?\n/);
+
+            const startLine = start_line ? parseInt(start_line, 10) : 1;
+            const endLine = end_line ? parseInt(end_line, 10) : lines.length;
+            if (isNaN(startLine) || isNaN(endLine) || startLine < 1 || endLine < startLine) {
+                return {
+                    success: false,
+                    error: `Invalid line range: ${start_line || 1}-${end_line || lines.length}`,
+                    path: filePath
+                };
+            }
+
+            const section = lines.slice(startLine - 1, endLine).join('\n');
+            const replacements = (section.match(pattern) || []).length;
+            // Literal searches insert the replacement as-is, so "$" in it is never special
+            const updated = section.replace(pattern, useRegex ? replace : () => replace);
+
+            const range = start_line || end_line ? ` (lines ${startLine}-${Math.min(endLine, lines.length)})` : '';
+            if (replacements === 0) {
+                return {
+                    success: false,
+                    error: `No matches for ${useRegex ? `/${search}/` : `"${search}"`} in ${filePath}${range}`,
+                    path: filePath
+                };
+            }
+
+            lines.splice(startLine - 1, endLine - startLine + 1, ...updated.split('\n'));
+            await fs.writeFile(fullPath, lines.join(eol), 'utf8');
+
+            const stats = await fs.stat(fullPath);
+            return {
+                success: true,
+                path: filePath,
+                size: stats.size,
+                lines: lines.length,
+                replacements,
+                operation: 'modified',
+                message: `Replaced ${replacements} ${replacements === 1 ? 'occurrence' : 'occurrences'} in ${filePath}${range}`
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                path: filePath
+            };
+        }
+    }
+
+    validatePath(filePath) {
+        const cleanPath = filePath.replace(/^\/+/, '');
+        const fullPath = path.resolve(this.workspaceRoot, cleanPath);
+
+        if (!fullPath.startsWith(path.resolve(this.workspaceRoot))) {
+            throw new Error(`Path is outside workspace: ${filePath}`);
+        }
+
+        return fullPath;
+    }
+}
+
+module.exports = SearchAndReplaceTool;
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+
+// Checklist markers: [ ] pending, [-] or [~] in progress, [x] completed
+const TODO_LINE = /^\s*(?:[-*]\s+)?\[\s*([xX~-]?)\s*\]\s+(.+?)\s*$/;
+const STATUSES = { '': 'pending', x: 'completed', '-': 'in_progress', '~': 'in_progress' };
+
+/**
+ * Update todo list tool - web-compatible version of kilocode's updateTodoListTool
+ * Replaces the current task's checklist; the list is saved with the task
+ */
+class UpdateTodoListTool {
+    constructor(workspaceRoot, taskHistoryManager = null) {
+        this.workspaceRoot = workspaceRoot;
+        this.taskHistoryManager = taskHistoryManager;
+        this.name = 'update_todo_list';
+        this.description = 'Replace the todo list of the current task with an updated markdown checklist';
+        this.input_schema = {
+            type: 'object',
+            properties: {
+                todos: {
+                    type: 'string',
+                    description: 'The full checklist, one item per line: [ ] pending, [-] in progress, [x] completed'
+                }
+            },
+            required: ['todos']
+        };
+    }
+
+    /**
+     * Checklist items from markdown; lines that aren't checklist items are skipped
+     * @returns {Array} [{ id, content, status }] - ids come from the content, so they survive updates
+     */
+    static parseTodos(markdown) {
+        const seen = new Map();
+        const todos = [];
+        for (const line of String(markdown).split(/\r?\n/)) {
+            const match = TODO_LINE.exec(line);
+            if (!match) {
+                continue;
+            }
+            const content = match[2];
+            const baseId = crypto.createHash('md5').update(content).digest('hex').substring(0, 8);
+            const count = seen.get(baseId) || 0;
+            seen.set(baseId, count + 1);
+            todos.push({
+                id: count === 0 ? baseId : `${baseId}_${count}`,
+                content,
+                status: STATUSES[match[1].toLowerCase()]
+            });
+        }
+        return todos;
+    }
+
+    async execute(parameters, provider, options = {}) {
+        const { todos } = parameters;
+
+        try {
+            if (todos === undefined) {
+                return {
+                    success: false,
+                    error: 'Missing required parameter: todos'
+                };
+            }
+
+            if (!this.taskHistoryManager) {
+                return {
+                    success: false,
+                    error: 'Task history is not available, so the todo list cannot be kept'
+                };
+            }
+
+            const taskId = options.taskId || this.taskHistoryManager.getCurrentTaskId();
+            if (!taskId) {
+                return {
+                    success: false,
+                    error: 'No task in progress to keep a todo list for'
+                };
+            }
+
+            const items = UpdateTodoListTool.parseTodos(todos);
+            if (items.length === 0 && todos.trim()) {
+                return {
+                    success: false,
+                    error: 'No checklist items found; write one item per line as "[ ] item", "[-] item" or "[x] item"'
+                };
+            }
+
+            await this.taskHistoryManager.updateTodos(taskId, items);
+
+            const counts = { pending: 0, in_progress: 0, completed: 0 };
+            items.forEach(item => counts[item.status]++);
+            return {
+                success: true,
+                task_id: taskId,
+                todos: items,
+                counts,
+                message: `Todo list updated: ${counts.completed} of ${items.length} completed, ${counts.in_progress} in progress`
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+module.exports = UpdateTodoListTool;
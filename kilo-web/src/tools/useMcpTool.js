@@ -0,0 +1,124 @@
+/**
+ * Use MCP Tool
+ * Invokes a tool exposed by a connected MCP server
+ * Based on kilocode's useMcpToolTool implementation
+ */
+
+class UseMcpToolTool {
+    constructor(workspaceRoot, mcpServerManager = null) {
+        this.workspaceRoot = workspaceRoot;
+        this.mcpServerManager = mcpServerManager;
+        this.name = 'use_mcp_tool';
+        this.description = 'Use a tool provided by a connected MCP server';
+        this.input_schema = {
+            type: 'object',
+            properties: {
+                server_name: {
+                    type: 'string',
+                    description: 'The name or ID of the MCP server providing the tool'
+                },
+                tool_name: {
+                    type: 'string',
+                    description: 'The name of the tool to execute'
+                },
+                arguments: {
+                    type: 'object',
+                    description: 'Tool input parameters matching the tool\'s input schema (object or JSON string)'
+                }
+            },
+            required: ['server_name', 'tool_name']
+        };
+    }
+
+    /**
+     * Set the MCP server manager for this tool
+     */
+    setMCPServerManager(mcpServerManager) {
+        this.mcpServerManager = mcpServerManager;
+    }
+
+    /**
+     * Execute the MCP tool call
+     * @param {Object} options - { signal }: aborting the signal cancels the request on the server
+     */
+    async execute(parameters, provider = null, options = {}) {
+        const { server_name, tool_name } = parameters;
+
+        try {
+            if (!this.mcpServerManager) {
+                return {
+                    success: false,
+                    error: 'MCP server manager not available'
+                };
+            }
+
+            let toolArguments = parameters.arguments || {};
+            if (typeof toolArguments === 'string') {
+                try {
+                    toolArguments = toolArguments.trim() ? JSON.parse(toolArguments) : {};
+                } catch (error) {
+                    return {
+                        success: false,
+                        error: `Invalid JSON in arguments: ${error.message}`,
+                        server_name,
+                        tool_name
+                    };
+                }
+            }
+
+            const serverId = this.mcpServerManager.resolveServerId(server_name);
+            if (!serverId) {
+                const availableServers = Array.from(this.mcpServerManager.servers.values())
+                    .filter(server => server.enabled)
+                    .map(server => server.name);
+
+                return {
+                    success: false,
+                    error: `MCP server '${server_name}' not found`,
+                    available_servers: availableServers
+                };
+            }
+
+            const result = await this.mcpServerManager.callTool(serverId, tool_name, toolArguments, { signal: options.signal });
+            const content = result.content || [];
+
+            return {
+                success: !result.isError,
+                error: result.isError ? this.extractText(content) || 'Tool reported an error' : undefined,
+                server_id: serverId,
+                server_name,
+                tool_name,
+                content,
+                output: this.extractText(content)
+            };
+
+        } catch (error) {
+            console.error('Error in use_mcp_tool:', error);
+            return {
+                success: false,
+                error: error.message,
+                server_name,
+                tool_name
+            };
+        }
+    }
+
+    /**
+     * Join the text parts of an MCP content array
+     */
+    extractText(content) {
+        return content
+            .map(item => {
+                if (item.type === 'text') {
+                    return item.text;
+                }
+                if (item.type === 'resource' && item.resource && item.resource.text) {
+                    return item.resource.text;
+                }
+                return `[${item.type}${item.mimeType ? `: ${item.mimeType}` : ''}]`;
+            })
+            .join('\n');
+    }
+}
+
+module.exports = UseMcpToolTool;
@@ -5,7 +5,12 @@ import { EnhancedFileExplorer } from './components/EnhancedFileExplorer';
 import ComprehensiveSettingsPanel from './components/ComprehensiveSettingsPanel';
 import ModeSelector from './components/ModeSelector';
 import WorkflowManager from './components/WorkflowManager';
+import ToolApprovalPanel from './components/ToolApprovalPanel';
+import FollowupQuestionPanel from './components/FollowupQuestionPanel';
+import TodoListPanel from './components/TodoListPanel';
+import CommandOutputPanel from './components/CommandOutputPanel';
 import IOSPWADetector from './components/IOSPWADetector';
+import MCPPromptPicker from './components/MCPPromptPicker';
 import { Mode, DEFAULT_MODES } from './types/modes';
 import pushNotificationService from './utils/pushNotificationService';
 import './App.css';
@@ -16,6 +21,12 @@ interface Message {
   content: string;
   timestamp: Date;
   isThinking?: boolean;
+  metadata?: {
+    tokensEstimate?: number;
+    condensed?: boolean;
+    condenseId?: string;
+    summarizedMessages?: number;
+  };
 }
 
 interface FileItem {
@@ -38,6 +49,7 @@ function App() {
   const [activeTab, setActiveTab] = useState<'chat' | 'files' | 'terminal' | 'workflows'>('chat');
   const [activeTerminal] = useState<string>('main');
   const [currentMode, setCurrentMode] = useState<Mode>(DEFAULT_MODES[1]); // Default to 'code' mode
+  const [showPromptPicker, setShowPromptPicker] = useState(false);
   const messagesEndRef = useRef<HTMLDivElement>(null);
 
   useEffect(() => {
@@ -115,15 +127,18 @@ function App() {
   };
 
   const handleStateUpdate = (data: { state: KiloState }) => {
-    setCurrentState(data.state);
+    // Conversation updates (condense, undo) only carry the messages, so keep the rest of the state
+    setCurrentState(prev => ({ ...prev, ...data.state }));
     
     // Update messages from state
     if (data.state.clineMessages) {
       const convertedMessages: Message[] = data.state.clineMessages.map((msg: any, index: number) => ({
         id: `${msg.ts || Date.now()}-${index}`,
-        type: msg.type === 'ask' ? 'user' : 'assistant',
+        // Condense summaries stand in for the messages they replaced
+        type: msg.type === 'ask' ? 'user' : msg.metadata?.condensed ? 'system' : 'assistant',
         content: msg.text || '',
-        timestamp: new Date(msg.ts || Date.now())
+        timestamp: new Date(msg.ts || Date.now()),
+        metadata: msg.metadata
       }));
       setMessages(convertedMessages);
     }
@@ -191,12 +206,16 @@ function App() {
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
-    if (!inputValue.trim() || !isConnected) return;
+    await sendMessage(inputValue);
+  };
+
+  const sendMessage = async (text: string) => {
+    if (!text.trim() || !isConnected) return;
 
     const userMessage: Message = {
       id: `${Date.now()}-user`,
       type: 'user',
-      content: inputValue,
+      content: text,
       timestamp: new Date()
     };
 
@@ -206,9 +225,9 @@ function App() {
 
     try {
       if (currentState?.currentTask) {
-        await kiloClient.sendMessage(inputValue);
+        await kiloClient.sendMessage(text);
       } else {
-        await kiloClient.startNewTask(inputValue);
+        await kiloClient.startNewTask(text);
       }
     } catch (error) {
       addSystemMessage(`Failed to send message: ${error}`, 'error');
@@ -242,6 +261,23 @@ function App() {
     }
   };
 
+  const condenseConversation = () => {
+    if (isConnected) {
+      kiloClient.send({
+        type: 'condenseConversation'
+      });
+    }
+  };
+
+  const undoCondense = (condenseId?: string) => {
+    if (isConnected) {
+      kiloClient.send({
+        type: 'undoCondense',
+        condenseId: condenseId
+      });
+    }
+  };
+
   const handleModeChange = (mode: Mode) => {
     if (isConnected && mode.slug !== currentMode.slug) {
       // Send mode switch message to backend
@@ -286,6 +322,13 @@ function App() {
           <button onClick={() => setShowSettings(!showSettings)}>
             ⚙️ Settings
           </button>
+          <button
+            onClick={condenseConversation}
+            disabled={!isConnected || messages.length === 0}
+            title="Summarize older messages to free up context"
+          >
+            🗜️ Condense
+          </button>
           {currentState?.currentTask && (
             <button onClick={handleClearTask} className="clear-task">
               🗑️ Clear Task
@@ -305,6 +348,16 @@ function App() {
         />
 
         <div className="main-content">
+          {/* Tool calls waiting for approval and questions waiting for an answer, shown whichever tab is open */}
+          <ToolApprovalPanel
+            webSocket={kiloClient.webSocket}
+            isConnected={isConnected}
+          />
+          <FollowupQuestionPanel
+            webSocket={kiloClient.webSocket}
+            isConnected={isConnected}
+          />
+
           {/* Tab Navigation */}
           <div className="tab-navigation">
             <button
@@ -343,16 +396,40 @@ function App() {
                     <span className="mode-role">{currentMode.description}</span>
                   </div>
                 </div>
+                <TodoListPanel
+                  webSocket={kiloClient.webSocket}
+                  isConnected={isConnected}
+                />
+                <CommandOutputPanel
+                  webSocket={kiloClient.webSocket}
+                  isConnected={isConnected}
+                />
                 <div className="messages">
                   {messages.map((message) => (
                     <div key={message.id} className={`message ${message.type}`}>
                       <div className="message-header">
                         <span className="message-type">{message.type}</span>
+                        {message.metadata?.tokensEstimate !== undefined && (
+                          <span className="message-tokens" title="Tokens for the active provider's model">
+                            {message.metadata.tokensEstimate.toLocaleString()} tokens
+                          </span>
+                        )}
                         <span className="message-time">{formatTimestamp(message.timestamp)}</span>
                       </div>
                       <div className="message-content">
                         <pre>{message.content}</pre>
                       </div>
+                      {message.metadata?.condensed && (
+                        <div className="message-actions">
+                          <button
+                            onClick={() => undoCondense(message.metadata?.condenseId)}
+                            className="undo-condense-btn"
+                            title={`Restore the ${message.metadata?.summarizedMessages || ''} messages this summary replaced`}
+                          >
+                            ↩️ Undo condense
+                          </button>
+                        </div>
+                      )}
                     </div>
                   ))}
                   
@@ -397,6 +474,15 @@ function App() {
                         }
                       }}
                     />
+                    <button
+                      type="button"
+                      onClick={() => setShowPromptPicker(true)}
+                      disabled={!isConnected || isThinking || !currentState?.hasApiProvider}
+                      className="prompt-button"
+                      title="Insert MCP prompt"
+                    >
+                      💬
+                    </button>
                     <button
                       type="submit"
                       disabled={!inputValue.trim() || !isConnected || isThinking || !currentState?.hasApiProvider}
@@ -406,6 +492,13 @@ function App() {
                     </button>
                   </div>
                 </form>
+
+                <MCPPromptPicker
+                  isOpen={showPromptPicker}
+                  onClose={() => setShowPromptPicker(false)}
+                  onInsert={(text) => setInputValue(text)}
+                  onSend={(text) => sendMessage(text)}
+                />
               </div>
             )}
 
@@ -1,12 +1,13 @@
 import React, { useState, useEffect, useRef } from 'react';
 import Settings from './Settings';
 import TaskHistoryManager from './TaskHistoryManager';
+import MCPPromptPicker from './MCPPromptPicker';
 import { Mode, DEFAULT_MODES } from '../types/modes';
 import './Chat.css';
 
 interface ChatMessage {
   id?: string;
-  type: 'user' | 'assistant';
+  type: 'user' | 'assistant' | 'system';
   text: string;
   timestamp: number;
   partial?: boolean;
@@ -16,6 +17,9 @@ interface ChatMessage {
     contextFiles?: string[];
     toolsUsed?: string[];
     important?: boolean;
+    condensed?: boolean;
+    condenseId?: string;
+    summarizedMessages?: number;
   };
   editHistory?: Array<{
     previousText: string;
@@ -49,6 +53,7 @@ const Chat: React.FC<ChatProps> = ({ webSocket, isConnected }) => {
   const [input, setInput] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
+  const [showPromptPicker, setShowPromptPicker] = useState(false);
   const [showTaskHistory, setShowTaskHistory] = useState(false);
   const [streamEnabled, setStreamEnabled] = useState(true);
   const [streamingMessage, setStreamingMessage] = useState<ChatMessage | null>(null);
@@ -78,7 +83,8 @@ const Chat: React.FC<ChatProps> = ({ webSocket, isConnected }) => {
           
           if (data.type === 'state' && data.state?.clineMessages) {
             const clineMessages = data.state.clineMessages.filter((msg: any) =>
-              !msg.partial && msg.type in ['user', 'assistant'] && msg.text
+              !msg.partial && msg.text &&
+              (['user', 'assistant'].includes(msg.type) || (msg.type === 'system' && msg.metadata?.condensed))
             ).map((msg: any) => ({
               id: msg.id,
               type: msg.type,
@@ -217,10 +223,10 @@ const Chat: React.FC<ChatProps> = ({ webSocket, isConnected }) => {
     }
   }, [webSocket, isConnected]);
 
-  const sendMessage = async () => {
-    if (!input.trim() || !isConnected || isLoading) return;
+  const sendMessage = async (text: string = input) => {
+    if (!text.trim() || !isConnected || isLoading) return;
 
-    const userMessage = input.trim();
+    const userMessage = text.trim();
     const messageType = streamEnabled ? 'streamingMessage' : 'newTask';
     
     // Start a new task if this is the first message in a new conversation
@@ -367,6 +373,23 @@ const Chat: React.FC<ChatProps> = ({ webSocket, isConnected }) => {
     }
   };
 
+  const condenseConversation = () => {
+    if (webSocket && isConnected) {
+      webSocket.send(JSON.stringify({
+        type: 'condenseConversation'
+      }));
+    }
+  };
+
+  const undoCondense = (condenseId?: string) => {
+    if (webSocket && isConnected) {
+      webSocket.send(JSON.stringify({
+        type: 'undoCondense',
+        condenseId: condenseId
+      }));
+    }
+  };
+
   const loadConversationHistory = () => {
     if (webSocket && isConnected) {
       webSocket.send(JSON.stringify({
@@ -433,6 +456,14 @@ const Chat: React.FC<ChatProps> = ({ webSocket, isConnected }) => {
           >
             ⚙️
           </button>
+          <button
+            onClick={condenseConversation}
+            className="condense-button"
+            title="Summarize older messages to free up context"
+            disabled={messages.length === 0}
+          >
+            🗜️ Condense
+          </button>
           <button
             onClick={clearHistory}
             className="clear-button"
@@ -525,8 +556,23 @@ const Chat: React.FC<ChatProps> = ({ webSocket, isConnected }) => {
                         (edited)
                       </div>
                     )}
+                    {message.metadata?.tokensEstimate !== undefined && (
+                      <div className="message-tokens" title="Tokens for the active provider's model">
+                        {message.metadata.tokensEstimate.toLocaleString()} tokens
+                      </div>
+                    )}
                   </div>
-                  {message.id && (
+                  {message.metadata?.condensed ? (
+                    <div className="message-actions">
+                      <button
+                        onClick={() => undoCondense(message.metadata?.condenseId)}
+                        className="undo-condense-btn"
+                        title={`Restore the ${message.metadata?.summarizedMessages || ''} messages this summary replaced`}
+                      >
+                        ↩️ Undo condense
+                      </button>
+                    </div>
+                  ) : message.id && (
                     <div className="message-actions">
                       <button
                         onClick={() => startEditMessage(message.id!, message.text)}
@@ -586,8 +632,16 @@ const Chat: React.FC<ChatProps> = ({ webSocket, isConnected }) => {
           disabled={!isConnected || isLoading}
           rows={1}
         />
+        <button
+          onClick={() => setShowPromptPicker(true)}
+          disabled={!isConnected || isLoading}
+          className="prompt-button"
+          title="Insert MCP prompt"
+        >
+          💬
+        </button>
         <button 
-          onClick={sendMessage} 
+          onClick={() => sendMessage()} 
           disabled={!isConnected || !input.trim() || isLoading}
           className="send-button"
         >
@@ -600,6 +654,13 @@ const Chat: React.FC<ChatProps> = ({ webSocket, isConnected }) => {
         onClose={() => setShowSettings(false)}
       />
 
+      <MCPPromptPicker
+        isOpen={showPromptPicker}
+        onClose={() => setShowPromptPicker(false)}
+        onInsert={(text) => setInput(text)}
+        onSend={(text) => sendMessage(text)}
+      />
+
       <TaskHistoryManager
         webSocket={webSocket}
         isConnected={isConnected}
@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import { CommandProcess } from '../types/command';
+import './CommandOutputPanel.css';
+
+interface CommandOutputPanelProps {
+  webSocket?: WebSocket | null;
+  isConnected?: boolean;
+}
+
+// Output kept per command in the browser, and finished commands kept on screen
+const MAX_OUTPUT_CHARACTERS = 20000;
+const MAX_FINISHED_COMMANDS = 3;
+
+const STATUS_ICONS: Record<CommandProcess['status'], string> = {
+  running: '⏳',
+  completed: '✅',
+  stopped: '🛑'
+};
+
+/**
+ * Commands run by execute_command, with their output streamed as it arrives and a way to stop them
+ */
+const CommandOutputPanel: React.FC<CommandOutputPanelProps> = ({ webSocket, isConnected = false }) => {
+  const [commands, setCommands] = useState<CommandProcess[]>([]);
+  const [outputs, setOutputs] = useState<Record<string, string>>({});
+  const [collapsed, setCollapsed] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (isConnected && webSocket && webSocket.readyState === WebSocket.OPEN) {
+      webSocket.send(JSON.stringify({ type: 'getCommands' }));
+    }
+  }, [isConnected, webSocket]);
+
+  useEffect(() => {
+    if (!webSocket) return;
+
+    const upsert = (updated: CommandProcess) => {
+      setCommands(prev => {
+        const next = [...prev.filter(command => command.id !== updated.id), updated];
+        const finished = next.filter(command => command.status !== 'running');
+        const dropped = new Set(finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_COMMANDS)).map(command => command.id));
+        return next.filter(command => !dropped.has(command.id));
+      });
+    };
+
+    const handleMessage = (event: MessageEvent) => {
+      try {
+        const data = JSON.parse(event.data);
+
+        if (data.type === 'commandStarted' || data.type === 'commandBackgrounded' || data.type === 'commandFinished') {
+          upsert(data.process);
+        } else if (data.type === 'commandOutput') {
+          setOutputs(prev => ({
+            ...prev,
+            [data.processId]: ((prev[data.processId] || '') + data.chunk).slice(-MAX_OUTPUT_CHARACTERS)
+          }));
+        } else if (data.type === 'commandList') {
+          setCommands((data.processes as CommandProcess[]).filter(command => command.status === 'running'));
+        }
+      } catch (err) {
+        console.error('Error parsing WebSocket message:', err);
+      }
+    };
+
+    webSocket.addEventListener('message', handleMessage);
+    return () => webSocket.removeEventListener('message', handleMessage);
+  }, [webSocket]);
+
+  const stopCommand = (command: CommandProcess) => {
+    if (!webSocket || webSocket.readyState !== WebSocket.OPEN) {
+      setError('Not connected to the server');
+      return;
+    }
+    webSocket.send(JSON.stringify({
+      type: 'cancelCommand',
+      data: { processId: command.id }
+    }));
+    setError(null);
+  };
+
+  if (commands.length === 0) {
+    return null;
+  }
+
+  const running = commands.filter(command => command.status === 'running').length;
+
+  return (
+    <div className="command-output-panel">
+      <button className="command-output-header" onClick={() => setCollapsed(!collapsed)}>
+        <span>💻 Commands</span>
+        <span className="command-count">{running} running {collapsed ? '▸' : '▾'}</span>
+      </button>
+
+      {!collapsed && (
+        <div className="command-list">
+          {error && <div className="command-error">{error}</div>}
+
+          {commands.map(command => (
+            <div key={command.id} className={`command-entry ${command.status}`}>
+              <div className="command-title">
+                <span className="command-status">{STATUS_ICONS[command.status]}</span>
+                <code className="command-text">{command.command}</code>
+                {command.background && command.status === 'running' && <span className="command-background">background</span>}
+                {command.status === 'running' ? (
+                  <button className="command-stop" onClick={() => stopCommand(command)}>Stop</button>
+                ) : (
+                  <span className="command-exit">
+                    {command.status === 'stopped' ? 'stopped' : `exit ${command.exitCode}`}
+                  </span>
+                )}
+              </div>
+              {outputs[command.id] && <pre className="command-output">{outputs[command.id]}</pre>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CommandOutputPanel;
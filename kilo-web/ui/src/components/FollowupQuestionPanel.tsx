@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+import { FollowupQuestion } from '../types/followup';
+import './FollowupQuestionPanel.css';
+
+interface FollowupQuestionPanelProps {
+  webSocket?: WebSocket | null;
+  isConnected?: boolean;
+}
+
+const FollowupQuestionPanel: React.FC<FollowupQuestionPanelProps> = ({ webSocket, isConnected = false }) => {
+  const [questions, setQuestions] = useState<FollowupQuestion[]>([]);
+  const [answers, setAnswers] = useState<Record<string, string>>({});
+  const [error, setError] = useState<string | null>(null);
+
+  // Catch up on questions asked before this client connected
+  useEffect(() => {
+    if (isConnected && webSocket && webSocket.readyState === WebSocket.OPEN) {
+      webSocket.send(JSON.stringify({ type: 'getPendingFollowupQuestions' }));
+    }
+  }, [isConnected, webSocket]);
+
+  useEffect(() => {
+    if (!webSocket) return;
+
+    const handleMessage = (event: MessageEvent) => {
+      try {
+        const data = JSON.parse(event.data);
+
+        if (data.type === 'followupQuestion') {
+          setQuestions(prev => [...prev.filter(question => question.id !== data.request.id), data.request]);
+        } else if (data.type === 'followupQuestionResolved') {
+          setQuestions(prev => prev.filter(question => question.id !== data.questionId));
+        } else if (data.type === 'pendingFollowupQuestions') {
+          setQuestions(data.questions);
+        }
+      } catch (err) {
+        console.error('Error parsing WebSocket message:', err);
+      }
+    };
+
+    webSocket.addEventListener('message', handleMessage);
+    return () => webSocket.removeEventListener('message', handleMessage);
+  }, [webSocket]);
+
+  const sendAnswer = (question: FollowupQuestion, answer: string) => {
+    if (!answer.trim()) return;
+    if (!webSocket || webSocket.readyState !== WebSocket.OPEN) {
+      setError('Not connected to the server');
+      return;
+    }
+    webSocket.send(JSON.stringify({
+      type: 'followupResponse',
+      data: { questionId: question.id, answer }
+    }));
+    setError(null);
+  };
+
+  if (questions.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="followup-question-panel">
+      {error && <div className="followup-error">{error}</div>}
+
+      {questions.map(question => (
+        <div key={question.id} className="followup-question">
+          <div className="followup-text">❓ {question.question}</div>
+
+          {question.suggestions.length > 0 && (
+            <div className="followup-suggestions">
+              {question.suggestions.map((suggestion, index) => (
+                <button key={index} onClick={() => sendAnswer(question, suggestion)}>
+                  {suggestion}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <form
+            className="followup-answer"
+            onSubmit={(e) => {
+              e.preventDefault();
+              sendAnswer(question, answers[question.id] || '');
+            }}
+          >
+            <input
+              type="text"
+              placeholder="Type an answer..."
+              value={answers[question.id] || ''}
+              onChange={(e) => setAnswers(prev => ({ ...prev, [question.id]: e.target.value }))}
+            />
+            <button type="submit" disabled={!(answers[question.id] || '').trim()}>Answer</button>
+          </form>
+
+          {question.autoAnswerAt && (
+            <div className="followup-auto-answer">
+              "{question.suggestions[0]}" is picked automatically at {new Date(question.autoAnswerAt).toLocaleTimeString()}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default FollowupQuestionPanel;
@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from 'react';
+import { MCPPrompt } from '../types/mcpServer';
+import './MCPPromptPicker.css';
+
+interface MCPPromptPickerProps {
+  isOpen: boolean;
+  onClose: () => void;
+  onInsert: (text: string) => void;
+  onSend: (text: string) => void;
+}
+
+const MCPPromptPicker: React.FC<MCPPromptPickerProps> = ({
+  isOpen,
+  onClose,
+  onInsert,
+  onSend
+}) => {
+  const [prompts, setPrompts] = useState<MCPPrompt[]>([]);
+  const [selectedPrompt, setSelectedPrompt] = useState<MCPPrompt | null>(null);
+  const [argumentValues, setArgumentValues] = useState<Record<string, string>>({});
+  const [searchTerm, setSearchTerm] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadPrompts();
+    } else {
+      setSelectedPrompt(null);
+      setArgumentValues({});
+      setSearchTerm('');
+      setError(null);
+    }
+  }, [isOpen]);
+
+  const loadPrompts = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/mcp/prompts');
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to load prompts');
+      }
+      setPrompts(result.prompts || []);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load prompts');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const selectPrompt = (prompt: MCPPrompt) => {
+    setSelectedPrompt(prompt);
+    setArgumentValues({});
+    setError(null);
+  };
+
+  const renderPrompt = async (): Promise<string | null> => {
+    if (!selectedPrompt) return null;
+
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(`/api/mcp/prompts/${encodeURIComponent(selectedPrompt.name)}/get`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          serverId: selectedPrompt.serverId,
+          arguments: argumentValues
+        })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to render prompt');
+      }
+      return result.text;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to render prompt');
+      return null;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleInsert = async () => {
+    const text = await renderPrompt();
+    if (text !== null) {
+      onInsert(text);
+      onClose();
+    }
+  };
+
+  const handleSend = async () => {
+    const text = await renderPrompt();
+    if (text !== null) {
+      onSend(text);
+      onClose();
+    }
+  };
+
+  const missingRequired = selectedPrompt
+    ? selectedPrompt.arguments.some(arg => arg.required && !argumentValues[arg.name]?.trim())
+    : true;
+
+  const filteredPrompts = prompts.filter(prompt =>
+    prompt.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    (prompt.description || '').toLowerCase().includes(searchTerm.toLowerCase())
+  );
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="mcp-prompt-overlay" onClick={onClose}>
+      <div className="mcp-prompt-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="mcp-prompt-header">
+          <h3>MCP Prompts</h3>
+          <button className="mcp-prompt-close" onClick={onClose} title="Close">
+            ✕
+          </button>
+        </div>
+
+        {error && <div className="mcp-prompt-error">{error}</div>}
+
+        {!selectedPrompt ? (
+          <div className="mcp-prompt-list">
+            <input
+              type="text"
+              className="mcp-prompt-search"
+              placeholder="Search prompts..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+            />
+            {isLoading && <div className="mcp-prompt-empty">Loading prompts...</div>}
+            {!isLoading && filteredPrompts.length === 0 && (
+              <div className="mcp-prompt-empty">
+                No prompts available. Connect an MCP server that provides prompts.
+              </div>
+            )}
+            {filteredPrompts.map(prompt => (
+              <button
+                key={`${prompt.serverId}:${prompt.name}`}
+                className="mcp-prompt-item"
+                onClick={() => selectPrompt(prompt)}
+              >
+                <span className="mcp-prompt-name">{prompt.name}</span>
+                {prompt.description && (
+                  <span className="mcp-prompt-description">{prompt.description}</span>
+                )}
+                <span className="mcp-prompt-server">{prompt.serverId}</span>
+              </button>
+            ))}
+          </div>
+        ) : (
+          <div className="mcp-prompt-form">
+            <div className="mcp-prompt-selected">
+              <span className="mcp-prompt-name">{selectedPrompt.name}</span>
+              {selectedPrompt.description && (
+                <span className="mcp-prompt-description">{selectedPrompt.description}</span>
+              )}
+            </div>
+
+            {selectedPrompt.arguments.map(arg => (
+              <label key={arg.name} className="mcp-prompt-argument">
+                <span>
+                  {arg.name}
+                  {arg.required && <span className="required">*</span>}
+                </span>
+                <input
+                  type="text"
+                  value={argumentValues[arg.name] || ''}
+                  placeholder={arg.description || ''}
+                  onChange={(e) => setArgumentValues(prev => ({ ...prev, [arg.name]: e.target.value }))}
+                />
+              </label>
+            ))}
+
+            <div className="mcp-prompt-actions">
+              <button onClick={() => setSelectedPrompt(null)} disabled={isLoading}>
+                Back
+              </button>
+              <button onClick={handleInsert} disabled={isLoading || missingRequired}>
+                Insert
+              </button>
+              <button
+                className="primary"
+                onClick={handleSend}
+                disabled={isLoading || missingRequired}
+              >
+                Send
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MCPPromptPicker;
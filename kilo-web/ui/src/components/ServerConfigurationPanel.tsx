@@ -120,9 +120,9 @@ const ServerConfigurationPanel: React.FC<ServerConfigurationPanelProps> = ({
       if (!formData.command?.trim()) {
         newErrors.command = 'Command is required for stdio servers';
       }
-    } else if (formData.type === 'sse') {
+    } else {
       if (!formData.url?.trim()) {
-        newErrors.url = 'URL is required for SSE servers';
+        newErrors.url = 'URL is required for remote servers';
       } else {
         try {
           new URL(formData.url);
@@ -362,9 +362,10 @@ const ServerConfigurationPanel: React.FC<ServerConfigurationPanelProps> = ({
         <select
           id="server-type"
           value={formData.type}
-          onChange={(e) => handleInputChange('type', e.target.value as 'stdio' | 'sse')}
+          onChange={(e) => handleInputChange('type', e.target.value as 'stdio' | 'sse' | 'streamable-http')}
         >
           <option value="stdio">Stdio (Local Process)</option>
+          <option value="streamable-http">Streamable HTTP</option>
           <option value="sse">SSE (Server-Sent Events)</option>
         </select>
       </div>
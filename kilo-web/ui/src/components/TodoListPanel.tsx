@@ -0,0 +1,75 @@
+import React, { useState, useEffect } from 'react';
+import { TodoItem } from '../types/taskHistory';
+import './TodoListPanel.css';
+
+interface TodoListPanelProps {
+  webSocket?: WebSocket | null;
+  isConnected?: boolean;
+}
+
+const STATUS_ICONS: Record<TodoItem['status'], string> = {
+  pending: '⬜',
+  in_progress: '🔄',
+  completed: '✅'
+};
+
+/**
+ * The current task's checklist, kept up to date as update_todo_list changes it
+ */
+const TodoListPanel: React.FC<TodoListPanelProps> = ({ webSocket, isConnected = false }) => {
+  const [todos, setTodos] = useState<TodoItem[]>([]);
+  const [collapsed, setCollapsed] = useState(false);
+
+  useEffect(() => {
+    if (isConnected && webSocket && webSocket.readyState === WebSocket.OPEN) {
+      webSocket.send(JSON.stringify({ type: 'getTodoList' }));
+    }
+  }, [isConnected, webSocket]);
+
+  useEffect(() => {
+    if (!webSocket) return;
+
+    const handleMessage = (event: MessageEvent) => {
+      try {
+        const data = JSON.parse(event.data);
+
+        if (data.type === 'todoListUpdated') {
+          setTodos(data.todos || []);
+        }
+      } catch (err) {
+        console.error('Error parsing WebSocket message:', err);
+      }
+    };
+
+    webSocket.addEventListener('message', handleMessage);
+    return () => webSocket.removeEventListener('message', handleMessage);
+  }, [webSocket]);
+
+  if (todos.length === 0) {
+    return null;
+  }
+
+  const completed = todos.filter(todo => todo.status === 'completed').length;
+
+  return (
+    <div className="todo-list-panel">
+      <button className="todo-list-header" onClick={() => setCollapsed(!collapsed)}>
+        <span>📝 Todo list</span>
+        <span className="todo-progress">{completed}/{todos.length} done {collapsed ? '▸' : '▾'}</span>
+      </button>
+
+      {!collapsed && (
+        <ul className="todo-items">
+          {todos.map(todo => (
+            <li key={todo.id} className={`todo-item ${todo.status}`}>
+              <span className="todo-status">{STATUS_ICONS[todo.status]}</span>
+              <span className="todo-content">{todo.content}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TodoListPanel;
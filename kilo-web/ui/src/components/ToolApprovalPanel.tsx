@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ToolApprovalRequest, ToolApprovalAuditEntry } from '../types/toolApproval';
+import './ToolApprovalPanel.css';
+
+interface ToolApprovalPanelProps {
+  webSocket?: WebSocket | null;
+  isConnected?: boolean;
+}
+
+const HISTORY_LIMIT = 20;
+
+const DECISION_LABELS: Record<string, string> = {
+  approved: '✅ Auto-approved',
+  user_approved: '👍 Approved',
+  user_denied: '🚫 Denied',
+  denied: '✋ Asked',
+  requires_confirmation: '✋ Asked',
+  cancelled: '⏹️ Cancelled',
+  activated: '🚨 Emergency stop',
+  deactivated: '▶️ Emergency stop lifted'
+};
+
+const describeCall = (request: ToolApprovalRequest) => {
+  if (request.command) {
+    return request.command;
+  }
+  if (typeof request.parameters.path === 'string') {
+    return request.parameters.path;
+  }
+  return JSON.stringify(request.parameters);
+};
+
+const ToolApprovalPanel: React.FC<ToolApprovalPanelProps> = ({ webSocket, isConnected = false }) => {
+  const [pending, setPending] = useState<ToolApprovalRequest[]>([]);
+  const [history, setHistory] = useState<ToolApprovalAuditEntry[]>([]);
+  const [feedback, setFeedback] = useState<Record<string, string>>({});
+  const [showHistory, setShowHistory] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadHistory = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/tool-approvals/audit?limit=${HISTORY_LIMIT}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      setHistory(data.entries);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load approval history');
+    }
+  }, []);
+
+  // Catch up on requests made before this client connected
+  useEffect(() => {
+    if (isConnected && webSocket && webSocket.readyState === WebSocket.OPEN) {
+      webSocket.send(JSON.stringify({ type: 'getPendingToolApprovals' }));
+      loadHistory();
+    }
+  }, [isConnected, webSocket, loadHistory]);
+
+  useEffect(() => {
+    if (!webSocket) return;
+
+    const handleMessage = (event: MessageEvent) => {
+      try {
+        const data = JSON.parse(event.data);
+
+        if (data.type === 'toolApprovalRequired') {
+          setPending(prev => [...prev.filter(request => request.id !== data.request.id), data.request]);
+        } else if (data.type === 'toolApprovalResolved') {
+          setPending(prev => prev.filter(request => request.id !== data.requestId));
+          loadHistory();
+        } else if (data.type === 'pendingToolApprovals') {
+          setPending(data.requests);
+        }
+      } catch (err) {
+        console.error('Error parsing WebSocket message:', err);
+      }
+    };
+
+    webSocket.addEventListener('message', handleMessage);
+    return () => webSocket.removeEventListener('message', handleMessage);
+  }, [webSocket, loadHistory]);
+
+  const respond = (request: ToolApprovalRequest, approved: boolean) => {
+    if (!webSocket || webSocket.readyState !== WebSocket.OPEN) {
+      setError('Not connected to the server');
+      return;
+    }
+    webSocket.send(JSON.stringify({
+      type: 'toolApprovalResponse',
+      data: {
+        requestId: request.id,
+        approved,
+        feedback: feedback[request.id] || undefined
+      }
+    }));
+    setError(null);
+  };
+
+  if (pending.length === 0 && !showHistory) {
+    return (
+      <div className="tool-approval-panel collapsed">
+        <button className="history-toggle" onClick={() => setShowHistory(true)}>
+          ✋ Approval history
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="tool-approval-panel">
+      <div className="tool-approval-header">
+        <span>✋ {pending.length > 0 ? `${pending.length} tool ${pending.length === 1 ? 'call' : 'calls'} waiting for approval` : 'Tool approvals'}</span>
+        <button className="history-toggle" onClick={() => setShowHistory(!showHistory)}>
+          {showHistory ? 'Hide history' : 'Show history'}
+        </button>
+      </div>
+
+      {error && <div className="tool-approval-error">{error}</div>}
+
+      {pending.map(request => (
+        <div key={request.id} className={`tool-approval-request risk-${request.riskLevel || 'unknown'}`}>
+          <div className="request-summary">
+            <span className="request-tool">{request.toolName}</span>
+            {request.riskLevel && <span className="request-risk">{request.riskLevel} risk</span>}
+            <code className="request-target">{describeCall(request)}</code>
+          </div>
+          <div className="request-reason">
+            {request.reason}
+            {request.riskFactors.length > 0 && ` — ${request.riskFactors.join(', ')}`}
+          </div>
+          <div className="request-actions">
+            <input
+              type="text"
+              placeholder="Feedback (optional)"
+              value={feedback[request.id] || ''}
+              onChange={(e) => setFeedback(prev => ({ ...prev, [request.id]: e.target.value }))}
+            />
+            <button className="approve-btn" onClick={() => respond(request, true)}>Approve</button>
+            <button className="deny-btn" onClick={() => respond(request, false)}>Deny</button>
+          </div>
+        </div>
+      ))}
+
+      {showHistory && (
+        <ul className="tool-approval-history">
+          {history.length === 0 && <li className="history-empty">No decisions yet</li>}
+          {history.map(entry => (
+            <li key={entry.id} className={`decision-${entry.decision}`}>
+              <span className="history-time">{new Date(entry.timestamp).toLocaleTimeString()}</span>
+              <span className="history-decision">{DECISION_LABELS[entry.decision] || entry.decision}</span>
+              <span className="history-tool">{entry.operation.toolName || entry.operation.type}</span>
+              <span className="history-reason">{entry.reason}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ToolApprovalPanel;
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { 
   WorkflowTemplate, 
   WorkflowExecution, 
+  WorkflowTrigger,
   WorkflowManagerState,
   WorkflowStats,
   ExecuteWorkflowRequest,
@@ -18,6 +19,7 @@ const WorkflowManager: React.FC<WorkflowManagerProps> = ({ webSocket, isConnecte
   const [state, setState] = useState<WorkflowManagerState>({
     templates: [],
     executions: [],
+    triggers: [],
     categories: [],
     tags: [],
     stats: null,
@@ -38,6 +40,7 @@ const WorkflowManager: React.FC<WorkflowManagerProps> = ({ webSocket, isConnecte
       loadTemplates();
       loadExecutions();
       loadStats();
+      loadTriggers();
     }
   }, [isConnected]);
 
@@ -127,6 +130,17 @@ const WorkflowManager: React.FC<WorkflowManagerProps> = ({ webSocket, isConnecte
     }
   };
 
+  const loadTriggers = async () => {
+    const result = await apiCall<{ triggers: WorkflowTrigger[] }>('/triggers');
+    
+    if (result.success && result.data) {
+      setState(prev => ({
+        ...prev,
+        triggers: result.data!.triggers
+      }));
+    }
+  };
+
   const loadStats = async () => {
     const result = await apiCall<WorkflowStats>('/stats');
     
@@ -463,6 +477,59 @@ const WorkflowManager: React.FC<WorkflowManagerProps> = ({ webSocket, isConnecte
     </div>
   );
 
+  const describeTrigger = (trigger: WorkflowTrigger) => {
+    switch (trigger.type) {
+      case 'cron':
+        return `cron ${trigger.expression}`;
+      case 'file':
+        return `files ${trigger.patterns?.join(', ')}`;
+      case 'git':
+        return `git ${trigger.event}`;
+      default:
+        return trigger.type;
+    }
+  };
+
+  const renderWorkflowTriggers = () => (
+    <div className="workflow-section">
+      <div className="workflow-header">
+        <h3>Workflow Triggers ({state.triggers.length})</h3>
+        <button onClick={loadTriggers} className="refresh-btn">🔄 Refresh</button>
+      </div>
+      
+      {state.triggers.length === 0 ? (
+        <div className="empty-state">
+          <p>No scheduled triggers. Add a Triggers section to a workflow in .kilo/workflows.</p>
+        </div>
+      ) : (
+        <div className="execution-list">
+          {state.triggers.map(trigger => (
+            <div key={trigger.id} className="execution-card">
+              <div className="execution-header">
+                <h4>{trigger.workflowName}</h4>
+                <span className="template-category">{describeTrigger(trigger)}</span>
+              </div>
+              
+              <div className="execution-meta">
+                <span>
+                  Next run: {trigger.nextFireTime
+                    ? new Date(trigger.nextFireTime).toLocaleString()
+                    : trigger.type === 'cron' ? 'never' : 'on next change'}
+                </span>
+                {trigger.debounce > 0 && (
+                  <span>Debounce: {trigger.debounce / 1000}s</span>
+                )}
+                {trigger.lastFiredAt && (
+                  <span>Last fired: {new Date(trigger.lastFiredAt).toLocaleString()} ({trigger.fireCount}×)</span>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
   const renderActiveTab = () => {
     switch (state.activeTab) {
       case 'browser':
@@ -473,6 +540,8 @@ const WorkflowManager: React.FC<WorkflowManagerProps> = ({ webSocket, isConnecte
         return renderWorkflowMonitor();
       case 'history':
         return renderWorkflowHistory();
+      case 'triggers':
+        return renderWorkflowTriggers();
       default:
         return renderTemplatesBrowser();
     }
@@ -505,6 +574,12 @@ const WorkflowManager: React.FC<WorkflowManagerProps> = ({ webSocket, isConnecte
         >
           📋 History
         </button>
+        <button 
+          className={state.activeTab === 'triggers' ? 'active' : ''}
+          onClick={() => { setActiveTab('triggers'); loadTriggers(); }}
+        >
+          ⏰ Triggers
+        </button>
       </div>
       
       <div className="workflow-content">
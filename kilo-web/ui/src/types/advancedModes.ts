@@ -90,7 +90,7 @@ export const AVAILABLE_TOOL_GROUPS: ToolGroup[] = [
   },
   {
     name: 'command',
-    tools: ['execute_command'],
+    tools: ['execute_command', 'read_command_output'],
     alwaysAvailable: false
   },
   {
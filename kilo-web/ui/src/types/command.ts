@@ -0,0 +1,16 @@
+export interface CommandProcess {
+  id: string;
+  command: string;
+  cwd: string;
+  pid: number | null;
+  usesPty: boolean;
+  status: 'running' | 'completed' | 'stopped';
+  exitCode: number | null;
+  signal: string | null;
+  background: boolean;
+  timedOut: boolean;
+  aborted: boolean;
+  stopped: boolean;
+  startedAt: number;
+  endedAt: number | null;
+}
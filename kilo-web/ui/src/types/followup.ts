@@ -0,0 +1,8 @@
+export interface FollowupQuestion {
+  id: string;
+  taskId: string | null;
+  question: string;
+  suggestions: string[];
+  askedAt: number;
+  autoAnswerAt: number | null;
+}
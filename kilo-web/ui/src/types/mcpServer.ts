@@ -1,7 +1,7 @@
 export interface MCPServerConfig {
   id: string;
   name: string;
-  type: 'stdio' | 'sse';
+  type: 'stdio' | 'sse' | 'streamable-http';
   enabled: boolean;
   createdAt: string;
   lastConnected?: string;
@@ -12,7 +12,7 @@ export interface MCPServerConfig {
   env?: Record<string, string>;
   cwd?: string;
   
-  // SSE-based server configuration
+  // Remote (SSE / streamable HTTP) server configuration
   url?: string;
   headers?: Record<string, string>;
   
@@ -58,6 +58,19 @@ export interface MCPResource {
   serverId: string;
 }
 
+export interface MCPPromptArgument {
+  name: string;
+  description?: string;
+  required?: boolean;
+}
+
+export interface MCPPrompt {
+  name: string;
+  description?: string;
+  arguments: MCPPromptArgument[];
+  serverId: string;
+}
+
 export interface MCPServerStatus {
   id: string;
   status: 'connected' | 'disconnected' | 'connecting' | 'error';
@@ -178,7 +191,7 @@ export interface MCPServerManagerState {
 
 export interface MCPServerFormData {
   name: string;
-  type: 'stdio' | 'sse';
+  type: 'stdio' | 'sse' | 'streamable-http';
   description?: string;
   
   // Stdio fields
@@ -22,6 +22,13 @@ export interface TaskHistoryItem {
   messages: TaskMessage[];
   summary?: string;
   archived?: boolean;
+  todos?: TodoItem[];
+}
+
+export interface TodoItem {
+  id: string;
+  content: string;
+  status: 'pending' | 'in_progress' | 'completed';
 }
 
 export interface TaskMessage {
@@ -0,0 +1,37 @@
+export type ToolApprovalDecision =
+  | 'approved'
+  | 'denied'
+  | 'requires_confirmation'
+  | 'user_approved'
+  | 'user_denied'
+  | 'cancelled'
+  | 'activated'
+  | 'deactivated';
+
+export interface ToolApprovalRequest {
+  id: string;
+  toolName: string;
+  operationType: string;
+  parameters: Record<string, any>;
+  filePath?: string;
+  command?: string;
+  reason: string;
+  riskLevel: 'low' | 'medium' | 'high' | 'critical' | null;
+  riskFactors: string[];
+  source: string | null;
+  requestedAt: number;
+}
+
+export interface ToolApprovalAuditEntry {
+  id: string;
+  timestamp: number;
+  operation: {
+    type: string;
+    toolName?: string;
+    filePath?: string;
+    command?: string;
+  };
+  decision: ToolApprovalDecision;
+  reason: string;
+  riskLevel?: string;
+}
@@ -6,6 +6,8 @@ export interface WorkflowTemplate {
   tags?: string[];
   variables: Record<string, any>;
   steps: WorkflowStep[];
+  onFailure?: WorkflowStep[];
+  finally?: WorkflowStep[];
   metadata?: {
     created?: string;
     version?: string;
@@ -16,18 +18,20 @@ export interface WorkflowTemplate {
 }
 
 export interface WorkflowStep {
-  type: 'tool' | 'command' | 'conditional' | 'loop' | 'parallel' | 'delay' | 'manual';
+  type: 'tool' | 'command' | 'conditional' | 'loop' | 'parallel' | 'delay' | 'manual' | 'prompt';
   name?: string;
   description?: string;
   tool?: string;
   command?: string;
   parameters?: Record<string, any>;
-  conditions?: WorkflowCondition[];
+  conditions?: WorkflowConditions;
   optional?: boolean;
   stopOnFailure?: boolean;
   outputs?: Record<string, string>;
+  timeout?: number | string;
+  retry?: boolean | WorkflowRetryPolicy;
   // Conditional step properties
-  condition?: WorkflowCondition[];
+  condition?: WorkflowConditions;
   then?: WorkflowStep;
   else?: WorkflowStep;
   // Loop step properties
@@ -42,6 +46,13 @@ export interface WorkflowStep {
   delay?: number;
   // Manual step properties
   instructions?: string;
+  // Prompt step properties
+  prompt?: string;
+  mode?: string;
+  profile?: string;
+  allowTools?: boolean | string[];
+  maxToolRounds?: number;
+  responseFormat?: 'text' | 'json';
 }
 
 export interface WorkflowCondition {
@@ -50,11 +61,20 @@ export interface WorkflowCondition {
   value?: any;
 }
 
+// Expression strings (e.g. "steps.build.success && branch != 'main'") and comparisons that must all hold
+export type WorkflowConditions = string | Array<WorkflowCondition | string>;
+
+export interface WorkflowRetryPolicy {
+  attempts?: number;
+  backoff?: number | { delay?: number; factor?: number; maxDelay?: number };
+  retryOn?: string[];
+}
+
 export interface WorkflowExecution {
   id: string;
   workflowId?: string;
   workflowName: string;
-  status: 'running' | 'completed' | 'failed' | 'error' | 'cancelled';
+  status: 'running' | 'waiting' | 'completed' | 'failed' | 'error' | 'cancelled' | 'interrupted';
   startTime: number;
   endTime?: number;
   duration?: number;
@@ -63,6 +83,7 @@ export interface WorkflowExecution {
   progress?: number;
   variables: Record<string, any>;
   results?: any[];
+  cleanupResults?: any[];
   errors?: Array<{ step: number; error: string }>;
   result?: {
     success: boolean;
@@ -71,6 +92,7 @@ export interface WorkflowExecution {
     completedSteps: number;
     skippedSteps: number;
     failedSteps: number;
+    cleanupFailed?: boolean;
   };
   error?: string;
   stack?: string;
@@ -115,13 +137,28 @@ export interface WorkflowCategory {
   templates: WorkflowTemplate[];
 }
 
+export interface WorkflowTrigger {
+  id: string;
+  workflowId: string;
+  workflowName: string;
+  type: 'cron' | 'file' | 'git';
+  expression?: string;
+  patterns?: string[];
+  event?: string;
+  debounce: number;
+  nextFireTime: number | null;
+  lastFiredAt: number | null;
+  fireCount: number;
+}
+
 export interface WorkflowManagerState {
   templates: WorkflowTemplate[];
   executions: WorkflowExecution[];
+  triggers: WorkflowTrigger[];
   categories: string[];
   tags: string[];
   stats: WorkflowStats | null;
-  activeTab: 'browser' | 'executor' | 'monitor' | 'history';
+  activeTab: 'browser' | 'executor' | 'monitor' | 'history' | 'triggers';
   selectedTemplate: WorkflowTemplate | null;
   selectedExecution: WorkflowExecution | null;
   executionParameters: Record<string, any>;
@@ -154,7 +191,7 @@ export interface CreateWorkflowRequest {
   steps: WorkflowStep[];
   variables?: Record<string, any>;
   triggers?: any[];
-  conditions?: WorkflowCondition[];
+  conditions?: WorkflowConditions;
   tags?: string[];
   isGlobal?: boolean;
 }